@@ -1,5 +1,6 @@
 import _ from 'lodash';
 import ActivityDescriptor from './descriptors/ActivityDescriptor';
+import { toScheduleTime } from './core/ActivityScheduler';
 
 const validateOptions = require('./util/Tools').validateOptions;
 
@@ -42,14 +43,25 @@ class Activity {
     /**
      * Make this {@link Activity} the current state of the Worker
      * @param {Activity.UpdateOptions} [options]
-     * @returns {Promise<this>} - Rejected if the {@link Worker}'s activity state could not be set
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<this>} - Rejected if the {@link Worker}'s activity state could not be set, or the return to
+     *   another {@link Activity} could not be scheduled
      *//**
      * @typedef {Object} Activity.UpdateOptions
      * @property {boolean} [rejectPendingReservations=false] - Represents whether all pending reservations should be rejected with the update to an unavailable {@link Activity}.
+     * @property {Date|string|number} [until] - When to leave this {@link Activity} again, e.g. at the end of a break.
+     *   The return is scheduled with {@link Worker#scheduleActivity}.
+     * @property {string|Activity} [returnTo] - The {@link Activity} to return to at the time given by until. Defaults
+     *   to the current {@link Activity} of the {@link Worker}.
      */
-    setAsCurrent(options = {}) {
+    setAsCurrent(options = {}, requestOptions) {
         const types = {
-            rejectPendingReservations: (val) => _.isBoolean(val)
+            rejectPendingReservations: (val) => _.isBoolean(val),
+            until: (val) => {
+                const time = toScheduleTime(val);
+                return !!time && time.getTime() > Date.now();
+            },
+            returnTo: (val) => _.isString(val) || val instanceof Activity
         };
         if (!validateOptions(options, types)) {
             throw new TypeError(`Failed to set activity=${this.sid}. The options passed in did not match the required types.`);
@@ -57,7 +69,20 @@ class Activity {
         if (options.rejectPendingReservations && this.available) {
             throw new Error('Unable to reject pending reservations when updating to an Available activity state.');
         }
-        return this._worker._updateWorkerActivity(this.sid, options).then(() => {
+        if (options.returnTo && !options.until) {
+            throw new TypeError(`Failed to set activity=${this.sid}. The option returnTo requires the option until.`);
+        }
+
+        const returnTo = options.returnTo || this._worker.activity;
+        const returnToSid = returnTo instanceof Activity ? returnTo.sid : returnTo;
+        if (options.until && !this._worker.activities.has(returnToSid)) {
+            throw new TypeError(`Failed to set activity=${this.sid}. The Activity to return to is not an Activity of the Workspace.`);
+        }
+
+        const updateOptions = _.omit(options, ['until', 'returnTo']);
+        return this._worker._updateWorkerActivity(this.sid, updateOptions, requestOptions).then(() => {
+            return options.until ? this._worker.scheduleActivity(returnToSid, options.until) : null;
+        }).then(() => {
             return this;
         });
     }
@@ -0,0 +1,26 @@
+import ActivityDescriptor from './descriptors/ActivityDescriptor';
+
+/**
+ * Construct an {@link ActivityContainer}.
+ * @class
+ * @classdesc An {@link ActivityContainer} represents an Activity of a Workspace
+ * @param {ActivityDescriptor} descriptor - The {@link ActivityDescriptor} of this {@link ActivityContainer}
+ * @property {string} accountSid - The sid of the Twilio account
+ * @property {boolean} available - If a {@link Worker} can handle Tasks in this state
+ * @property {Date} dateCreated - The date this {@link ActivityContainer} was created
+ * @property {Date} dateUpdated - The date this {@link ActivityContainer} was last updated
+ * @property {string} name - The friendly name of this {@link ActivityContainer}
+ * @property {string} sid - The sid of this {@link ActivityContainer}
+ * @property {string} workspaceSid - The sid of the Workspace owning this {@link ActivityContainer}
+ */
+class ActivityContainer {
+    constructor(descriptor) {
+        if (!(descriptor instanceof ActivityDescriptor)) {
+            throw new TypeError('Failed to create an ActivityContainer. <ActivityDescriptor>descriptor is a required parameter.');
+        }
+
+        Object.assign(this, descriptor);
+    }
+}
+
+export default ActivityContainer;
@@ -1,7 +1,9 @@
 import _ from 'lodash';
+import { API_V1 } from './util/Constants';
 import { EventEmitter } from 'events';
 import WorkerChannelDescriptor from './descriptors/WorkerChannelDescriptor';
 import Worker from './Worker';
+import { WORKER_CHANNEL_INSTANCE } from './util/Routes';
 
 const fieldsToUpdate = [
     'capacity',
@@ -48,11 +50,54 @@ class Channel extends EventEmitter {
             throw new TypeError('Failed to instantiate Channel. <WorkerChannelDescriptor>descriptor is a required parameter.');
         }
 
+        this._worker = worker;
         this._request = request;
         this._log = worker.getLogger(`Channel-${descriptor.sid}`);
         Object.assign(this, descriptor);
     }
 
+    /**
+     * Update the availability of this {@link Channel}
+     * @param {boolean} isAvailable - Whether the {@link Worker} should be assigned {@link Task}s of this {@link Channel} type
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<this>} - Rejected if the availability of the {@link Channel} could not be updated. The
+     *   availabilityUpdated event is emitted once TaskRouter reports the change.
+     */
+    setAvailability(isAvailable, requestOptions) {
+        if (!_.isBoolean(isAvailable)) {
+            throw new TypeError('Error calling method setAvailability(). <boolean>isAvailable is a required parameter.');
+        }
+
+        const requestURL = this._worker.getRoutes().getRoute(WORKER_CHANNEL_INSTANCE, this.sid).path;
+        const requestParams = { Available: isAvailable };
+
+        return this._request.post(requestURL, requestParams, API_V1, requestOptions).then(response => {
+            this._update(response);
+            return this;
+        });
+    }
+
+    /**
+     * Update the capacity of this {@link Channel}
+     * @param {int} capacity - The number of {@link Task}s the {@link Worker} can handle of this {@link Channel} type
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<this>} - Rejected if the capacity of the {@link Channel} could not be updated. The
+     *   capacityUpdated event is emitted once TaskRouter reports the change.
+     */
+    setCapacity(capacity, requestOptions) {
+        if (!_.isInteger(capacity) || capacity < 0) {
+            throw new TypeError('Error calling method setCapacity(). <int>capacity is a required parameter.');
+        }
+
+        const requestURL = this._worker.getRoutes().getRoute(WORKER_CHANNEL_INSTANCE, this.sid).path;
+        const requestParams = { Capacity: capacity };
+
+        return this._request.post(requestURL, requestParams, API_V1, requestOptions).then(response => {
+            this._update(response);
+            return this;
+        });
+    }
+
     /**
      * Emit events from this {@link Channel}
      * @param {string} eventType - The event to emit
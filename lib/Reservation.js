@@ -3,6 +3,7 @@ import { API_V1,
     API_V2,
     RESERVATION_STATUS_ACCEPTED,
     RESERVATION_STATUS_COMPLETED,
+    RESERVATION_STATUS_PENDING,
     RESERVATION_STATUS_REJECTED,
     RESERVATION_STATUS_WRAPPING,
     RESERVATION_INSTRUCTION_CALL,
@@ -48,17 +49,24 @@ class Reservation extends EventEmitter {
      * @property {string} accountSid - The sid of the Twilio account
      * @property {Date} dateCreated - The date the {@link Reservation} was created
      * @property {Date} dateUpdated - The date the {@link Reservation} was last updated
+     * @property {?Date} expiresAt - The date a pending {@link Reservation} times out, or null if it is not pending
      * @property {int} canceledReasonCode - The reason code received when {@link Reservation} is canceled
      * @property {string} sid - The sid of the {@link Reservation}
      * @property {string} status - The current state of the {@link Reservation}.
      *      Options: ['pending', 'accepted', 'rejected', 'timeout', 'canceled', 'rescinded', 'wrapping', 'completed'].
      * @property {Task} task - The {@link Task} tied to the {@link Reservation}
+     * @property {?IncomingTransfer} transfer - The {@link IncomingTransfer} which created the {@link Reservation}, the
+     *      same as task.transfers.incoming, or null if the {@link Task} was not transferred to the {@link Worker}
+     * @property {boolean} transferred - Whether the {@link Reservation} was created by a transfer rather than routed afresh
      * @property {int} timeout - The number of seconds until the {@link Task} times out
+     * @property {?number} timeRemaining - The number of milliseconds until a pending {@link Reservation} times out,
+     *      or null if it is not pending
      * @property {string} workerSid - The sid of the {@link Worker}
      * @property {string} workspaceSid - The sid of the Workspace owning this {@link Reservation}
      * @fires Reservation#accepted
      * @fires Reservation#canceled
      * @fires Reservation#completed
+     * @fires Reservation#expiringSoon
      * @fires Reservation#rejected
      * @fires Reservation#rescinded
      * @fires Reservation#timeout
@@ -79,39 +87,66 @@ class Reservation extends EventEmitter {
         this._request = request;
 
         this.task = this._createTask(descriptor);
-        if (descriptor.transferDescriptor) {
-          this.transfer = this._createTransfer(descriptor);
-        }
+        this.transfer = descriptor.transferDescriptor ? this._createTransfer(descriptor) : null;
 
         Object.assign(this, descriptor);
 
         // taskDescriptor and transferDescriptor properties should not be defined on the Reservation
         delete this.taskDescriptor;
         delete this.transferDescriptor;
+
+        this._expiringSoonTimer = null;
+        this._hasEmittedExpiringSoon = false;
+        this._scheduleExpiringSoon();
+    }
+
+    get expiresAt() {
+        if (this.status !== RESERVATION_STATUS_PENDING || !_.isNumber(this.timeout)) {
+            return null;
+        }
+
+        // the timeout counts from the creation of the Reservation
+        const createdAt = _.isDate(this.dateCreated) && !_.isNaN(this.dateCreated.getTime()) ? this.dateCreated : this.dateUpdated;
+        if (!_.isDate(createdAt) || _.isNaN(createdAt.getTime())) {
+            return null;
+        }
+
+        return new Date(createdAt.getTime() + this.timeout * 1000);
+    }
+
+    get transferred() {
+        return this.transfer instanceof IncomingTransfer;
+    }
+
+    get timeRemaining() {
+        const expiresAt = this.expiresAt;
+        return expiresAt ? Math.max(expiresAt.getTime() - Date.now(), 0) : null;
     }
 
     /**
      * Accept the {@link Reservation}
+     * @param {Request.Options} [requestOptions]
      * @returns {Promise<this>} - Rejected if unable to issue Accept instruction on the {@link Reservation}
      */
-    accept() {
+    accept(requestOptions) {
         const requestURL = this._worker.getRoutes().getRoute(RESERVATION_INSTANCE, this.sid).path;
         const requestParams = { ReservationStatus: RESERVATION_STATUS_ACCEPTED };
 
-        return this._request.post(requestURL, requestParams, API_V1).then(response => {
+        return this._request.post(requestURL, requestParams, API_V1, requestOptions).then(response => {
             return this._update(response, ignoredProperties);
         });
     }
 
     /**
      * Complete the {@link Reservation}
+     * @param {Request.Options} [requestOptions]
      * @returns {Promise<this>} - Rejected if unable to issue Complete instruction on the {@link Reservation}
      */
-    complete() {
+    complete(requestOptions) {
         const requestURL = this._worker.getRoutes().getRoute(RESERVATION_INSTANCE, this.sid).path;
         const requestParams = { ReservationStatus: RESERVATION_STATUS_COMPLETED };
 
-        return this._request.post(requestURL, requestParams, API_V1).then(response => {
+        return this._request.post(requestURL, requestParams, API_V1, requestOptions).then(response => {
             return this._update(response, ignoredProperties);
         });
     }
@@ -119,13 +154,14 @@ class Reservation extends EventEmitter {
     /**
      * Reject the {@link Reservation}
      * @param {Reservation.RejectOptions} [options]
+     * @param {Request.Options} [requestOptions]
      * @returns {Promise<this>} - Rejected if unable to issue Reject instruction on the {@link Reservation}
      *//**
      * @typedef {Object} Reservation.RejectOptions
      * @property {string} activitySid - The sid of the {@link Activity} to update the worker to
      *   upon rejecting the {@link Reservation}
      */
-    reject(options = {}) {
+    reject(options = {}, requestOptions) {
         const requestURL = this._worker.getRoutes().getRoute(RESERVATION_INSTANCE, this.sid).path;
         const requestParam = {
             ReservationStatus: RESERVATION_STATUS_REJECTED,
@@ -141,20 +177,21 @@ class Reservation extends EventEmitter {
             requestParam[RESERVATION_REJECT_OPTIONS[option]] = options[option];
         }
 
-        return this._request.post(requestURL, requestParam, API_V1).then(response => {
+        return this._request.post(requestURL, requestParam, API_V1, requestOptions).then(response => {
             return this._update(response, ignoredProperties);
         });
     }
 
     /**
      * Wrap the {@link Reservation}
+     * @param {Request.Options} [requestOptions]
      * @returns {Promise<this>} - Rejected if unable to issue Wrap instruction on the {@link Reservation}
      */
-    wrap() {
+    wrap(requestOptions) {
         const requestURL = this._worker.getRoutes().getRoute(RESERVATION_INSTANCE, this.sid).path;
         const requestParams = { ReservationStatus: RESERVATION_STATUS_WRAPPING };
 
-        return this._request.post(requestURL, requestParams, API_V1).then(response => {
+        return this._request.post(requestURL, requestParams, API_V1, requestOptions).then(response => {
             return this._update(response, ignoredProperties);
         });
     }
@@ -164,6 +201,7 @@ class Reservation extends EventEmitter {
      * @param {string} from - The caller id for the call to a {@link Worker}
      * @param {string} url - A valid TwiML URI that is executed on the answering Worker's leg
      * @param {Reservation.CallOptions} [options]
+     * @param {Request.Options} [requestOptions]
      * @returns {Promise<this>} - Rejected if unable to issue Call instruction on the {@link Reservation}
      *//**
      * @typedef {Object} Reservation.CallOptions
@@ -175,7 +213,7 @@ class Reservation extends EventEmitter {
      *   If not provided, the contact_uri defined in the {@link Worker} attributes will be used
      * @property {number} [timeout=60] - The integer number of seconds Twilio should allow the phone associated to "contact_uri" to ring
      */
-    call(from, url, options = {}) {
+    call(from, url, options = {}, requestOptions) {
         if (!_.isString(from)) {
             throw new TypeError('Error calling method call(). <string>from is a required parameter.');
         }
@@ -206,7 +244,7 @@ class Reservation extends EventEmitter {
             requestParams[RESERVATION_CALL_OPTIONS[option]] = options[option];
         }
 
-        return this._request.post(requestURL, requestParams, API_V1).then(response => {
+        return this._request.post(requestURL, requestParams, API_V1, requestOptions).then(response => {
             return this._update(response, ignoredProperties);
         });
     }
@@ -216,6 +254,7 @@ class Reservation extends EventEmitter {
      *   {@link Task} that was enqueued using the Enqueue TwiML verb. A contact_uri must exist
      *   in the {@link Worker}'s attributes for this call to go through.
      * @param {Reservation.DequeueOptions} [options]
+     * @param {Request.Options} [requestOptions]
      * @returns {Promise<this>} - Rejected if unable to issue Dequeue instruction on the {@link Reservation}
      *//**
      * @typedef {Object} Reservation.DequeueOptions
@@ -233,7 +272,7 @@ class Reservation extends EventEmitter {
      *   asynchronous webhook this._request. to on a completed call event.
      * @property {string} [statusCallbackEvents=null] - A comma separated string of the events to subscribe to
      */
-    dequeue(options = {}) {
+    dequeue(options = {}, requestOptions) {
         const requestURL = this._worker.getRoutes().getRoute(RESERVATION_INSTANCE, this.sid).path;
         const requestParams = {
             Instruction: RESERVATION_INSTRUCTION_DEQUEUE,
@@ -257,7 +296,7 @@ class Reservation extends EventEmitter {
             requestParams[RESERVATION_DEQUEUE_OPTIONS[option]] = options[option];
         }
 
-        return this._request.post(requestURL, requestParams, API_V1).then(response => {
+        return this._request.post(requestURL, requestParams, API_V1, requestOptions).then(response => {
             return this._update(response, ignoredProperties);
         });
     }
@@ -266,13 +305,14 @@ class Reservation extends EventEmitter {
      * @param {string} callSid - The sid of the Call to redirect
      * @param {string} url - A valid TwiML URI that is executed on the Caller's leg upon redirecting
      * @param {Reservation.RedirectOptions} [options]
+     * @param {Request.Options} [requestOptions]
      * @returns {Promise<this>} - Rejected if unable to issue Redirect instruction on the {@link Reservation}
      *//**
      * @typedef {Object} Reservation.RedirectOptions
      * @property {boolean} [accept=false] - Represents whether the {@link Task} should be
      *   accepted before initiating the call
      */
-    redirect(callSid, url, options = {}) {
+    redirect(callSid, url, options = {}, requestOptions) {
         if (!_.isString(callSid)) {
             throw new TypeError('Error calling method redirect(). <string>callSid is a required parameter.');
         }
@@ -296,7 +336,7 @@ class Reservation extends EventEmitter {
             requestParams[RESERVATION_REDIRECT_OPTIONS[option]] = options[option];
         }
 
-        return this._request.post(requestURL, requestParams, API_V1).then(response => {
+        return this._request.post(requestURL, requestParams, API_V1, requestOptions).then(response => {
             return this._update(response, ignoredProperties);
         });
     }
@@ -304,6 +344,7 @@ class Reservation extends EventEmitter {
     /**
      * Conference the active Call tied to this {@link Reservation} to the {@link Worker}
      * @param {Reservation.ConferenceOptions} [options]
+     * @param {Request.Options} [requestOptions]
      * @returns {Promise<this>} - Rejected if unable to issue Conference instruction on the link {@link Reservation}
      *//**
      * @typedef {Object} Reservation.ConferenceOptions
@@ -346,7 +387,7 @@ class Reservation extends EventEmitter {
      * @property {string} [sipAuthUsername=null] - The SIP auth username to use.
      * @property {string} [sipAuthPassword=null] - The SIP auth password to use.
      */
-    conference(options = {}) {
+    conference(options = {}, requestOptions) {
         const types = {
             to: (val) => _.isString(val),
             from: (val) => _.isString(val),
@@ -391,12 +432,13 @@ class Reservation extends EventEmitter {
             requestParams[_.upperFirst(option)] = options[option];
         }
 
-        return this._request.post(requestURL, requestParams, API_V1).then(() => this);
+        return this._request.post(requestURL, requestParams, API_V1, requestOptions).then(() => this);
     }
 
     /**
      * Update the {@link Worker}'s leg in the Conference associated to this {@link Reservation}
      * @param {Reservation.ParticipantOptions} [options]
+     * @param {Request.Options} [requestOptions]
      * @returns {Promise<this>} - Rejected if unable to update the Worker's leg in the Conference tied to the {@link Reservation}
      *//**
      * @typedef {Object} Reservation.ParticipantOptions
@@ -404,7 +446,7 @@ class Reservation extends EventEmitter {
      * @property {boolean} [mute=null] - Mute or unmute this {@link Worker} participant
      * @property {boolean} [beepOnExit=null] - Whether there should be a beep sound when this {@link Worker} participant leaves the Conference
      */
-    updateParticipant(options) {
+    updateParticipant(options, requestOptions) {
         const types = {
             endConferenceOnExit: (val) => _.isBoolean(val),
             mute: (val) => _.isBoolean(val),
@@ -425,7 +467,36 @@ class Reservation extends EventEmitter {
             requestParams[_.upperFirst(option)] = options[option];
         }
 
-        return this._request.post(requestURL, requestParams, API_V2).then(() => this);
+        return this._request.post(requestURL, requestParams, API_V2, requestOptions).then(() => this);
+    }
+
+    /**
+     * Schedule the 'expiringSoon' event of a pending {@link Reservation}, replacing any scheduled one
+     * @private
+     */
+    _scheduleExpiringSoon() {
+        this._clearExpiringSoonTimer();
+
+        const timeRemaining = this.timeRemaining;
+        if (!timeRemaining || this._hasEmittedExpiringSoon) {
+            return;
+        }
+
+        const delay = Math.max(timeRemaining - this._worker._config.expiringSoonThreshold * 1000, 0);
+        this._expiringSoonTimer = setTimeout(() => {
+            this._expiringSoonTimer = null;
+            this._hasEmittedExpiringSoon = true;
+            this.emit('expiringSoon', this);
+        }, delay);
+    }
+
+    /**
+     * Cancel the scheduled 'expiringSoon' event
+     * @private
+     */
+    _clearExpiringSoonTimer() {
+        clearTimeout(this._expiringSoonTimer);
+        this._expiringSoonTimer = null;
     }
 
     /**
@@ -464,10 +535,15 @@ class Reservation extends EventEmitter {
             return {};
         }
 
+        // share the incoming transfer of the Task, so that both emit the same events
+        if (this.task.transfers && this.task.transfers.incoming) {
+            return this.task.transfers.incoming;
+        }
+
         const transferDescriptor = reservationDescriptor.transferDescriptor;
 
         try {
-            return new IncomingTransfer(this._worker, transferDescriptor);
+            return new IncomingTransfer(this._worker, transferDescriptor, this.task.attributes);
         } catch (err) {
             this._log.error(`Failed to create a Transfer for Reservation sid=${this.sid}. Error: ${err}`);
             return {};
@@ -504,7 +580,14 @@ class Reservation extends EventEmitter {
                         this[field] = updatedReservationDescriptor[field];
                     }
                 } else if (field === 'task_transfer' && latestReservationData.task_transfer) {
-                    this.transfer._update(latestReservationData.task_transfer);
+                    // a Reservation may learn of its transfer after it was created
+                    if (!this.transferred) {
+                        this.transfer = this._createTransfer(updatedReservationDescriptor);
+                    }
+
+                    if (this.transferred) {
+                        this.transfer._update(latestReservationData.task_transfer);
+                    }
                 } else {
                     this[field] = updatedReservationDescriptor[field];
                 }
@@ -514,6 +597,7 @@ class Reservation extends EventEmitter {
             throw err;
         }
 
+        this._scheduleExpiringSoon();
         return this;
     }
 
@@ -572,6 +656,13 @@ class Reservation extends EventEmitter {
  * @param {Reservation} reservation - The timed out {@link Reservation}
  */
 
+/**
+ * Fired when a pending {@link Reservation} is about to time out. Configure how long before the timeout with the
+ * 'expiringSoonThreshold' option of the {@link Worker}.
+ * @event Reservation#expiringSoon
+ * @param {Reservation} reservation - The {@link Reservation} about to time out
+ */
+
 /**
  * Fired when a {@link Reservation} has been rescinded for the {@link Worker}
  * @event Reservation#rescinded
@@ -0,0 +1,202 @@
+import _ from 'lodash';
+import path from 'path';
+import { API_V1 } from './util/Constants';
+import { parseTime, validateOptions } from './util/Tools';
+
+/**
+ * Construct the {@link RealTimeStatistics} of a TaskQueue or a Workspace
+ * @class
+ * @classdesc The current statistics of a TaskQueue or a Workspace. Every field of the payload is exposed in camel
+ *   case; the most common ones are listed below.
+ * @param {Object} payload - The realtime statistics payload
+ * @property {Array<RealTimeStatistics.ActivityStatistics>} activityStatistics - The number of Workers in each Activity
+ * @property {number} longestTaskWaitingAge - The age in seconds of the longest waiting Task
+ * @property {?string} longestTaskWaitingSid - The sid of the longest waiting Task
+ * @property {Object<string, number>} tasksByPriority - The number of Tasks by priority
+ * @property {RealTimeStatistics.TasksByStatus} tasksByStatus - The number of Tasks by status
+ * @property {number} totalTasks - The number of Tasks
+ * @property {number} [totalAvailableWorkers] - The number of available Workers, for a TaskQueue
+ * @property {number} [totalEligibleWorkers] - The number of Workers eligible for Tasks, for a TaskQueue
+ * @property {number} [totalWorkers] - The number of Workers, for a Workspace
+ *//**
+ * @typedef {Object} RealTimeStatistics.ActivityStatistics
+ * @property {string} sid - The sid of the Activity
+ * @property {string} friendlyName - The friendly name of the Activity
+ * @property {number} workers - The number of Workers in the Activity
+ *//**
+ * @typedef {Object} RealTimeStatistics.TasksByStatus
+ * @property {number} pending
+ * @property {number} reserved
+ * @property {number} assigned
+ * @property {number} wrapping
+ */
+export class RealTimeStatistics {
+    constructor(payload) {
+        Object.assign(this, camelCaseKeys(payload));
+    }
+}
+
+/**
+ * Construct the {@link CumulativeStatistics} of a TaskQueue, a Worker or a Workspace
+ * @class
+ * @classdesc The statistics of a TaskQueue, a Worker or a Workspace over an interval. Every field of the payload is
+ *   exposed in camel case; the most common ones are listed below.
+ * @param {Object} payload - The cumulative statistics payload
+ * @property {Date} startTime - The start of the interval
+ * @property {Date} endTime - The end of the interval
+ * @property {number} [avgTaskAcceptanceTime] - The average number of seconds before a Task is accepted, for a
+ *   TaskQueue or a Workspace
+ * @property {number} reservationsCreated - The number of Reservations created
+ * @property {number} reservationsAccepted - The number of Reservations accepted
+ * @property {number} reservationsRejected - The number of Reservations rejected
+ * @property {number} reservationsTimedOut - The number of Reservations which timed out
+ * @property {number} reservationsCanceled - The number of Reservations canceled
+ * @property {number} reservationsRescinded - The number of Reservations rescinded
+ * @property {CumulativeStatistics.Duration} [waitDurationUntilAccepted] - How long Tasks waited until accepted, for
+ *   a TaskQueue or a Workspace
+ * @property {CumulativeStatistics.Duration} [waitDurationUntilCanceled] - How long Tasks waited until canceled, for
+ *   a TaskQueue or a Workspace
+ * @property {Array<CumulativeStatistics.ActivityDuration>} [activityDurations] - How long the Worker spent in each
+ *   Activity, for a Worker
+ *//**
+ * @typedef {Object} CumulativeStatistics.Duration
+ * @property {number} avg - In seconds
+ * @property {number} min - In seconds
+ * @property {number} max - In seconds
+ * @property {number} total - In seconds
+ *//**
+ * @typedef {Object} CumulativeStatistics.ActivityDuration
+ * @property {string} sid - The sid of the Activity
+ * @property {string} friendlyName - The friendly name of the Activity
+ * @property {number} avg - In seconds
+ * @property {number} min - In seconds
+ * @property {number} max - In seconds
+ * @property {number} total - In seconds
+ */
+export class CumulativeStatistics {
+    constructor(payload) {
+        Object.assign(this, camelCaseKeys(payload));
+        this.startTime = payload.start_time ? parseTime(payload.start_time) : null;
+        this.endTime = payload.end_time ? parseTime(payload.end_time) : null;
+    }
+}
+
+/**
+ * Construct the {@link Statistics} of a TaskQueue, a Worker or a Workspace
+ * @class
+ * @classdesc The statistics of a TaskQueue, a Worker or a Workspace, as fetched by their fetchStatistics()
+ * @param {Object} payload - The payload of the statistics, with its realtime and cumulative parts
+ * @property {?RealTimeStatistics} realTime - The current statistics, or null if they were not fetched
+ * @property {?CumulativeStatistics} cumulative - The statistics over the requested interval, or null if they were
+ *   not fetched
+ *//**
+ * @typedef {Object} Statistics.Options
+ * @property {boolean} [realTime=true] - Whether to fetch the real-time statistics
+ * @property {boolean} [cumulative=true] - Whether to fetch the cumulative statistics
+ * @property {number} [minutes] - The cumulative statistics cover the last number of minutes
+ * @property {Date|string} [startDate] - The cumulative statistics start at this date
+ * @property {Date|string} [endDate] - The cumulative statistics end at this date
+ * @property {string} [taskChannel] - Only the statistics of this TaskChannel, by sid or unique name
+ */
+export default class Statistics {
+    constructor(payload) {
+        if (!_.isObject(payload)) {
+            throw new TypeError('Failed to create Statistics. <Object>payload is a required parameter.');
+        }
+
+        this.realTime = payload.realtime ? new RealTimeStatistics(payload.realtime) : null;
+        this.cumulative = payload.cumulative ? new CumulativeStatistics(payload.cumulative) : null;
+    }
+}
+
+/**
+ * Fetch the {@link Statistics} of a TaskQueue, a Worker or a Workspace
+ * @private
+ * @param {Request} request - The {@link Request}
+ * @param {string} basePath - The path of the TaskQueue, Worker or Workspace
+ * @param {Statistics.Options} options
+ * @param {Request.Options} [requestOptions]
+ * @param {boolean} [supportsRealTime=true] - Whether there are real-time statistics for the resource
+ * @returns {Promise<Statistics>}
+ */
+export function fetchStatistics(request, basePath, options, requestOptions, supportsRealTime = true) {
+    const isDate = (val) => (_.isDate(val) || _.isString(val)) && !_.isNaN(new Date(val).getTime());
+    validateOptions(options, {
+        realTime: (val) => _.isBoolean(val),
+        cumulative: (val) => _.isBoolean(val),
+        minutes: (val) => _.isInteger(val) && val > 0,
+        startDate: isDate,
+        endDate: isDate,
+        taskChannel: (val) => _.isString(val)
+    });
+
+    const realTime = _.isNil(options.realTime) ? supportsRealTime : options.realTime;
+    const cumulative = _.isNil(options.cumulative) ? true : options.cumulative;
+
+    if (realTime && !supportsRealTime) {
+        throw new TypeError('Failed to fetch statistics. Real-time statistics are not available for a single Worker.');
+    }
+
+    if (!realTime && !cumulative) {
+        throw new TypeError('Failed to fetch statistics. At least one of realTime and cumulative must be set.');
+    }
+
+    const requestParams = {};
+    if (options.taskChannel) {
+        requestParams.TaskChannel = options.taskChannel;
+    }
+
+    if (cumulative) {
+        if (options.minutes) {
+            requestParams.Minutes = options.minutes;
+        }
+
+        if (options.startDate) {
+            requestParams.StartDate = new Date(options.startDate).toISOString();
+        }
+
+        if (options.endDate) {
+            requestParams.EndDate = new Date(options.endDate).toISOString();
+        }
+    }
+
+    // a Worker only has cumulative statistics, which its Statistics resource returns
+    let resource = 'Statistics';
+    if (supportsRealTime && !cumulative) {
+        resource = 'RealTimeStatistics';
+    } else if (supportsRealTime && !realTime) {
+        resource = 'CumulativeStatistics';
+    }
+
+    return request.get(path.join(basePath, resource), API_V1, requestParams, requestOptions).then(response => {
+        if (resource === 'RealTimeStatistics') {
+            return new Statistics({ realtime: response });
+        }
+
+        if (resource === 'CumulativeStatistics') {
+            return new Statistics({ cumulative: response });
+        }
+
+        return new Statistics(response);
+    });
+}
+
+/**
+ * Deeply camel case the keys of a statistics payload
+ * @private
+ * @param {*} value
+ * @returns {*}
+ */
+function camelCaseKeys(value) {
+    if (_.isArray(value)) {
+        return value.map(camelCaseKeys);
+    }
+
+    if (_.isPlainObject(value)) {
+        return _.transform(value, (result, item, key) => {
+            result[_.camelCase(key)] = camelCaseKeys(item);
+        }, {});
+    }
+
+    return value;
+}
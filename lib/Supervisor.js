@@ -1,10 +1,15 @@
 import _ from 'lodash';
 import Worker from './Worker';
-import { API_V1 } from './util/Constants';
-import { TASK_RESERVATION_INSTANCE } from './util/Routes';
+import { API_V1, API_V2 } from './util/Constants';
+import { KICK_WORKER_PARTICIPANT, TASK_RESERVATION_INSTANCE } from './util/Routes';
 
 export const SuperviseModes = ['monitor', 'barge', 'whisper'];
 
+// the events which end the supervision of a Task, or of a Reservation, matched by the sid of their payload
+const TASK_END_EVENTS = ['task.completed', 'task.canceled'];
+const RESERVATION_END_EVENTS = ['reservation.completed', 'reservation.canceled', 'reservation.rescinded',
+    'reservation.timeout', 'reservation.rejected'];
+
 /**
  * Construct a {@link Supervisor}
  * @class
@@ -12,30 +17,163 @@ export const SuperviseModes = ['monitor', 'barge', 'whisper'];
  * @param {string} token - The string token
  * @param {Worker.Options} [options]
  * @extends {Worker}
- * @fires Supervisor#monitor
+ * @property {Map<string, Supervisor.Supervision>} supervisions - The {@link Reservation}s currently supervised
+ *   by this {@link Supervisor}, keyed by {@link Reservation} sid. A supervision ends with {@link Supervisor#leave},
+ *   or once the supervised {@link Task} or {@link Reservation} ends. The latter relies on TaskRouter delivering the
+ *   task and reservation events of the supervised {@link Task} to the {@link Supervisor}; without them, a
+ *   supervision is only ended by {@link Supervisor#leave}.
+ * @fires Supervisor#supervisionStarted
+ * @fires Supervisor#supervisionModeChanged
+ * @fires Supervisor#supervisionEnded
+ *//**
+ * @typedef {Object} Supervisor.Supervision
+ * @property {string} taskSid - The sid of the supervised {@link Task}
+ * @property {string} reservationSid - The sid of the supervised {@link Reservation}
+ * @property {string} mode - The current supervise mode ['monitor', 'barge', 'whisper']
  */
 class Supervisor extends Worker {
+    constructor(token, options, deps) {
+        super(token, options, deps);
+
+        this._supervisions = new Map();
+
+        TASK_END_EVENTS.forEach(eventName => this._signaling.on(eventName, payload => {
+            this._supervisions.forEach(supervision => {
+                if (supervision.taskSid === payload.sid) {
+                    this._endSupervision(supervision.reservationSid);
+                }
+            });
+        }));
+        RESERVATION_END_EVENTS.forEach(eventName => this._signaling.on(eventName, payload => {
+            this._endSupervision(payload.sid);
+        }));
+    }
+
+    get supervisions() {
+        return new Map(this._supervisions);
+    }
+
     /**
      * Add this {@link Supervisor} to an ongoing {@link Reservation} by Sid.
      * @param {string} taskSid - The sid of the {@link Task} to add a monitor to.
      * @param {string} reservationSid - The sid of the {@link Reservation} to add a monitor to.
      * @param {Object} [extraParams] - An object containing extra params to append to the payload.
+     * @param {Request.Options} [requestOptions]
      * @returns Promise<void>
      */
-    monitor(taskSid, reservationSid, extraParams) {
-        if (!_.isString(taskSid)) {
-            throw new TypeError('Error monitoring reservation: <string>taskSid is a required parameter');
+    monitor(taskSid, reservationSid, extraParams, requestOptions) {
+        this._validateSuperviseArgs('monitoring', taskSid, reservationSid, extraParams);
+        return this._supervise('monitor', taskSid, reservationSid, extraParams, requestOptions);
+    }
+
+    /**
+     * Add this {@link Supervisor} to an ongoing {@link Reservation} by Sid, speaking to all participants.
+     * @param {string} taskSid - The sid of the {@link Task} to barge in on.
+     * @param {string} reservationSid - The sid of the {@link Reservation} to barge in on.
+     * @param {Object} [extraParams] - An object containing extra params to append to the payload.
+     * @param {Request.Options} [requestOptions]
+     * @returns Promise<void>
+     */
+    barge(taskSid, reservationSid, extraParams, requestOptions) {
+        this._validateSuperviseArgs('barging', taskSid, reservationSid, extraParams);
+        return this._supervise('barge', taskSid, reservationSid, extraParams, requestOptions);
+    }
+
+    /**
+     * Add this {@link Supervisor} to an ongoing {@link Reservation} by Sid, speaking only to the {@link Worker}.
+     * @param {string} taskSid - The sid of the {@link Task} to whisper on.
+     * @param {string} reservationSid - The sid of the {@link Reservation} to whisper on.
+     * @param {Object} [extraParams] - An object containing extra params to append to the payload.
+     * @param {Request.Options} [requestOptions]
+     * @returns Promise<void>
+     */
+    whisper(taskSid, reservationSid, extraParams, requestOptions) {
+        this._validateSuperviseArgs('whispering', taskSid, reservationSid, extraParams);
+        return this._supervise('whisper', taskSid, reservationSid, extraParams, requestOptions);
+    }
+
+    /**
+     * Switch the mode of an ongoing supervision of a {@link Reservation}.
+     * @param {string} reservationSid - The sid of the supervised {@link Reservation}.
+     * @param {string} mode - The mode to switch to ['monitor', 'barge', 'whisper'].
+     * @param {Object} [extraParams] - An object containing extra params to append to the payload.
+     * @param {Request.Options} [requestOptions]
+     * @returns Promise<void>
+     */
+    setSupervisorMode(reservationSid, mode, extraParams, requestOptions) {
+        if (!_.isString(reservationSid)) {
+            throw new TypeError('Error switching supervise mode: <string>reservationSid is a required parameter');
         }
 
+        if (SuperviseModes.indexOf(mode) === -1) {
+            throw new TypeError(`Error switching supervise mode: <string>mode must be one of [${SuperviseModes.join(', ')}]`);
+        }
+
+        if (extraParams && !_.isObject(extraParams)) {
+            throw new TypeError('Error switching supervise mode: <string>extraParams must be an object');
+        }
+
+        const supervision = this._supervisions.get(reservationSid);
+        if (!supervision) {
+            throw new Error(`Error switching supervise mode: Reservation ${reservationSid} is not being supervised`);
+        }
+
+        return this._supervise(mode, supervision.taskSid, reservationSid, extraParams, requestOptions);
+    }
+
+    /**
+     * Remove this {@link Supervisor} from an ongoing supervision of a {@link Reservation}, by removing its leg from the
+     * Conference of the {@link Task}. TaskRouter has no supervise mode to leave a supervision.
+     * @param {string} reservationSid - The sid of the supervised {@link Reservation}.
+     * @param {Object} [extraParams] - An object containing extra params to append to the payload.
+     * @param {Request.Options} [requestOptions]
+     * @returns Promise<void>
+     */
+    leave(reservationSid, extraParams, requestOptions) {
         if (!_.isString(reservationSid)) {
-            throw new TypeError('Error monitoring reservation: <string>reservationSid is a required parameter');
+            throw new TypeError('Error leaving supervision: <string>reservationSid is a required parameter');
         }
 
         if (extraParams && !_.isObject(extraParams)) {
-            throw new TypeError('Error monitoring reservation: <string>extraParams must be an object');
+            throw new TypeError('Error leaving supervision: <string>extraParams must be an object');
         }
 
-        return this._supervise('monitor', taskSid, reservationSid, extraParams);
+        const supervision = this._supervisions.get(reservationSid);
+        if (!supervision) {
+            throw new Error(`Error leaving supervision: Reservation ${reservationSid} is not being supervised`);
+        }
+
+        const requestURL = this.getRoutes().getRoute(KICK_WORKER_PARTICIPANT).path;
+        const requestParams = Object.assign({}, extraParams, {
+            TaskSid: supervision.taskSid,
+            TargetWorkerSid: this.sid
+        });
+
+        return this._request.post(requestURL, requestParams, API_V2, requestOptions).then(() => {
+            this._endSupervision(reservationSid);
+        });
+    }
+
+    /**
+     * Validate the arguments shared by all of the supervise modes.
+     * @private
+     * @param {string} action - The action being validated, used in the error message
+     * @param {string} taskSid
+     * @param {string} reservationSid
+     * @param {Object} [extraParams]
+     */
+    _validateSuperviseArgs(action, taskSid, reservationSid, extraParams) {
+        if (!_.isString(taskSid)) {
+            throw new TypeError(`Error ${action} reservation: <string>taskSid is a required parameter`);
+        }
+
+        if (!_.isString(reservationSid)) {
+            throw new TypeError(`Error ${action} reservation: <string>reservationSid is a required parameter`);
+        }
+
+        if (extraParams && !_.isObject(extraParams)) {
+            throw new TypeError(`Error ${action} reservation: <string>extraParams must be an object`);
+        }
     }
 
     /**
@@ -45,9 +183,10 @@ class Supervisor extends Worker {
      * @param {string} taskSid
      * @param {string} reservationSid
      * @param {Object} [extraParams] - An object containing extra params to append to the extraParams.
+     * @param {Request.Options} [requestOptions]
      * @returns {Promise<void>}
      */
-    _supervise(mode, taskSid, reservationSid, extraParams) {
+    _supervise(mode, taskSid, reservationSid, extraParams, requestOptions) {
         const requestURL = this.getRoutes().getRoute(TASK_RESERVATION_INSTANCE, taskSid, reservationSid).path;
         const requestParam = Object.assign({ }, extraParams, {
             Instruction: 'supervise',
@@ -55,10 +194,61 @@ class Supervisor extends Worker {
             SupervisorMode: mode,
         });
 
-        return this._request.post(requestURL, requestParam, API_V1).then(() => {
-          // Return void
+        return this._request.post(requestURL, requestParam, API_V1, requestOptions).then(() => {
+            this._updateSupervision(mode, taskSid, reservationSid);
         });
     }
+
+    /**
+     * Track the supervise mode of a {@link Reservation} after a successful supervise request.
+     * @private
+     * @param {string} mode
+     * @param {string} taskSid
+     * @param {string} reservationSid
+     */
+    _updateSupervision(mode, taskSid, reservationSid) {
+        const previous = this._supervisions.get(reservationSid);
+        const supervision = { taskSid, reservationSid, mode };
+        this._supervisions.set(reservationSid, supervision);
+
+        if (!previous) {
+            this.emit('supervisionStarted', supervision);
+        } else if (previous.mode !== mode) {
+            this.emit('supervisionModeChanged', supervision, previous.mode);
+        }
+    }
+
+    /**
+     * Stop tracking the supervision of a {@link Reservation}, if it is supervised.
+     * @private
+     * @param {string} reservationSid
+     */
+    _endSupervision(reservationSid) {
+        const supervision = this._supervisions.get(reservationSid);
+        if (supervision) {
+            this._supervisions.delete(reservationSid);
+            this.emit('supervisionEnded', supervision);
+        }
+    }
 }
 
 export default Supervisor;
+
+/**
+ * The {@link Supervisor} has joined a {@link Reservation}
+ * @event Supervisor#supervisionStarted
+ * @param {Supervisor.Supervision} supervision - The new supervision
+ */
+
+/**
+ * The {@link Supervisor} has switched the mode of an ongoing supervision
+ * @event Supervisor#supervisionModeChanged
+ * @param {Supervisor.Supervision} supervision - The updated supervision
+ * @param {string} previousMode - The mode before the switch
+ */
+
+/**
+ * The {@link Supervisor} has left a {@link Reservation}, or the supervised {@link Task} or {@link Reservation} ended
+ * @event Supervisor#supervisionEnded
+ * @param {Supervisor.Supervision} supervision - The supervision that ended
+ */
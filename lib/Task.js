@@ -1,11 +1,13 @@
 import _ from 'lodash';
-import { API_V1, API_V2, TASK_STATUS_COMPLETED, TASK_STATUS_WRAPPING, TRANSFER_INITIATED, taskTransferEventTypes } from './util/Constants';
+import { API_V1, API_V2, TASK_STATUS_COMPLETED, TASK_STATUS_WRAPPING, TRANSFER_INITIATED, TRANSFER_MODES, TRANSFER_STATUS, taskTransferEventTypes } from './util/Constants';
 import { EventEmitter } from 'events';
 import TaskDescriptor from './descriptors/TaskDescriptor';
 import Worker from './Worker';
 import { CUSTOMER_PARTICIPANT_INSTANCE, TASK_INSTANCE, TASK_TRANSFER_LIST, KICK_WORKER_PARTICIPANT, HOLD_WORKER_PARTICIPANT_INSTANCE } from './util/Routes';
+import { TransferTarget } from './core/transfer/TransferDirectory';
 import Transfers from './core/transfer/Transfers';
 import { validateOptions } from './util/Tools';
+const Errors = require('./util/Constants').twilioErrors;
 
 const fieldsToUpdate = [
     'attributes',
@@ -26,6 +28,11 @@ const fieldsToUpdate = [
     'transfers'
 ];
 
+const transferOptionTypes = {
+    mode: (val) => _.isString(val) && TRANSFER_MODES.indexOf(val.toUpperCase()) !== -1,
+    priority: (val) => _.isInteger(val) && val >= 0
+};
+
 /**
  * Construct a {@link Task}.
  * @class
@@ -58,6 +65,7 @@ const fieldsToUpdate = [
  * @fires Task#transferCanceled
  * @fires Task#transferCompleted
  * @fires Task#transferFailed
+ * @fires Task#transferFallbackStep
  * @fires Task#transferInitiated
  * @fires Task#updated
  * @fires Task#wrapup
@@ -90,9 +98,10 @@ class Task extends EventEmitter {
     /**
      * Update the {@link Task} status to 'completed'
      * @param {string} reason - The reason for completing the {@link Task}
+     * @param {Request.Options} [requestOptions]
      * @return {Promise<this>} - Rejected if the {@link Task} state could not be updated to 'completed'
      */
-    complete(reason) {
+    complete(reason, requestOptions) {
         if (!_.isString(reason)) {
             throw new TypeError('Error calling method complete(). <string>reason is a required parameter.');
         }
@@ -103,32 +112,37 @@ class Task extends EventEmitter {
             Reason: reason
         };
 
-        return this._request.post(requestURL, requestParams, API_V1).then(response => {
+        return this._request.post(requestURL, requestParams, API_V1, requestOptions).then(response => {
             return this._update(response);
         });
     }
 
     /**
      * Transfer the Task to another entity.
-     * @param {string} to - The Worker or TaskQueue entity sid to transfer the task to.
+     * @param {string|TransferTarget} to - The Worker or TaskQueue entity sid to transfer the task to, or a
+     *   {@link TransferTarget} found with {@link Worker#searchTransferTargets}.
      * @param {Task.TransferOptions} [options]
-     * @return {Promise<this>}
+     * @param {Request.Options} [requestOptions]
+     * @return {Promise<this>} - Rejected if the target, the mode or the priority is invalid, before any request is sent
      *//**
      * @typedef {Object} Task.TransferOptions
      * @property {string} [attributes] - Updated attributes for the task
-     * @property {string} [mode='WARM'] - 'WARM' or 'COLD'
-     * @property {string} [priority] - Updated priority for the task
+     * @property {string} [mode='WARM'] - 'WARM' or 'COLD', in any case
+     * @property {number} [priority] - Updated priority for the task, a non-negative integer
      */
-    async transfer(to, options = {}) {
-        if (!_.isString(to)) {
-            throw new TypeError('Error calling method transfer(). <string>to is a required parameter.');
+    async transfer(to, options = {}, requestOptions) {
+        const toSid = getTransferTargetSid(to);
+        if (!_.isString(toSid)) {
+            throw new TypeError('Error calling method transfer(). <string|TransferTarget>to is a required parameter.');
         }
 
+        validateOptions(options, transferOptionTypes);
+
         const requestURL = this._worker.getRoutes().getRoute(TASK_TRANSFER_LIST).path;
         const requestParams = {
             ReservationSid: this.reservationSid,
             TaskSid: this.sid,
-            To: to,
+            To: toSid,
         };
 
         if (options.attributes) {
@@ -136,27 +150,74 @@ class Task extends EventEmitter {
         }
 
         if (options.mode) {
-          requestParams.Mode = options.mode;
+          requestParams.Mode = options.mode.toUpperCase();
         }
 
-        if (options.priority) {
+        if (!_.isNil(options.priority)) {
           requestParams.Priority = options.priority;
         }
 
-        const transferredTaskResponse = await this._request.post(requestURL, requestParams, API_V2);
-        this._log.info(`Completed transfer to Worker/TaskQueue=${to}`);
+        const transferredTaskResponse = await this._request.post(requestURL, requestParams, API_V2, requestOptions);
+        this._log.info(`Completed transfer to Worker/TaskQueue=${toSid}`);
         this.transfers._updateOutgoing(transferredTaskResponse, true);
         return this;
     }
 
+    /**
+     * Transfer the Task to each target in turn, until one of them accepts it. A target is given up on once its
+     * {@link OutgoingTransfer} fails, its request fails, or it does not finish within perAttemptTimeout, in which case
+     * it is canceled first. Each step is emitted as {@link Task#transferFallbackStep}.
+     * @param {Array<string|TransferTarget>} targets - The Worker or TaskQueue sids, or {@link TransferTarget}s, in
+     *   order of preference, e.g. a specialist and then a TaskQueue
+     * @param {Task.FallbackTransferOptions} [options]
+     * @param {Request.Options} [requestOptions]
+     * @return {Promise<Task.FallbackTransferResult>} - Rejected with TRANSFER_FAILED, whose steps property lists the
+     *   steps, once every target failed; rejected at once if a transfer is canceled other than by a timeout, or with
+     *   the error of the cancel, carrying the steps too, if a timed out transfer which is still pending cannot be
+     *   canceled. A timed out transfer which completed before it could be canceled resolves as accepted.
+     *//**
+     * @typedef {Object} Task.FallbackTransferOptions
+     * @property {number} [perAttemptTimeout] - The number of milliseconds to wait for each target; by default a
+     *   target is waited for until TaskRouter fails its transfer
+     * @property {string} [attributes] - Updated attributes for the task
+     * @property {string} [mode='WARM'] - 'WARM' or 'COLD', in any case
+     * @property {number} [priority] - Updated priority for the task, a non-negative integer
+     *//**
+     * @typedef {Object} Task.FallbackTransferResult
+     * @property {string|TransferTarget} target - The target which accepted the {@link Task}
+     * @property {number} index - The index of the target which accepted the {@link Task}
+     * @property {OutgoingTransfer} transfer - The completed {@link OutgoingTransfer}
+     * @property {Array<Task.FallbackTransferStep>} steps - Every step of the transfers, in order
+     *//**
+     * @typedef {Object} Task.FallbackTransferStep
+     * @property {string|TransferTarget} target - The target of the step
+     * @property {number} index - The index of the target
+     * @property {string} status - ['initiated', 'completed', 'failed', 'canceled', 'timeout', 'error']; 'error' if
+     *   the transfer request itself, or the cancel of a timed out transfer, failed
+     * @property {?OutgoingTransfer} transfer - The {@link OutgoingTransfer} to the target, if it was initiated
+     * @property {?string} reason - The transferFailedReason, or the message of the error, if applicable
+     */
+    async transferWithFallback(targets, options = {}, requestOptions) {
+        if (!_.isArray(targets) || !targets.length || !_.every(targets, to => _.isString(getTransferTargetSid(to)))) {
+            throw new TypeError('Error calling method transferWithFallback(). <Array<string|TransferTarget>>targets is a required parameter.');
+        }
+
+        validateOptions(options, Object.assign({ perAttemptTimeout: (val) => _.isInteger(val) && val > 0 }, transferOptionTypes));
+
+        const resultOptions = options.perAttemptTimeout ? { timeout: options.perAttemptTimeout } : {};
+        return this._transferToNextTarget(targets, 0, _.omit(options, 'perAttemptTimeout'), resultOptions, requestOptions, []);
+    }
+
     /**
      * Update the {@link Task} status to 'wrapping' in a multi-task enabled Workspace
+     * @param {Task.WrappingOptions} [options]
+     * @param {Request.Options} [requestOptions]
      * @return {Promise<this>} - Rejected if the {@link Task} state could not be updated to 'wrapping'
      *//**
      * @typedef {Object} Task.WrappingOptions
      * @property {string} [reason=null] - The reason for wrapping up the {@link Task}
      */
-    wrapUp(options = {}) {
+    wrapUp(options = {}, requestOptions) {
         const requestURL = this._worker.getRoutes().getRoute(TASK_INSTANCE, this.sid).path;
         const requestParams = {
             AssignmentStatus: TASK_STATUS_WRAPPING,
@@ -170,7 +231,7 @@ class Task extends EventEmitter {
             }
         }
 
-        return this._request.post(requestURL, requestParams, API_V1).then(response => {
+        return this._request.post(requestURL, requestParams, API_V1, requestOptions).then(response => {
             return this._update(response);
         });
     }
@@ -178,9 +239,10 @@ class Task extends EventEmitter {
     /**
      * Update the {@link Task} attributes to the given attributes.
      * @param {Object} attributes - A JSON to update the attributes.
+     * @param {Request.Options} [requestOptions]
      * @returns {Promise<this>} - Rejected if the attributes cannot be set
      */
-    setAttributes(attributes) {
+    setAttributes(attributes, requestOptions) {
         if (!_.isObject(attributes)) {
             throw new TypeError('Unable to set attributes on Task. <object>attributes is a required parameter.');
         }
@@ -188,7 +250,7 @@ class Task extends EventEmitter {
         const requestURL = this._worker.getRoutes().getRoute(TASK_INSTANCE, this.sid).path;
         const requestParams = { Attributes: attributes };
 
-        return this._request.post(requestURL, requestParams, API_V1).then(response => {
+        return this._request.post(requestURL, requestParams, API_V1, requestOptions).then(response => {
             return this._update(response);
         });
     }
@@ -196,6 +258,7 @@ class Task extends EventEmitter {
     /**
      * Update the Customer leg in the Conference associated to this {@link Task}
      * @param {Task.ParticipantOptions} [options]
+     * @param {Request.Options} [requestOptions]
      * @returns {Promise<this>} - Rejected if unable to update the Customers's leg in the Conference tied to the {@link Task}
      *//**
      * @typedef {Object} Task.ParticipantOptions
@@ -203,7 +266,7 @@ class Task extends EventEmitter {
      * @property {string} [holdUrl=default Twilio hold music] - The URL endpoint to play when participant is on hold.
      * @property {string} [holdMethod='GET'] - The HTTP method for the hold URL.
      */
-    updateParticipant(options) {
+    updateParticipant(options, requestOptions) {
         const types = {
             hold: (val) => _.isBoolean(val),
             holdUrl: (val) => _.isString(val),
@@ -224,7 +287,7 @@ class Task extends EventEmitter {
             requestParams[_.upperFirst(option)] = options[option];
         }
 
-        return this._request.post(requestURL, requestParams, API_V2).then(response => {
+        return this._request.post(requestURL, requestParams, API_V2, requestOptions).then(response => {
             return this._update(response);
         });
     }
@@ -232,9 +295,10 @@ class Task extends EventEmitter {
     /**
      * Kick another active {@link Worker} participant from the ongoing conference
      * @param {string} workerSid - The Sid of the {@link Worker} who is currently in the conference that should be kicked
+     * @param {Request.Options} [requestOptions]
      * @returns {Promise<this>} - Rejected if unable to kick the call leg of the targeted Worker in the Conference tied to the {@link Task}
      */
-    kick(workerSid) {
+    kick(workerSid, requestOptions) {
         if (!_.isString(workerSid)) {
             throw new TypeError('Error calling method kick(). <string>workerSid is a required parameter.');
         }
@@ -245,7 +309,7 @@ class Task extends EventEmitter {
             TargetWorkerSid: workerSid
         };
 
-        return this._request.post(requestURL, requestParams, API_V2).then(response => {
+        return this._request.post(requestURL, requestParams, API_V2, requestOptions).then(response => {
             return this._update(response);
         });
     }
@@ -255,13 +319,14 @@ class Task extends EventEmitter {
      * @param {String } targetWorkerSid - The target worker's sid which should be put onhold or unhold
      * @param {boolean} onHold - Whether to hold or unhold the specified worker's call leg in the Conference referenced by the {@link Task}
      * @param {Task.HoldOptions} [options]
+     * @param {Request.Options} [requestOptions]
      *//**
      * @typedef {Object} Task.HoldOptions
      * @property {string} [holdUrl=default Twilio hold music] - The URL endpoint to play when participant is on hold.
      * @property {string} [holdMethod='GET'] - The HTTP method for the hold URL.
      * @returns {Promise<this>} - Rejected if unable to hold the Worker leg in the Conference tied to the specified {@link Task}
      */
-    hold(targetWorkerSid, onHold, options) {
+    hold(targetWorkerSid, onHold, options, requestOptions) {
         const types = {
             holdUrl: (val) => _.isString(val),
             holdMethod: (val) => _.isString(val)
@@ -291,7 +356,7 @@ class Task extends EventEmitter {
             requestParams[_.upperFirst(option)] = options[option];
         }
 
-        return this._request.post(requestURL, requestParams, API_V2).then(response => {
+        return this._request.post(requestURL, requestParams, API_V2, requestOptions).then(response => {
             return this._update(response);
         });
     }
@@ -327,19 +392,93 @@ class Task extends EventEmitter {
             throw new TypeError('Error calling method _emitEventForOutgoingTransfer(). <object>payload is a required parameter.');
         }
 
-        if (this.transfers.outgoing && this.transfers.outgoing.sid === rawEventData.sid) {
-            if (Object.keys(_.pick(taskTransferEventTypes, [TRANSFER_INITIATED])).indexOf(eventType) > -1) {
-                this.transfers._updateOutgoing(rawEventData);
-                this.emit(taskTransferEventTypes[TRANSFER_INITIATED], this.transfers.outgoing);
-            } else {
-                this.transfers._emitEvent(eventType, rawEventData);
-            }
+        if (eventType !== TRANSFER_INITIATED) {
+            // the outcome of a transfer in the history of the Task is emitted on that transfer
+            this.transfers._emitEvent(eventType, rawEventData);
+        } else if (this.transfers.outgoing && this.transfers.outgoing.sid === rawEventData.sid) {
+            this.transfers._updateOutgoing(rawEventData);
+            this.emit(taskTransferEventTypes[TRANSFER_INITIATED], this.transfers.outgoing);
         } else {
             this._log.debug(`The transfers.outgoing object is either not present or does not match the transfer sid in the event. ${JSON.stringify(rawEventData)}`);
         }
 
     }
 
+    /**
+     * Transfer the Task to the target at the index, or to the following targets if it fails
+     * @private
+     * @param {Array<string|TransferTarget>} targets
+     * @param {number} index
+     * @param {Task.TransferOptions} transferOptions
+     * @param {OutgoingTransfer.ResultOptions} resultOptions
+     * @param {Request.Options} [requestOptions]
+     * @param {Array<Task.FallbackTransferStep>} steps - The steps so far
+     * @return {Promise<Task.FallbackTransferResult>}
+     */
+    async _transferToNextTarget(targets, index, transferOptions, resultOptions, requestOptions, steps) {
+        if (index >= targets.length) {
+            const error = Errors.TRANSFER_FAILED.clone(`Failed to transfer Task ${this.sid} to any of ${targets.length} targets.`);
+            error.steps = steps;
+            throw error;
+        }
+
+        const target = targets[index];
+        const report = (status, transfer = null, reason = null) => {
+            const step = { target, index, status, transfer, reason };
+            steps.push(step);
+            this.emit('transferFallbackStep', step);
+        };
+        const next = () => this._transferToNextTarget(targets, index + 1, transferOptions, resultOptions, requestOptions, steps);
+
+        try {
+            await this.transfer(target, transferOptions, requestOptions);
+        } catch (err) {
+            this._log.warn(`Failed to transfer Task ${this.sid} to ${getTransferTargetSid(target)}. Error: ${err}`);
+            report('error', null, err.message);
+            return next();
+        }
+
+        const transfer = this.transfers.outgoing;
+        report('initiated', transfer);
+
+        try {
+            await transfer.result(resultOptions);
+        } catch (err) {
+            if (err.name === Errors.TRANSFER_TIMEOUT.name) {
+                report('timeout', transfer);
+                try {
+                    await transfer.cancel(requestOptions);
+                } catch (cancelErr) {
+                    // the target may have accepted the Task between the timeout and the cancel
+                    if (transfer.status === TRANSFER_STATUS.complete) {
+                        report('completed', transfer);
+                        return { target, index, transfer, steps };
+                    }
+
+                    // stop rather than transfer the Task twice, while this transfer may still go through
+                    this._log.warn(`Failed to cancel the timed out transfer of Task ${this.sid} to ${getTransferTargetSid(target)}. Error: ${cancelErr}`);
+                    report('error', transfer, cancelErr.message);
+                    cancelErr.steps = steps;
+                    throw cancelErr;
+                }
+
+                return next();
+            }
+
+            // a transfer canceled by the Worker stops the fallback
+            if (err.name === Errors.TRANSFER_CANCELED.name) {
+                report('canceled', transfer);
+                throw err;
+            }
+
+            report('failed', transfer, err.transferFailedReason);
+            return next();
+        }
+
+        report('completed', transfer);
+        return { target, index, transfer, steps };
+    }
+
     /**
      * Update this using the latest {@link Task} data
      * @param {Object} latestTaskData - The raw {@link Task} data
@@ -352,7 +491,7 @@ class Task extends EventEmitter {
                 // update the transfers, if necessary
                 if (field === 'transfers') {
                     if (latestTransfersData.incoming || latestTransfersData.outgoing) {
-                        this.transfers._update(latestTransfersData);
+                        this.transfers._update(latestTransfersData, this.attributes);
                     }
                 } else {
                     this[field] = updatedTaskDescriptor[field];
@@ -379,6 +518,13 @@ class Task extends EventEmitter {
  * @param {Task} task - The {@link Task} who was completed
  */
 
+/**
+ * A step of {@link Task#transferWithFallback} happened: a transfer to a target was initiated, or it completed,
+ * failed, was canceled, timed out or could not be requested
+ * @event Task#transferFallbackStep
+ * @param {Task.FallbackTransferStep} step - The step
+ */
+
 /**
  * An {@link OutgoingTransfer} has been initiated for {@link Task}
  * @event Task#transferInitiated
@@ -397,6 +543,15 @@ class Task extends EventEmitter {
  * @param {Task} task - The {@link Task} who was wrapped up
  */
 
+/**
+ * @private
+ * @param {string|TransferTarget} to
+ * @returns {*} - The sid of the target
+ */
+function getTransferTargetSid(to) {
+    return to instanceof TransferTarget ? to.sid : to;
+}
+
 export const TaskProperties = [
     'addons',
     'age',
@@ -1,10 +1,16 @@
+import _ from 'lodash';
+import path from 'path';
+import Expression from './core/Expression';
+import { fetchStatistics } from './Statistics';
 import TaskQueueDescriptor from './descriptors/TaskQueueDescriptor';
+import { TASKQUEUE_LIST } from './util/Routes';
 
 /**
  * Construct an {@link TaskQueue}.
  * @class
  * @classdesc A {@link TaskQueue} represents a set of {@link Task}s awaiting assignment.
  * @param {TaskQueueDescriptor} descriptor - The {@link TaskQueueDescriptor} of this {@link TaskQueue}
+ * @param {Workspace} workspace - The {@link Workspace} the {@link TaskQueue} was fetched by
  * @property {string} sid - The Sid of the {@link TaskQueue}
  * @property {string} accountSid - The Sid of the owning Account of the {@link TaskQueue}}
  * @property {string} workspaceSid - The Sid of the Workspace the {@link TaskQueue} belongs to
@@ -20,12 +26,55 @@ import TaskQueueDescriptor from './descriptors/TaskQueueDescriptor';
  * @property {Date} dateUpdated - The date when the {@link TaskQueue} was last updated
  */
 class TaskQueue {
-    constructor(descriptor) {
+    constructor(descriptor, workspace) {
         if (!(descriptor instanceof TaskQueueDescriptor)) {
             throw new TypeError('Failed to create a TaskQueue. <TaskQueueDescriptor>descriptor is a required parameter.');
         }
 
+        if (!_.isObject(workspace)) {
+            throw new TypeError('Failed to create a TaskQueue. <Workspace>workspace is a required parameter.');
+        }
+
         Object.assign(this, descriptor);
+
+        // private properties
+        this._workspace = workspace;
+        this._expression = null;
+    }
+
+    /**
+     * Whether a {@link Worker} is targeted by this {@link TaskQueue}, evaluating targetWorkers locally against its
+     * attributes. A {@link TaskQueue} without targetWorkers targets every {@link Worker}.
+     * @param {WorkerContainer|Worker} worker - The {@link Worker}, with its attributes
+     * @returns {boolean}
+     * @throws {TwilioError} - INVALID_EXPRESSION if targetWorkers cannot be parsed
+     */
+    matchesWorker(worker) {
+        if (!_.isObject(worker) || !_.isObject(worker.attributes)) {
+            throw new TypeError('Failed to match a Worker. <WorkerContainer>worker is a required parameter.');
+        }
+
+        if (!this.targetWorkers) {
+            return true;
+        }
+
+        // targetWorkers is updated in place, so the parsed expression is only reused for the same source
+        if (!this._expression || this._expression.source !== this.targetWorkers) {
+            this._expression = new Expression(this.targetWorkers);
+        }
+
+        return this._expression.evaluate(worker.attributes);
+    }
+
+    /**
+     * Fetch the real-time and cumulative statistics of this {@link TaskQueue}
+     * @param {Statistics.Options} [options]
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Statistics>}
+     */
+    fetchStatistics(options = {}, requestOptions) {
+        const basePath = path.join(this._workspace.getRoutes().getRoute(TASKQUEUE_LIST).path, this.sid);
+        return fetchStatistics(this._workspace._request, basePath, options, requestOptions);
     }
 }
 
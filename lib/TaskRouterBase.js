@@ -1,17 +1,80 @@
+import _ from 'lodash';
+import { EventEmitter } from 'events';
 const tools = require('./util/Tools');
 import Configuration from './util/Configuration';
 import Request from './util/Request';
+import TokenRefresher from './util/TokenRefresher';
 
-export default class TaskRouterBase {
+/**
+ * @typedef {Object} TaskRouterBase.Options
+ * @property {string} [logLevel='error'] - The level of logging to enable
+ * @property {number} [maxRetries=2] - The number of times a failed request is retried
+ * @property {Array<Request.Middleware>} [middleware] - Hooks run around every request to TaskRouter, in order
+ * @property {function(): Promise<string>} [tokenProvider] - A function resolving with a new token. When given,
+ *   it is called ahead of the expiry of the current token and retried with backoff when it fails. The
+ *   'tokenExpired' event is then only emitted if the token could not be refreshed before it expired.
+ */
+export default class TaskRouterBase extends EventEmitter {
     constructor(jwt, options = {}) {
+        super();
+
         if (new.target === TaskRouterBase) {
             throw new TypeError('You cannot instantiate TaskRouterBase directly');
         }
 
+        tools.validateOptions(options, {
+            maxRetries: (val) => _.isInteger(val) && val >= 0,
+            middleware: (val) => _.isArray(val),
+            tokenProvider: (val) => _.isFunction(val)
+        });
+
         this._config = new Configuration(jwt, options);
         this._request = new Request(this._config);
+        (options.middleware || []).forEach(middleware => this._request.use(middleware));
+        this._setJWT(jwt);
+
+        this._tokenRefresher = null;
+        if (options.tokenProvider) {
+            this._tokenRefresher = new TokenRefresher(options.tokenProvider, {
+                logIdentifier: this._config.getLogIdentifier(),
+                logLevel: options.logLevel
+            });
+            this._tokenRefresher.on('tokenRefreshed', newToken => {
+                try {
+                    this.updateToken(newToken);
+                } catch (err) {
+                    this.emit('tokenExpired');
+                }
+            });
+            this._tokenRefresher.on('refreshFailed', () => this.emit('tokenExpired'));
+            this._tokenRefresher.scheduleRefresh(jwt);
+        }
+    }
+
+    /**
+     * Update token
+     * @param {string} newToken - The new token that should be used for authentication
+     * @returns {void}
+     */
+    updateToken(newToken) {
+        if (!_.isString(newToken)) {
+            throw new TypeError('To update the Twilio token, a new Twilio token must be passed in. <string>newToken is a required parameter.');
+        }
+
+        this._setJWT(newToken);
+        this._config.updateToken(newToken);
+        if (this._tokenRefresher) {
+            this._tokenRefresher.scheduleRefresh(newToken);
+        }
+        this.emit('tokenUpdated');
+    }
 
-        jwt = tools.verifyJWT(jwt);
+    /**
+     * @private
+     * @param {string} token
+     */
+    _setJWT(token) {
+        const jwt = tools.verifyJWT(token);
         this.jwt = jwt;
         this.accountSid = jwt.sub;
         this.workspaceSid = jwt.grants.task_router.workspace_sid;
@@ -5,14 +5,27 @@ import { EventEmitter } from 'events';
 import Logger from './util/Logger';
 import Request from './util/Request';
 import Routes, { WORKER_INSTANCE, TASK_LIST } from './util/Routes';
+import SessionRecorder from './signaling/SessionRecorder';
 
 import WorkerDescriptor from './descriptors/WorkerDescriptor';
-import { API_V1, WORKER_UPDATE_OPTIONS, CREATE_TASK_OPTIONS } from './util/Constants';
+import {
+    API_V1,
+    DEFAULT_PAGE_SIZE,
+    WORKER_UPDATE_OPTIONS,
+    CREATE_TASK_OPTIONS,
+    RESERVATION_STATUS_WRAPPING,
+    RESERVATION_STATUSES,
+    twilioErrors as Errors
+} from './util/Constants';
 import ActivitiesEntity from './data/ActivitiesEntity';
 import ChannelsEntity from './data/ChannelsEntity';
 import ReservationsEntity from './data/ReservationsEntity';
 import { validateOptions } from './util/Tools';
 import TaskRouterEventHandler from './handlers/TaskRouterEventHandler';
+import TokenRefresher from './util/TokenRefresher';
+import TransferDirectory from './core/transfer/TransferDirectory';
+import ReservationPolicy from './core/ReservationPolicy';
+import ActivityScheduler, { toScheduleTime } from './core/ActivityScheduler';
 
 const fieldsToUpdate = [
     'dateUpdated',
@@ -34,19 +47,27 @@ const fieldsToUpdate = [
  * @property {Object} attributes - A JSON representation of the {@link Worker}'s attributes
  * @property {Map<string, Channel>} channels - The list of available {@link Channel}s
  * @property {string} connectActivitySid - The {@link Activity} to set the {@link Worker} as on connect
+ * @property {string} connectionState - The state of the connection to TaskRouter
+ *   ['connecting', 'connected', 'reconnecting', 'disconnected', 'tokenExpired']
  * @property {Date} dateCreated - The date this {@link Worker} was created
  * @property {Date} dateStatusChanged - The date this {@link Worker}'s activity was last changed
  * @property {Date} dateUpdated - The date this {@link Worker} was last updated
  * @property {string} name - The friendly name of the {@link Worker}
  * @property {Map<string, Reservation>} reservations - A list of pending {@link Reservation}s for the {@link Worker}
+ * @property {?ActivityScheduler.Schedule} scheduledActivity - The pending schedule made with
+ *   {@link Worker#scheduleActivity}, or null
  * @property {string} sid - The sid of the {@link Worker}
  * @property {string} workspaceSid - The sid of the Workspace owning this {@link Worker}
+ * @fires Worker#activityScheduled
+ * @fires Worker#activityScheduleFired
  * @fires Worker#activityUpdated
  * @fires Worker#attributesUpdated
+ * @fires Worker#connectionStateChanged
  * @fires Worker#disconnected
  * @fires Worker#error
  * @fires Worker#ready
  * @fires Worker#reservationCreated
+ * @fires Worker#reservationPolicyDecision
  * @fires Worker#tokenExpired
  * @fires Worker#tokenUpdated
  *//**
@@ -57,6 +78,18 @@ const fieldsToUpdate = [
  * @property {string} [logLevel='error'] - The level of logging to enable
  *   ['error', 'warn', 'info', 'debug', 'trace', 'silent']
  * @property {string} [region] - the ingress region for connections (ex. "ie1-ix")
+ * @property {number} [maxRetries=2] - The number of times a failed request is retried. GETs are retried on
+ *   timeouts, network errors and 5xx responses; other requests only on 429 and 503 responses
+ * @property {number} [expiringSoonThreshold=10] - The number of seconds before a pending {@link Reservation} times
+ *   out that the {@link Reservation} emits 'expiringSoon'
+ * @property {Array<Request.Middleware>} [middleware] - Hooks run around every request to TaskRouter, in order
+ * @property {SessionRecorder} [recorder] - A recorder to record the websocket messages received and the requests
+ *   sent by the {@link Worker} into, to replay them later with a {@link SessionReplay}
+ * @property {Array<ReservationPolicy.Rule>} [reservationPolicy] - Rules to accept, reject, dequeue or conference
+ *   new {@link Reservation}s automatically. The first rule matching the {@link Task} is applied.
+ * @property {function(): Promise<string>} [tokenProvider] - A function resolving with a new token. When given,
+ *   it is called ahead of the expiry of the current token and retried with backoff when it fails. The
+ *   'tokenExpired' event is then only emitted if the token could not be refreshed before it expired.
  */
 class Worker extends EventEmitter {
     constructor(token, options = {}, deps = { Request, EventBridgeSignaling }) {
@@ -74,7 +107,13 @@ class Worker extends EventEmitter {
             logLevel: (val) => _.isString(val),
             ebServer: (val) => _.isString(val),
             wsServer: (val) => _.isString(val),
-            region: (val) => _.isString(val)
+            region: (val) => _.isString(val),
+            maxRetries: (val) => _.isInteger(val) && val >= 0,
+            expiringSoonThreshold: (val) => _.isNumber(val) && val >= 0,
+            middleware: (val) => _.isArray(val),
+            recorder: (val) => val instanceof SessionRecorder,
+            reservationPolicy: (val) => _.isArray(val),
+            tokenProvider: (val) => _.isFunction(val)
         };
 
         validateOptions(options, types);
@@ -82,20 +121,42 @@ class Worker extends EventEmitter {
         this._connectActivitySid = options.connectActivitySid;
         this._closeExistingSessions = options.closeExistingSessions;
         this._logLevel = options.logLevel || 'error';
+        this._initialized = false;
 
         this._config = new Configuration(token, options);
         this._log = new Logger(`Worker-${this._config.getLogIdentifier()}`, this._logLevel);
         this._request = new deps.Request(this._config);
+        (options.middleware || []).forEach(middleware => this._request.use(middleware));
+        if (options.recorder) {
+            this._request.setRecorder(options.recorder);
+        }
+        this._reservationPolicy = options.reservationPolicy ? new ReservationPolicy(options.reservationPolicy, {
+            logIdentifier: this._config.getLogIdentifier(),
+            logLevel: this._logLevel
+        }) : null;
 
         this._dataServices = {
             activitiesEntity: new ActivitiesEntity(this, this._request),
             channelsEntity: new ChannelsEntity(this, this._request),
             reservationsEntity: new ReservationsEntity(this, this._request)
         };
+        this._transferDirectory = new TransferDirectory(this, this._request);
+        this._activityScheduler = new ActivityScheduler(this, {
+            logIdentifier: this._config.getLogIdentifier(),
+            logLevel: this._logLevel
+        });
 
-        this._signaling = new deps.EventBridgeSignaling(this, { closeExistingSessions: options.closeExistingSessions });
+        this._signaling = new deps.EventBridgeSignaling(this, {
+            closeExistingSessions: options.closeExistingSessions,
+            recorder: options.recorder
+        });
         this._subscribeToSignalingEvents();
         this.taskRouterEventHandler = new TaskRouterEventHandler(this);
+
+        this._tokenRefresher = null;
+        if (options.tokenProvider) {
+            this._setUpTokenRefresher(options.tokenProvider, token);
+        }
     }
 
 
@@ -107,6 +168,7 @@ class Worker extends EventEmitter {
      * @param {string} taskQueueSid - The Sid of the {@link TaskQueue} this Task should belong to, used for reporting
      *     purposes only
      * @param {Worker.TaskOptions} [options]
+     * @param {Request.Options} [requestOptions]
      * @returns {Promise<String>} - Rejected if unable to create a Task on behalf of the {@link Worker}. Returns the
      *     TaskSid of the created Task.
      *//**
@@ -117,7 +179,7 @@ class Worker extends EventEmitter {
      * @property {string} [taskChannelSid=null] - The Sid of the {@link Channel} this {@link Task} belongs to. If not
      *     provided, defaults to 'default' channel.
      */
-    createTask(to, from, workflowSid, taskQueueSid, options = {}) {
+    createTask(to, from, workflowSid, taskQueueSid, options = {}, requestOptions) {
         if (!_.isString(to)) {
             throw new TypeError('Error calling method createTask(). <string>to is a required parameter.');
         }
@@ -167,11 +229,128 @@ class Worker extends EventEmitter {
         };
         requestParams.Attributes = Object.assign({}, options.attributes, requiredAttributes);
 
-        return this._request.post(requestURL, requestParams, API_V1).then(response => {
+        return this._request.post(requestURL, requestParams, API_V1, requestOptions).then(response => {
             return response.sid;
         });
     }
 
+    /**
+     * Fetch the {@link Reservation}s of the {@link Worker} in any status, e.g. to list the work handled earlier. They
+     * are not added to the reservations map, and do not receive updates.
+     * @param {Worker.FetchReservationsOptions} [options]
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Paginator>} - A {@link Paginator} over the {@link Reservation}s
+     *//**
+     * @typedef {Object} Worker.FetchReservationsOptions
+     * @property {string|Array<string>} [status] - Only the {@link Reservation}s in this status, or these statuses
+     *   ['pending', 'accepted', 'rejected', 'timeout', 'canceled', 'rescinded', 'wrapping', 'completed']
+     * @property {Date|string} [after] - Only the {@link Reservation}s created after this date
+     * @property {Date|string} [before] - Only the {@link Reservation}s created before this date
+     * @property {number} [pageSize=1000] - The number of {@link Reservation}s in a page
+     */
+    fetchReservations(options = {}, requestOptions) {
+        const isStatus = (val) => RESERVATION_STATUSES.indexOf(val) !== -1;
+        const isDate = (val) => (_.isDate(val) || _.isString(val)) && !_.isNaN(new Date(val).getTime());
+        validateOptions(options, {
+            status: (val) => isStatus(val) || (_.isArray(val) && val.length > 0 && _.every(val, isStatus)),
+            after: isDate,
+            before: isDate,
+            pageSize: (val) => _.isInteger(val) && _.inRange(val, 1, DEFAULT_PAGE_SIZE + 1)
+        });
+
+        const filterParams = {};
+        if (options.status) {
+            filterParams.ReservationStatus = _.castArray(options.status).join(',');
+        }
+
+        if (options.after) {
+            filterParams.DateCreatedAfter = new Date(options.after).toISOString();
+        }
+
+        if (options.before) {
+            filterParams.DateCreatedBefore = new Date(options.before).toISOString();
+        }
+
+        const pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+        return this._dataServices.reservationsEntity.fetchReservationHistory(filterParams, pageSize, requestOptions);
+    }
+
+    /**
+     * Fetch a {@link Task} reserved for the {@link Worker}, as of its latest {@link Reservation}, whether or not it is
+     * still active. The {@link Task} is not added to the reservations map, and does not receive updates.
+     * @param {string} taskSid - The sid of the {@link Task}
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Task>} - Rejected with NOT_FOUND if the {@link Task} was never reserved for the {@link Worker}
+     */
+    fetchTask(taskSid, requestOptions) {
+        if (!_.isString(taskSid)) {
+            throw new TypeError('Error calling method fetchTask(). <string>taskSid is a required parameter.');
+        }
+
+        const reservationsEntity = this._dataServices.reservationsEntity;
+        return reservationsEntity.fetchReservationHistory({ TaskSid: taskSid }, DEFAULT_PAGE_SIZE, requestOptions).then(paginator => {
+            return paginator.toArray();
+        }).then(reservations => {
+            // the Reservations of other Tasks are left out, in case the list was not filtered
+            const taskReservations = reservations.filter(reservation => reservation.task.sid === taskSid);
+            if (!taskReservations.length) {
+                throw Errors.NOT_FOUND.clone(`Task ${taskSid} was not reserved for Worker ${this.sid}.`);
+            }
+
+            // the Reservations are not listed in any particular order
+            return _.maxBy(taskReservations, reservation => reservation.dateUpdated.getTime()).task;
+        });
+    }
+
+    /**
+     * Search the other {@link Worker}s and the TaskQueues which the token may see, by name, {@link Activity} or
+     * attributes, to pick the target of {@link Task#transfer}. An invalid targetWorkersExpression throws
+     * INVALID_EXPRESSION before any request is sent.
+     * @param {TransferDirectory.SearchOptions} [options]
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Array<TransferTarget>>}
+     */
+    searchTransferTargets(options = {}, requestOptions) {
+        return this._transferDirectory.search(options, requestOptions);
+    }
+
+    /**
+     * Switch the {@link Worker} to an {@link Activity} at a given time, e.g. back to an available {@link Activity}
+     * at the end of a break. The schedule replaces the pending one, and is canceled once the {@link Worker} changes
+     * {@link Activity} otherwise. It is saved in the attributes of the {@link Worker} as "scheduled_activity", so
+     * that supervisors can see it and it is restored on reconnect.
+     * @param {string} activitySid - The sid of the {@link Activity} to switch to
+     * @param {Date|string|number} at - When to switch: a Date, an ISO 8601 string or a number of milliseconds since
+     *   the epoch. Must be in the future.
+     * @returns {Promise<ActivityScheduler.Schedule>} - Rejected if the schedule could not be saved in the attributes
+     *   of the {@link Worker}
+     */
+    scheduleActivity(activitySid, at) {
+        if (!_.isString(activitySid)) {
+            throw new TypeError('Error calling method scheduleActivity(). <string>activitySid is a required parameter.');
+        }
+
+        const time = toScheduleTime(at);
+        if (!time || time.getTime() <= Date.now()) {
+            throw new TypeError('Error calling method scheduleActivity(). <Date|string|number>at must be a time in the future.');
+        }
+
+        if (!this.activities.has(activitySid)) {
+            throw Errors.INVALID_ARGUMENT.clone(`Unable to schedule Activity ${activitySid}. It is not an Activity of the Workspace.`);
+        }
+
+        return this._activityScheduler.add(activitySid, time);
+    }
+
+    /**
+     * Cancel the pending schedule made with {@link Worker#scheduleActivity}
+     * @returns {Promise<?ActivityScheduler.Schedule>} - The canceled schedule, or null if there was none. Rejected if
+     *   the schedule could not be removed from the attributes of the {@link Worker}
+     */
+    cancelScheduledActivity() {
+        return this._activityScheduler.cancel();
+    }
+
     getLogger(prefix) {
         return new Logger(`${prefix}-${this.sid}`, this._config._logLevel);
     }
@@ -179,9 +358,10 @@ class Worker extends EventEmitter {
     /**
      * Update attributes
      * @param {Object} attributes - A JSON describing the Worker's attributes
+     * @param {Request.Options} [requestOptions]
      * @returns {Promise<this>} - Rejected if the attributes cannot be set
      */
-    setAttributes(attributes) {
+    setAttributes(attributes, requestOptions) {
         if (!_.isObject(attributes)) {
             throw new TypeError('Unable to set attributes on Worker. <object>attributes is a required parameter.');
         }
@@ -189,7 +369,7 @@ class Worker extends EventEmitter {
         const requestURL = this.getRoutes().getRoute(WORKER_INSTANCE).path;
         const requestParams = { Attributes: attributes };
 
-        return this._request.post(requestURL, requestParams, API_V1).then(response => {
+        return this._request.post(requestURL, requestParams, API_V1, requestOptions).then(response => {
             return this._update(response);
         });
     }
@@ -210,6 +390,9 @@ class Worker extends EventEmitter {
         try {
             this._config.updateToken(newToken);
             this._signaling.updateToken(newToken);
+            if (this._tokenRefresher) {
+                this._tokenRefresher.scheduleRefresh(newToken);
+            }
             this.emit('tokenUpdated');
         } catch (err) {
             this.emit('error', err);
@@ -223,6 +406,11 @@ class Worker extends EventEmitter {
             this._log.info('Received Event: \'connected\' from Signaling layer. Pending initialization.', this.sid);
         });
 
+        this._signaling.on('connectionStateChanged', change => {
+            this._log.info('Received Event: \'connectionStateChanged\' from Signaling layer. Connection is %s.', change.state);
+            this.emit('connectionStateChanged', change);
+        });
+
         this._signaling.on('disconnected', () => {
             this._log.info('Received Event: \'disconnected\' from Signaling layer for Worker %s.', this.sid);
             this._unSubscribeFromTaskRouterEvents();
@@ -235,7 +423,13 @@ class Worker extends EventEmitter {
             this.accountSid = evt.account_sid;
             this.workspaceSid = evt.workspace_sid;
             this._signaling.setLifetime(evt.token_lifetime);
-            this._initialize();
+
+            // a reconnect re-sends the init event; only the first one performs a full initialization
+            if (this._initialized) {
+                this._resynchronize();
+            } else {
+                this._initialize();
+            }
         });
 
         this._signaling.on('error', err => {
@@ -244,11 +438,39 @@ class Worker extends EventEmitter {
         });
 
         this._signaling.on('tokenExpired', () => {
+            if (this._tokenRefresher) {
+                // the refresher emits tokenExpired on our behalf once it gives up
+                this._log.info('Received Event: \'tokenExpired\' for Worker %s. Waiting for the token provider.', this.sid);
+                this._tokenRefresher.refresh();
+                return;
+            }
+
             this._log.info('Received Event: \'tokenExpired\' for for Worker %s. Please update the token. Websocket will not reconnect automatically until token is updated.', this.sid);
             this.emit('tokenExpired');
         });
     }
 
+    /**
+     * Refresh the token through the token provider ahead of its expiry
+     * @private
+     * @param {function(): Promise<string>} tokenProvider - The function resolving with a new token
+     * @param {string} token - The token currently in use
+     */
+    _setUpTokenRefresher(tokenProvider, token) {
+        this._tokenRefresher = new TokenRefresher(tokenProvider, {
+            logIdentifier: this._config.getLogIdentifier(),
+            logLevel: this._logLevel
+        });
+
+        this._tokenRefresher.on('tokenRefreshed', newToken => this.updateToken(newToken));
+        this._tokenRefresher.on('refreshFailed', err => {
+            this._log.error('Unable to refresh the token of Worker %s before it expired. Error: %s', this.sid, err);
+            this.emit('tokenExpired');
+        });
+
+        this._tokenRefresher.scheduleRefresh(token);
+    }
+
     _subscribeToTaskRouterEvents() {
         this._log.info('Subscribing to TaskRouter events ... ');
         for (let [eventName, eventHandler] of Object.entries(this.taskRouterEventHandler.getTREventsToHandlerMapping())) {
@@ -292,6 +514,7 @@ class Worker extends EventEmitter {
 
             // set the current activity of the Worker
             this._setCurrentActivity(currentActivitySid);
+            this._restoreActivitySchedule();
             if (this._connectActivitySid) {
                 this._setWorkerConnectActivity().then(() => {
                     this._log.info('Successfully updated Worker on connect to Activity=%s', this._connectActivitySid);
@@ -302,6 +525,7 @@ class Worker extends EventEmitter {
             }
 
             this._subscribeToTaskRouterEvents();
+            this._initialized = true;
             this.emit('ready', this);
         }).catch(err => {
             this._log.error('Failed to initialize Worker %s. Error: %s', this.sid, err);
@@ -309,6 +533,183 @@ class Worker extends EventEmitter {
         });
     }
 
+    /**
+     * Fetch the latest Worker, Channel and active Reservation data after a reconnect, and emit the
+     * events that were missed while the websocket was down.
+     * @returns {Promise<void>}
+     * @private
+     */
+    _resynchronize() {
+        this._log.info('Resynchronizing Worker %s after reconnect...', this.sid);
+        const requestURL = this.getRoutes().getRoute(WORKER_INSTANCE).path;
+
+        return Promise.all([
+            this._request.get(requestURL, API_V1),
+            this._dataServices.channelsEntity._fetchChannelPayloads(),
+            this._dataServices.reservationsEntity._fetchActiveReservationPayloads()
+        ]).then(([workerPayload, channelPayloads, reservationPayloads]) => {
+            this._resynchronizeWorker(workerPayload);
+            this._restoreActivitySchedule();
+            this._resynchronizeChannels(channelPayloads);
+            return this._resynchronizeReservations(reservationPayloads);
+        }).then(() => {
+            this._log.info('Worker %s successfully resynchronized', this.sid);
+
+            if (this._connectActivitySid) {
+                this._setWorkerConnectActivity().then(() => {
+                    this._log.info('Successfully updated Worker on reconnect to Activity=%s', this._connectActivitySid);
+                }).catch(err => {
+                    this._log.error('Failed to update Worker %s on reconnect to Activity=%s. Error: %s', this.sid, this._connectActivitySid, err);
+                    if (this.listenerCount('error')) {
+                        this.emit('error', err);
+                    }
+                });
+            }
+
+            this._subscribeToTaskRouterEvents();
+            this.emit('ready', this);
+        }).catch(err => {
+            this._log.error('Failed to resynchronize Worker %s. Error: %s', this.sid, err);
+            // keep listening for live events even though the missed ones could not be recovered
+            this._subscribeToTaskRouterEvents();
+            if (this.listenerCount('error')) {
+                this.emit('error', err);
+            }
+        });
+    }
+
+    /**
+     * Restore the schedule of the Worker's next Activity from its attributes
+     * @private
+     */
+    _restoreActivitySchedule() {
+        this._activityScheduler.restore().catch(err => {
+            this._log.error('Failed to restore the Activity schedule of Worker %s. Error: %s', this.sid, err);
+        });
+    }
+
+    /**
+     * Compare the latest Worker data against the local Worker and emit the missed events
+     * @param {Object} workerPayload - The raw Worker data
+     * @private
+     */
+    _resynchronizeWorker(workerPayload) {
+        const previousAttributes = this.attributes;
+
+        if (this.activity && this.activity.sid === workerPayload.activity_sid) {
+            this._update(workerPayload);
+        } else {
+            this._dispatchResynchronizedEvent('worker.activity.update', workerPayload);
+        }
+
+        if (!_.isEqual(previousAttributes, this.attributes)) {
+            this.emit('attributesUpdated', this);
+        }
+    }
+
+    /**
+     * Compare the latest Channel data against the local Channels and emit the missed events
+     * @param {Array<Object>} channelPayloads - The raw Channel data
+     * @private
+     */
+    _resynchronizeChannels(channelPayloads) {
+        channelPayloads.forEach(channelPayload => {
+            const channel = this.channels.get(channelPayload.sid);
+            if (!channel) {
+                this._dataServices.channelsEntity.insert(channelPayload);
+                return;
+            }
+
+            const capacityChanged = channel.capacity !== channelPayload.configured_capacity;
+            const availabilityChanged = channel.available !== !!channelPayload.available;
+
+            if (capacityChanged) {
+                this._dispatchResynchronizedEvent('worker.capacity.update', channelPayload);
+            }
+
+            if (availabilityChanged) {
+                this._dispatchResynchronizedEvent('worker.channel.availability.update', channelPayload);
+            }
+
+            if (!capacityChanged && !availabilityChanged) {
+                channel._update(channelPayload);
+            }
+        });
+    }
+
+    /**
+     * Compare the latest active Reservations against the local Reservations and emit the missed events.
+     * Reservations which are no longer active are fetched individually to find out how they ended.
+     * @param {Array<Object>} reservationPayloads - The raw data of the active Reservations
+     * @returns {Promise<void>}
+     * @private
+     */
+    _resynchronizeReservations(reservationPayloads) {
+        const reservationsEntity = this._dataServices.reservationsEntity;
+        const localReservations = this.reservations;
+        const activeSids = new Set();
+
+        reservationPayloads.forEach(reservationPayload => {
+            activeSids.add(reservationPayload.sid);
+            const reservation = localReservations.get(reservationPayload.sid);
+
+            if (!reservation) {
+                this._dispatchResynchronizedEvent('reservation.created', reservationPayload);
+                return;
+            }
+
+            const statusChanged = reservation.status !== reservationPayload.reservation_status;
+            if (!statusChanged || !this._dispatchResynchronizedEvent(getReservationEventType(reservationPayload.reservation_status), reservationPayload)) {
+                try {
+                    reservation._update(reservationPayload);
+                } catch (err) {
+                    this._log.warn('Failed to resynchronize Reservation sid=%s. Error: %s', reservationPayload.sid, err);
+                }
+            }
+        });
+
+        const endedSids = Array.from(localReservations.keys()).filter(sid => !activeSids.has(sid));
+        return Promise.all(endedSids.map(sid => {
+            return reservationsEntity._fetchReservationPayload(sid).then(reservationPayload => {
+                const eventType = getReservationEventType(reservationPayload.reservation_status);
+                if (!this._dispatchResynchronizedEvent(eventType, reservationPayload)) {
+                    reservationsEntity._deleteByReservationSid(sid);
+                }
+            }).catch(err => {
+                this._log.warn('Unable to fetch the final state of Reservation sid=%s. Removing it. Error: %s', sid, err);
+                reservationsEntity._deleteByReservationSid(sid);
+            });
+        })).then(() => {});
+    }
+
+    /**
+     * Pass a TaskRouter event reconstructed during resynchronization through its regular event handler
+     * @param {string} eventType - The TaskRouter event type, e.g. 'reservation.created'
+     * @param {Object} payload - The raw event payload
+     * @returns {boolean} - Whether the event was handled
+     * @private
+     */
+    _dispatchResynchronizedEvent(eventType, payload) {
+        const handlerName = this.taskRouterEventHandler.getTREventsToHandlerMapping()[eventType];
+        if (!handlerName) {
+            this._log.debug('No handler for resynchronized Event: %s. Skipping event.', eventType);
+            return false;
+        }
+
+        this._log.info('Emitting Event: %s missed while disconnected for sid=%s', eventType, payload.sid);
+        try {
+            this.taskRouterEventHandler[handlerName](payload, eventType);
+            return true;
+        } catch (err) {
+            this._log.warn('Failed to handle resynchronized Event: %s for sid=%s. Error: %s', eventType, payload.sid, err);
+            return false;
+        }
+    }
+
+    get connectionState() {
+        return this._signaling.connectionState;
+    }
+
     get channels() {
         return this._dataServices.channelsEntity.channels;
     }
@@ -321,6 +722,10 @@ class Worker extends EventEmitter {
         return this._dataServices.reservationsEntity.reservations;
     }
 
+    get scheduledActivity() {
+        return this._activityScheduler.pending;
+    }
+
     /**
      * Helper function to update the activity property on a Worker
      * @param {string} activitySid - The activity sid to update to
@@ -366,10 +771,12 @@ class Worker extends EventEmitter {
      * A private function used to change the Worker's activity.
      * Initiated only when an setAsCurrent() is called on an Activity.
      * @param {string} activitySid - The sid of the {@link Activity} to update to
+     * @param {Activity.UpdateOptions} [options]
+     * @param {Request.Options} [requestOptions]
      * @returns {Promise<this>}
      * @private
      */
-    _updateWorkerActivity(activitySid, options = {}) {
+    _updateWorkerActivity(activitySid, options = {}, requestOptions) {
         if (!_.isString(activitySid)) {
             throw new TypeError('Error updating Worker Activity: <string>activitySid is a required parameter');
         }
@@ -381,13 +788,14 @@ class Worker extends EventEmitter {
             requestParam[WORKER_UPDATE_OPTIONS[option]] = options[option];
         }
 
-        return this._request.post(requestURL, requestParam, API_V1).then(response => {
+        return this._request.post(requestURL, requestParam, API_V1, requestOptions).then(response => {
             try {
                 this._update(response);
                 this.activity._isCurrent = false;
                 const newActivity = this.activities.get(response.activity_sid);
                 this.activity = newActivity;
                 this.activity._isCurrent = true;
+                this._activityScheduler._checkActivity();
             } catch (err) {
                 this._log.error('Failed to update the Worker\'s activity to sid=%s. Error: %s', activitySid, err);
                 throw err;
@@ -419,6 +827,11 @@ class Worker extends EventEmitter {
      * @returns {void}
      */
     disconnect() {
+        if (this._tokenRefresher) {
+            this._tokenRefresher.stop();
+        }
+        this._activityScheduler.stop();
+        this.reservations.forEach(reservation => reservation._clearExpiringSoonTimer());
         this._signaling.disconnect();
     }
 
@@ -427,6 +840,16 @@ class Worker extends EventEmitter {
     }
 }
 
+/**
+ * Map a Reservation status to the TaskRouter event that moves a Reservation into that status
+ * @param {string} status - The Reservation status
+ * @returns {string}
+ * @private
+ */
+function getReservationEventType(status) {
+    return status === RESERVATION_STATUS_WRAPPING ? 'reservation.wrapup' : `reservation.${status}`;
+}
+
 export const WorkerProperties = [
     'account_sid',
     'activity_name',
@@ -443,6 +866,18 @@ export const WorkerProperties = [
 
 export default Worker;
 
+/**
+ * A switch to an {@link Activity} was scheduled with {@link Worker#scheduleActivity}
+ * @event Worker#activityScheduled
+ * @param {ActivityScheduler.Schedule} schedule - The schedule
+ */
+
+/**
+ * The {@link Worker} was switched to the scheduled {@link Activity}
+ * @event Worker#activityScheduleFired
+ * @param {ActivityScheduler.Schedule} schedule - The schedule which fired
+ */
+
 /**
  * {@link Worker} activity has updated
  * @event Worker#activityUpdated
@@ -455,6 +890,20 @@ export default Worker;
  * @param {Worker} worker - The updated {@link Worker}
  */
 
+/**
+ * The state of the connection to TaskRouter has changed. While reconnecting, this is emitted for every
+ * scheduled reconnect attempt.
+ * @event Worker#connectionStateChanged
+ * @param {Worker.ConnectionStateChange} change - The new connection state
+ *//**
+ * @typedef {Object} Worker.ConnectionStateChange
+ * @property {string} state - The new connection state
+ *   ['connecting', 'connected', 'reconnecting', 'disconnected', 'tokenExpired']
+ * @property {string} previousState - The connection state before the change
+ * @property {?number} attempt - The number of the failed connection attempt, when reconnecting
+ * @property {?number} nextRetryDelay - The delay in milliseconds before the next connection attempt, when reconnecting
+ */
+
 /**
  * The signaling layer has lost the websocket connection
  * @event Worker#disconnected
@@ -477,6 +926,13 @@ export default Worker;
  * @param {Reservation} reservation - The created {@link Reservation}
  */
 
+/**
+ * The reservationPolicy has decided what to do with a new {@link Reservation}. Emitted once the action has
+ * completed or failed, and when no rule matched.
+ * @event Worker#reservationPolicyDecision
+ * @param {ReservationPolicy.Decision} decision - The decision
+ */
+
 /**
  * {@link Worker} was unable to receive a {@link Reservation} for the {@link Task} it created
  * @event Worker#reservationFailed
@@ -1,10 +1,15 @@
+import _ from 'lodash';
+import path from 'path';
+import { fetchStatistics } from './Statistics';
 import WorkerDescriptor from './descriptors/WorkerDescriptor';
+import { WORKER_LIST } from './util/Routes';
 
 /**
  * Construct a {@link WorkerContainer}.
  * @class
  * @classdesc A {@link WorkerContainer} represents a Worker
  * @param {WorkerDescriptor} descriptor - The {@link WorkerDescriptor} of this {@link WorkerContainer}
+ * @param {Workspace} workspace - The {@link Workspace} the {@link WorkerContainer} was fetched by
  * @property {string} accountSid - The sid of the Twilio account
  * @property {boolean} activityName - the activity name
  * @property {Date} activitySid - the activity sid
@@ -15,12 +20,31 @@ import WorkerDescriptor from './descriptors/WorkerDescriptor';
  * @property {string} workspaceSid - The sid of the Workspace owning this {@link WorkerContainer}
  */
 class WorkerContainer {
-    constructor(descriptor) {
+    constructor(descriptor, workspace) {
         if (!(descriptor instanceof WorkerDescriptor)) {
             throw new TypeError('Failed to create a WorkerContainer. <WorkerDescriptor>descriptor is a required parameter.');
         }
 
+        if (!_.isObject(workspace)) {
+            throw new TypeError('Failed to create a WorkerContainer. <Workspace>workspace is a required parameter.');
+        }
+
         Object.assign(this, descriptor);
+
+        // private properties
+        this._workspace = workspace;
+    }
+
+    /**
+     * Fetch the cumulative statistics of this Worker. TaskRouter has no real-time statistics for a single Worker,
+     * so realTime must not be set.
+     * @param {Statistics.Options} [options]
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Statistics>}
+     */
+    fetchStatistics(options = {}, requestOptions) {
+        const basePath = path.join(this._workspace.getRoutes().getRoute(WORKER_LIST).path, this.sid);
+        return fetchStatistics(this._workspace._request, basePath, options, requestOptions, false);
     }
 }
 
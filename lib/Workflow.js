@@ -0,0 +1,59 @@
+import WorkflowDescriptor from './descriptors/WorkflowDescriptor';
+
+/**
+ * Construct a {@link Workflow}.
+ * @class
+ * @classdesc A {@link Workflow} routes the {@link Task}s of a Workspace to {@link TaskQueue}s.
+ * @param {WorkflowDescriptor} descriptor - The {@link WorkflowDescriptor} of this {@link Workflow}
+ * @property {string} sid - The Sid of the {@link Workflow}
+ * @property {string} accountSid - The Sid of the owning Account of the {@link Workflow}
+ * @property {string} workspaceSid - The Sid of the Workspace the {@link Workflow} belongs to
+ * @property {string} name - The friendly name of the {@link Workflow}
+ * @property {string} assignmentCallbackUrl - The URL called when a {@link Task} is reserved
+ * @property {string} fallbackAssignmentCallbackUrl - The URL called when the assignmentCallbackUrl fails
+ * @property {int} taskReservationTimeout - The number of seconds a {@link Worker} has to accept a {@link Reservation}
+ * @property {Object} configuration - The parsed routing configuration of the {@link Workflow}
+ * @property {Array<Workflow.Filter>} filters - The filters of the routing configuration, in order
+ * @property {?Workflow.Target} defaultFilter - The target of the {@link Task}s matching no filter
+ * @property {Date} dateCreated - The date when the {@link Workflow} was created
+ * @property {Date} dateUpdated - The date when the {@link Workflow} was last updated
+ *//**
+ * @typedef {Object} Workflow.Filter
+ * @property {string} name - The friendly name of the filter
+ * @property {string} expression - The expression a {@link Task}'s attributes must match
+ * @property {Array<Workflow.Target>} targets - The targets tried in order for a matching {@link Task}
+ *//**
+ * @typedef {Object} Workflow.Target
+ * @property {string} queue - The Sid of the {@link TaskQueue}
+ * @property {string} [expression] - The expression the {@link Worker}s of the {@link TaskQueue} must match
+ * @property {number} [priority] - The priority given to the {@link Task}
+ * @property {number} [timeout] - The number of seconds before moving on to the next target
+ * @property {string} [orderBy] - How the {@link Worker}s are ordered
+ * @property {Array<Object>} [skipIf] - The conditions to skip the target on
+ * @property {string} [knownWorkerSid] - The Sid of the {@link Worker} the {@link Task} is routed to
+ * @property {string} [knownWorkerFriendlyName] - The friendly name of the {@link Worker} the {@link Task} is routed to
+ */
+class Workflow {
+    constructor(descriptor) {
+        if (!(descriptor instanceof WorkflowDescriptor)) {
+            throw new TypeError('Failed to create a Workflow. <WorkflowDescriptor>descriptor is a required parameter.');
+        }
+
+        Object.assign(this, descriptor);
+    }
+}
+
+export const WorkflowProperties = [
+    'account_sid',
+    'assignment_callback_url',
+    'configuration',
+    'date_created',
+    'date_updated',
+    'fallback_assignment_callback_url',
+    'friendly_name',
+    'sid',
+    'task_reservation_timeout',
+    'workspace_sid'
+];
+
+export default Workflow;
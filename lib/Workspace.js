@@ -1,6 +1,101 @@
+import _ from 'lodash';
+import path from 'path';
+import { API_V1, ACTIVITY_PARAMS, TASKQUEUE_PARAMS, WORKER_PARAMS } from './util/Constants';
+import EventBridgeSignaling from './signaling/EventBridgeSignaling';
+import { fetchStatistics } from './Statistics';
+import Logger from './util/Logger';
+import Routes, { ACTIVITIES_LIST, TASKQUEUE_LIST, WORKER_LIST, WORKSPACE_INSTANCE } from './util/Routes';
+import { validateOptions } from './util/Tools';
 import TaskRouterBase from './TaskRouterBase.js';
 import WorkspaceEntity from './data/WorkspaceEntity';
+import WorkspaceEventHandler from './handlers/WorkspaceEventHandler';
 
+const CHANGE_EVENTS = {
+    worker: { added: 'workerAdded', updated: 'workerUpdated', removed: 'workerRemoved' },
+    taskQueue: { added: 'taskQueueAdded', updated: 'taskQueueUpdated', removed: 'taskQueueRemoved' }
+};
+
+// how the Workers, Activities and TaskQueues are created, updated and deleted, and kept in the WorkspaceEntity
+const RESOURCES = {
+    worker: {
+        name: 'Worker',
+        route: WORKER_LIST,
+        params: WORKER_PARAMS,
+        types: {
+            friendlyName: (val) => _.isString(val),
+            activitySid: (val) => _.isString(val),
+            attributes: (val) => _.isObject(val)
+        },
+        map: 'Workers',
+        update: 'updateWorker',
+        remove: 'removeWorker'
+    },
+    activity: {
+        name: 'Activity',
+        route: ACTIVITIES_LIST,
+        params: ACTIVITY_PARAMS,
+        types: {
+            friendlyName: (val) => _.isString(val),
+            available: (val) => _.isBoolean(val)
+        },
+        map: 'Activities',
+        update: 'updateActivity',
+        remove: 'removeActivity'
+    },
+    taskQueue: {
+        name: 'TaskQueue',
+        route: TASKQUEUE_LIST,
+        params: TASKQUEUE_PARAMS,
+        types: {
+            friendlyName: (val) => _.isString(val),
+            targetWorkers: (val) => _.isString(val),
+            maxReservedWorkers: (val) => _.isInteger(val) && val > 0,
+            taskOrder: (val) => val === 'FIFO' || val === 'LIFO',
+            reservationActivitySid: (val) => _.isString(val),
+            assignmentActivitySid: (val) => _.isString(val)
+        },
+        map: 'TaskQueues',
+        update: 'updateTaskQueue',
+        remove: 'removeTaskQueue'
+    }
+};
+
+/**
+ * Construct a {@link Workspace}
+ * @class
+ * @classdesc Create a {@link Workspace} client to browse the Workers, TaskQueues, Workflows and Activities of a
+ *   Workspace
+ * @param {string} jwt - The string token, with the "admin" role
+ * @param {TaskRouterBase.Options} [options]
+ * @property {string} sid - The sid of the Workspace
+ * @property {boolean} subscribed - Whether the Workers and TaskQueues are kept up to date with subscribe()
+ * @property {WorkspaceEntity} workspaceEntity - The Workers, TaskQueues, Workflows and Activities loaded by the
+ *   fetch methods
+ * @fires Workspace#workerAdded
+ * @fires Workspace#workerUpdated
+ * @fires Workspace#workerRemoved
+ * @fires Workspace#taskQueueAdded
+ * @fires Workspace#taskQueueUpdated
+ * @fires Workspace#taskQueueRemoved
+ *//**
+ * @typedef {Object} Workspace.WorkerOptions
+ * @property {string} [friendlyName] - The friendly name of the {@link Worker}, required to create one
+ * @property {string} [activitySid] - The sid of the Activity of the {@link Worker}
+ * @property {Object} [attributes] - The attributes of the {@link Worker}, replacing the current ones
+ *//**
+ * @typedef {Object} Workspace.ActivityOptions
+ * @property {string} friendlyName - The friendly name of the Activity
+ * @property {boolean} [available=false] - Whether a {@link Worker} in the Activity can handle Tasks. Only set when
+ *   the Activity is created.
+ *//**
+ * @typedef {Object} Workspace.TaskQueueOptions
+ * @property {string} [friendlyName] - The friendly name of the {@link TaskQueue}, required to create one
+ * @property {string} [targetWorkers] - The expression matching the {@link Worker}s of the {@link TaskQueue}
+ * @property {number} [maxReservedWorkers] - The number of {@link Worker}s reserved for a Task at once
+ * @property {string} [taskOrder] - ['FIFO', 'LIFO']
+ * @property {string} [reservationActivitySid] - The Activity of a {@link Worker} while reserved
+ * @property {string} [assignmentActivitySid] - The Activity of a {@link Worker} once assigned
+ */
 class Workspace extends TaskRouterBase {
 
     constructor(jwt, options = {}) {
@@ -10,16 +105,439 @@ class Workspace extends TaskRouterBase {
             throw new TypeError('A token with the "admin" role is required to use this functionality.');
         }
 
-        this.workspaceEntity = new WorkspaceEntity(this._config, this._request, options);
+        this._log = this.getLogger('Workspace');
+        this._routes = new Routes(this.workspaceSid, this.workerSid);
+        this.workspaceEntity = new WorkspaceEntity(this, this._request, options);
+
+        this._signaling = null;
+        this._subscription = null;
+        this._eventHandler = new WorkspaceEventHandler(this);
+    }
+
+    get sid() {
+        return this.workspaceSid;
+    }
+
+    get subscribed() {
+        return !!this._signaling;
+    }
+
+    /**
+     * Open a signaling connection for the Workspace and keep workspaceEntity.Workers and workspaceEntity.TaskQueues
+     * up to date from its events. Every change after the initial load is emitted, e.g. as workerUpdated. The maps
+     * are reloaded after a reconnect, emitting the changes missed while disconnected.
+     * @returns {Promise<void>} - Resolved once the Workers and TaskQueues are loaded
+     */
+    subscribe() {
+        if (this._subscription) {
+            return this._subscription;
+        }
+
+        this._signaling = new EventBridgeSignaling(this);
+        this._subscription = new Promise((resolve, reject) => {
+            let loaded = false;
+
+            this._signaling.on('init', evt => {
+                this._log.info('Received Event: \'init\' from Signaling layer for Workspace %s.', this.workspaceSid);
+                this._signaling.setLifetime(evt.token_lifetime);
+
+                this.workspaceEntity.synchronize().then(changes => {
+                    // the initial load is not reported as changes
+                    if (loaded) {
+                        changes.workers.forEach(change => this._emitChange('worker', change));
+                        changes.taskQueues.forEach(change => this._emitChange('taskQueue', change));
+                    }
+
+                    loaded = true;
+                    resolve();
+                }).catch(err => {
+                    this._log.error('Unable to load the Workers and TaskQueues of Workspace %s. Error: %s', this.workspaceSid, err);
+                    if (loaded) {
+                        if (this.listenerCount('error')) {
+                            this.emit('error', err);
+                        }
+                    } else {
+                        this.unsubscribe();
+                        reject(err);
+                    }
+                });
+            });
+        });
+
+        this._signaling.on('error', err => this.emit('error', err));
+        this._signaling.on('tokenExpired', () => {
+            if (this._tokenRefresher) {
+                // the refresher emits tokenExpired on our behalf once it gives up
+                this._log.info('Received Event: \'tokenExpired\' for Workspace %s. Waiting for the token provider.', this.workspaceSid);
+                this._tokenRefresher.refresh();
+                return;
+            }
+
+            this.emit('tokenExpired');
+        });
+        for (let [eventName, eventHandler] of Object.entries(this._eventHandler.getTREventsToHandlerMapping())) {
+            this._signaling.on(eventName, (payload, eventType) => this._eventHandler[eventHandler](payload, eventType));
+        }
+
+        return this._subscription;
+    }
+
+    /**
+     * Close the signaling connection opened by subscribe(). The maps are no longer updated.
+     * @returns {void}
+     */
+    unsubscribe() {
+        if (!this._signaling) {
+            return;
+        }
+
+        this._signaling.removeAllListeners();
+        this._signaling.disconnect();
+        this._signaling = null;
+        this._subscription = null;
+    }
+
+    /**
+     * Update token
+     * @param {string} newToken - The new token that should be used for authentication
+     * @returns {void}
+     */
+    updateToken(newToken) {
+        super.updateToken(newToken);
+        if (this._signaling) {
+            this._signaling.updateToken(newToken);
+        }
+    }
+
+    /**
+     * Fetch the Workers of the Workspace, filtered on the server. Without filters, every Worker is loaded into
+     * workspaceEntity.Workers.
+     * @param {WorkspaceEntity.FetchWorkersOptions} [options]
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Map<string, WorkerContainer>|Paginator>} - The matching Workers by sid, or a
+     *   {@link Paginator} over them when paginate is set
+     */
+    fetchWorkers(options, requestOptions) {
+        return this.workspaceEntity.fetchWorkers(options, requestOptions);
+    }
+
+    /**
+     * Fetch the TaskQueues of the Workspace, filtered on the server. Without filters, every TaskQueue is loaded
+     * into workspaceEntity.TaskQueues.
+     * @param {WorkspaceEntity.FetchTaskQueuesOptions} [options]
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Map<string, TaskQueue>|Paginator>} - The matching TaskQueues by sid, or a
+     *   {@link Paginator} over them when paginate is set
+     */
+    fetchTaskQueues(options, requestOptions) {
+        return this.workspaceEntity.fetchTaskQueues(options, requestOptions);
+    }
+
+    /**
+     * Fetch the Workflows of the Workspace, with their routing configuration parsed into filters and targets.
+     * Without filters, every Workflow is loaded into workspaceEntity.Workflows.
+     * @param {WorkspaceEntity.FetchWorkflowsOptions} [options]
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Map<string, Workflow>|Paginator>} - The matching Workflows by sid, or a {@link Paginator}
+     *   over them when paginate is set
+     */
+    fetchWorkflows(options, requestOptions) {
+        return this.workspaceEntity.fetchWorkflows(options, requestOptions);
+    }
+
+    /**
+     * Fetch the Activities of the Workspace. Without filters, every Activity is loaded into
+     * workspaceEntity.Activities.
+     * @param {WorkspaceEntity.FetchActivitiesOptions} [options]
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Map<string, ActivityContainer>|Paginator>} - The matching Activities by sid, or a
+     *   {@link Paginator} over them when paginate is set
+     */
+    fetchActivities(options, requestOptions) {
+        return this.workspaceEntity.fetchActivities(options, requestOptions);
+    }
+
+    /**
+     * Fetch the real-time and cumulative statistics of the Workspace
+     * @param {Statistics.Options} [options]
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Statistics>}
+     */
+    fetchStatistics(options = {}, requestOptions) {
+        return fetchStatistics(this._request, this.getRoutes().getRoute(WORKSPACE_INSTANCE).path, options, requestOptions);
+    }
+
+    /**
+     * Find the loaded {@link Worker}s targeted by a {@link TaskQueue}, evaluating its targetWorkers locally. Load
+     * the Workers and TaskQueues with fetchWorkers() and fetchTaskQueues(), or subscribe(), first.
+     * @param {string} queueSid - The sid of the {@link TaskQueue}
+     * @returns {Map<string, WorkerContainer>} - The matching {@link Worker}s of workspaceEntity.Workers by sid
+     * @throws {TwilioError} - INVALID_EXPRESSION if the targetWorkers of the {@link TaskQueue} cannot be parsed
+     */
+    workersForQueue(queueSid) {
+        if (!_.isString(queueSid)) {
+            throw new TypeError('Failed to find the Workers of a TaskQueue. <string>queueSid is a required parameter.');
+        }
+
+        const taskQueue = this.workspaceEntity.TaskQueues.get(queueSid);
+        if (!taskQueue) {
+            throw new TypeError(`Failed to find the Workers of a TaskQueue. TaskQueue ${queueSid} is not loaded.`);
+        }
+
+        const workers = Array.from(this.workspaceEntity.Workers.values());
+        return new Map(workers.filter(worker => taskQueue.matchesWorker(worker)).map(worker => [worker.sid, worker]));
+    }
+
+    /**
+     * Create a {@link Worker} in the Workspace and add it to workspaceEntity.Workers
+     * @param {Workspace.WorkerOptions} options - With at least the friendlyName
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<WorkerContainer>} - The created {@link Worker}
+     */
+    createWorker(options, requestOptions) {
+        return this._create('worker', options, requestOptions);
+    }
+
+    /**
+     * Update the friendly name, Activity or attributes of a {@link Worker}, and its entry in workspaceEntity.Workers
+     * @param {string} sid - The sid of the {@link Worker}
+     * @param {Workspace.WorkerOptions} options
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<WorkerContainer>} - The updated {@link Worker}
+     */
+    updateWorker(sid, options, requestOptions) {
+        return this._update('worker', sid, options, requestOptions);
+    }
+
+    /**
+     * Delete a {@link Worker} and remove it from workspaceEntity.Workers
+     * @param {string} sid - The sid of the {@link Worker}
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<?WorkerContainer>} - The deleted {@link Worker}, or null if it was not loaded
+     */
+    deleteWorker(sid, requestOptions) {
+        return this._delete('worker', sid, requestOptions);
+    }
+
+    /**
+     * Create an Activity in the Workspace and add it to workspaceEntity.Activities
+     * @param {Workspace.ActivityOptions} options
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<ActivityContainer>} - The created Activity
+     */
+    createActivity(options, requestOptions) {
+        return this._create('activity', options, requestOptions);
+    }
+
+    /**
+     * Rename an Activity, and update its entry in workspaceEntity.Activities
+     * @param {string} sid - The sid of the Activity
+     * @param {{friendlyName: string}} options - The availability of an Activity cannot be changed
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<ActivityContainer>} - The updated Activity
+     */
+    updateActivity(sid, options, requestOptions) {
+        if (_.isObject(options) && !_.isNil(options.available)) {
+            throw new TypeError('Failed to update Activity. The availability of an Activity cannot be changed.');
+        }
+
+        return this._update('activity', sid, options, requestOptions);
+    }
+
+    /**
+     * Delete an Activity and remove it from workspaceEntity.Activities
+     * @param {string} sid - The sid of the Activity
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<?ActivityContainer>} - The deleted Activity, or null if it was not loaded
+     */
+    deleteActivity(sid, requestOptions) {
+        return this._delete('activity', sid, requestOptions);
+    }
+
+    /**
+     * Create a {@link TaskQueue} in the Workspace and add it to workspaceEntity.TaskQueues
+     * @param {Workspace.TaskQueueOptions} options - With at least the friendlyName
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<TaskQueue>} - The created {@link TaskQueue}
+     */
+    createTaskQueue(options, requestOptions) {
+        return this._create('taskQueue', options, requestOptions);
+    }
+
+    /**
+     * Update a {@link TaskQueue}, and its entry in workspaceEntity.TaskQueues
+     * @param {string} sid - The sid of the {@link TaskQueue}
+     * @param {Workspace.TaskQueueOptions} options
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<TaskQueue>} - The updated {@link TaskQueue}
+     */
+    updateTaskQueue(sid, options, requestOptions) {
+        return this._update('taskQueue', sid, options, requestOptions);
+    }
+
+    /**
+     * Delete a {@link TaskQueue} and remove it from workspaceEntity.TaskQueues
+     * @param {string} sid - The sid of the {@link TaskQueue}
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<?TaskQueue>} - The deleted {@link TaskQueue}, or null if it was not loaded
+     */
+    deleteTaskQueue(sid, requestOptions) {
+        return this._delete('taskQueue', sid, requestOptions);
+    }
+
+    /**
+     * @private
+     * @param {string} kind - ['worker', 'activity', 'taskQueue']
+     * @param {Object} options
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Object>} - The created item
+     */
+    _create(kind, options, requestOptions) {
+        const resource = RESOURCES[kind];
+        if (!_.isObject(options) || !_.isString(options.friendlyName)) {
+            throw new TypeError(`Failed to create ${resource.name}. <string>options.friendlyName is a required parameter.`);
+        }
+
+        validateOptions(options, resource.types);
+        const requestURL = this.getRoutes().getRoute(resource.route).path;
+        return this._save(kind, requestURL, options, requestOptions);
+    }
+
+    /**
+     * @private
+     * @param {string} kind - ['worker', 'activity', 'taskQueue']
+     * @param {string} sid
+     * @param {Object} options
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Object>} - The updated item
+     */
+    _update(kind, sid, options, requestOptions) {
+        const resource = RESOURCES[kind];
+        if (!_.isString(sid)) {
+            throw new TypeError(`Failed to update ${resource.name}. <string>sid is a required parameter.`);
+        }
+
+        if (!_.isObject(options) || !_.some(_.keys(resource.params), option => !_.isNil(options[option]))) {
+            throw new TypeError(`Failed to update ${resource.name}. <object>options must set at least one of: ${_.keys(resource.params).join(', ')}.`);
+        }
+
+        validateOptions(options, resource.types);
+        const requestURL = path.join(this.getRoutes().getRoute(resource.route).path, sid);
+        return this._save(kind, requestURL, options, requestOptions);
+    }
+
+    /**
+     * Send the options of a created or updated item, and apply the resulting item to the WorkspaceEntity
+     * @private
+     * @param {string} kind - ['worker', 'activity', 'taskQueue']
+     * @param {string} requestURL
+     * @param {Object} options
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Object>} - The item, as kept in the WorkspaceEntity
+     */
+    _save(kind, requestURL, options, requestOptions) {
+        const resource = RESOURCES[kind];
+        const requestParams = _.transform(resource.params, (params, param, option) => {
+            if (!_.isNil(options[option])) {
+                params[param] = options[option];
+            }
+        }, {});
+
+        return this._request.post(requestURL, requestParams, API_V1, requestOptions).then(response => {
+            this._applyChange(kind, this.workspaceEntity[resource.update](response));
+            return this.workspaceEntity[resource.map].get(response.sid);
+        });
+    }
+
+    /**
+     * @private
+     * @param {string} kind - ['worker', 'activity', 'taskQueue']
+     * @param {string} sid
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<?Object>} - The removed item, or null if it was not loaded
+     */
+    _delete(kind, sid, requestOptions) {
+        const resource = RESOURCES[kind];
+        if (!_.isString(sid)) {
+            throw new TypeError(`Failed to delete ${resource.name}. <string>sid is a required parameter.`);
+        }
+
+        const requestURL = path.join(this.getRoutes().getRoute(resource.route).path, sid);
+        return this._request.delete(requestURL, API_V1, requestOptions).then(() => {
+            const change = this.workspaceEntity[resource.remove](sid);
+            this._applyChange(kind, change);
+            return change ? change.item : null;
+        });
     }
 
-    fetchWorkers() {
-       return this.workspaceEntity.fetchWorkers().then(() => this.workspaceEntity.Workers);
+    /**
+     * Emit a change made through this {@link Workspace} while subscribed, as the event it causes will find the maps
+     * already up to date
+     * @private
+     * @param {string} kind - ['worker', 'activity', 'taskQueue']
+     * @param {?WorkspaceEntity.Change} change
+     */
+    _applyChange(kind, change) {
+        if (this.subscribed && CHANGE_EVENTS[kind]) {
+            this._emitChange(kind, change);
+        }
     }
 
-    fetchTaskQueues() {
-        return this.workspaceEntity.fetchTaskQueues().then(() => this.workspaceEntity.TaskQueues);
-     }
+    /**
+     * Emit a change of the Workers or TaskQueues maps
+     * @private
+     * @param {string} kind - ['worker', 'taskQueue']
+     * @param {?WorkspaceEntity.Change} change
+     */
+    _emitChange(kind, change) {
+        if (change) {
+            this.emit(CHANGE_EVENTS[kind][change.type], change.item);
+        }
+    }
+
+    getLogger(prefix) {
+        return new Logger(`${prefix}-${this.workspaceSid}`, this._config._logLevel);
+    }
+
+    getRoutes() {
+        return this._routes;
+    }
 }
 
 export default Workspace;
+
+/**
+ * A Worker was added to workspaceEntity.Workers while subscribed
+ * @event Workspace#workerAdded
+ * @param {WorkerContainer} worker - The added Worker
+ */
+
+/**
+ * A Worker of workspaceEntity.Workers changed, e.g. its Activity or attributes, while subscribed
+ * @event Workspace#workerUpdated
+ * @param {WorkerContainer} worker - The updated Worker
+ */
+
+/**
+ * A Worker was removed from workspaceEntity.Workers while subscribed
+ * @event Workspace#workerRemoved
+ * @param {WorkerContainer} worker - The removed Worker
+ */
+
+/**
+ * A TaskQueue was added to workspaceEntity.TaskQueues while subscribed
+ * @event Workspace#taskQueueAdded
+ * @param {TaskQueue} taskQueue - The added TaskQueue
+ */
+
+/**
+ * A TaskQueue of workspaceEntity.TaskQueues changed while subscribed
+ * @event Workspace#taskQueueUpdated
+ * @param {TaskQueue} taskQueue - The updated TaskQueue
+ */
+
+/**
+ * A TaskQueue was removed from workspaceEntity.TaskQueues while subscribed
+ * @event Workspace#taskQueueRemoved
+ * @param {TaskQueue} taskQueue - The removed TaskQueue
+ */
@@ -0,0 +1,291 @@
+import _ from 'lodash';
+import { API_V1 } from '../util/Constants';
+import Logger from '../util/Logger';
+import { WORKER_INSTANCE } from '../util/Routes';
+
+// the key of the Worker attributes holding the pending schedule, for supervisors to see
+export const SCHEDULE_ATTRIBUTE = 'scheduled_activity';
+
+// the longest delay of setTimeout; a schedule further away is re-armed when it elapses
+const MAX_TIMEOUT = 2147483647;
+
+/**
+ * Construct an {@link ActivityScheduler}
+ * @class
+ * @classdesc Switch the {@link Worker} to an {@link Activity} at a given time, e.g. back to an available
+ *   {@link Activity} at the end of a break. At most one schedule is pending. It is saved in the attributes of the
+ *   {@link Worker}, restored on connect and after a reconnect, and canceled once the {@link Worker} leaves the
+ *   {@link Activity} it was in when the schedule was made.
+ * @param {Worker} worker - The {@link Worker}
+ * @param {ActivityScheduler.Options} [options]
+ *//**
+ * @typedef {Object} ActivityScheduler.Schedule
+ * @property {string} activitySid - The sid of the {@link Activity} to switch to
+ * @property {string} activityName - The name of the {@link Activity} to switch to
+ * @property {Date} at - When to switch
+ * @property {string} fromActivitySid - The sid of the {@link Activity} the {@link Worker} was in when the schedule
+ *   was made
+ *//**
+ * @typedef {Object} ActivityScheduler.Options
+ * @property {string} [logIdentifier] - The identifier to use in the log module name
+ * @property {string} [logLevel='error'] - The level of logging to enable
+ */
+export default class ActivityScheduler {
+    constructor(worker, options = {}) {
+        if (!_.isObject(worker)) {
+            throw new TypeError('Failed to initialize ActivityScheduler. <Worker>worker is a required parameter.');
+        }
+
+        this._worker = worker;
+        this._log = new Logger(`ActivityScheduler-${options.logIdentifier}`, options.logLevel || 'error');
+        this._schedule = null;
+        this._timer = null;
+        // the attributes are written one at a time, so that each write starts from the latest attributes
+        this._lastWrite = Promise.resolve();
+
+        worker.on('activityUpdated', () => this._checkActivity());
+    }
+
+    /**
+     * @returns {?ActivityScheduler.Schedule} - The pending schedule, or null if there is none
+     */
+    get pending() {
+        return this._schedule;
+    }
+
+    /**
+     * Schedule a switch to an {@link Activity}, replacing the pending schedule
+     * @param {string} activitySid - The sid of the {@link Activity} to switch to
+     * @param {Date} at - When to switch
+     * @returns {Promise<ActivityScheduler.Schedule>} - Rejected if the schedule could not be saved in the attributes
+     *   of the {@link Worker}
+     */
+    add(activitySid, at) {
+        const schedule = {
+            activitySid,
+            activityName: this._worker.activities.get(activitySid).name,
+            at,
+            fromActivitySid: this._worker.activity.sid
+        };
+
+        this._arm(schedule);
+        return this._write(schedule).then(() => {
+            this._log.info('Scheduled Worker %s to switch to Activity %s at %s', this._worker.sid, activitySid, at.toISOString());
+            this._worker.emit('activityScheduled', schedule);
+            return schedule;
+        }, err => {
+            if (this._schedule === schedule) {
+                this._disarm();
+            }
+            throw err;
+        });
+    }
+
+    /**
+     * Cancel the pending schedule
+     * @returns {Promise<?ActivityScheduler.Schedule>} - The canceled schedule, or null if there was none. Rejected if
+     *   the schedule could not be removed from the attributes of the {@link Worker}
+     */
+    cancel() {
+        const schedule = this._schedule;
+        this._disarm();
+
+        return this._write(null).then(() => schedule);
+    }
+
+    /**
+     * Adopt the schedule saved in the attributes of the {@link Worker}, e.g. after it was changed by another
+     * session. A schedule made in another {@link Activity} than the current one is removed, and a schedule which is
+     * overdue switches the {@link Activity} at once.
+     * @returns {Promise<?ActivityScheduler.Schedule>} - The pending schedule, or null if there is none
+     */
+    restore() {
+        return this._lastWrite.then(() => {
+            const saved = fromAttribute(this._worker.attributes);
+            if (!saved) {
+                this._disarm();
+                return null;
+            }
+
+            if (saved.fromActivitySid !== this._worker.activity.sid || !this._worker.activities.has(saved.activitySid)) {
+                this._log.info('Removing the stale schedule of Worker %s to switch to Activity %s', this._worker.sid, saved.activitySid);
+                this._disarm();
+                return this._write(null).then(() => null);
+            }
+
+            if (!isSameSchedule(this._schedule, saved)) {
+                this._arm(saved);
+            }
+
+            return this._schedule;
+        });
+    }
+
+    /**
+     * Stop the timer of the pending schedule, leaving it in the attributes of the {@link Worker}
+     * @returns {void}
+     */
+    stop() {
+        this._disarm();
+    }
+
+    /**
+     * Cancel the pending schedule if the {@link Worker} has left the {@link Activity} it was made in
+     * @private
+     */
+    _checkActivity() {
+        if (!this._schedule || !this._worker.activity || this._worker.activity.sid === this._schedule.fromActivitySid) {
+            return;
+        }
+
+        this._log.info('Worker %s changed Activity to %s. Canceling the switch to Activity %s', this._worker.sid,
+                       this._worker.activity.sid, this._schedule.activitySid);
+        this.cancel().catch(err => {
+            this._log.error('Failed to remove the schedule from the attributes of Worker %s. Error: %s', this._worker.sid, err);
+        });
+    }
+
+    /**
+     * @private
+     * @param {ActivityScheduler.Schedule} schedule
+     */
+    _arm(schedule) {
+        this._disarm();
+        this._schedule = schedule;
+
+        const delay = Math.max(schedule.at.getTime() - Date.now(), 0);
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            if (delay > MAX_TIMEOUT) {
+                this._arm(schedule);
+            } else {
+                this._fire(schedule);
+            }
+        }, Math.min(delay, MAX_TIMEOUT));
+    }
+
+    /**
+     * @private
+     */
+    _disarm() {
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+        this._schedule = null;
+    }
+
+    /**
+     * Switch the {@link Worker} to the scheduled {@link Activity}, and remove the schedule from its attributes
+     * @private
+     * @param {ActivityScheduler.Schedule} schedule
+     * @returns {Promise<void>} - Never rejected; a failure is emitted as an error of the {@link Worker} if it has
+     *   listeners, and logged otherwise
+     */
+    _fire(schedule) {
+        this._schedule = null;
+        this._log.info('Switching Worker %s to the scheduled Activity %s', this._worker.sid, schedule.activitySid);
+
+        return this._worker._updateWorkerActivity(schedule.activitySid).then(() => {
+            this._worker.emit('activityScheduleFired', schedule);
+            return this._write(null);
+        }).catch(err => {
+            this._log.error('Failed to switch Worker %s to the scheduled Activity %s. Error: %s', this._worker.sid, schedule.activitySid, err);
+            if (this._worker.listenerCount('error')) {
+                this._worker.emit('error', err);
+            }
+        });
+    }
+
+    /**
+     * Save the schedule in the attributes of the {@link Worker}, or remove it if null. The {@link Worker} is fetched
+     * first, so that the write keeps the attributes changed elsewhere which have not reached this client yet.
+     * @private
+     * @param {?ActivityScheduler.Schedule} schedule
+     * @returns {Promise<void>}
+     */
+    _write(schedule) {
+        const requestURL = this._worker.getRoutes().getRoute(WORKER_INSTANCE).path;
+        const write = this._lastWrite.then(() => this._worker._request.get(requestURL, API_V1)).then(response => {
+            const attributes = this._worker._update(response).attributes || {};
+            if (!schedule && !(SCHEDULE_ATTRIBUTE in attributes)) {
+                return null;
+            }
+
+            const updatedAttributes = _.omit(attributes, SCHEDULE_ATTRIBUTE);
+            if (schedule) {
+                updatedAttributes[SCHEDULE_ATTRIBUTE] = toAttribute(schedule);
+            }
+
+            return this._worker.setAttributes(updatedAttributes);
+        });
+
+        this._lastWrite = write.then(_.noop, _.noop);
+        return write.then(_.noop);
+    }
+}
+
+/**
+ * Read a time to switch the {@link Activity} at
+ * @param {Date|string|number} at - A Date, an ISO 8601 string or a number of milliseconds since the epoch
+ * @returns {?Date} - The time, or null if it is not a valid date
+ */
+export function toScheduleTime(at) {
+    if (!_.isDate(at) && !_.isString(at) && !_.isNumber(at)) {
+        return null;
+    }
+
+    const time = new Date(at);
+    return _.isNaN(time.getTime()) ? null : time;
+}
+
+/**
+ * @private
+ * @param {ActivityScheduler.Schedule} schedule
+ * @returns {Object}
+ */
+function toAttribute(schedule) {
+    /* eslint-disable camelcase */
+    return {
+        activity_sid: schedule.activitySid,
+        activity_name: schedule.activityName,
+        at: schedule.at.toISOString(),
+        from_activity_sid: schedule.fromActivitySid
+    };
+    /* eslint-enable camelcase */
+}
+
+/**
+ * @private
+ * @param {Object} attributes - The attributes of the {@link Worker}
+ * @returns {?ActivityScheduler.Schedule} - The saved schedule, or null if there is none or it is malformed
+ */
+function fromAttribute(attributes) {
+    const saved = _.isObject(attributes) ? attributes[SCHEDULE_ATTRIBUTE] : null;
+    if (!_.isPlainObject(saved) || !_.isString(saved.activity_sid) || !_.isString(saved.from_activity_sid)) {
+        return null;
+    }
+
+    const at = toScheduleTime(saved.at);
+    if (!at) {
+        return null;
+    }
+
+    return {
+        activitySid: saved.activity_sid,
+        activityName: saved.activity_name,
+        at,
+        fromActivitySid: saved.from_activity_sid
+    };
+}
+
+/**
+ * @private
+ * @param {?ActivityScheduler.Schedule} schedule
+ * @param {ActivityScheduler.Schedule} other
+ * @returns {boolean}
+ */
+function isSameSchedule(schedule, other) {
+    return !!schedule && schedule.activitySid === other.activitySid && schedule.fromActivitySid === other.fromActivitySid &&
+        schedule.at.getTime() === other.at.getTime();
+}
@@ -0,0 +1,344 @@
+import _ from 'lodash';
+const Errors = require('../util/Constants').twilioErrors;
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'HAS', 'IN', 'CONTAINS', 'TRUE', 'FALSE', 'NULL'];
+const COMPARISON_OPERATORS = ['==', '=', '!=', '>', '>=', '<', '<=', 'HAS', 'IN', 'CONTAINS'];
+const SCOPES = ['worker', 'task'];
+const SYMBOLS = ['==', '!=', '>=', '<=', '&&', '||', '=', '>', '<', '(', ')', '[', ']', ','];
+
+// a comparison with an attribute which is not set is false, before any of these is applied
+const COMPARISONS = {
+    '==': (left, right) => _.isEqual(left, right),
+    '!=': (left, right) => !_.isEqual(left, right),
+    '>': (left, right) => isOrdered(left, right) && left > right,
+    '>=': (left, right) => isOrdered(left, right) && left >= right,
+    '<': (left, right) => isOrdered(left, right) && left < right,
+    '<=': (left, right) => isOrdered(left, right) && left <= right,
+    'HAS': (left, right) => _.castArray(left).some(value => _.isEqual(value, right)),
+    'IN': (left, right) => isIn(left, right),
+    'NOT IN': (left, right) => !isIn(left, right),
+    'CONTAINS': (left, right) => _.isString(right) && _.castArray(left).some(value => _.isString(value) && _.includes(value, right))
+};
+
+/**
+ * Construct an {@link Expression}
+ * @class
+ * @classdesc A TaskRouter expression, such as the target_workers of a {@link TaskQueue}, parsed to be evaluated
+ *   locally against the attributes of a {@link Worker} and a {@link Task}. The expression is parsed once, so that an
+ *   invalid expression is reported before it is deployed.
+ *   <br/><br/>
+ *   Comparisons are <code>==</code> (or <code>=</code>), <code>!=</code>, <code>&gt;</code>, <code>&gt;=</code>,
+ *   <code>&lt;</code>, <code>&lt;=</code>, <code>HAS</code>, <code>IN</code>, <code>NOT IN</code> and
+ *   <code>CONTAINS</code>, combined with <code>AND</code> (or <code>&amp;&amp;</code>) and <code>OR</code> (or
+ *   <code>||</code>) and grouped with parentheses. Operands are strings, numbers, booleans, null, lists such as
+ *   <code>['en', 'es']</code> and attribute paths such as <code>languages.spoken</code>. A path is read from the
+ *   attributes of the {@link Worker}, unless it starts with <code>task.</code>; <code>worker.</code> may prefix the
+ *   paths of the {@link Worker}. A comparison with an attribute which is not set is false.
+ * @param {string} source - The expression, e.g. <code>skills HAS "support" AND level >= 2</code>
+ * @property {string} source - The expression
+ */
+export default class Expression {
+    constructor(source) {
+        if (!_.isString(source)) {
+            throw new TypeError('Failed to parse expression. <string>source is a required parameter.');
+        }
+
+        this.source = source;
+        this._tree = parse(source);
+    }
+
+    /**
+     * Evaluate the expression
+     * @param {Object} workerAttributes - The attributes of the {@link Worker}
+     * @param {Object} [taskAttributes={}] - The attributes of the {@link Task}, for the paths starting with task.
+     * @returns {boolean}
+     */
+    evaluate(workerAttributes, taskAttributes = {}) {
+        if (!_.isObject(workerAttributes) || !_.isObject(taskAttributes)) {
+            throw new TypeError('Failed to evaluate expression. <Object>workerAttributes is a required parameter.');
+        }
+
+        return evaluateNode(this._tree, { worker: workerAttributes, task: taskAttributes });
+    }
+}
+
+/**
+ * Split an expression into tokens
+ * @private
+ * @param {string} source
+ * @returns {Array<{type: string, value: *, column: number}>}
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+        const column = i + 1;
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '"' || char === '\'') {
+            const end = source.indexOf(char, i + 1);
+            if (end === -1) {
+                throw parseError(`Unterminated string starting at column ${column}`, source);
+            }
+
+            tokens.push({ type: 'string', value: source.slice(i + 1, end), column });
+            i = end + 1;
+        } else if (/[0-9]/.test(char) || (char === '-' && /[0-9]/.test(source[i + 1] || ''))) {
+            const number = source.slice(i).match(/^-?[0-9]+(\.[0-9]+)?/)[0];
+            tokens.push({ type: 'number', value: parseFloat(number), column });
+            i += number.length;
+        } else if (/[A-Za-z_]/.test(char)) {
+            const word = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*/)[0];
+            if (source[i + word.length] === '.') {
+                throw parseError(`Invalid attribute path "${word}." at column ${column}`, source);
+            }
+
+            const keyword = word.toUpperCase();
+            tokens.push(_.includes(KEYWORDS, keyword) ? { type: 'keyword', value: keyword, column } : { type: 'path', value: word, column });
+            i += word.length;
+        } else {
+            const operator = matchSymbol(source, i);
+            if (!operator) {
+                throw parseError(`Unexpected character "${char}" at column ${column}`, source);
+            }
+
+            tokens.push({ type: 'operator', value: operator, column });
+            i += operator.length;
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * @private
+ * @param {string} source
+ * @param {number} i - The index to match at
+ * @returns {?string} - The operator or punctuation at the index, if any
+ */
+function matchSymbol(source, i) {
+    return _.find(SYMBOLS, symbol => source.substr(i, symbol.length) === symbol) || null;
+}
+
+/**
+ * Parse an expression into a tree of 'or', 'and' and 'comparison' nodes
+ * @private
+ * @param {string} source
+ * @returns {Object}
+ */
+function parse(source) {
+    const tokens = tokenize(source);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const describeToken = token => token ? `"${token.type === 'string' ? `'${token.value}'` : token.value}" at column ${token.column}` : 'the end of the expression';
+    const unexpected = (expected) => parseError(`Expected ${expected} but found ${describeToken(peek())}`, source);
+    const accept = (...values) => {
+        const token = peek();
+        if (token && (token.type === 'operator' || token.type === 'keyword') && _.includes(values, token.value)) {
+            index++;
+            return token;
+        }
+
+        return null;
+    };
+    const expect = (value) => {
+        if (!accept(value)) {
+            throw unexpected(`"${value}"`);
+        }
+    };
+
+    const parseLiteral = () => {
+        const token = peek();
+        if (token && (token.type === 'string' || token.type === 'number')) {
+            index++;
+            return { type: 'literal', value: token.value };
+        }
+
+        const keyword = accept('TRUE', 'FALSE', 'NULL');
+        if (keyword) {
+            return { type: 'literal', value: { TRUE: true, FALSE: false, NULL: null }[keyword.value] };
+        }
+
+        return null;
+    };
+
+    const parseOperand = () => {
+        const token = peek();
+        if (token && token.type === 'path') {
+            index++;
+            const segments = token.value.split('.');
+            const scope = _.includes(SCOPES, segments[0]) && segments.length > 1 ? segments.shift() : 'worker';
+            return { type: 'path', scope, segments };
+        }
+
+        if (accept('[')) {
+            const values = [];
+            if (!accept(']')) {
+                do {
+                    const literal = parseLiteral();
+                    if (!literal) {
+                        throw unexpected('a string, number or boolean in the list');
+                    }
+
+                    values.push(literal.value);
+                } while (accept(','));
+                expect(']');
+            }
+
+            return { type: 'list', values };
+        }
+
+        const literal = parseLiteral();
+        if (!literal) {
+            throw unexpected('an attribute, a string, a number, a boolean or a list');
+        }
+
+        return literal;
+    };
+
+    const parseComparison = () => {
+        const column = peek() ? peek().column : source.length + 1;
+        const left = parseOperand();
+
+        let operator;
+        if (accept('NOT')) {
+            if (!accept('IN')) {
+                throw unexpected('"IN" after "NOT"');
+            }
+            operator = 'NOT IN';
+        } else {
+            const token = accept(...COMPARISON_OPERATORS);
+            if (!token) {
+                throw unexpected(`an operator after the operand at column ${column}`);
+            }
+            operator = token.value === '=' ? '==' : token.value;
+        }
+
+        const rightToken = peek();
+        const right = parseOperand();
+        if ((operator === 'IN' || operator === 'NOT IN') && right.type === 'literal') {
+            throw parseError(`Expected a list or an attribute after "${operator}" at column ${rightToken.column}`, source);
+        }
+
+        if (operator !== 'IN' && operator !== 'NOT IN' && right.type === 'list') {
+            throw parseError(`Unexpected list after "${operator}" at column ${rightToken.column}; only IN and NOT IN take a list`, source);
+        }
+
+        return { type: 'comparison', operator, left, right };
+    };
+
+    let parseOr = null;
+    const parseTerm = () => {
+        if (accept('(')) {
+            const node = parseOr();
+            expect(')');
+            return node;
+        }
+
+        return parseComparison();
+    };
+
+    const parseAnd = () => {
+        let node = parseTerm();
+        while (accept('AND', '&&')) {
+            node = { type: 'and', left: node, right: parseTerm() };
+        }
+
+        return node;
+    };
+
+    parseOr = () => {
+        let node = parseAnd();
+        while (accept('OR', '||')) {
+            node = { type: 'or', left: node, right: parseAnd() };
+        }
+
+        return node;
+    };
+
+    if (!tokens.length) {
+        throw parseError('The expression is empty', source);
+    }
+
+    const tree = parseOr();
+    if (peek()) {
+        throw unexpected('"AND", "OR" or the end of the expression');
+    }
+
+    return tree;
+}
+
+/**
+ * @private
+ * @param {string} message
+ * @param {string} source
+ * @returns {TwilioError}
+ */
+function parseError(message, source) {
+    return Errors.INVALID_EXPRESSION.clone(`Failed to parse expression. ${message}: ${source}`);
+}
+
+/**
+ * @private
+ * @param {Object} node
+ * @param {{worker: Object, task: Object}} attributes
+ * @returns {boolean}
+ */
+function evaluateNode(node, attributes) {
+    if (node.type === 'or') {
+        return evaluateNode(node.left, attributes) || evaluateNode(node.right, attributes);
+    }
+
+    if (node.type === 'and') {
+        return evaluateNode(node.left, attributes) && evaluateNode(node.right, attributes);
+    }
+
+    const left = resolveOperand(node.left, attributes);
+    const right = resolveOperand(node.right, attributes);
+    if (_.isUndefined(left) || _.isUndefined(right)) {
+        return false;
+    }
+
+    return COMPARISONS[node.operator](left, right);
+}
+
+/**
+ * @private
+ * @param {Object} operand
+ * @param {{worker: Object, task: Object}} attributes
+ * @returns {*} - Undefined for an attribute which is not set
+ */
+function resolveOperand(operand, attributes) {
+    if (operand.type === 'path') {
+        return _.get(attributes[operand.scope], operand.segments);
+    }
+
+    return operand.type === 'list' ? operand.values : operand.value;
+}
+
+/**
+ * Whether any of the values on the left is in the list on the right
+ * @private
+ * @param {*} left
+ * @param {*} right
+ * @returns {boolean}
+ */
+function isIn(left, right) {
+    const list = _.castArray(right);
+    return _.castArray(left).some(value => list.some(item => _.isEqual(item, value)));
+}
+
+/**
+ * Whether two values can be ordered: numbers, or strings; values of different types are not ordered
+ * @private
+ * @param {*} left
+ * @param {*} right
+ * @returns {boolean}
+ */
+function isOrdered(left, right) {
+    return (_.isNumber(left) && _.isNumber(right)) || (_.isString(left) && _.isString(right));
+}
@@ -0,0 +1,178 @@
+import _ from 'lodash';
+import Logger from '../util/Logger';
+
+const POLICY_ACTIONS = ['accept', 'reject', 'dequeue', 'conference'];
+
+const matchTypes = {
+    attributes: (val) => _.isPlainObject(val),
+    taskChannelUniqueName: (val) => _.isString(val) || (_.isArray(val) && _.every(val, _.isString)),
+    queueSid: (val) => _.isString(val) || (_.isArray(val) && _.every(val, _.isString)),
+    priority: (val) => _.isNumber(val) || (_.isPlainObject(val) && _.every(_.pick(val, ['min', 'max']), _.isNumber))
+};
+
+/**
+ * Construct a {@link ReservationPolicy}
+ * @class
+ * @classdesc Decide what to do with a new {@link Reservation} from an ordered list of rules. The first rule
+ *   matching the {@link Task} of the {@link Reservation} is applied; when no rule matches, the {@link Reservation}
+ *   is left to the application.
+ * @param {Array<ReservationPolicy.Rule>} rules - The rules, in order of precedence
+ * @param {ReservationPolicy.Options} [options]
+ *//**
+ * @typedef {Object} ReservationPolicy.Rule
+ * @property {ReservationPolicy.Match} [match] - The conditions the {@link Task} must meet. A rule without
+ *   conditions matches every {@link Reservation}.
+ * @property {string} action - What to do with a matching {@link Reservation} ['accept', 'reject', 'dequeue', 'conference']
+ * @property {Object} [options] - The options of the action: {@link Reservation.RejectOptions},
+ *   {@link Reservation.DequeueOptions} or {@link Reservation.ConferenceOptions}
+ *//**
+ * @typedef {Object} ReservationPolicy.Match
+ * @property {Object} [attributes] - Values which the attributes of the {@link Task} must contain, compared deeply
+ * @property {string|Array<string>} [taskChannelUniqueName] - The {@link Channel} unique name(s) to match
+ * @property {string|Array<string>} [queueSid] - The {@link TaskQueue} sid(s) to match
+ * @property {number|{min: number, max: number}} [priority] - The priority to match, or an inclusive range
+ *//**
+ * @typedef {Object} ReservationPolicy.Decision
+ * @property {Reservation} reservation - The {@link Reservation} the decision was made for
+ * @property {?ReservationPolicy.Rule} rule - The rule which matched, or null if none did
+ * @property {number} ruleIndex - The index of the rule which matched, or -1 if none did
+ * @property {?string} action - The action taken, or null if no rule matched
+ * @property {?Error} error - The error of the action, or null if it succeeded
+ *//**
+ * @typedef {Object} ReservationPolicy.Options
+ * @property {string} [logIdentifier] - The identifier to use in the log module name
+ * @property {string} [logLevel='error'] - The level of logging to enable
+ */
+export default class ReservationPolicy {
+    constructor(rules, options = {}) {
+        if (!_.isArray(rules)) {
+            throw new TypeError('Failed to initialize ReservationPolicy. <Array>rules is a required parameter.');
+        }
+
+        rules.forEach(validateRule);
+
+        this._rules = rules.slice();
+        this._log = new Logger(`ReservationPolicy-${options.logIdentifier}`, options.logLevel || 'error');
+    }
+
+    /**
+     * Find the first rule matching the {@link Task} of a {@link Reservation}
+     * @param {Reservation} reservation - The {@link Reservation} to match
+     * @returns {number} - The index of the rule, or -1 if none matched
+     */
+    match(reservation) {
+        return _.findIndex(this._rules, rule => matchesTask(rule.match, reservation.task));
+    }
+
+    /**
+     * Apply the first matching rule to a {@link Reservation}
+     * @param {Reservation} reservation - The new {@link Reservation}
+     * @returns {Promise<ReservationPolicy.Decision>} - Never rejected; a failed action is reported in the decision
+     */
+    apply(reservation) {
+        const ruleIndex = this.match(reservation);
+        const rule = ruleIndex === -1 ? null : this._rules[ruleIndex];
+        const decision = { reservation, rule, ruleIndex, action: rule ? rule.action : null, error: null };
+
+        if (!rule) {
+            this._log.debug('No rule matched Reservation %s', reservation.sid);
+            return Promise.resolve(decision);
+        }
+
+        this._log.info('Rule %d matched Reservation %s. Applying action: %s', ruleIndex, reservation.sid, rule.action);
+        return Promise.resolve().then(() => performAction(reservation, rule)).then(() => decision, err => {
+            this._log.error('Failed to %s Reservation %s. Error: %s', rule.action, reservation.sid, err);
+            decision.error = err;
+            return decision;
+        });
+    }
+}
+
+/**
+ * @private
+ * @param {ReservationPolicy.Rule} rule
+ * @param {number} index - The index of the rule, used in the error message
+ */
+function validateRule(rule, index) {
+    if (!_.isPlainObject(rule)) {
+        throw new TypeError(`Failed to initialize ReservationPolicy. The rule at index ${index} must be an object.`);
+    }
+
+    if (POLICY_ACTIONS.indexOf(rule.action) === -1) {
+        throw new TypeError(`Failed to initialize ReservationPolicy. The action of the rule at index ${index} must be one of [${POLICY_ACTIONS.join(', ')}].`);
+    }
+
+    if (!_.isNil(rule.options) && !_.isPlainObject(rule.options)) {
+        throw new TypeError(`Failed to initialize ReservationPolicy. The options of the rule at index ${index} must be an object.`);
+    }
+
+    if (_.isNil(rule.match)) {
+        return;
+    }
+
+    if (!_.isPlainObject(rule.match)) {
+        throw new TypeError(`Failed to initialize ReservationPolicy. The match of the rule at index ${index} must be an object.`);
+    }
+
+    Object.keys(rule.match).forEach(key => {
+        if (!(key in matchTypes)) {
+            throw new TypeError(`Failed to initialize ReservationPolicy. The rule at index ${index} cannot match on ${key}.`);
+        }
+
+        if (!matchTypes[key](rule.match[key])) {
+            throw new TypeError(`Failed to initialize ReservationPolicy. The match key: ${key} of the rule at index ${index} does not meet the required type.`);
+        }
+    });
+}
+
+/**
+ * Whether a {@link Task} meets all the conditions of a rule
+ * @private
+ * @param {ReservationPolicy.Match} [match]
+ * @param {Task} task
+ * @returns {boolean}
+ */
+function matchesTask(match = {}, task) {
+    if (match.attributes && !_.isMatch(task.attributes || {}, match.attributes)) {
+        return false;
+    }
+
+    if (match.taskChannelUniqueName && _.castArray(match.taskChannelUniqueName).indexOf(task.taskChannelUniqueName) === -1) {
+        return false;
+    }
+
+    if (match.queueSid && _.castArray(match.queueSid).indexOf(task.queueSid) === -1) {
+        return false;
+    }
+
+    if (_.isNumber(match.priority)) {
+        return task.priority === match.priority;
+    }
+
+    if (match.priority) {
+        const min = _.isNumber(match.priority.min) ? match.priority.min : -Infinity;
+        const max = _.isNumber(match.priority.max) ? match.priority.max : Infinity;
+        return task.priority >= min && task.priority <= max;
+    }
+
+    return true;
+}
+
+/**
+ * @private
+ * @param {Reservation} reservation
+ * @param {ReservationPolicy.Rule} rule
+ * @returns {Promise<Reservation>}
+ */
+function performAction(reservation, rule) {
+    switch (rule.action) {
+        case 'accept':
+            return reservation.accept();
+        case 'reject':
+            return reservation.reject(rule.options);
+        case 'dequeue':
+            return reservation.dequeue(rule.options);
+        default:
+            return reservation.conference(rule.options);
+    }
+}
@@ -1,24 +1,82 @@
+import _ from 'lodash';
 import Transfer from './Transfer';
+import { TRANSFER_STATUS } from '../../util/Constants';
+
+// the events emitted when the status of an IncomingTransfer changes to a final status
+const STATUS_EVENTS = {
+    [TRANSFER_STATUS.complete]: 'completed',
+    [TRANSFER_STATUS.failed]: 'failed',
+    [TRANSFER_STATUS.canceled]: 'canceled'
+};
+
 /**
  * Construct an {@link IncomingTransfer}.
  * @class
  * @classdesc An {@link IncomingTransfer} represents the transfer of work for the {@link Worker} via another {@link Worker} or queue
  * @param {Worker} worker - The {@link Worker}
  * @param {TransferDescriptor} transferDescriptor - The transfer descriptor which describes this {@link IncomingTransfer}
+ * @param {Object} [taskAttributes={}] - The attributes of the transferred {@link Task}
  * @property {Date} dateCreated - The timestamp when this {@link IncomingTransfer} was created
  * @property {Date} dateUpdated - The timestamp when this {@link IncomingTransfer} was last updated
  * @property {string} mode - Transfer mode ['WARM', 'COLD']
+ * @property {?string} notes - The transfer_notes attribute of the {@link Task}, which the initiating {@link Worker} may
+ *   set with the attributes passed to {@link Task#transfer}
+ * @property {string} queueSid - The sid of the TaskQueue of the initiating {@link Reservation}
  * @property {string} reservationSid - The sid of the initiating {@link Reservation}.
  * @property {string} sid - The sid of this {@link IncomingTransfer}
  * @property {string} status - ['INITIATED', 'FAILED', 'COMPLETE', 'CANCELED']
  * @property {string} to - The sid of the {@link Worker} or TaskQueue this {@link IncomingTransfer} is intended for
+ * @property {string} transferFailedReason - The reason, if applicable, for why the transfer failed
  * @property {string} type - The transfer type ['QUEUE', 'WORKER']
  * @property {string} workerSid - The sid of the initiating {@link Worker}
+ * @property {string} workflowSid - The sid of the Workflow of the initiating {@link Reservation}
+ * @fires IncomingTransfer#canceled
+ * @fires IncomingTransfer#completed
+ * @fires IncomingTransfer#failed
  */
 class IncomingTransfer extends Transfer {
-    constructor(worker, descriptor) {
+    constructor(worker, descriptor, taskAttributes = {}) {
         super(worker, descriptor);
+
+        const notes = _.isObject(taskAttributes) ? taskAttributes.transfer_notes : null;
+        this.notes = _.isString(notes) ? notes : null;
+    }
+
+    /**
+     * Update this using the latest {@link IncomingTransfer} data, and emit the change of its status
+     * @param {Object} latestTransferData - The raw {@link IncomingTransfer} data
+     * @private
+     */
+    _update(latestTransferData) {
+        const previousStatus = this.status;
+        super._update(latestTransferData);
+
+        const eventType = STATUS_EVENTS[this.status];
+        if (eventType && this.status !== previousStatus) {
+            this._log.info(`IncomingTransfer sid=${this.sid} changed status from ${previousStatus} to ${this.status}.`);
+            this.emit(eventType, this);
+        }
+
+        return this;
     }
 }
 
 export default IncomingTransfer;
+
+/**
+ * The {@link IncomingTransfer} was canceled by the initiating {@link Worker}
+ * @event IncomingTransfer#canceled
+ * @param {IncomingTransfer} incomingTransfer - The {@link IncomingTransfer} that was canceled
+ */
+
+/**
+ * The {@link Task} has been transferred to the {@link Worker}
+ * @event IncomingTransfer#completed
+ * @param {IncomingTransfer} incomingTransfer - The {@link IncomingTransfer} that was completed
+ */
+
+/**
+ * The transfer of the {@link Task} failed, e.g. because the {@link Reservation} of the {@link Worker} timed out
+ * @event IncomingTransfer#failed
+ * @param {IncomingTransfer} incomingTransfer - The {@link IncomingTransfer} that has failed
+ */
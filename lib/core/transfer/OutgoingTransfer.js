@@ -2,6 +2,8 @@ import _ from 'lodash';
 import Transfer from './Transfer';
 import { API_V2, TRANSFER_STATUS } from '../../util/Constants';
 import { TASK_TRANSFER_INSTANCE } from '../../util/Routes';
+import { validateOptions } from '../../util/Tools';
+const Errors = require('../../util/Constants').twilioErrors;
 
 /**
  * Construct a {@link OutgoingTransfer}.
@@ -57,18 +59,83 @@ class OutgoingTransfer extends Transfer {
 
     /**
      * Cancel the ongoing {@link OutgoingTransfer}
+     * @param {Request.Options} [requestOptions]
      * @return {Promise<this>} - Rejected if the {@link OutgoingTransfer} state could not be updated to 'canceled'
      */
-    async cancel() {
+    async cancel(requestOptions) {
         const requestURL = this._worker.getRoutes().getRoute(TASK_TRANSFER_INSTANCE, this.sid).path;
         const requestParams = {
             TaskSid: this.taskSid,
             TransferStatus: TRANSFER_STATUS.canceled,
         };
 
-        const canceledTransferResponse = await this._request.post(requestURL, requestParams, API_V2);
+        const canceledTransferResponse = await this._request.post(requestURL, requestParams, API_V2, requestOptions);
         return this._update(canceledTransferResponse);
     }
+
+    /**
+     * Wait for the outcome of this {@link OutgoingTransfer}, instead of listening for its events
+     * @param {OutgoingTransfer.ResultOptions} [options]
+     * @return {Promise<this>} - Resolved once the transfer completes. Rejected with TRANSFER_FAILED or
+     *   TRANSFER_CANCELED, whose transferFailedReason and transfer properties hold the reason and this
+     *   {@link OutgoingTransfer}, or with TRANSFER_TIMEOUT if the timeout elapses first.
+     *//**
+     * @typedef {Object} OutgoingTransfer.ResultOptions
+     * @property {number} [timeout] - The number of milliseconds to wait for the outcome; no limit by default
+     * @property {function(OutgoingTransfer)} [onAttemptFailed] - Called on each failed attempt, with the
+     *   transferFailedReason of the attempt set, while the transfer goes on
+     */
+    result(options = {}) {
+        validateOptions(options, {
+            timeout: (val) => _.isInteger(val) && val > 0,
+            onAttemptFailed: (val) => _.isFunction(val)
+        });
+
+        if (this.status === TRANSFER_STATUS.complete) {
+            return Promise.resolve(this);
+        }
+
+        if (this.status === TRANSFER_STATUS.failed || this.status === TRANSFER_STATUS.canceled) {
+            return Promise.reject(this._outcomeError());
+        }
+
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            const listeners = {};
+            const settle = (outcome) => {
+                clearTimeout(timer);
+                _.forEach(listeners, (listener, eventName) => this.removeListener(eventName, listener));
+                outcome();
+            };
+
+            Object.assign(listeners, {
+                attemptFailed: () => options.onAttemptFailed && options.onAttemptFailed(this),
+                completed: () => settle(() => resolve(this)),
+                failed: () => settle(() => reject(this._outcomeError())),
+                canceled: () => settle(() => reject(this._outcomeError()))
+            });
+            _.forEach(listeners, (listener, eventName) => this.on(eventName, listener));
+            if (options.timeout) {
+                timer = setTimeout(() => settle(() => {
+                    reject(Errors.TRANSFER_TIMEOUT.clone(`Transfer ${this.sid} of Task ${this.taskSid} did not finish within ${options.timeout}ms.`));
+                }), options.timeout);
+            }
+        });
+    }
+
+    /**
+     * The error of a failed or canceled {@link OutgoingTransfer}
+     * @private
+     * @return {TwilioError}
+     */
+    _outcomeError() {
+        const error = this.status === TRANSFER_STATUS.canceled ?
+            Errors.TRANSFER_CANCELED.clone(`Transfer ${this.sid} of Task ${this.taskSid} was canceled.`) :
+            Errors.TRANSFER_FAILED.clone(`Transfer ${this.sid} of Task ${this.taskSid} failed. Reason: ${this.transferFailedReason}`);
+        error.transferFailedReason = this.transferFailedReason || null;
+        error.transfer = this;
+        return error;
+    }
 }
 
 export default OutgoingTransfer;
@@ -0,0 +1,197 @@
+import _ from 'lodash';
+import path from 'path';
+import { API_V1, DEFAULT_PAGE_SIZE } from '../../util/Constants';
+import Expression from '../Expression';
+import Paginator from '../../util/Paginator';
+import { fetchStatistics } from '../../Statistics';
+import { TASKQUEUE_LIST, WORKER_LIST } from '../../util/Routes';
+import { validateOptions } from '../../util/Tools';
+
+const TARGET_TYPES = ['WORKER', 'QUEUE'];
+
+// the number of TaskQueue statistics requests sent at a time
+const STATISTICS_BATCH_SIZE = 5;
+
+/**
+ * Construct a {@link TransferTarget}
+ * @class
+ * @classdesc A {@link Worker} or TaskQueue found in the {@link TransferDirectory}, which may be passed to
+ *   {@link Task#transfer} as is
+ * @param {Object} fields
+ * @property {string} type - The type of the target ['WORKER', 'QUEUE']
+ * @property {string} sid - The sid of the {@link Worker} or TaskQueue
+ * @property {string} name - The friendly name of the {@link Worker} or TaskQueue
+ * @property {?boolean} available - Whether the {@link Worker} is available, or whether the TaskQueue has an available
+ *   {@link Worker}; null if the availability of the TaskQueue could not be fetched
+ * @property {string} [activityName] - The name of the {@link Activity} of the {@link Worker}
+ * @property {Object} [attributes] - The attributes of the {@link Worker}
+ * @property {?number} [availableWorkers] - The number of available {@link Worker}s of the TaskQueue
+ * @property {string} [targetWorkers] - The expression matching the {@link Worker}s of the TaskQueue
+ */
+export class TransferTarget {
+    constructor(fields) {
+        if (!_.isObject(fields) || TARGET_TYPES.indexOf(fields.type) === -1 || !_.isString(fields.sid)) {
+            throw new TypeError('Failed to create a TransferTarget. <Object>fields with a type and a sid is a required parameter.');
+        }
+
+        Object.assign(this, fields);
+    }
+}
+
+/**
+ * Construct a {@link TransferDirectory}
+ * @class
+ * @classdesc Search the {@link Worker}s and TaskQueues which the token of a {@link Worker} may see, to pick the
+ *   target of a transfer
+ * @param {Worker} worker - The {@link Worker} searching the directory
+ * @param {Request} request - The {@link Request}
+ *//**
+ * @typedef {Object} TransferDirectory.SearchOptions
+ * @property {string} [type] - Only the targets of this type ['WORKER', 'QUEUE']; both by default
+ * @property {string} [friendlyName] - Only the targets whose friendly name contains this text, ignoring case
+ * @property {string} [activitySid] - Only the {@link Worker}s in this {@link Activity}
+ * @property {string} [activityName] - Only the {@link Worker}s in the {@link Activity} with this name
+ * @property {boolean} [available] - Only the available, or unavailable, {@link Worker}s
+ * @property {string} [targetWorkersExpression] - Only the {@link Worker}s matching this expression, e.g.
+ *   "skills HAS 'billing'". It is parsed before any request is sent, see {@link Expression}.
+ *   <br/>activitySid, activityName, available and targetWorkersExpression only filter the {@link Worker}s.
+ */
+export default class TransferDirectory {
+    constructor(worker, request) {
+        this._worker = worker;
+        this._request = request;
+        this._log = worker.getLogger('TransferDirectory');
+    }
+
+    /**
+     * Search the {@link Worker}s and TaskQueues to transfer a {@link Task} to. The {@link Worker} searching is left
+     * out. The availability of every TaskQueue found is fetched from its real-time statistics, a few TaskQueues at a
+     * time, once the TaskQueues have been narrowed down by friendlyName.
+     * @param {TransferDirectory.SearchOptions} [options]
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Array<TransferTarget>>} - The {@link Worker}s, then the TaskQueues, by name
+     */
+    search(options = {}, requestOptions) {
+        validateOptions(options, {
+            type: (val) => TARGET_TYPES.indexOf(val) !== -1,
+            friendlyName: (val) => _.isString(val),
+            activitySid: (val) => _.isString(val),
+            activityName: (val) => _.isString(val),
+            available: (val) => _.isBoolean(val),
+            targetWorkersExpression: (val) => _.isString(val)
+        });
+
+        if (options.targetWorkersExpression) {
+            // throws INVALID_EXPRESSION, rather than a request failing on it
+            new Expression(options.targetWorkersExpression); // eslint-disable-line no-new
+        }
+
+        const searches = [
+            !options.type || options.type === 'WORKER' ? this._searchWorkers(options, requestOptions) : Promise.resolve([]),
+            !options.type || options.type === 'QUEUE' ? this._searchQueues(options, requestOptions) : Promise.resolve([])
+        ];
+
+        return Promise.all(searches).then(([workers, queues]) => {
+            return _.sortBy(workers, 'name').concat(_.sortBy(queues, 'name'));
+        });
+    }
+
+    /**
+     * @private
+     * @param {TransferDirectory.SearchOptions} options
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Array<TransferTarget>>}
+     */
+    _searchWorkers(options, requestOptions) {
+        const requestParams = _.transform({
+            ActivitySid: options.activitySid,
+            ActivityName: options.activityName,
+            Available: options.available,
+            TargetWorkersExpression: options.targetWorkersExpression
+        }, (params, value, param) => {
+            if (!_.isNil(value)) {
+                params[param] = value;
+            }
+        }, {});
+
+        return this._fetchAll(WORKER_LIST, requestParams, requestOptions).then(payloads => payloads
+            .filter(payload => payload.sid !== this._worker.sid && matchesName(payload, options.friendlyName))
+            .map(payload => new TransferTarget({
+                type: 'WORKER',
+                sid: payload.sid,
+                name: payload.friendly_name,
+                available: payload.available,
+                activityName: payload.activity_name,
+                attributes: JSON.parse(payload.attributes)
+            })));
+    }
+
+    /**
+     * @private
+     * @param {TransferDirectory.SearchOptions} options
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Array<TransferTarget>>}
+     */
+    _searchQueues(options, requestOptions) {
+        const listPath = this._worker.getRoutes().getRoute(TASKQUEUE_LIST).path;
+
+        const toTarget = payload => {
+            const statistics = fetchStatistics(this._request, path.join(listPath, payload.sid), { cumulative: false }, requestOptions);
+            return statistics.then(stats => stats.realTime.totalAvailableWorkers, err => {
+                this._log.warn('Unable to fetch the availability of TaskQueue %s. Error: %s', payload.sid, err);
+                return null;
+            }).then(availableWorkers => new TransferTarget({
+                type: 'QUEUE',
+                sid: payload.sid,
+                name: payload.friendly_name,
+                available: _.isNumber(availableWorkers) ? availableWorkers > 0 : null,
+                availableWorkers: _.isNumber(availableWorkers) ? availableWorkers : null,
+                targetWorkers: payload.target_workers
+            }));
+        };
+
+        // the statistics are only fetched for the matching TaskQueues, a batch at a time
+        return this._fetchAll(TASKQUEUE_LIST, {}, requestOptions).then(payloads => {
+            const batches = _.chunk(payloads.filter(payload => matchesName(payload, options.friendlyName)), STATISTICS_BATCH_SIZE);
+            return batches.reduce((previous, batch) => previous.then(targets => {
+                return Promise.all(batch.map(toTarget)).then(batchTargets => targets.concat(batchTargets));
+            }), Promise.resolve([]));
+        });
+    }
+
+    /**
+     * Fetch the payloads of every page of a list
+     * @private
+     * @param {string} route - The route of the list
+     * @param {Object} filterParams
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Array<Object>>}
+     */
+    _fetchAll(route, filterParams, requestOptions) {
+        const requestURL = this._worker.getRoutes().getRoute(route).path;
+
+        const getPage = afterSid => {
+            const requestParam = Object.assign({ PageSize: DEFAULT_PAGE_SIZE }, filterParams);
+            if (afterSid) {
+                requestParam.AfterSid = afterSid;
+            }
+
+            return this._request.get(requestURL, API_V1, requestParam, requestOptions).then(response => {
+                return new Paginator(response.contents, getPage, response.after_sid);
+            });
+        };
+
+        return getPage(null).then(paginator => paginator.toArray());
+    }
+}
+
+/**
+ * Whether the friendly name of a {@link Worker} or TaskQueue contains a text, ignoring case
+ * @private
+ * @param {Object} payload - The raw {@link Worker} or TaskQueue
+ * @param {string} [friendlyName] - The text; every name matches if it is not given
+ * @returns {boolean}
+ */
+function matchesName(payload, friendlyName) {
+    return !friendlyName || _.includes(_.toLower(payload.friendly_name), _.toLower(friendlyName));
+}
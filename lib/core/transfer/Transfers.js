@@ -15,6 +15,7 @@ import TransferDescriptor from '../../descriptors/TransferDescriptor';
  * @param {TaskDescriptor} taskDescriptor - The task descriptor which describes the related {@link Task}
  * @property {IncomingTransfer} incoming - The {@link IncomingTransfer} for the {@link Worker} if the related {@link Reservation} was initiated via transfer by another agent
  * @property {OutgoingTransfer} outgoing - The current active (initiated but not yet finished) {@link OutgoingTransfer} initiated by the {@link Worker} to another agent or queue
+ * @property {Array<OutgoingTransfer>} history - The previous {@link OutgoingTransfer}s of the {@link Task}, oldest first, which a later {@link Task#transfer} replaced as outgoing
  */
 class Transfers extends EventEmitter {
     constructor(worker, request, taskDescriptor) {
@@ -26,8 +27,9 @@ class Transfers extends EventEmitter {
         this._log = worker.getLogger(`Transfers-${taskDescriptor.sid}`);
         this._worker = worker;
         this._request = request;
-        this.incoming = taskDescriptor.incomingTransferDescriptor ? new IncomingTransfer(worker, taskDescriptor.incomingTransferDescriptor) : null;
+        this.incoming = taskDescriptor.incomingTransferDescriptor ? new IncomingTransfer(worker, taskDescriptor.incomingTransferDescriptor, taskDescriptor.attributes) : null;
         this.outgoing = taskDescriptor.outgoingTransferDescriptor ? new OutgoingTransfer(worker, request, taskDescriptor.sid, taskDescriptor.outgoingTransferDescriptor) : null;
+        this.history = [];
     }
 
     /**
@@ -48,17 +50,17 @@ class Transfers extends EventEmitter {
         }
 
         const eventName = taskTransferEventTypes[eventType];
-        if (this.outgoing) {
-            // check if the sid of the event matches the sid of the existing outgoing transfer reference
-            if (this.outgoing.sid === rawEventData.sid) {
-                // update the outgoing transfer when an expected event is received
-                if (Object.keys(_.pick(taskTransferEventTypes, ['transfer-attempt-failed', 'transfer-completed', 'transfer-failed', 'transfer-canceled'])).indexOf(eventType) > -1) {
-                    this._updateOutgoing(rawEventData);
-                    this.outgoing._emitEvent(eventName, rawEventData);
-                }
-            } else {
-                this._log.warn('The transfer %s specified by Event: transfer.%s does not match the current active outgoing transfer for Worker %s. Skipping event.', rawEventData.sid, eventName, this._worker.sid);
+        // a previous transfer may still finish after it was replaced as outgoing
+        const transfer = this.outgoing && this.outgoing.sid === rawEventData.sid ?
+            this.outgoing : _.find(this.history, previous => previous.sid === rawEventData.sid);
+        if (transfer) {
+            // update the outgoing transfer when an expected event is received
+            if (Object.keys(_.pick(taskTransferEventTypes, ['transfer-attempt-failed', 'transfer-completed', 'transfer-failed', 'transfer-canceled'])).indexOf(eventType) > -1) {
+                transfer._update(rawEventData);
+                transfer._emitEvent(eventName, rawEventData);
             }
+        } else if (this.outgoing) {
+            this._log.warn('The transfer %s specified by Event: transfer.%s does not match the current active outgoing transfer for Worker %s. Skipping event.', rawEventData.sid, eventName, this._worker.sid);
         } else {
             this._log.warn('An active outgoing transfer does currently exist in Worker %s transfers map for Event: transfer.%s. Skipping event.', this._worker.sid, eventName);
         }
@@ -67,30 +69,36 @@ class Transfers extends EventEmitter {
     /**
      * Update the outgoing transfer object with the latest transfer data
      * @param latestTransferData The latest raw active transfer data.
-     * @param overwrite Boolean value to overwrite the object.
+     * @param overwrite Boolean value to overwrite the object. A different outgoing transfer is kept in the history.
      * @private
      */
     _updateOutgoing(latestTransferData, overwrite = false) {
-        if (!this.outgoing || overwrite) {
-            this.outgoing = new OutgoingTransfer(this._worker, this._request, latestTransferData.task_sid, new TransferDescriptor(latestTransferData));
-        } else {
+        if (this.outgoing && (!overwrite || this.outgoing.sid === latestTransferData.sid)) {
             this.outgoing._update(latestTransferData);
+            return;
         }
+
+        if (this.outgoing) {
+            this.history.push(this.outgoing);
+        }
+
+        this.outgoing = new OutgoingTransfer(this._worker, this._request, latestTransferData.task_sid, new TransferDescriptor(latestTransferData));
     }
 
     /**
      * Update Transfers using the latest transfers data
      * @param latestTransfersData The latest transfers data
+     * @param taskAttributes The latest attributes of the {@link Task}, for a new incoming transfer
      * @private
      */
-    _update(latestTransfersData) {
+    _update(latestTransfersData, taskAttributes = {}) {
         if (latestTransfersData.incoming) {
             if (this.incoming) {
                 this.incoming._update(latestTransfersData.incoming);
             } else {
                 // create the incoming transfer
                 const incomingTransferDescriptor = new TransferDescriptor(latestTransfersData.incoming);
-                this.incoming = new IncomingTransfer(this._worker, this._request, latestTransfersData.incoming.task_sid, incomingTransferDescriptor);
+                this.incoming = new IncomingTransfer(this._worker, incomingTransferDescriptor, taskAttributes);
             }
         }
 
@@ -44,26 +44,11 @@ export default class ActivitiesEntity {
      * @returns {Promise.<Void>}
      */
     fetchActivities() {
-        const firstPageResponse = this._getPage();
-        return this._getAllActivities(firstPageResponse);
-    }
-
-    // recursively fetches the list of Activities
-    _getAllActivities(page) {
-        return page.then(paginator => {
-            paginator.items.forEach(item => {
-                this._insertActivity(item);
-            });
-
-            if (!paginator.hasNextPage) {
-                return Promise.resolve();
-            }
-
-            return this._getAllActivities(paginator.nextPage());
+        return this._getPage().then(paginator => paginator.toArray()).then(descriptors => {
+            descriptors.forEach(descriptor => this._insertActivity(descriptor));
         });
     }
 
-
     // Helper method to make a request to TaskRouter to fetch a particular page of {@link Activity} objects
     _getPage(args) {
         args = args || {};
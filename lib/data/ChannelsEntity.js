@@ -45,25 +45,12 @@ export default class ChannelsEntity {
      * @returns {Promise.<Void>}
      */
     fetchChannels() {
-        const firstPageResponse = this._getPage();
-        return this._getAllChannels(firstPageResponse);
-    }
-
-    _getAllChannels(page) {
-        return page.then(paginator => {
-            paginator.items.forEach(item => {
-                this._insertChannel(item);
-            });
-
-            if (!paginator.hasNextPage) {
-                return Promise.resolve();
-            }
-
-            return this._getAllChannels(paginator.nextPage());
+        return this._fetchChannelPayloads().then(payloads => {
+            payloads.map(x => new ChannelDescriptor(x)).forEach(descriptor => this._insertChannel(descriptor));
         });
     }
 
-    // Helper method to make a request to TaskRouter to fetch a particular page of {@link Channel} objects
+    // Helper method to make a request to TaskRouter to fetch a particular page of raw {@link Channel} data
     _getPage(args) {
         args = args || {};
 
@@ -78,13 +65,31 @@ export default class ChannelsEntity {
 
         return this._request.get(requestURL, API_V1, requestParam).then(response => {
             return new Paginator(
-                response.contents.map(x => new ChannelDescriptor(x)),
+                response.contents,
                 nextToken => this._getPage({ AfterSid: nextToken }),
                 response.after_sid
             );
         });
     }
 
+    /**
+     * Retrieve the raw data of all the {@link Channel}s for the {@link Worker}, without modifying the local map
+     * @returns {Promise.<Array<Object>>} - Resolved once every page has been loaded
+     * @private
+     */
+    _fetchChannelPayloads() {
+        return this._getPage().then(paginator => paginator.toArray());
+    }
+
+    /**
+     * Insert a Channel into the channels map from its raw data
+     * @param {Object} rawChannelData - The raw channel data
+     * @private
+     */
+    insert(rawChannelData) {
+        this._insertChannel(new ChannelDescriptor(rawChannelData));
+    }
+
     // create a Channel object and inserts it into the mapping
     _insertChannel(channelDescriptor) {
         const sid = channelDescriptor.sid;
@@ -5,7 +5,7 @@ import Paginator from '../util/Paginator';
 import Reservation from '../Reservation';
 import ReservationDescriptor from '../descriptors/ReservationDescriptor';
 import Worker from '../Worker';
-import { RESERVATION_LIST } from '../util/Routes';
+import { RESERVATION_INSTANCE, RESERVATION_LIST } from '../util/Routes';
 
 /**
  * Construct a data collection of {@link Reservation} objects
@@ -55,28 +55,47 @@ export default class ReservationsEntity extends EventEmitter {
      * @returns {Promise.<Void>}
      */
     fetchReservations() {
-        const firstPageResponse = this._getPage();
-        // clear the reservation map before refreshing it with the latest results.
-        this._reservations.clear();
-        return this._getAllReservations(firstPageResponse);
+        return this._fetchActiveReservationPayloads().then(payloads => {
+            const descriptors = payloads.map(x => new ReservationDescriptor(x, this._worker));
+
+            // clear the reservation map before refreshing it with the latest results.
+            this._reservations.forEach(([reservation]) => reservation._clearExpiringSoonTimer());
+            this._reservations.clear();
+            descriptors.forEach(descriptor => this._insertReservation(descriptor));
+        });
     }
 
-    // recursively fetches the list of Reservations
-    _getAllReservations(page) {
-        return page.then(paginator => {
-            paginator.items.forEach(item => {
-                this._insertReservation(item);
-            });
+    /**
+     * Retrieve the Reservations of a Worker in any status, without adding them to the reservations map
+     * @param {Object} filterParams - The params filtering the Reservations, e.g. ReservationStatus
+     * @param {number} pageSize - The number of Reservations in a page
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Paginator>} - A {@link Paginator} over the {@link Reservation}s
+     */
+    fetchReservationHistory(filterParams, pageSize, requestOptions) {
+        const requestURL = this._worker.getRoutes().getRoute(RESERVATION_LIST).path;
 
-            if (!paginator.hasNextPage) {
-                return;
+        const getPage = afterSid => {
+            const requestParam = Object.assign({ PageSize: pageSize }, filterParams);
+            if (afterSid) {
+                requestParam.AfterSid = afterSid;
             }
 
-            this._getAllReservations(paginator.nextPage());
-        });
+            return this._request.get(requestURL, API_V2, requestParam, requestOptions).then(response => {
+                const reservations = response.contents.map(payload => {
+                    const reservation = new Reservation(this._worker, this._request, new ReservationDescriptor(payload, this._worker));
+                    // a Reservation of the history is not kept up to date, so it does not announce its expiry
+                    reservation._clearExpiringSoonTimer();
+                    return reservation;
+                });
+                return new Paginator(reservations, getPage, response.after_sid);
+            });
+        };
+
+        return getPage(null);
     }
 
-    // Helper method to make a request to TaskRouter to fetch a particular page of {@link Reservation} objects
+    // Helper method to make a request to TaskRouter to fetch a particular page of raw {@link Reservation} data
     _getPage(args) {
         args = args || {};
 
@@ -94,13 +113,33 @@ export default class ReservationsEntity extends EventEmitter {
 
         return this._request.get(requestURL, API_V2, requestParam).then(response => {
             return new Paginator(
-                response.contents.map(x => new ReservationDescriptor(x, this._worker)),
+                response.contents,
                 nextToken => this._getPage({ AfterSid: nextToken }),
                 response.after_sid
             );
         });
     }
 
+    /**
+     * Retrieve the raw data of all the active Reservations of a Worker, without modifying the local map
+     * @returns {Promise.<Array<Object>>} - Resolved once every page has been loaded
+     * @private
+     */
+    _fetchActiveReservationPayloads() {
+        return this._getPage().then(paginator => paginator.toArray());
+    }
+
+    /**
+     * Retrieve the raw data of a single Reservation of a Worker, without modifying the local map
+     * @param {string} sid - The sid of the Reservation
+     * @returns {Promise.<Object>}
+     * @private
+     */
+    _fetchReservationPayload(sid) {
+        const requestURL = this._worker.getRoutes().getRoute(RESERVATION_INSTANCE, sid).path;
+        return this._request.get(requestURL, API_V2);
+    }
+
     // Helper method to insert reservations into local map (client init use only)
     _insertReservation(reservationDescriptor) {
         const sid = reservationDescriptor.sid;
@@ -108,6 +147,7 @@ export default class ReservationsEntity extends EventEmitter {
 
         if (this._reservations.has(sid)) {
             this._log.debug('Reservation %s already exists for Worker %s. Attempting to overwrite it.', sid, this._worker.sid);
+            this._reservations.get(sid)[0]._clearExpiringSoonTimer();
         }
 
         try {
@@ -189,6 +229,7 @@ export default class ReservationsEntity extends EventEmitter {
      */
     _cleanUpReservationAndTask(reservation) {
         this._log.debug('Soft deleting Reservation sid=%s for Worker %s', reservation.sid, this._worker.sid);
+        reservation._clearExpiringSoonTimer();
         this._reservations.set(reservation.sid, [reservation, true]);
 
         setTimeout(() => {
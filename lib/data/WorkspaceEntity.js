@@ -1,37 +1,84 @@
 import _ from 'lodash';
-import { API_V1, DEFAULT_PAGE_SIZE } from '../util/Constants';
+import {
+    API_V1,
+    DEFAULT_PAGE_SIZE,
+    ACTIVITY_LIST_FILTERS,
+    TASKQUEUE_LIST_FILTERS,
+    WORKER_LIST_FILTERS,
+    WORKFLOW_LIST_FILTERS
+} from '../util/Constants';
+import ActivityContainer from '../ActivityContainer';
+import ActivityDescriptor from '../descriptors/ActivityDescriptor';
 import WorkerDescriptor from '../descriptors/WorkerDescriptor';
 import TaskQueueDescriptor from '../descriptors/TaskQueueDescriptor';
+import WorkflowDescriptor from '../descriptors/WorkflowDescriptor';
 import WorkerContainer from '../WorkerContainer';
 import TaskQueue from '../TaskQueue';
-import Worker from '../Worker';
-import { WORKER_LIST, TASKQUEUE_LIST } from '../util/Routes';
-const Paginator = require('../util/Paginator');
+import Workflow from '../Workflow';
+import Workspace from '../Workspace';
+import Paginator from '../util/Paginator';
+import { validateOptions } from '../util/Tools';
+import { ACTIVITIES_LIST, WORKER_LIST, TASKQUEUE_LIST, WORKFLOW_LIST } from '../util/Routes';
 
 /**
  * A data entity which represents a Workspace
  * @class
  * @classdesc A collection representing the {@link Worker}s and {@link TaskQueue}s available to a Workspace.
- * @param {Worker} worker - The {@link Worker}
+ * @param {Workspace} workspace - The {@link Workspace}
  * @param {Request} request - The {@link Request}
  * @param {Options} [options]
- * @property {Map<string, Worker>} Workers - The list of {@link Worker}s available to a {@link Workspace}
+ * @property {Map<string, WorkerContainer>} Workers - The list of {@link Worker}s available to a {@link Workspace}
  * @property {Map<string, TaskQueue>} TaskQueues - The list of {@link TaskQueue}s available to a {@link Workspace}
+ * @property {Map<string, Workflow>} Workflows - The list of {@link Workflow}s of a {@link Workspace}
+ * @property {Map<string, ActivityContainer>} Activities - The list of Activities of a {@link Workspace}
  *//**
  * @typedef {Object} Options
  * @property {number} [pageSize] - The page size to use when querying for data
+ *//**
+ * @typedef {Object} WorkspaceEntity.FetchWorkersOptions
+ * @property {string} [targetWorkersExpression] - Only the {@link Worker}s matching this expression, e.g. "skills HAS 'support'"
+ * @property {string} [activitySid] - Only the {@link Worker}s in this {@link Activity}
+ * @property {boolean} [available] - Only the available, or unavailable, {@link Worker}s
+ * @property {string} [friendlyName] - Only the {@link Worker}s with this friendly name
+ * @property {string} [taskQueueSid] - Only the {@link Worker}s eligible for this {@link TaskQueue}
+ * @property {boolean} [paginate=false] - Resolve with a {@link Paginator} over the matching {@link Worker}s instead
+ *   of loading them all
+ *//**
+ * @typedef {Object} WorkspaceEntity.FetchTaskQueuesOptions
+ * @property {string} [friendlyName] - Only the {@link TaskQueue}s with this friendly name
+ * @property {string} [evaluateWorkerAttributes] - Only the {@link TaskQueue}s targeting a {@link Worker} with these
+ *   attributes, as a JSON string
+ * @property {boolean} [paginate=false] - Resolve with a {@link Paginator} over the matching {@link TaskQueue}s instead
+ *   of loading them all
+ *//**
+ * @typedef {Object} WorkspaceEntity.FetchWorkflowsOptions
+ * @property {string} [friendlyName] - Only the {@link Workflow}s with this friendly name
+ * @property {boolean} [paginate=false] - Resolve with a {@link Paginator} over the matching {@link Workflow}s instead
+ *   of loading them all
+ *//**
+ * @typedef {Object} WorkspaceEntity.FetchActivitiesOptions
+ * @property {string} [friendlyName] - Only the Activities with this friendly name
+ * @property {boolean} [available] - Only the available, or unavailable, Activities
+ * @property {boolean} [paginate=false] - Resolve with a {@link Paginator} over the matching Activities instead of
+ *   loading them all
+ *//**
+ * @typedef {Object} WorkspaceEntity.Change
+ * @property {string} type - ['added', 'updated', 'removed']
+ * @property {WorkerContainer|TaskQueue|ActivityContainer} item - The item which changed
  */
 export default class WorkspaceEntity {
-    constructor(worker, request, options = {}) {
-        if (!(worker instanceof Worker)) {
-            throw new TypeError('Failed to initialize WorkspacesEntity. <Worker>worker is a required parameter.');
+    constructor(workspace, request, options = {}) {
+        if (!(workspace instanceof Workspace)) {
+            throw new TypeError('Failed to initialize WorkspacesEntity. <Workspace>workspace is a required parameter.');
         }
 
         this._Workers = new Map();
         this._TaskQueues = new Map();
-        this._worker = worker;
+        this._Workflows = new Map();
+        this._Activities = new Map();
+        this._workspace = workspace;
         this._request = request;
-        this._log = worker.getLogger(`WorkspaceEntity-${this._worker.workspaceSid}`);
+        this._log = workspace.getLogger('WorkspaceEntity');
         this._pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
 
         if (!_.inRange(this._pageSize, 1, DEFAULT_PAGE_SIZE + 1)) {
@@ -52,106 +99,290 @@ export default class WorkspaceEntity {
         return this._TaskQueues;
     }
 
+    get Workflows() {
+        return this._Workflows;
+    }
+
+    get Activities() {
+        return this._Activities;
+    }
+
     /**
-     * Retrieve all the {@link Worker}s for the {@link Workspace}
-     * @returns {Promise.<Void>}
+     * Retrieve the {@link Worker}s of the {@link Workspace}. Without filters, every {@link Worker} is loaded into
+     * the Workers map, which the returned Promise resolves with.
+     * @param {WorkspaceEntity.FetchWorkersOptions} [options]
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Map<string, WorkerContainer>|Paginator>} - The matching {@link Worker}s by sid, or a
+     *   {@link Paginator} over them when paginate is set
      */
-    fetchWorkers() {
-        return this._getAllWorkers(this._getWorkerPage());
+    fetchWorkers(options = {}, requestOptions) {
+        validateOptions(options, {
+            targetWorkersExpression: (val) => _.isString(val),
+            activitySid: (val) => _.isString(val),
+            available: (val) => _.isBoolean(val),
+            friendlyName: (val) => _.isString(val),
+            taskQueueSid: (val) => _.isString(val),
+            paginate: (val) => _.isBoolean(val)
+        });
+
+        const describe = payload => new WorkerDescriptor(payload, this._workspace._config);
+        const create = descriptor => new WorkerContainer(descriptor, this._workspace);
+        return this._fetchList(WORKER_LIST, WORKER_LIST_FILTERS, describe, create, this._Workers, options, requestOptions);
     }
 
-    fetchTaskQueues() {
-        return this._getAllTaskQueues(this._getTaskQueuePage());
+    /**
+     * Retrieve the {@link TaskQueue}s of the {@link Workspace}. Without filters, every {@link TaskQueue} is loaded
+     * into the TaskQueues map, which the returned Promise resolves with.
+     * @param {WorkspaceEntity.FetchTaskQueuesOptions} [options]
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Map<string, TaskQueue>|Paginator>} - The matching {@link TaskQueue}s by sid, or a
+     *   {@link Paginator} over them when paginate is set
+     */
+    fetchTaskQueues(options = {}, requestOptions) {
+        validateOptions(options, {
+            friendlyName: (val) => _.isString(val),
+            evaluateWorkerAttributes: (val) => _.isString(val),
+            paginate: (val) => _.isBoolean(val)
+        });
+
+        const describe = payload => new TaskQueueDescriptor(payload);
+        const create = descriptor => new TaskQueue(descriptor, this._workspace);
+        return this._fetchList(TASKQUEUE_LIST, TASKQUEUE_LIST_FILTERS, describe, create, this._TaskQueues, options, requestOptions);
     }
 
-    _getAllWorkers(page) {
-        return page.then(paginator => {
-            paginator.items.forEach(worker => this._insertWorker(worker));
+    /**
+     * Retrieve the {@link Workflow}s of the {@link Workspace}. Without filters, every {@link Workflow} is loaded
+     * into the Workflows map, which the returned Promise resolves with.
+     * @param {WorkspaceEntity.FetchWorkflowsOptions} [options]
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Map<string, Workflow>|Paginator>} - The matching {@link Workflow}s by sid, or a
+     *   {@link Paginator} over them when paginate is set
+     */
+    fetchWorkflows(options = {}, requestOptions) {
+        validateOptions(options, {
+            friendlyName: (val) => _.isString(val),
+            paginate: (val) => _.isBoolean(val)
+        });
 
-            if (!paginator.hasNextPage) {
-                return;
-            }
+        const describe = payload => new WorkflowDescriptor(payload);
+        const create = descriptor => new Workflow(descriptor);
+        return this._fetchList(WORKFLOW_LIST, WORKFLOW_LIST_FILTERS, describe, create, this._Workflows, options, requestOptions);
+    }
 
-            this._getAllWorkers(paginator.nextPage());
+    /**
+     * Retrieve the Activities of the {@link Workspace}. Without filters, every Activity is loaded into the
+     * Activities map, which the returned Promise resolves with.
+     * @param {WorkspaceEntity.FetchActivitiesOptions} [options]
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Map<string, ActivityContainer>|Paginator>} - The matching Activities by sid, or a
+     *   {@link Paginator} over them when paginate is set
+     */
+    fetchActivities(options = {}, requestOptions) {
+        validateOptions(options, {
+            friendlyName: (val) => _.isString(val),
+            available: (val) => _.isBoolean(val),
+            paginate: (val) => _.isBoolean(val)
         });
+
+        const describe = payload => new ActivityDescriptor(payload);
+        const create = descriptor => new ActivityContainer(descriptor);
+        return this._fetchList(ACTIVITIES_LIST, ACTIVITY_LIST_FILTERS, describe, create, this._Activities, options, requestOptions);
     }
 
-    // Helper method to make a request to TaskRouter to fetch a particular page of {@link Workspace} objects
-    _getWorkerPage(args) {
-        args = args || {};
+    /**
+     * Insert a {@link Worker} into the Workers map from its payload, or update its {@link WorkerContainer} in place
+     * @param {Object} payload - The payload of the {@link Worker}, e.g. of a worker.activity.update event
+     * @returns {?WorkspaceEntity.Change} - Null if the {@link Worker} was already up to date
+     */
+    updateWorker(payload) {
+        const descriptor = new WorkerDescriptor(payload, this._workspace._config);
+        return applyUpdate(this._Workers, descriptor, () => new WorkerContainer(descriptor, this._workspace));
+    }
 
-        const requestURL = this._worker.getRoutes().getRoute(WORKER_LIST).path;
-        const requestParam = {
-            PageSize: this._pageSize
-        };
+    /**
+     * Remove a {@link Worker} from the Workers map
+     * @param {string} sid - The sid of the {@link Worker}
+     * @returns {?WorkspaceEntity.Change} - Null if the {@link Worker} was not in the map
+     */
+    removeWorker(sid) {
+        return applyRemoval(this._Workers, sid);
+    }
 
-        if (args.AfterSid) {
-            requestParam.AfterSid = args.AfterSid;
-        }
+    /**
+     * Insert a {@link TaskQueue} into the TaskQueues map from its payload, or update it in place
+     * @param {Object} payload - The payload of the {@link TaskQueue}, e.g. of a task-queue.created event
+     * @returns {?WorkspaceEntity.Change} - Null if the {@link TaskQueue} was already up to date
+     */
+    updateTaskQueue(payload) {
+        const descriptor = new TaskQueueDescriptor(payload);
+        return applyUpdate(this._TaskQueues, descriptor, () => new TaskQueue(descriptor, this._workspace));
+    }
 
-        return this._request.get(requestURL, API_V1, requestParam).then(response => {
-            return new Paginator(
-                response.contents.map(x => new WorkerDescriptor(x)),
-                nextToken => this._getPage({ AfterSid: nextToken }),
-                response.after_sid
-            );
-        });
+    /**
+     * Remove a {@link TaskQueue} from the TaskQueues map
+     * @param {string} sid - The sid of the {@link TaskQueue}
+     * @returns {?WorkspaceEntity.Change} - Null if the {@link TaskQueue} was not in the map
+     */
+    removeTaskQueue(sid) {
+        return applyRemoval(this._TaskQueues, sid);
     }
 
-    _insertWorker(descriptor) {
-        const sid = descriptor.sid;
-        this._log.trace('_insertWorker(sid=%s, data=%s)', sid, JSON.stringify(descriptor));
+    /**
+     * Insert an Activity into the Activities map from its payload, or update it in place
+     * @param {Object} payload - The payload of the Activity
+     * @returns {?WorkspaceEntity.Change} - Null if the Activity was already up to date
+     */
+    updateActivity(payload) {
+        const descriptor = new ActivityDescriptor(payload);
+        return applyUpdate(this._Activities, descriptor, () => new ActivityContainer(descriptor));
+    }
 
-        try {
-            this._Workers.set(sid, new WorkerContainer(descriptor));
-        } catch (err) {
-            this._log.error('Unable to create a Worker for sid=%s. Skipping insert into Worker map. Error: %s', sid, err);
-        }
+    /**
+     * Remove an Activity from the Activities map
+     * @param {string} sid - The sid of the Activity
+     * @returns {?WorkspaceEntity.Change} - Null if the Activity was not in the map
+     */
+    removeActivity(sid) {
+        return applyRemoval(this._Activities, sid);
     }
 
-    // task queue
-    _getAllTaskQueues(page) {
-        return page.then(paginator => {
-            paginator.items.forEach(item => this._insertTaskQueue(item));
+    /**
+     * Reload every {@link Worker} and {@link TaskQueue}, and apply the differences to the Workers and TaskQueues maps
+     * @returns {Promise<{workers: Array<WorkspaceEntity.Change>, taskQueues: Array<WorkspaceEntity.Change>}>}
+     */
+    synchronize() {
+        const fetchPayloads = route => this._getPage(route, _.identity, {}, null).then(paginator => paginator.toArray());
 
-            if (!paginator.hasNextPage) {
-                return;
-            }
+        return Promise.all([fetchPayloads(WORKER_LIST), fetchPayloads(TASKQUEUE_LIST)]).then(([workers, taskQueues]) => ({
+            workers: synchronizeMap(this._Workers, workers, payload => this.updateWorker(payload), sid => this.removeWorker(sid)),
+            taskQueues: synchronizeMap(this._TaskQueues, taskQueues, payload => this.updateTaskQueue(payload), sid => this.removeTaskQueue(sid))
+        }));
+    }
 
-            this._getAllTaskQueues(paginator.nextPage());
+    /**
+     * Fetch a list of the {@link Workspace}: into the given map when it is not filtered, into a new map when it is.
+     * As an unfiltered list is complete, the items of the map are updated in place and the items no longer listed
+     * are removed.
+     * @private
+     * @param {string} route - The route of the list
+     * @param {Object} filters - The param name of each filter option of the list
+     * @param {function(Object): Object} describe - Creates the descriptor of an item from its payload
+     * @param {function(Object): Object} create - Creates an item from its descriptor
+     * @param {Map<string, Object>} map - The map loaded with an unfiltered list
+     * @param {Object} options
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Map<string, Object>|Paginator>}
+     */
+    _fetchList(route, filters, describe, create, map, options, requestOptions) {
+        const filterParams = getFilterParams(options, filters);
+        const createItem = payload => create(describe(payload));
+        if (options.paginate) {
+            return this._getPage(route, createItem, filterParams, null, requestOptions);
+        }
+
+        if (!_.isEmpty(filterParams)) {
+            return this._getPage(route, createItem, filterParams, null, requestOptions).then(paginator => paginator.toArray()).then(items => {
+                return new Map(items.map(item => [item.sid, item]));
+            });
+        }
+
+        return this._getPage(route, _.identity, filterParams, null, requestOptions).then(paginator => paginator.toArray()).then(payloads => {
+            const update = payload => {
+                this._log.trace('_fetchList(route=%s, sid=%s)', route, payload.sid);
+                const descriptor = describe(payload);
+                return applyUpdate(map, descriptor, () => create(descriptor));
+            };
+            synchronizeMap(map, payloads, update, sid => applyRemoval(map, sid));
+            return map;
         });
     }
 
-    // Helper method to make a request to TaskRouter to fetch a particular page of {@link Workspace} objects
-    _getTaskQueuePage(args) {
-        args = args || {};
+    // Helper method to make a request to TaskRouter to fetch a particular page of a list
+    _getPage(route, createItem, filterParams, afterSid, requestOptions) {
+        const requestURL = this._workspace.getRoutes().getRoute(route).path;
+        const requestParam = Object.assign({ PageSize: this._pageSize }, filterParams);
 
-        const requestURL = this._worker.getRoute(TASKQUEUE_LIST).path;
-        const requestParam = {
-            PageSize: this._pageSize
-        };
-
-        if (args.AfterSid) {
-            requestParam.AfterSid = args.AfterSid;
+        if (afterSid) {
+            requestParam.AfterSid = afterSid;
         }
 
-        return this._request.get(requestURL, API_V1, requestParam).then(response => {
+        return this._request.get(requestURL, API_V1, requestParam, requestOptions).then(response => {
             return new Paginator(
-                response.contents.map(x => new TaskQueueDescriptor(x)),
-                nextToken => this._getPage({ AfterSid: nextToken }),
+                response.contents.map(createItem),
+                nextToken => this._getPage(route, createItem, filterParams, nextToken, requestOptions),
                 response.after_sid
             );
         });
     }
+}
 
-    _insertTaskQueue(descriptor) {
-        const sid = descriptor.sid;
-        this._log.trace('_insertTaskQueue(sid=%s, data=%s', sid, JSON.stringify(descriptor));
-
-        try {
-            this._TaskQueues.set(sid, new TaskQueue(descriptor));
-        } catch (err) {
-            this._log.error('Unable to create a TaskQueue for sid=%s. Skipping insert into TaskQueue map. Error: %s', sid, err);
+/**
+ * Map the filters set in the options to the params of a list request
+ * @private
+ * @param {Object} options
+ * @param {Object} filters - The param name of each filter option
+ * @returns {Object}
+ */
+function getFilterParams(options, filters) {
+    return _.transform(filters, (params, param, option) => {
+        if (!_.isNil(options[option])) {
+            params[param] = options[option];
         }
+    }, {});
+}
+
+/**
+ * Insert an item into the map, or update it in place so that references to it stay current
+ * @private
+ * @param {Map<string, Object>} map
+ * @param {Object} descriptor - The descriptor of the item
+ * @param {function(): Object} create - Creates the item from the descriptor
+ * @returns {?WorkspaceEntity.Change} - Null if the item was already up to date
+ */
+function applyUpdate(map, descriptor, create) {
+    const existing = map.get(descriptor.sid);
+    if (!existing) {
+        const item = create();
+        map.set(descriptor.sid, item);
+        return { type: 'added', item };
+    }
+
+    const fields = _.toPlainObject(descriptor);
+    if (_.isEqual(_.pick(existing, _.keys(fields)), fields)) {
+        return null;
+    }
+
+    Object.assign(existing, descriptor);
+    return { type: 'updated', item: existing };
+}
+
+/**
+ * @private
+ * @param {Map<string, Object>} map
+ * @param {string} sid
+ * @returns {?WorkspaceEntity.Change} - Null if the item was not in the map
+ */
+function applyRemoval(map, sid) {
+    const existing = map.get(sid);
+    if (!existing) {
+        return null;
     }
+
+    map.delete(sid);
+    return { type: 'removed', item: existing };
+}
+
+/**
+ * Apply a complete list of payloads to the map: update the items listed and remove the others
+ * @private
+ * @param {Map<string, Object>} map
+ * @param {Array<Object>} payloads
+ * @param {function(Object): ?WorkspaceEntity.Change} update
+ * @param {function(string): ?WorkspaceEntity.Change} remove
+ * @returns {Array<WorkspaceEntity.Change>}
+ */
+function synchronizeMap(map, payloads, update, remove) {
+    const listed = new Set(payloads.map(payload => payload.sid));
+    const removals = Array.from(map.keys()).filter(sid => !listed.has(sid)).map(remove);
+    return payloads.map(update).concat(removals).filter(change => change);
 }
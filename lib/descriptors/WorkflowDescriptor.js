@@ -0,0 +1,63 @@
+import _ from 'lodash';
+import { parseTime } from '../util/Tools';
+import { WorkflowProperties } from '../Workflow';
+
+/**
+ * Construct a {@link WorkflowDescriptor} for the given {@link Workflow} data representation
+ * @class
+ * @classdesc A data descriptor of a {@link Workflow}
+ * @param {Object} descriptor - The data representing a {@link Workflow}
+ * @property {string} sid - The Sid of the {@link Workflow}
+ * @property {string} accountSid - The Sid of the owning Account of the {@link Workflow}
+ * @property {string} workspaceSid - The Sid of the Workspace the {@link Workflow} belongs to
+ * @property {string} name - The friendly name of the {@link Workflow}
+ * @property {string} assignmentCallbackUrl - The URL called when a {@link Task} is reserved
+ * @property {string} fallbackAssignmentCallbackUrl - The URL called when the assignmentCallbackUrl fails
+ * @property {int} taskReservationTimeout - The number of seconds a {@link Worker} has to accept a {@link Reservation}
+ * @property {Object} configuration - The parsed routing configuration of the {@link Workflow}
+ * @property {Array<Workflow.Filter>} filters - The filters of the routing configuration, in order
+ * @property {?Workflow.Target} defaultFilter - The target of the {@link Task}s matching no filter
+ * @property {Date} dateCreated - The date when the {@link Workflow} was created
+ * @property {Date} dateUpdated - The date when the {@link Workflow} was last updated
+ */
+export default class WorkflowDescriptor {
+    constructor(descriptor) {
+        if (!_.isObject(descriptor)) {
+            throw new TypeError('Failed to instantiate WorkflowDescriptor. <Descriptor>descriptor is required.');
+        }
+
+        if (!WorkflowProperties.every(p => p in descriptor)) {
+            throw new TypeError('Failed to instantiate WorkflowDescriptor. <Descriptor>descriptor does not contain all properties of a Workflow.');
+        }
+
+        const configuration = JSON.parse(descriptor.configuration);
+        const taskRouting = configuration.task_routing || {};
+
+        this.sid = descriptor.sid;
+        this.accountSid = descriptor.account_sid;
+        this.workspaceSid = descriptor.workspace_sid;
+        this.name = descriptor.friendly_name;
+        this.assignmentCallbackUrl = descriptor.assignment_callback_url;
+        this.fallbackAssignmentCallbackUrl = descriptor.fallback_assignment_callback_url;
+        this.taskReservationTimeout = descriptor.task_reservation_timeout;
+        this.configuration = configuration;
+        this.filters = (taskRouting.filters || []).map(filter => ({
+            name: filter.filter_friendly_name,
+            expression: filter.expression,
+            targets: (filter.targets || []).map(parseTarget)
+        }));
+        this.defaultFilter = taskRouting.default_filter ? parseTarget(taskRouting.default_filter) : null;
+        this.dateCreated = parseTime(descriptor.date_created * 1000);
+        this.dateUpdated = parseTime(descriptor.date_updated * 1000);
+    }
+}
+
+/**
+ * Camel case the keys of a target of the routing configuration
+ * @private
+ * @param {Object} target - A target, e.g. { queue: 'WQxxx', order_by: 'task.priority DESC' }
+ * @returns {Workflow.Target}
+ */
+function parseTarget(target) {
+    return _.mapKeys(target, (value, key) => _.camelCase(key));
+}
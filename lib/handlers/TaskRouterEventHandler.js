@@ -117,14 +117,25 @@ export default class TaskRouterEventHandler {
     _reservationCreatedHandler(eventData) {
         this._log.info('Worker %s received Event: reservation.created.', this._worker.sid);
         if (eventData.sid) {
+            let reservation;
             try {
                 this._log.info('Attempting to create and insert Reservation into Worker %s reservations map.', this._worker.sid);
-                const reservation = this._worker._dataServices.reservationsEntity.insert(eventData);
+                reservation = this._worker._dataServices.reservationsEntity.insert(eventData);
                 this._worker.emit('reservationCreated', reservation);
             } catch (err) {
                 this._log.info('Failed to create and insert Reservation into Worker %s reservations map.', this._worker.sid);
                 throw new Error(`Failed to create a Reservation for Worker ${this._worker.sid} on Event: reservationCreated. Error: ${err}`);
             }
+
+            // the Reservation is created by now, so a rule or a listener of the decision which throws is only logged
+            if (this._worker._reservationPolicy) {
+                Promise.resolve().then(() => this._worker._reservationPolicy.apply(reservation)).then(decision => {
+                    this._worker.emit('reservationPolicyDecision', decision);
+                }).catch(err => {
+                    this._log.error('Failed to apply the Reservation policy of Worker %s to Reservation %s. Error: %s',
+                                    this._worker.sid, reservation.sid, err);
+                });
+            }
         } else {
             this._log.error('Event: reservationCreated did not contain a Reservation sid. '
                             + 'Unable to create a Reservation for Worker %s.', this._worker.sid);
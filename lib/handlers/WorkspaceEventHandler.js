@@ -0,0 +1,65 @@
+/**
+ * Apply the events of a Workspace to the Workers and TaskQueues of a {@link Workspace}, and emit the changes
+ * @class
+ * @param {Workspace} workspace - The {@link Workspace}
+ */
+export default class WorkspaceEventHandler {
+
+    constructor(workspace) {
+        this._workspace = workspace;
+        this._log = workspace.getLogger('WorkspaceEventHandler');
+    }
+
+    getTREventsToHandlerMapping() {
+        return {
+            // events for a worker, whose payload is the worker
+            'worker.created': '_workerUpdateHandler',
+            'worker.activity.update': '_workerUpdateHandler',
+            'worker.attributes.update': '_workerUpdateHandler',
+            'worker.deleted': '_workerDeletedHandler',
+            // events for a task queue, whose payload is the task queue
+            'task-queue.created': '_taskQueueUpdateHandler',
+            'task-queue.expression.updated': '_taskQueueUpdateHandler',
+            'task-queue.deleted': '_taskQueueDeletedHandler'
+        };
+    }
+
+    _workerUpdateHandler(eventData, eventType) {
+        this._log.info('Workspace %s received Event: %s for Worker %s.', this._workspace.workspaceSid, eventType, eventData.sid);
+        this._apply(() => this._workspace.workspaceEntity.updateWorker(eventData), 'worker', eventType);
+    }
+
+    _workerDeletedHandler(eventData, eventType) {
+        this._log.info('Workspace %s received Event: %s for Worker %s.', this._workspace.workspaceSid, eventType, eventData.sid);
+        this._apply(() => this._workspace.workspaceEntity.removeWorker(eventData.sid), 'worker', eventType);
+    }
+
+    _taskQueueUpdateHandler(eventData, eventType) {
+        this._log.info('Workspace %s received Event: %s for TaskQueue %s.', this._workspace.workspaceSid, eventType, eventData.sid);
+        this._apply(() => this._workspace.workspaceEntity.updateTaskQueue(eventData), 'taskQueue', eventType);
+    }
+
+    _taskQueueDeletedHandler(eventData, eventType) {
+        this._log.info('Workspace %s received Event: %s for TaskQueue %s.', this._workspace.workspaceSid, eventType, eventData.sid);
+        this._apply(() => this._workspace.workspaceEntity.removeTaskQueue(eventData.sid), 'taskQueue', eventType);
+    }
+
+    /**
+     * Apply a change to the maps of the {@link Workspace} and emit it, e.g. as workerAdded
+     * @private
+     * @param {function(): ?WorkspaceEntity.Change} change - Applies the change
+     * @param {string} kind - ['worker', 'taskQueue']
+     * @param {string} eventType - The type of the event, for logging
+     */
+    _apply(change, kind, eventType) {
+        let applied;
+        try {
+            applied = change();
+        } catch (err) {
+            this._log.error('Unable to apply Event: %s to Workspace %s. Error: %s', eventType, this._workspace.workspaceSid, err);
+            return;
+        }
+
+        this._workspace._emitChange(kind, applied);
+    }
+}
@@ -1,3 +1,8 @@
+export { default as Expression } from './core/Expression';
 export { default as Supervisor } from './Supervisor';
 export { default as Worker } from './Worker';
 export { default as Workspace } from './Workspace';
+export { default as SessionRecorder } from './signaling/SessionRecorder';
+export { default as SessionReplay } from './signaling/SessionReplay';
+export { default as EventBridgeSimulator } from './simulator/EventBridgeSimulator';
+export { default as SimulatedWorkspace } from './simulator/SimulatedWorkspace';
@@ -1,8 +1,11 @@
 import _ from 'lodash';
-import { twilioErrors as Errors, EB_URL_PARAMS } from '../util/Constants';
+import { twilioErrors as Errors, EB_URL_PARAMS, CONNECTION_STATE } from '../util/Constants';
 import { EventEmitter } from 'events';
 import { Heartbeat } from '../util/Heartbeat';
+import { generateBackOffInterval } from '../util/Tools';
+import SessionRecorder from './SessionRecorder';
 import Worker from '../Worker';
+import Workspace from '../Workspace';
 
 const topLevel = global.window || global;
 const WS = topLevel.WebSocket ? topLevel.WebSocket : require('ws');
@@ -15,12 +18,16 @@ const CLIENT_VERSION = packageJson.version;
  * Construct an {@EventBridgeSignaling}.
  * @class
  * @classdesc The signaling layer transmitting requests between TaskRouter and the client
- * @param {Worker} worker - The {@link Worker}
+ * @param {Worker|Workspace} worker - The {@link Worker}, or the {@link Workspace} subscribing to its events
  * @param {EventBridgeSignaling.Options} [options]
  * @property {boolean} closeExistingSessions - A boolean marking whether other open sessions should be terminated
  * @property {Configuration} configuration - The {@link Configuration} to be used
+ * @property {string} connectionState - The state of the websocket connection
+ *   ['connecting', 'connected', 'reconnecting', 'disconnected', 'tokenExpired']
+ * @property {number} numAttempts - The number of the current connection attempt
  * @property {Worker} worker - The {@link Worker}
  * @fires EventBridgeSignaling#connected
+ * @fires EventBridgeSignaling#connectionStateChanged
  * @fires EventBridgeSignaling#disconnected
  * @fires EventBridgeSignaling#error
  * @fires EventBridgeSignaling#reservationAccepted
@@ -46,13 +53,14 @@ const CLIENT_VERSION = packageJson.version;
  * @typedef {Object} EventBridgeSignaling.Options
  * @property {boolean} [closeExistingSessions=false] - A boolean defining whether other open sessions of the
  *   {@link Worker} should be terminated
+ * @property {SessionRecorder} [recorder] - A recorder to record the connection and every message received into
  */
 
 export default class EventBridgeSignaling extends EventEmitter {
     constructor(worker, options = {}) {
         super();
 
-        if (!worker || !(worker instanceof Worker)) {
+        if (!(worker instanceof Worker) && !(worker instanceof Workspace)) {
             throw Errors.INVALID_ARGUMENT.clone('<Worker>worker is a required parameter to construct EventBridgeSignaling.');
         }
 
@@ -62,14 +70,21 @@ export default class EventBridgeSignaling extends EventEmitter {
             throw new TypeError('Invalid type passed for <boolean>closeExistingSessions');
         }
 
+        if (!_.isNil(options.recorder) && !(options.recorder instanceof SessionRecorder)) {
+            throw new TypeError('Invalid type passed for <SessionRecorder>recorder');
+        }
+
         this._heartbeat = null;
         this.webSocket = null;
         this._log = log;
         this._worker = worker;
         this.closeExistingSessions = options.closeExistingSessions || false;
+        this._recorder = options.recorder || null;
         this._config = worker._config;
         this.reconnect = false;
         this.tokenTimer = null;
+        this.numAttempts = 1;
+        this.connectionState = CONNECTION_STATE.connecting;
 
         this.setUpWebSocket();
     }
@@ -90,7 +105,11 @@ export default class EventBridgeSignaling extends EventEmitter {
         //   (for backwards compatibility with previous versions where the client tried to reconnect indefinitely,
         //    so eventually a new websocket connection would have been created with the updated token)
         if (this.webSocket.readyState === this.webSocket.CLOSING || this.webSocket.readyState === this.webSocket.CLOSED) {
+            this.numAttempts = 1;
             this.createWebSocket();
+        } else if (this.connectionState === CONNECTION_STATE.tokenExpired && this.webSocket.readyState === this.webSocket.OPEN) {
+            // the websocket outlived the expiry warning, so the connection is usable again
+            this._setConnectionState(CONNECTION_STATE.connected);
         }
     }
 
@@ -98,6 +117,7 @@ export default class EventBridgeSignaling extends EventEmitter {
         clearTimeout(this.tokenTimer);  // there should only be one token timer at a time. Would be nice to encapsulate this logic in a token class.
         this.tokenTimer = setTimeout(() => {
             this.reconnect = false;
+            this._setConnectionState(CONNECTION_STATE.tokenExpired);
             this.emit('tokenExpired');
         }, this.tokenLifetime - EXPIRATION_BUFFER);
     }
@@ -122,9 +142,13 @@ export default class EventBridgeSignaling extends EventEmitter {
     }
 
     createWebSocket() {
-        this.numAttempts = 1;
         this.reconnect = true;
 
+        // retries scheduled by onclose() stay in the reconnecting state until a connection is opened
+        if (this.connectionState !== CONNECTION_STATE.reconnecting) {
+            this._setConnectionState(CONNECTION_STATE.connecting);
+        }
+
         const queryParam = `?${EB_URL_PARAMS.TOKEN}=${this._config.token}&${EB_URL_PARAMS.CLOSE_EXISTING_SESSIONS}=${this.closeExistingSessions}&${EB_URL_PARAMS.CLIENT_VERSION}=${CLIENT_VERSION}`;
         this.webSocket = new WS(this._config.WS_SERVER + queryParam);
 
@@ -132,6 +156,10 @@ export default class EventBridgeSignaling extends EventEmitter {
             // reset the number of attempts made to 1
             // when a successful connection is opened
             this.numAttempts = 1;
+            if (this._recorder) {
+                this._recorder._recordConnected();
+            }
+            this._setConnectionState(CONNECTION_STATE.connected);
             this.emit('connected');
 
             // upon successful websocket connection, set heartbeat's onsleep() function to disconnect the websocket
@@ -146,25 +174,13 @@ export default class EventBridgeSignaling extends EventEmitter {
 
         this.webSocket.onmessage = response => {
             this._log.debug('Received event', response.data);
+            if (this._recorder) {
+                this._recorder._recordMessage(response.data);
+            }
 
             // a heart beat is received
             this._heartbeat.beat();
-            if (response.data.trim().length === 0) {
-                return;
-            }
-
-            // a message is received
-            let json;
-            try {
-                json = JSON.parse(response.data);
-            } catch (e) {
-                this._log.error('Received data is not valid JSON: ' + response.data);
-                this.emit('error', Errors.INVALID_GATEWAY_MESSAGE);
-                return;
-            }
-
-            this._log.debug('Emitting event: %s with %s', json.event_type, JSON.stringify(json.payload));
-            this.emit(json.event_type, json.payload || null, json.event_type);
+            this._handleMessage(response.data);
         };
 
         this.webSocket.onerror = response => {
@@ -178,6 +194,9 @@ export default class EventBridgeSignaling extends EventEmitter {
             } else {
                 this._log.info('WebSocket connection has closed. Not reconnecting due to token expiration.');
             }
+            if (this._recorder) {
+                this._recorder._recordDisconnected();
+            }
             this.emit('disconnected');
 
             // do not try to disconnect the websocket again if the 60 sec interval is met
@@ -186,20 +205,68 @@ export default class EventBridgeSignaling extends EventEmitter {
             if (this.reconnect) {
                 // try to reconnect using a clear backoff algorithm
                 const time = this.generateBackOffInterval(this.numAttempts);
+                this._setConnectionState(CONNECTION_STATE.reconnecting, { attempt: this.numAttempts, nextRetryDelay: time });
 
                 setTimeout(() => {
                     this.numAttempts++;
                     this.createWebSocket();
                 }, time);
+            } else if (this.connectionState !== CONNECTION_STATE.tokenExpired) {
+                this._setConnectionState(CONNECTION_STATE.disconnected);
             }
         };
     }
 
+    /**
+     * Move to a new connection state and emit connectionStateChanged. Every scheduled reconnect attempt is emitted,
+     * even though the state stays 'reconnecting', so that the attempt count and retry delay are always current.
+     * @private
+     * @param {string} state - The new connection state
+     * @param {Object} [retry] - The reconnect attempt, only given for the 'reconnecting' state
+     * @param {number} [retry.attempt] - The number of the failed connection attempt
+     * @param {number} [retry.nextRetryDelay] - The delay in milliseconds before the next connection attempt
+     */
+    _setConnectionState(state, retry = {}) {
+        const previousState = this.connectionState;
+        if (state === previousState && state !== CONNECTION_STATE.reconnecting) {
+            return;
+        }
+
+        this.connectionState = state;
+        this._log.info('Connection state changed from %s to %s', previousState, state);
+        this.emit('connectionStateChanged', {
+            state,
+            previousState,
+            attempt: _.isNil(retry.attempt) ? null : retry.attempt,
+            nextRetryDelay: _.isNil(retry.nextRetryDelay) ? null : retry.nextRetryDelay
+        });
+    }
+
+    /**
+     * Emit the event of a message received, ignoring heartbeats
+     * @private
+     * @param {string} data - The raw message
+     */
+    _handleMessage(data) {
+        if (data.trim().length === 0) {
+            return;
+        }
+
+        let json;
+        try {
+            json = JSON.parse(data);
+        } catch (e) {
+            this._log.error('Received data is not valid JSON: ' + data);
+            this.emit('error', Errors.INVALID_GATEWAY_MESSAGE);
+            return;
+        }
+
+        this._log.debug('Emitting event: %s with %s', json.event_type, JSON.stringify(json.payload));
+        this.emit(json.event_type, json.payload || null, json.event_type);
+    }
+
     generateBackOffInterval(k) {
-        const min = Math.ceil(800); // Minimum delay
-        const max = Math.floor(Math.min(30, (Math.pow(2, k) - 1)) * 1000); // Backoff interval
-        // Using Full-Jitter strategy
-        return Math.round(Math.floor(Math.random() * (max - min + 1)) + min);
+        return generateBackOffInterval(k);
     }
 
 
@@ -214,6 +281,7 @@ export default class EventBridgeSignaling extends EventEmitter {
             this.webSocket.close();
         }
 
+        this._setConnectionState(CONNECTION_STATE.disconnected);
         this.emit('disconnected');
     }
 }
@@ -223,6 +291,18 @@ export default class EventBridgeSignaling extends EventEmitter {
  * @event EventBridgeSignaling#connected
  */
 
+/**
+ * The websocket connection state changed
+ * @event EventBridgeSignaling#connectionStateChanged
+ * @param {EventBridgeSignaling.ConnectionStateChange} change - The new connection state
+ *//**
+ * @typedef {Object} EventBridgeSignaling.ConnectionStateChange
+ * @property {string} state - The new connection state
+ * @property {string} previousState - The connection state before the change
+ * @property {?number} attempt - The number of the failed connection attempt, when reconnecting
+ * @property {?number} nextRetryDelay - The delay in milliseconds before the next connection attempt, when reconnecting
+ */
+
 /**
  * The websocket disconnected
  * @event EventBridgeSignaling#disconnected
@@ -0,0 +1,178 @@
+import _ from 'lodash';
+import * as packageJson from '../../package.json';
+
+const JOURNAL_VERSION = 1;
+const REDACTED = '[REDACTED]';
+// a JSON Web Token, wherever it appears in a string
+const JWT_PATTERN = /eyJ[\w-]*\.[\w-]+\.[\w-]*/g;
+
+/**
+ * Construct a {@link SessionRecorder}
+ * @class
+ * @classdesc Record the websocket messages received and the requests sent by a {@link Worker} into a journal,
+ *   which a {@link SessionReplay} can feed back into a {@link Worker}. Pass it as the recorder option of the
+ *   {@link Worker}. Tokens are redacted from the journal: string values under a key containing 'token', and
+ *   anything which looks like a JSON Web Token.
+ *//**
+ * @typedef {Object} SessionRecorder.Journal
+ * @property {number} version - The version of the journal format
+ * @property {string} clientVersion - The version of the SDK which recorded the journal
+ * @property {string} startedAt - When the recording started, as an ISO 8601 string
+ * @property {Array<SessionRecorder.Entry>} entries - The recorded entries, in order
+ *//**
+ * @typedef {Object} SessionRecorder.Entry
+ * @property {number} at - The number of milliseconds since the recording started
+ * @property {string} type - ['connected', 'disconnected', 'message', 'request', 'response', 'error']
+ * @property {string} [data] - The raw websocket message, for a 'message' entry
+ * @property {number} [id] - The id of the request, for 'request', 'response' and 'error' entries
+ * @property {string} [method] - The HTTP method, for a 'request' entry
+ * @property {string} [url] - The TaskRouter URL, for a 'request' entry
+ * @property {Object} [params] - The request params, for a 'request' entry
+ * @property {Object} [headers] - The request headers, for a 'request' entry
+ * @property {?number} [status] - The HTTP status, for 'response' and 'error' entries
+ * @property {Object} [payload] - The response payload, for a 'response' entry
+ * @property {Object} [data] - The response body, for an 'error' entry with a response
+ * @property {string} [code] - The error code, for an 'error' entry without a response, e.g. 'ECONNABORTED'
+ * @property {boolean} [aborted] - Whether the request was aborted, for an 'error' entry
+ */
+export default class SessionRecorder {
+    constructor() {
+        this._startedAt = Date.now();
+        this._entries = [];
+        this._requestCount = 0;
+    }
+
+    /**
+     * The recorded journal, safe to serialize
+     * @returns {SessionRecorder.Journal}
+     */
+    get journal() {
+        return {
+            version: JOURNAL_VERSION,
+            clientVersion: packageJson.version,
+            startedAt: new Date(this._startedAt).toISOString(),
+            entries: _.cloneDeep(this._entries)
+        };
+    }
+
+    /**
+     * Drop the recorded entries and restart the clock
+     */
+    clear() {
+        this._startedAt = Date.now();
+        this._entries = [];
+    }
+
+    /**
+     * @returns {SessionRecorder.Journal} - The journal, so that the recorder can be passed to JSON.stringify()
+     */
+    toJSON() {
+        return this.journal;
+    }
+
+    /**
+     * @private
+     */
+    _recordConnected() {
+        this._record({ type: 'connected' });
+    }
+
+    /**
+     * @private
+     */
+    _recordDisconnected() {
+        this._record({ type: 'disconnected' });
+    }
+
+    /**
+     * @private
+     * @param {string} data - The raw websocket message, including heartbeats
+     */
+    _recordMessage(data) {
+        let message = data;
+        try {
+            // redact by key as well when the message is JSON, which every message but a heartbeat is
+            message = data.trim() ? JSON.stringify(redact(JSON.parse(data))) : data;
+        } catch (err) {
+            // an invalid message is recorded as is, so that its handling can be replayed
+        }
+
+        this._record({ type: 'message', data: message });
+    }
+
+    /**
+     * Record an attempt of a request, as sent after the onRequest hooks of the middleware
+     * @private
+     * @param {Request.Envelope} envelope
+     * @returns {number} - The id of the request, to record its outcome with
+     */
+    _recordRequest(envelope) {
+        const id = ++this._requestCount;
+        this._record({
+            type: 'request',
+            id,
+            method: envelope.method,
+            url: envelope.url,
+            params: envelope.params,
+            headers: envelope.headers
+        });
+        return id;
+    }
+
+    /**
+     * @private
+     * @param {number} id - The id of the request
+     * @param {Object} response - The axios response
+     */
+    _recordResponse(id, response) {
+        this._record({ type: 'response', id, status: response.status, payload: response.data.payload });
+    }
+
+    /**
+     * @private
+     * @param {number} id - The id of the request
+     * @param {Error} err - The axios error
+     * @param {boolean} aborted - Whether the request was aborted
+     */
+    _recordError(id, err, aborted) {
+        if (aborted) {
+            this._record({ type: 'error', id, aborted: true });
+        } else if (err.response) {
+            const headers = _.pick(err.response.headers || {}, ['retry-after']);
+            this._record({ type: 'error', id, status: err.response.status, data: err.response.data, headers });
+        } else {
+            this._record({ type: 'error', id, code: err.code || null, message: err.message });
+        }
+    }
+
+    /**
+     * @private
+     * @param {Object} entry
+     */
+    _record(entry) {
+        this._entries.push(Object.assign({ at: Date.now() - this._startedAt }, redact(entry)));
+    }
+}
+
+/**
+ * Deeply copy a value, redacting tokens
+ * @private
+ * @param {*} value
+ * @param {string} [key] - The key of the value in its parent
+ * @returns {*}
+ */
+function redact(value, key) {
+    if (_.isString(value)) {
+        return key && /token/i.test(key) ? REDACTED : value.replace(JWT_PATTERN, REDACTED);
+    }
+
+    if (_.isArray(value)) {
+        return value.map(item => redact(item));
+    }
+
+    if (_.isPlainObject(value)) {
+        return _.mapValues(value, (item, itemKey) => redact(item, itemKey));
+    }
+
+    return value;
+}
@@ -0,0 +1,249 @@
+import _ from 'lodash';
+import { EventEmitter } from 'events';
+import EventBridgeSignaling from './EventBridgeSignaling';
+import Request from '../util/Request';
+import { CONNECTION_STATE } from '../util/Constants';
+
+/**
+ * Construct a {@link SessionReplay}
+ * @class
+ * @classdesc Feed a journal recorded by a {@link SessionRecorder} back into a {@link Worker}. Pass the deps of
+ *   the replay as the third argument of the {@link Worker}:
+ *   <pre>
+ *   const replay = new SessionReplay(journal);
+ *   const worker = new Worker(token, {}, replay.deps);
+ *   replay.on('end', () => { ... });
+ *   </pre>
+ *   The entries are replayed in order and as fast as the {@link Worker} allows, regardless of their timestamps. A
+ *   recorded request must be sent by the {@link Worker} before the replay moves past it; its response is delivered
+ *   once the replay reaches it. A request which was not recorded fails with NOT_FOUND and is reported as 'mismatch'.
+ * @param {SessionRecorder.Journal} journal - The recorded journal, or its JSON serialization
+ * @property {Object} deps - The {Request, EventBridgeSignaling} dependencies to construct the {@link Worker} with
+ * @property {boolean} ended - Whether every entry of the journal has been replayed
+ * @fires SessionReplay#end
+ * @fires SessionReplay#mismatch
+ */
+export default class SessionReplay extends EventEmitter {
+    constructor(journal) {
+        super();
+
+        const parsed = _.isString(journal) ? JSON.parse(journal) : journal;
+        if (!_.isObject(parsed) || !_.isArray(parsed.entries)) {
+            throw new TypeError('Failed to initialize SessionReplay. <SessionRecorder.Journal>journal is a required parameter.');
+        }
+
+        this.ended = false;
+        this.deps = {
+            Request: createReplayRequest(this),
+            EventBridgeSignaling: createReplaySignaling(this)
+        };
+
+        this._entries = parsed.entries;
+        this._cursor = 0;
+        this._signaling = null;
+        // the pending requests, by the id of the recorded request they were matched with
+        this._pending = new Map();
+        this._claimed = new Set();
+        this._scheduled = false;
+    }
+
+    /**
+     * Match a request sent by the {@link Worker} with the first unclaimed recorded request of the same method, URL
+     * and params
+     * @private
+     * @param {string} body - The request body built by {@link Request}
+     * @param {Object} config - The axios config of the request
+     * @returns {Promise<Object>} - Resolved with the recorded response, or rejected with the recorded error
+     */
+    _send(body, config) {
+        const { method, url, params } = JSON.parse(body);
+        const entry = _.find(this._entries, candidate => candidate.type === 'request' && !this._claimed.has(candidate.id)
+            && candidate.method === method && candidate.url === url && _.isEqual(candidate.params, params));
+
+        if (!entry) {
+            this.emit('mismatch', { method, url, params });
+            return Promise.reject(httpError(404, { message: `The request ${method} ${url} was not recorded in the journal.` }));
+        }
+
+        this._claimed.add(entry.id);
+        const response = new Promise((resolve, reject) => this._pending.set(entry.id, { resolve, reject }));
+        const canceled = config.cancelToken.promise.then(cancel => Promise.reject(cancel));
+        this._schedule();
+        return Promise.race([response, canceled]);
+    }
+
+    /**
+     * @private
+     * @param {EventBridgeSignaling} signaling
+     */
+    _attach(signaling) {
+        this._signaling = signaling;
+        this._schedule();
+    }
+
+    /**
+     * Replay the next entries, asynchronously so that the {@link Worker} never handles an entry re-entrantly
+     * @private
+     */
+    _schedule() {
+        if (this._scheduled) {
+            return;
+        }
+
+        this._scheduled = true;
+        setTimeout(() => {
+            this._scheduled = false;
+            this._advance();
+        });
+    }
+
+    /**
+     * Replay entries until one must wait for the {@link Worker}
+     * @private
+     */
+    _advance() {
+        while (this._cursor < this._entries.length) {
+            const entry = this._entries[this._cursor];
+
+            if (!this._signaling || (entry.type === 'request' && !this._claimed.has(entry.id))) {
+                return;
+            }
+
+            this._cursor++;
+            if (entry.type !== 'request') {
+                this._replay(entry);
+                // every entry is replayed in a macrotask of its own, so the Worker handles it fully first
+                this._schedule();
+                return;
+            }
+        }
+
+        if (!this.ended) {
+            this.ended = true;
+            this.emit('end');
+        }
+    }
+
+    /**
+     * @private
+     * @param {SessionRecorder.Entry} entry
+     */
+    _replay(entry) {
+        const pending = this._pending.get(entry.id);
+        switch (entry.type) {
+            case 'connected':
+                this._signaling._replayConnected();
+                break;
+            case 'disconnected':
+                this._signaling._replayDisconnected();
+                break;
+            case 'message':
+                this._signaling._handleMessage(entry.data);
+                break;
+            case 'response':
+                pending.resolve({ status: entry.status, data: { payload: entry.payload } });
+                break;
+            case 'error':
+                if (!entry.aborted) {
+                    pending.reject(entry.status ? httpError(entry.status, entry.data, entry.headers) : networkError(entry));
+                }
+                // an aborted request stays pending until the Worker aborts it again
+                break;
+            default:
+        }
+    }
+}
+
+/**
+ * @private
+ * @param {SessionReplay} replay
+ * @returns {function} - A {@link Request} sending its requests to the replay
+ */
+function createReplayRequest(replay) {
+    return class ReplayRequest extends Request {
+        constructor(config) {
+            super(config);
+            this._postClient = { post: (server, body, config) => replay._send(body, config) };
+        }
+
+        _getRetryDelay() {
+            return 0;
+        }
+    };
+}
+
+/**
+ * @private
+ * @param {SessionReplay} replay
+ * @returns {function} - An {@link EventBridgeSignaling} receiving its messages from the replay
+ */
+function createReplaySignaling(replay) {
+    return class ReplaySignaling extends EventBridgeSignaling {
+        constructor(worker, options = {}) {
+            // the replayed messages are not recorded again
+            super(worker, _.omit(options, 'recorder'));
+            replay._attach(this);
+        }
+
+        setUpWebSocket() {
+            // the connection is replayed
+        }
+
+        setTokenExpirationEvent() {
+            // the token does not expire during a replay
+        }
+
+        updateToken() {
+            this._log.info('Updated token for Worker ' + this._worker.sid);
+        }
+
+        _replayConnected() {
+            this.numAttempts = 1;
+            this._setConnectionState(CONNECTION_STATE.connected);
+            this.emit('connected');
+        }
+
+        _replayDisconnected() {
+            this.emit('disconnected');
+            this._setConnectionState(CONNECTION_STATE.reconnecting, { attempt: this.numAttempts, nextRetryDelay: 0 });
+            this.numAttempts++;
+        }
+    };
+}
+
+/**
+ * An axios error for a response with the given status
+ * @private
+ * @param {number} status
+ * @param {Object} [data]
+ * @param {Object} [headers]
+ * @returns {Error}
+ */
+function httpError(status, data = {}, headers = {}) {
+    const err = new Error(`Request failed with status code ${status}`);
+    err.response = { status, data, headers };
+    return err;
+}
+
+/**
+ * An axios error for a request which got no response
+ * @private
+ * @param {SessionRecorder.Entry} entry
+ * @returns {Error}
+ */
+function networkError(entry) {
+    const err = new Error(entry.message);
+    err.code = entry.code;
+    return err;
+}
+
+/**
+ * Every entry of the journal has been replayed
+ * @event SessionReplay#end
+ */
+
+/**
+ * The {@link Worker} sent a request which was not recorded in the journal
+ * @event SessionReplay#mismatch
+ * @param {{method: string, url: string, params: Object}} request - The request
+ */
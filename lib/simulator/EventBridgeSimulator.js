@@ -0,0 +1,316 @@
+import _ from 'lodash';
+import http from 'http';
+import url from 'url';
+import SimulatedWorkspace from './SimulatedWorkspace';
+import { twilioErrors as Errors } from '../util/Constants';
+import { verifyJWT } from '../util/Tools';
+import TwilioError from '../util/TwilioError';
+
+const WebSocket = require('ws');
+
+const CHANNELS_PATH = '/v1/wschannels';
+const DEFAULT_HEARTBEAT_INTERVAL = 30000;
+const DEFAULT_TOKEN_TTL = 3600;
+
+/**
+ * Construct an {@link EventBridgeSimulator}
+ * @class
+ * @classdesc A local stand-in for EventBridge, serving a {@link SimulatedWorkspace} to {@link Worker}s over the
+ *   websocket and request protocols of the SDK. Pass its ebServer and wsServer to the {@link Worker} once started:
+ *   <pre>
+ *   const simulator = new EventBridgeSimulator();
+ *   const { sid } = simulator.workspace.createWorker({ name: 'Alice' });
+ *   simulator.start().then(() => {
+ *       const worker = new Worker(simulator.createToken(sid), { ebServer: simulator.ebServer, wsServer: simulator.wsServer });
+ *   });
+ *   </pre>
+ *   This is meant for development and tests only; tokens are decoded but their signature is not checked.
+ * @param {EventBridgeSimulator.Options} [options]
+ * @property {SimulatedWorkspace} workspace - The simulated Workspace
+ * @property {?string} ebServer - The URL to pass as the ebServer option of a {@link Worker}, once started
+ * @property {?string} wsServer - The URL to pass as the wsServer option of a {@link Worker}, once started
+ *//**
+ * @typedef {Object} EventBridgeSimulator.Options
+ * @property {SimulatedWorkspace} [workspace] - The Workspace to serve; a new {@link SimulatedWorkspace} when omitted
+ * @property {string} [host='127.0.0.1'] - The host to listen on
+ * @property {number} [port=0] - The port to listen on; a free port when 0
+ * @property {number} [heartbeatInterval=30000] - The number of milliseconds between two heartbeats
+ */
+export default class EventBridgeSimulator {
+    constructor(options = {}) {
+        if (!_.isNil(options.workspace) && !(options.workspace instanceof SimulatedWorkspace)) {
+            throw new TypeError('Failed to initialize EventBridgeSimulator. <SimulatedWorkspace>workspace must be a SimulatedWorkspace.');
+        }
+
+        this.workspace = options.workspace || new SimulatedWorkspace();
+        this.ebServer = null;
+        this.wsServer = null;
+
+        this._host = options.host || '127.0.0.1';
+        this._port = options.port || 0;
+        this._heartbeatInterval = options.heartbeatInterval || DEFAULT_HEARTBEAT_INTERVAL;
+        this._heartbeatTimer = null;
+        this._httpServer = null;
+        this._wsServer = null;
+        // the open websockets, by the sid of their Worker
+        this._sockets = new Map();
+        this._onWorkspaceEvent = (workerSid, eventType, payload) => this._send(workerSid, eventType, payload);
+    }
+
+    /**
+     * Start listening for {@link Worker}s
+     * @returns {Promise<EventBridgeSimulator>} - Resolved once the servers are listening
+     */
+    start() {
+        if (this._httpServer) {
+            return Promise.reject(new Error('The EventBridgeSimulator has already been started.'));
+        }
+
+        this._httpServer = http.createServer((req, res) => this._handleHttpRequest(req, res));
+        this._wsServer = new WebSocket.Server({ server: this._httpServer, path: CHANNELS_PATH });
+        this._wsServer.on('connection', (socket, req) => this._handleConnection(socket, req));
+        this.workspace.on('event', this._onWorkspaceEvent);
+
+        return new Promise((resolve, reject) => {
+            this._httpServer.once('error', reject);
+            this._httpServer.listen(this._port, this._host, () => {
+                const address = this._httpServer.address();
+                this.ebServer = `http://${this._host}:${address.port}${CHANNELS_PATH}`;
+                this.wsServer = `ws://${this._host}:${address.port}${CHANNELS_PATH}`;
+                this._heartbeatTimer = setInterval(() => this._sendHeartbeats(), this._heartbeatInterval);
+                resolve(this);
+            });
+        });
+    }
+
+    /**
+     * Close every websocket and stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+        if (!this._httpServer) {
+            return Promise.resolve();
+        }
+
+        clearInterval(this._heartbeatTimer);
+        this.workspace.removeListener('event', this._onWorkspaceEvent);
+        this._sockets.forEach(sockets => sockets.forEach(socket => socket.terminate()));
+        this._sockets.clear();
+
+        const httpServer = this._httpServer;
+        const wsServer = this._wsServer;
+        this._httpServer = null;
+        this._wsServer = null;
+        this.ebServer = null;
+        this.wsServer = null;
+
+        return new Promise(resolve => wsServer.close(() => httpServer.close(() => resolve())));
+    }
+
+    /**
+     * Create an unsigned token for a {@link Worker} of the simulated Workspace
+     * @param {string} workerSid - The sid of the {@link Worker}
+     * @param {Object} [options]
+     * @param {number} [options.ttl=3600] - The number of seconds the token is valid for
+     * @returns {string}
+     */
+    createToken(workerSid, options = {}) {
+        if (!_.isString(workerSid)) {
+            throw new TypeError('Error calling method createToken(). <string>workerSid is a required parameter.');
+        }
+
+        const issuedAt = Math.floor(Date.now() / 1000);
+        const header = { typ: 'JWT', alg: 'none', cty: 'twilio-fpa;v=1' };
+        const payload = {
+            jti: `SKsimulator-${issuedAt}`,
+            grants: {
+                identity: workerSid,
+                // eslint-disable-next-line camelcase
+                task_router: { workspace_sid: this.workspace.sid, worker_sid: workerSid, role: 'worker' }
+            },
+            iat: issuedAt,
+            exp: issuedAt + (options.ttl || DEFAULT_TOKEN_TTL),
+            iss: 'SKsimulator',
+            sub: this.workspace.accountSid
+        };
+
+        return `${encodeBase64Url(header)}.${encodeBase64Url(payload)}.`;
+    }
+
+    /**
+     * Open a websocket, sending the init event, or close it if its token is not valid for the Workspace
+     * @private
+     * @param {WebSocket} socket
+     * @param {http.IncomingMessage} req
+     */
+    _handleConnection(socket, req) {
+        const query = url.parse(req.url, true).query;
+
+        let grant;
+        try {
+            grant = this._authenticate(query.token);
+        } catch (err) {
+            socket.close(4001, err.message);
+            return;
+        }
+
+        const workerSid = grant.worker_sid;
+        const sockets = this._sockets.get(workerSid) || new Set();
+        if (query.closeExistingSessions === 'true') {
+            sockets.forEach(existing => existing.close(4000, 'A new session was opened for the Worker.'));
+            sockets.clear();
+        }
+
+        sockets.add(socket);
+        this._sockets.set(workerSid, sockets);
+        socket.on('close', () => sockets.delete(socket));
+        // the client only reads events; messages from it are ignored
+        socket.on('error', () => sockets.delete(socket));
+
+        /* eslint-disable camelcase */
+        socket.send(JSON.stringify({
+            event_type: 'init',
+            payload: {
+                channel_id: workerSid,
+                account_sid: this.workspace.accountSid,
+                workspace_sid: this.workspace.sid,
+                token_lifetime: grant.expiresAt - Date.now()
+            }
+        }));
+        /* eslint-enable camelcase */
+    }
+
+    /**
+     * Relay a request envelope built by {@link Request} to the Workspace
+     * @private
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     */
+    _handleHttpRequest(req, res) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'apiVersion, clientVersion, Content-Type');
+        res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        if (req.method !== 'POST' || url.parse(req.url).pathname !== CHANNELS_PATH) {
+            respond(res, 404, { code: 20404, message: `No EventBridge resource at ${req.method} ${req.url}.` });
+            return;
+        }
+
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            let envelope;
+            try {
+                envelope = JSON.parse(body);
+            } catch (err) {
+                respond(res, 400, { code: 20001, message: 'The request body is not valid JSON.' });
+                return;
+            }
+
+            try {
+                this._authenticate(envelope.token);
+            } catch (err) {
+                respond(res, 401, { code: 20003, message: err.message });
+                return;
+            }
+
+            try {
+                respond(res, 200, this.workspace.handleRequest(envelope));
+            } catch (err) {
+                if (err instanceof TwilioError) {
+                    respond(res, err.status || 500, { code: err.code, message: err.message });
+                } else {
+                    respond(res, 500, { code: null, message: err.message });
+                }
+            }
+        });
+    }
+
+    /**
+     * Decode a token and check that it belongs to a {@link Worker} of the Workspace
+     * @private
+     * @param {string} token
+     * @returns {{worker_sid: string, expiresAt: number}} - The TaskRouter grant and the expiry of the token in milliseconds
+     * @throws {TwilioError}
+     */
+    _authenticate(token) {
+        let payload;
+        try {
+            payload = verifyJWT(token);
+        } catch (err) {
+            throw Errors.AUTHENTICATION_FAILED.clone(err.message, { status: 401, code: 20003 });
+        }
+
+        const grant = payload.grants.task_router;
+        if (payload.exp * 1000 <= Date.now()) {
+            throw Errors.AUTHENTICATION_FAILED.clone('The token has expired.', { status: 401, code: 20003 });
+        }
+
+        if (grant.workspace_sid !== this.workspace.sid) {
+            throw Errors.AUTHENTICATION_FAILED.clone(`The token is not valid for Workspace ${this.workspace.sid}.`, { status: 401, code: 20003 });
+        }
+
+        // throws if the Worker does not exist
+        this.workspace._getWorker(grant.worker_sid);
+
+        return Object.assign({}, grant, { expiresAt: payload.exp * 1000 });
+    }
+
+    /**
+     * @private
+     * @param {string} workerSid
+     * @param {string} eventType
+     * @param {Object} payload
+     */
+    _send(workerSid, eventType, payload) {
+        // eslint-disable-next-line camelcase
+        const message = JSON.stringify({ event_type: eventType, payload });
+        (this._sockets.get(workerSid) || []).forEach(socket => {
+            if (socket.readyState === WebSocket.OPEN) {
+                socket.send(message);
+            }
+        });
+    }
+
+    /**
+     * Send a whitespace message, which the client treats as a heartbeat, on every open websocket
+     * @private
+     */
+    _sendHeartbeats() {
+        this._sockets.forEach(sockets => sockets.forEach(socket => {
+            if (socket.readyState === WebSocket.OPEN) {
+                socket.send(' ');
+            }
+        }));
+    }
+}
+
+/**
+ * @private
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} payload - The response payload, or the error
+ */
+function respond(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ payload }));
+}
+
+/**
+ * @private
+ * @param {Object} value
+ * @returns {string}
+ */
+function encodeBase64Url(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64')
+        .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
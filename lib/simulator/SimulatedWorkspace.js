@@ -0,0 +1,745 @@
+import _ from 'lodash';
+import { EventEmitter } from 'events';
+import { twilioErrors as Errors } from '../util/Constants';
+
+const ACTIVE_RESERVATION_STATUSES = ['pending', 'accepted', 'wrapping'];
+const DEFAULT_PAGE_SIZE = 50;
+const DEFAULT_RESERVATION_TIMEOUT = 120;
+
+// the REST resources a Worker uses, keyed by method and path relative to the Workspace
+const REST_ROUTES = {
+    'GET Activities'(sids, params) {
+        return page(Array.from(this._activities.values()).map(activity => this._activityPayload(activity)), params);
+    },
+
+    'GET Workers/:sid'([workerSid]) {
+        return this._workerPayload(this._getWorker(workerSid));
+    },
+
+    'POST Workers/:sid'([workerSid], params) {
+        const worker = this._getWorker(workerSid);
+
+        if (params.Attributes) {
+            worker.attributes = _.isString(params.Attributes) ? JSON.parse(params.Attributes) : params.Attributes;
+            worker.dateUpdated = now();
+            this._emitToWorker(worker.sid, 'worker.attributes.update', this._workerPayload(worker));
+        }
+
+        if (params.ActivitySid) {
+            this.updateWorkerActivity(worker.sid, params.ActivitySid, !!params.RejectPendingReservations);
+        }
+
+        return this._workerPayload(worker);
+    },
+
+    'GET Workers/:sid/WorkerChannels'([workerSid], params) {
+        const worker = this._getWorker(workerSid);
+        return page(Array.from(worker.channels.values()).map(channel => this._channelPayload(worker, channel)), params);
+    },
+
+    'POST Workers/:sid/WorkerChannels/:sid'([workerSid, channelSid], params) {
+        const worker = this._getWorker(workerSid);
+        const channel = this._getChannel(worker, channelSid);
+
+        if (!_.isUndefined(params.Capacity)) {
+            channel.capacity = params.Capacity;
+            channel.dateUpdated = now();
+            this._emitToWorker(worker.sid, 'worker.capacity.update', this._channelPayload(worker, channel));
+        }
+
+        if (!_.isUndefined(params.Available)) {
+            channel.available = !!params.Available;
+            channel.dateUpdated = now();
+            this._emitToWorker(worker.sid, 'worker.channel.availability.update', this._channelPayload(worker, channel));
+        }
+
+        this._assignTasks();
+        return this._channelPayload(worker, channel);
+    },
+
+    'GET Workers/:sid/Reservations'([workerSid], params) {
+        const statuses = params.Active ? ACTIVE_RESERVATION_STATUSES : ACTIVE_RESERVATION_STATUSES.concat(['rejected', 'timeout', 'canceled', 'completed']);
+        const reservations = this._getReservationsOfWorker(this._getWorker(workerSid), statuses);
+        return page(reservations.map(reservation => this._reservationPayload(reservation)), params);
+    },
+
+    'GET Workers/:sid/Reservations/:sid'([workerSid, reservationSid]) {
+        return this._reservationPayload(this._getReservation(this._getWorker(workerSid), reservationSid));
+    },
+
+    'POST Workers/:sid/Reservations/:sid'([workerSid, reservationSid], params) {
+        return this._updateReservationFromRequest(this._getReservation(this._getWorker(workerSid), reservationSid), params);
+    },
+
+    'POST Tasks'(sids, params) {
+        const attributes = _.isString(params.Attributes) ? JSON.parse(params.Attributes) : params.Attributes;
+        return this.createTask({
+            taskQueueSid: params.TaskQueueSid,
+            attributes,
+            taskChannelUniqueName: params.TaskChannelUniqueName,
+            routingTarget: params.RoutingTarget
+        });
+    },
+
+    'POST Tasks/:sid'([taskSid], params) {
+        const task = this._getTask(taskSid);
+
+        if (params.Attributes) {
+            this._updateTask(task, { attributes: _.isString(params.Attributes) ? JSON.parse(params.Attributes) : params.Attributes });
+            this._getReservationsOfTask(task, ACTIVE_RESERVATION_STATUSES).forEach(reservation => {
+                this._emitToWorker(reservation.workerSid, 'task.updated', this._taskPayload(task));
+            });
+        }
+
+        if (params.AssignmentStatus === 'canceled') {
+            this.cancelTask(task.sid, params.Reason);
+        } else if (params.AssignmentStatus) {
+            this._finishTask(task, params.AssignmentStatus, params.Reason);
+        }
+
+        return this._taskPayload(task);
+    }
+};
+
+/**
+ * Construct a {@link SimulatedWorkspace}
+ * @class
+ * @classdesc An in-memory TaskRouter Workspace for local development. {@link Task}s are assigned to the
+ *   {@link Worker} of their TaskQueue which has been idle the longest, in order of priority and then age. The
+ *   Workspace starts with an unavailable 'Offline' and an available 'Available' {@link Activity}.
+ * @param {SimulatedWorkspace.Options} [options]
+ * @property {string} accountSid - The sid of the simulated account
+ * @property {string} sid - The sid of the simulated Workspace
+ * @fires SimulatedWorkspace#event
+ *//**
+ * @typedef {Object} SimulatedWorkspace.Options
+ * @property {string} [accountSid='ACxxx'] - The sid of the simulated account
+ * @property {string} [workspaceSid='WSxxx'] - The sid of the simulated Workspace
+ * @property {number} [reservationTimeout=120] - The number of seconds before a pending {@link Reservation} times out
+ */
+export default class SimulatedWorkspace extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.accountSid = options.accountSid || 'ACxxx';
+        this.sid = options.workspaceSid || 'WSxxx';
+        this._reservationTimeout = options.reservationTimeout || DEFAULT_RESERVATION_TIMEOUT;
+
+        this._counter = 0;
+        this._activities = new Map();
+        this._taskQueues = new Map();
+        this._taskChannels = new Map();
+        this._workers = new Map();
+        this._tasks = new Map();
+        this._reservations = new Map();
+
+        this.createActivity({ name: 'Offline', available: false });
+        this.createActivity({ name: 'Available', available: true });
+    }
+
+    /**
+     * Add an {@link Activity}
+     * @param {Object} options
+     * @param {string} options.name - The friendly name
+     * @param {boolean} [options.available=false] - Whether {@link Worker}s in this {@link Activity} are assigned {@link Task}s
+     * @param {string} [options.sid] - The sid; generated when omitted
+     * @returns {Object} - The raw Activity data
+     */
+    createActivity(options) {
+        if (!_.isString(options.name)) {
+            throw new TypeError('Failed to create an Activity. <string>name is a required parameter.');
+        }
+
+        const activity = {
+            sid: options.sid || this._generateSid('WA'),
+            name: options.name,
+            available: !!options.available,
+            dateCreated: now()
+        };
+        this._activities.set(activity.sid, activity);
+        return this._activityPayload(activity);
+    }
+
+    /**
+     * Add a TaskQueue
+     * @param {Object} options
+     * @param {string} options.name - The friendly name
+     * @param {Array<string>} [options.workerSids] - The {@link Worker}s serving the TaskQueue; every {@link Worker} when omitted
+     * @param {string} [options.sid] - The sid; generated when omitted
+     * @returns {Object} - The created TaskQueue
+     */
+    createTaskQueue(options) {
+        if (!_.isString(options.name)) {
+            throw new TypeError('Failed to create a TaskQueue. <string>name is a required parameter.');
+        }
+
+        const taskQueue = {
+            sid: options.sid || this._generateSid('WQ'),
+            name: options.name,
+            workerSids: options.workerSids || null
+        };
+        this._taskQueues.set(taskQueue.sid, taskQueue);
+        return _.clone(taskQueue);
+    }
+
+    /**
+     * Add a {@link Worker}
+     * @param {Object} options
+     * @param {string} options.name - The friendly name
+     * @param {Object} [options.attributes={}] - The attributes
+     * @param {string} [options.activitySid] - The initial {@link Activity}; 'Offline' when omitted
+     * @param {Object<string, number>} [options.channels={ default: 1 }] - The capacity of the {@link Worker} per
+     *   TaskChannel unique name
+     * @param {string} [options.sid] - The sid; generated when omitted
+     * @returns {Object} - The raw Worker data
+     */
+    createWorker(options) {
+        if (!_.isString(options.name)) {
+            throw new TypeError('Failed to create a Worker. <string>name is a required parameter.');
+        }
+
+        const activitySid = options.activitySid || this._findActivity(activity => !activity.available).sid;
+        this._getActivity(activitySid);
+
+        const timestamp = now();
+        const worker = {
+            sid: options.sid || this._generateSid('WK'),
+            name: options.name,
+            attributes: options.attributes || {},
+            activitySid,
+            channels: new Map(),
+            dateCreated: timestamp,
+            dateUpdated: timestamp,
+            dateStatusChanged: timestamp
+        };
+
+        _.forEach(options.channels || { default: 1 }, (capacity, uniqueName) => {
+            worker.channels.set(uniqueName, {
+                sid: this._generateSid('WC'),
+                taskChannel: this._getOrCreateTaskChannel(uniqueName),
+                available: true,
+                capacity,
+                dateCreated: timestamp,
+                dateUpdated: timestamp,
+                lastReservedTime: 0
+            });
+        });
+
+        this._workers.set(worker.sid, worker);
+        this._assignTasks();
+        return this._workerPayload(worker);
+    }
+
+    /**
+     * Add a {@link Task} to a TaskQueue and assign it if a {@link Worker} is available
+     * @param {Object} options
+     * @param {string} options.taskQueueSid - The TaskQueue to add the {@link Task} to
+     * @param {Object} [options.attributes={}] - The attributes
+     * @param {number} [options.priority=0] - The priority; higher priorities are assigned first
+     * @param {string} [options.taskChannelUniqueName='default'] - The TaskChannel
+     * @param {number} [options.timeout=86400] - The number of seconds the {@link Task} may live
+     * @param {string} [options.routingTarget] - The only {@link Worker} the {@link Task} may be assigned to
+     * @returns {Object} - The raw Task data
+     */
+    createTask(options) {
+        const taskQueue = this._getTaskQueue(options.taskQueueSid);
+        const timestamp = now();
+        const task = {
+            sid: this._generateSid('WT'),
+            order: this._counter,
+            taskQueueSid: taskQueue.sid,
+            attributes: options.attributes || {},
+            priority: options.priority || 0,
+            taskChannel: this._getOrCreateTaskChannel(options.taskChannelUniqueName || 'default'),
+            timeout: options.timeout || 86400,
+            routingTarget: options.routingTarget || null,
+            status: 'pending',
+            reason: null,
+            rejectedBy: new Set(),
+            dateCreated: timestamp,
+            dateUpdated: timestamp
+        };
+
+        this._tasks.set(task.sid, task);
+        this._assignTasks();
+        return this._taskPayload(task);
+    }
+
+    /**
+     * Cancel a {@link Task}, canceling its pending {@link Reservation}
+     * @param {string} taskSid - The {@link Task} to cancel
+     * @param {string} [reason] - The reason for canceling the {@link Task}
+     * @returns {Object} - The raw Task data
+     */
+    cancelTask(taskSid, reason = null) {
+        const task = this._getTask(taskSid);
+        if (['pending', 'reserved'].indexOf(task.status) === -1) {
+            throw Errors.INVALID_REQUEST.clone(`Task ${taskSid} is ${task.status} and cannot be canceled.`, { status: 400, code: 20001 });
+        }
+
+        this._updateTask(task, { status: 'canceled', reason });
+        this._getReservationsOfTask(task, ['pending']).forEach(reservation => {
+            this._updateReservation(reservation, 'canceled');
+            this._emitToWorker(reservation.workerSid, 'task.canceled', this._taskPayload(task));
+            this._emitToWorker(reservation.workerSid, 'reservation.canceled', this._reservationPayload(reservation));
+        });
+
+        return this._taskPayload(task);
+    }
+
+    /**
+     * Move a {@link Worker} to another {@link Activity}
+     * @param {string} workerSid - The {@link Worker}
+     * @param {string} activitySid - The {@link Activity} to move to
+     * @param {boolean} [rejectPendingReservations=false] - Whether to reject the pending {@link Reservation}s of the {@link Worker}
+     * @returns {Object} - The raw Worker data
+     */
+    updateWorkerActivity(workerSid, activitySid, rejectPendingReservations = false) {
+        const worker = this._getWorker(workerSid);
+        const activity = this._getActivity(activitySid);
+
+        if (rejectPendingReservations) {
+            this._getReservationsOfWorker(worker, ['pending']).forEach(reservation => this._rejectReservation(reservation));
+        }
+
+        worker.activitySid = activity.sid;
+        worker.dateUpdated = now();
+        worker.dateStatusChanged = worker.dateUpdated;
+        this._emitToWorker(worker.sid, 'worker.activity.update', this._workerPayload(worker));
+
+        this._assignTasks();
+        return this._workerPayload(worker);
+    }
+
+    /**
+     * Handle a request to the TaskRouter REST API, as relayed by EventBridge
+     * @param {Object} request
+     * @param {string} request.url - The TaskRouter URL, e.g. 'Workspaces/WSxxx/Workers/WKxxx'
+     * @param {string} request.method - The HTTP method ['GET', 'POST']
+     * @param {Object} [request.params] - The request params
+     * @returns {Object} - The response payload
+     * @throws {TwilioError} - With the HTTP status of the failure
+     */
+    handleRequest(request) {
+        const params = request.params || {};
+        const segments = _.trim(request.url, '/').split('/');
+
+        if (segments[0] !== 'Workspaces' || segments[1] !== this.sid) {
+            throw Errors.NOT_FOUND.clone(`The requested resource ${request.url} was not found.`, { status: 404, code: 20404 });
+        }
+
+        const route = segments.slice(2).map((segment, i) => i % 2 ? ':sid' : segment).join('/');
+        const sids = segments.slice(2).filter((segment, i) => i % 2);
+        const handler = REST_ROUTES[`${request.method} ${route}`];
+        if (!handler) {
+            throw Errors.NOT_FOUND.clone(`The requested resource ${request.url} was not found.`, { status: 404, code: 20404 });
+        }
+
+        return handler.call(this, sids, params);
+    }
+
+    /**
+     * Assign pending {@link Task}s, by priority and then age, to the available {@link Worker} idle the longest
+     * @private
+     */
+    _assignTasks() {
+        _.sortBy(Array.from(this._tasks.values()).filter(task => task.status === 'pending'), [task => -task.priority, 'order'])
+            .forEach(task => {
+                const candidates = Array.from(this._workers.values()).filter(worker => this._canReserve(worker, task));
+                const worker = _.minBy(candidates, candidate => candidate.channels.get(task.taskChannel.uniqueName).lastReservedTime);
+                if (worker) {
+                    this._reserveTask(task, worker);
+                }
+            });
+    }
+
+    /**
+     * @private
+     * @param {Object} worker
+     * @param {Object} task
+     * @returns {boolean}
+     */
+    _canReserve(worker, task) {
+        const taskQueue = this._taskQueues.get(task.taskQueueSid);
+        const channel = worker.channels.get(task.taskChannel.uniqueName);
+
+        if (!channel || !channel.available || !this._activities.get(worker.activitySid).available || task.rejectedBy.has(worker.sid)) {
+            return false;
+        }
+
+        if (taskQueue.workerSids && taskQueue.workerSids.indexOf(worker.sid) === -1) {
+            return false;
+        }
+
+        if (task.routingTarget && task.routingTarget !== worker.sid) {
+            return false;
+        }
+
+        const assigned = this._getReservationsOfWorker(worker, ACTIVE_RESERVATION_STATUSES)
+            .filter(reservation => this._tasks.get(reservation.taskSid).taskChannel === task.taskChannel);
+        return assigned.length < channel.capacity;
+    }
+
+    /**
+     * @private
+     * @param {Object} task
+     * @param {Object} worker
+     */
+    _reserveTask(task, worker) {
+        const timestamp = now();
+        const reservation = {
+            sid: this._generateSid('WR'),
+            taskSid: task.sid,
+            workerSid: worker.sid,
+            status: 'pending',
+            dateCreated: timestamp,
+            dateUpdated: timestamp,
+            timer: null
+        };
+
+        reservation.timer = setTimeout(() => this._timeOutReservation(reservation), this._reservationTimeout * 1000);
+        // a pending Reservation should not keep the process of a simulation alive
+        if (reservation.timer.unref) {
+            reservation.timer.unref();
+        }
+        this._reservations.set(reservation.sid, reservation);
+        worker.channels.get(task.taskChannel.uniqueName).lastReservedTime = Date.now();
+        this._updateTask(task, { status: 'reserved' });
+
+        this._emitToWorker(worker.sid, 'reservation.created', this._reservationPayload(reservation));
+    }
+
+    /**
+     * Time out a pending {@link Reservation}, moving the {@link Worker} offline as TaskRouter does by default
+     * @private
+     * @param {Object} reservation
+     */
+    _timeOutReservation(reservation) {
+        if (reservation.status !== 'pending') {
+            return;
+        }
+
+        const task = this._tasks.get(reservation.taskSid);
+        this._updateReservation(reservation, 'timeout');
+        this._updateTask(task, { status: 'pending' });
+        this._emitToWorker(reservation.workerSid, 'reservation.timeout', this._reservationPayload(reservation));
+
+        this.updateWorkerActivity(reservation.workerSid, this._findActivity(activity => !activity.available).sid);
+    }
+
+    /**
+     * @private
+     * @param {Object} reservation
+     * @param {string} [activitySid] - The {@link Activity} to move the {@link Worker} to
+     */
+    _rejectReservation(reservation, activitySid) {
+        const task = this._tasks.get(reservation.taskSid);
+        this._updateReservation(reservation, 'rejected');
+        task.rejectedBy.add(reservation.workerSid);
+        this._updateTask(task, { status: 'pending' });
+        this._emitToWorker(reservation.workerSid, 'reservation.rejected', this._reservationPayload(reservation));
+
+        if (activitySid) {
+            this.updateWorkerActivity(reservation.workerSid, activitySid);
+        } else {
+            this._assignTasks();
+        }
+    }
+
+    /**
+     * Move the accepted {@link Task} of a {@link Reservation} to 'wrapping' or 'completed'
+     * @private
+     * @param {Object} task
+     * @param {string} status - ['wrapping', 'completed']
+     * @param {string} [reason]
+     */
+    _finishTask(task, status, reason) {
+        if (['assigned', 'wrapping'].indexOf(task.status) === -1 || task.status === status) {
+            throw Errors.INVALID_REQUEST.clone(`Task ${task.sid} is ${task.status} and cannot be moved to ${status}.`, { status: 400, code: 20001 });
+        }
+
+        const [taskEvent, reservationEvent] = status === 'completed'
+            ? ['task.completed', 'reservation.completed']
+            : ['task.wrapup', 'reservation.wrapup'];
+
+        this._updateTask(task, { status, reason: _.isUndefined(reason) ? task.reason : reason });
+        this._getReservationsOfTask(task, ['accepted', 'wrapping']).forEach(reservation => {
+            this._updateReservation(reservation, status);
+            // the Task is updated before its Reservation is removed by the reservation event
+            this._emitToWorker(reservation.workerSid, taskEvent, this._taskPayload(task));
+            this._emitToWorker(reservation.workerSid, reservationEvent, this._reservationPayload(reservation));
+        });
+
+        this._assignTasks();
+    }
+
+    /**
+     * Handle an update of a {@link Reservation} by its {@link Worker}
+     * @private
+     * @param {Object} reservation
+     * @param {Object} params - The request params
+     * @returns {Object} - The raw Reservation data
+     */
+    _updateReservationFromRequest(reservation, params) {
+        const status = params.ReservationStatus;
+        const instruction = params.Instruction;
+        const task = this._tasks.get(reservation.taskSid);
+
+        if (status === 'completed' || status === 'wrapping') {
+            this._finishTask(task, status);
+            return this._reservationPayload(reservation);
+        }
+
+        if (reservation.status !== 'pending') {
+            throw Errors.INVALID_REQUEST.clone(`Reservation ${reservation.sid} is ${reservation.status} and cannot be updated.`, { status: 400, code: 20001 });
+        }
+
+        if (status === 'rejected') {
+            this._rejectReservation(reservation, params.WorkerActivitySid);
+        } else if (status === 'accepted' || ['dequeue', 'conference', 'call', 'redirect'].indexOf(instruction) !== -1) {
+            // the telephony of the instructions is not simulated; they accept the Reservation
+            this._updateReservation(reservation, 'accepted');
+            this._updateTask(task, { status: 'assigned' });
+            this._emitToWorker(reservation.workerSid, 'reservation.accepted', this._reservationPayload(reservation));
+        } else {
+            throw Errors.INVALID_REQUEST.clone(`Unsupported update of Reservation ${reservation.sid}.`, { status: 400, code: 20001 });
+        }
+
+        return this._reservationPayload(reservation);
+    }
+
+    /**
+     * @private
+     * @param {Object} reservation
+     * @param {string} status
+     */
+    _updateReservation(reservation, status) {
+        clearTimeout(reservation.timer);
+        reservation.status = status;
+        reservation.dateUpdated = now();
+    }
+
+    /**
+     * @private
+     * @param {Object} task
+     * @param {Object} changes
+     */
+    _updateTask(task, changes) {
+        Object.assign(task, changes, { dateUpdated: now() });
+    }
+
+    /**
+     * @private
+     * @param {string} workerSid
+     * @param {string} eventType - The TaskRouter event type, e.g. 'reservation.created'
+     * @param {Object} payload - The raw event data
+     */
+    _emitToWorker(workerSid, eventType, payload) {
+        this.emit('event', workerSid, eventType, payload);
+    }
+
+    _getReservationsOfWorker(worker, statuses) {
+        return Array.from(this._reservations.values())
+            .filter(reservation => reservation.workerSid === worker.sid && statuses.indexOf(reservation.status) !== -1);
+    }
+
+    _getReservationsOfTask(task, statuses) {
+        return Array.from(this._reservations.values())
+            .filter(reservation => reservation.taskSid === task.sid && statuses.indexOf(reservation.status) !== -1);
+    }
+
+    _getOrCreateTaskChannel(uniqueName) {
+        if (!this._taskChannels.has(uniqueName)) {
+            this._taskChannels.set(uniqueName, { sid: this._generateSid('TC'), uniqueName });
+        }
+
+        return this._taskChannels.get(uniqueName);
+    }
+
+    _findActivity(predicate) {
+        const activity = _.find(Array.from(this._activities.values()), predicate);
+        if (!activity) {
+            throw Errors.NOT_FOUND.clone('No matching Activity exists in the Workspace.', { status: 404, code: 20404 });
+        }
+
+        return activity;
+    }
+
+    _getActivity(sid) {
+        return getOrThrow(this._activities, sid, 'Activity');
+    }
+
+    _getTaskQueue(sid) {
+        return getOrThrow(this._taskQueues, sid, 'TaskQueue');
+    }
+
+    _getWorker(sid) {
+        return getOrThrow(this._workers, sid, 'Worker');
+    }
+
+    _getTask(sid) {
+        return getOrThrow(this._tasks, sid, 'Task');
+    }
+
+    _getChannel(worker, sid) {
+        const channel = _.find(Array.from(worker.channels.values()), { sid });
+        if (!channel) {
+            throw Errors.NOT_FOUND.clone(`The WorkerChannel ${sid} was not found.`, { status: 404, code: 20404 });
+        }
+
+        return channel;
+    }
+
+    _getReservation(worker, sid) {
+        const reservation = this._reservations.get(sid);
+        if (!reservation || reservation.workerSid !== worker.sid) {
+            throw Errors.NOT_FOUND.clone(`The Reservation ${sid} was not found.`, { status: 404, code: 20404 });
+        }
+
+        return reservation;
+    }
+
+    _generateSid(prefix) {
+        this._counter++;
+        return prefix + _.padStart(this._counter.toString(16), 32, '0');
+    }
+
+    /* eslint-disable camelcase */
+    _activityPayload(activity) {
+        return {
+            account_sid: this.accountSid,
+            workspace_sid: this.sid,
+            sid: activity.sid,
+            friendly_name: activity.name,
+            available: activity.available,
+            date_created: activity.dateCreated,
+            date_updated: activity.dateCreated
+        };
+    }
+
+    _workerPayload(worker) {
+        const activity = this._activities.get(worker.activitySid);
+        return {
+            account_sid: this.accountSid,
+            workspace_sid: this.sid,
+            sid: worker.sid,
+            friendly_name: worker.name,
+            attributes: JSON.stringify(worker.attributes),
+            activity_sid: activity.sid,
+            activity_name: activity.name,
+            available: activity.available,
+            date_created: worker.dateCreated,
+            date_updated: worker.dateUpdated,
+            date_status_changed: worker.dateStatusChanged
+        };
+    }
+
+    _channelPayload(worker, channel) {
+        const assignedTasks = this._getReservationsOfWorker(worker, ['accepted', 'wrapping'])
+            .filter(reservation => this._tasks.get(reservation.taskSid).taskChannel === channel.taskChannel).length;
+        return {
+            account_sid: this.accountSid,
+            workspace_sid: this.sid,
+            worker_sid: worker.sid,
+            sid: channel.sid,
+            task_channel_sid: channel.taskChannel.sid,
+            task_channel_unique_name: channel.taskChannel.uniqueName,
+            available: channel.available,
+            configured_capacity: channel.capacity,
+            assigned_tasks: assignedTasks,
+            available_capacity_percentage: channel.capacity ? Math.round(100 * (channel.capacity - assignedTasks) / channel.capacity) : 0,
+            date_created: channel.dateCreated,
+            date_updated: channel.dateUpdated,
+            last_reserved_time: channel.lastReservedTime
+        };
+    }
+
+    _taskPayload(task) {
+        const taskQueue = this._taskQueues.get(task.taskQueueSid);
+        return {
+            account_sid: this.accountSid,
+            workspace_sid: this.sid,
+            sid: task.sid,
+            addons: '{}',
+            age: now() - task.dateCreated,
+            attributes: JSON.stringify(task.attributes),
+            assignment_status: task.status,
+            date_created: task.dateCreated,
+            date_updated: task.dateUpdated,
+            priority: task.priority,
+            queue_name: taskQueue.name,
+            queue_sid: taskQueue.sid,
+            reason: task.reason,
+            routing_target: task.routingTarget,
+            task_channel_sid: task.taskChannel.sid,
+            task_channel_unique_name: task.taskChannel.uniqueName,
+            timeout: task.timeout,
+            workflow_name: null,
+            workflow_sid: null
+        };
+    }
+
+    _reservationPayload(reservation) {
+        return {
+            account_sid: this.accountSid,
+            workspace_sid: this.sid,
+            sid: reservation.sid,
+            worker_sid: reservation.workerSid,
+            reservation_status: reservation.status,
+            reservation_timeout: this._reservationTimeout,
+            date_created: reservation.dateCreated,
+            date_updated: reservation.dateUpdated,
+            task: this._taskPayload(this._tasks.get(reservation.taskSid))
+        };
+    }
+    /* eslint-enable camelcase */
+}
+
+/**
+ * The current time in seconds, as used by the TaskRouter dates
+ * @private
+ * @returns {number}
+ */
+function now() {
+    return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * @private
+ * @param {Map} map
+ * @param {string} sid
+ * @param {string} name - The name of the resource, used in the error message
+ * @returns {Object}
+ */
+function getOrThrow(map, sid, name) {
+    if (!map.has(sid)) {
+        throw Errors.NOT_FOUND.clone(`The ${name} ${sid} was not found.`, { status: 404, code: 20404 });
+    }
+
+    return map.get(sid);
+}
+
+/**
+ * Page a list response the way TaskRouter does, using the PageSize and AfterSid params
+ * @private
+ * @param {Array<Object>} contents - All the items of the list
+ * @param {Object} params - The request params
+ * @returns {{contents: Array<Object>, after_sid: ?string}}
+ */
+function page(contents, params) {
+    const pageSize = params.PageSize || DEFAULT_PAGE_SIZE;
+    const start = params.AfterSid ? _.findIndex(contents, { sid: params.AfterSid }) + 1 : 0;
+    const items = contents.slice(start, start + pageSize);
+    const hasMore = start + pageSize < contents.length;
+
+    // eslint-disable-next-line camelcase
+    return { contents: items, after_sid: hasMore ? _.last(items).sid : null };
+}
+
+/**
+ * An event for a {@link Worker}, to be sent over its websocket
+ * @event SimulatedWorkspace#event
+ * @param {string} workerSid - The sid of the {@link Worker}
+ * @param {string} eventType - The TaskRouter event type, e.g. 'reservation.created'
+ * @param {Object} payload - The raw event data
+ */
@@ -1,5 +1,6 @@
 import Logger from './Logger';
 import _ from 'lodash';
+import { DEFAULT_EXPIRING_SOON_THRESHOLD, DEFAULT_MAX_RETRIES } from './Constants';
 
 /**
  * Construct the {@link Configuration} for the {@link Worker}
@@ -12,9 +13,16 @@ import _ from 'lodash';
  * @property {string} workspaceSid - The sid of the Workspace owning the {@link Worker}
  * @property {string} EB_SERVER - The EventBridge URI
  * @property {string} WS_SERVER - The WebSocket URI
+ * @property {number} maxRetries - The number of times a failed request is retried
+ * @property {number} expiringSoonThreshold - The number of seconds before a pending {@link Reservation} times out
+ *   that 'expiringSoon' is emitted
  *
  * @typedef {Object} Configuration.Options
  * @property {string} [region] - the ingress region for connections (ex. "ie1-ix")
+ * @property {number} [maxRetries=2] - The number of times a failed request is retried. GETs are retried on
+ *   timeouts, network errors and 5xx responses; other requests only on 429 and 503 responses
+ * @property {number} [expiringSoonThreshold=10] - The number of seconds before a pending {@link Reservation} times
+ *   out that 'expiringSoon' is emitted
  */
 export default class Configuration {
     constructor(token, options = {}) {
@@ -27,6 +35,8 @@ export default class Configuration {
         this._log = new Logger(`Configuration-${this.logIdentifier}`, this._logLevel);
 
         this.token = token;
+        this.maxRetries = _.isNil(options.maxRetries) ? DEFAULT_MAX_RETRIES : options.maxRetries;
+        this.expiringSoonThreshold = _.isNil(options.expiringSoonThreshold) ? DEFAULT_EXPIRING_SOON_THRESHOLD : options.expiringSoonThreshold;
         this.EB_SERVER = options.ebServer || 'https://event-bridge.twilio.com/v1/wschannels';
         this.WS_SERVER = options.wsServer || 'wss://event-bridge.twilio.com/v1/wschannels';
         if (options.region) {
@@ -1,8 +1,12 @@
 // Reservation Statuses
 export const RESERVATION_STATUS_ACCEPTED = 'accepted';
+export const RESERVATION_STATUS_PENDING = 'pending';
 export const RESERVATION_STATUS_COMPLETED = 'completed';
 export const RESERVATION_STATUS_REJECTED = 'rejected';
 export const RESERVATION_STATUS_WRAPPING = 'wrapping';
+export const RESERVATION_STATUSES = Object.freeze([
+    'pending', 'accepted', 'rejected', 'timeout', 'canceled', 'rescinded', 'wrapping', 'completed'
+]);
 
 // Reservation Instructions
 export const RESERVATION_INSTRUCTION_CALL = 'call';
@@ -17,6 +21,16 @@ export const TRANSFER_STATUS = Object.freeze({
     failed: 'failed',
     initiated: 'initiated'
 });
+export const TRANSFER_MODES = Object.freeze(['WARM', 'COLD']);
+
+// Connection States
+export const CONNECTION_STATE = Object.freeze({
+    connecting: 'connecting',
+    connected: 'connected',
+    reconnecting: 'reconnecting',
+    disconnected: 'disconnected',
+    tokenExpired: 'tokenExpired'
+});
 
 export const RESERVATION_REJECT_OPTIONS = { activitySid: 'WorkerActivitySid' };
 Object.freeze(RESERVATION_REJECT_OPTIONS);
@@ -53,6 +67,54 @@ export const CREATE_TASK_OPTIONS = {
     attributes: 'Attributes'
 };
 
+export const WORKER_LIST_FILTERS = {
+    targetWorkersExpression: 'TargetWorkersExpression',
+    activitySid: 'ActivitySid',
+    available: 'Available',
+    friendlyName: 'FriendlyName',
+    taskQueueSid: 'TaskQueueSid'
+};
+Object.freeze(WORKER_LIST_FILTERS);
+
+export const TASKQUEUE_LIST_FILTERS = {
+    friendlyName: 'FriendlyName',
+    evaluateWorkerAttributes: 'EvaluateWorkerAttributes'
+};
+Object.freeze(TASKQUEUE_LIST_FILTERS);
+
+export const WORKFLOW_LIST_FILTERS = { friendlyName: 'FriendlyName' };
+Object.freeze(WORKFLOW_LIST_FILTERS);
+
+export const ACTIVITY_LIST_FILTERS = {
+    friendlyName: 'FriendlyName',
+    available: 'Available'
+};
+Object.freeze(ACTIVITY_LIST_FILTERS);
+
+// the params of the options to create or update a Worker, an Activity or a TaskQueue
+export const WORKER_PARAMS = {
+    friendlyName: 'FriendlyName',
+    activitySid: 'ActivitySid',
+    attributes: 'Attributes'
+};
+Object.freeze(WORKER_PARAMS);
+
+export const ACTIVITY_PARAMS = {
+    friendlyName: 'FriendlyName',
+    available: 'Available'
+};
+Object.freeze(ACTIVITY_PARAMS);
+
+export const TASKQUEUE_PARAMS = {
+    friendlyName: 'FriendlyName',
+    targetWorkers: 'TargetWorkers',
+    maxReservedWorkers: 'MaxReservedWorkers',
+    taskOrder: 'TaskOrder',
+    reservationActivitySid: 'ReservationActivitySid',
+    assignmentActivitySid: 'AssignmentActivitySid'
+};
+Object.freeze(TASKQUEUE_PARAMS);
+
 // task status updates
 export const TASK_STATUS_COMPLETED = 'completed';
 export const TASK_STATUS_WRAPPING = 'wrapping';
@@ -116,6 +178,8 @@ export const API_V1 = 'v1';
 export const API_V2 = 'v2';
 export const DEFAULT_PAGE_SIZE = 1000;
 export const DEFAULT_HTTP_TIMEOUT = 5000;
+export const DEFAULT_MAX_RETRIES = 2;
+export const DEFAULT_EXPIRING_SOON_THRESHOLD = 10;
 
 // Signaling layer websocket connection params
 export const EB_URL_PARAMS = {
@@ -136,7 +200,21 @@ const errors = [
     { name: 'GATEWAY_DISCONNECTED', message: 'Connection to Twilio\'s servers was lost.' },
     { name: 'INVALID_GATEWAY_MESSAGE', message: 'The JSON message received was malformed.' },
 
-    { name: 'TASKROUTER_ERROR', message: 'TaskRouter failed to complete the request.' }
+    { name: 'TASKROUTER_ERROR', message: 'TaskRouter failed to complete the request.' },
+    { name: 'INVALID_EXPRESSION', message: 'The TaskRouter expression could not be parsed.' },
+    { name: 'TRANSFER_FAILED', message: 'The transfer of the Task failed.' },
+    { name: 'TRANSFER_CANCELED', message: 'The transfer of the Task was canceled.' },
+    { name: 'TRANSFER_TIMEOUT', message: 'The transfer of the Task did not finish in time.' },
+
+    { name: 'INVALID_REQUEST', message: 'TaskRouter rejected the request as invalid.' },
+    { name: 'AUTHENTICATION_FAILED', message: 'The token was rejected. It may have expired or lack the required grant.' },
+    { name: 'NOT_FOUND', message: 'The requested TaskRouter resource was not found.' },
+    { name: 'TOO_MANY_REQUESTS', message: 'Too many requests were made to TaskRouter.' },
+    { name: 'SERVICE_UNAVAILABLE', message: 'TaskRouter is temporarily unavailable.' },
+    { name: 'SERVER_ERROR', message: 'TaskRouter encountered an internal error.' },
+    { name: 'REQUEST_TIMEOUT', message: 'The request to TaskRouter timed out.' },
+    { name: 'REQUEST_ABORTED', message: 'The request to TaskRouter was aborted.' },
+    { name: 'NETWORK_ERROR', message: 'The request could not reach Twilio\'s servers.' }
 ];
 
 export const twilioErrors = errors.reduce((errs, error) => {
@@ -1,11 +1,28 @@
+import _ from 'lodash';
+import { validateOptions } from './Tools';
 const Errors = require('./Constants').twilioErrors;
 
+const asyncIteratorSymbol = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator');
+
 /**
  * Construct a {@link Paginator}.
  * @class
- * @classdesc A {@link Paginator} helper class.
- * @param {boolean} hasNextPage - Whether there is another page of elements.
+ * @classdesc A {@link Paginator} helper class. Besides fetching pages one by one with nextPage(), the items of this
+ *   page and every following page can be iterated with <code>for await (const item of paginator)</code>, or collected
+ *   with toArray().
  * @param {Array} items - An array of elements on the current page.
+ * @param {function(string): Promise<Paginator>} source - Fetches the page following the given token.
+ * @param {string} [nextToken] - The token of the next page, if any.
+ * @property {boolean} hasNextPage - Whether there is another page of elements.
+ * @property {Array} items - An array of elements on the current page.
+ *//**
+ * @typedef {Object} Paginator.IterateOptions
+ * @property {number} [prefetch=1] - The number of pages to fetch ahead of the page being iterated. Pages are
+ *   fetched after each other, as each page holds the token of the next one.
+ *//**
+ * @typedef {Object} Paginator.ToArrayOptions
+ * @property {number} [limit] - The maximum number of items to collect; no further page is fetched once reached
+ * @property {number} [prefetch=0] - The number of pages to fetch ahead of the page being collected
  */
 export default class Paginator {
     constructor(items, source, nextToken) {
@@ -34,5 +51,117 @@ export default class Paginator {
         }
         return this._source(this._nextToken);
     }
+
+    /**
+     * Iterate over the items of this page and every following page
+     * @param {Paginator.IterateOptions} [options]
+     * @returns {AsyncIterableIterator<*>} - Rejects the pending next() if a page fails to load
+     */
+    iterate(options = {}) {
+        validateOptions(options, { prefetch: (val) => _.isInteger(val) && val >= 0 });
+        return iteratePages(this, _.isNil(options.prefetch) ? 1 : options.prefetch);
+    }
+
+    /**
+     * Collect the items of this page and every following page
+     * @param {Paginator.ToArrayOptions} [options]
+     * @returns {Promise<Array>} - Rejected if a page fails to load
+     */
+    toArray(options = {}) {
+        validateOptions(options, { limit: (val) => _.isInteger(val) && val >= 0 });
+        const limit = _.isNil(options.limit) ? Infinity : options.limit;
+        const iterator = this.iterate({ prefetch: options.prefetch || 0 });
+        const items = [];
+
+        const collect = () => {
+            if (items.length >= limit) {
+                return iterator.return(items);
+            }
+
+            return iterator.next().then(result => {
+                if (result.done) {
+                    return null;
+                }
+
+                items.push(result.value);
+                return collect();
+            });
+        };
+
+        return collect().then(() => items);
+    }
+
+    /**
+     * Iterate over the items of this page and every following page, with for await...of
+     * @returns {AsyncIterableIterator<*>}
+     */
+    [asyncIteratorSymbol]() {
+        return this.iterate();
+    }
 }
 
+/**
+ * @private
+ * @param {Paginator} firstPage - The page to start iterating from
+ * @param {number} prefetch - The number of pages to fetch ahead of the page being iterated
+ * @returns {AsyncIterableIterator<*>}
+ */
+function iteratePages(firstPage, prefetch) {
+    let page = firstPage;
+    let index = 0;
+    // the pages fetched ahead, each chained on the previous one
+    let queued = [];
+    let tail = Promise.resolve(firstPage);
+
+    const enqueue = () => {
+        tail = tail.then(previous => previous && previous.hasNextPage ? previous.nextPage() : null);
+        // a failure is reported once the page is reached, not when it is prefetched
+        tail.catch(() => {});
+        queued.push(tail);
+    };
+
+    const fill = () => {
+        while (page && queued.length < prefetch) {
+            enqueue();
+        }
+    };
+
+    const iterator = {
+        next() {
+            if (!page) {
+                return Promise.resolve({ done: true });
+            }
+
+            fill();
+            if (index < page.items.length) {
+                return Promise.resolve({ value: page.items[index++], done: false });
+            }
+
+            if (!queued.length) {
+                enqueue();
+            }
+
+            return queued.shift().then(nextPage => {
+                page = nextPage;
+                index = 0;
+                return iterator.next();
+            }, err => {
+                page = null;
+                queued = [];
+                throw err;
+            });
+        },
+
+        return(value) {
+            page = null;
+            queued = [];
+            return Promise.resolve({ value, done: true });
+        },
+
+        [asyncIteratorSymbol]() {
+            return iterator;
+        }
+    };
+
+    return iterator;
+}
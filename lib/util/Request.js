@@ -1,17 +1,47 @@
 import _ from 'lodash';
 import * as axios from 'axios';
 import Configuration from './Configuration';
-import { DEFAULT_HTTP_TIMEOUT } from './Constants';
+import { DEFAULT_HTTP_TIMEOUT, twilioErrors as Errors } from './Constants';
+import { generateBackOffInterval } from './Tools';
 
 const httpMethods = {
     GET: 'GET',
-    POST: 'POST'
+    POST: 'POST',
+    DELETE: 'DELETE'
 };
 Object.freeze(httpMethods);
 
+// the longest Retry-After, in seconds, that is waited for before retrying
+const MAX_RETRY_AFTER = 30;
+
+const MIDDLEWARE_HOOKS = ['onRequest', 'onResponse', 'onError'];
+
 import * as packageJson from '../../package.json';
 const CLIENT_VERSION = packageJson.version;
 
+/**
+ * Construct a {@link Request}
+ * @class
+ * @classdesc Send requests to TaskRouter through EventBridge, passing them through a chain of
+ *   {@link Request.Middleware}
+ * @param {Configuration} config - The {@link Configuration} to be used
+ *//**
+ * @typedef {Object} Request.Envelope
+ * @property {string} url - The TaskRouter URL
+ * @property {string} method - The HTTP method ['GET', 'POST', 'DELETE']
+ * @property {Object} params - The request params
+ * @property {Object} headers - The headers sent with the request, including the TaskRouter 'apiVersion'
+ *//**
+ * A middleware may define any of the hooks below. Hooks may return a value or a Promise; returning
+ * nothing keeps the value passed in. A hook which throws or rejects fails the request.
+ * @typedef {Object} Request.Middleware
+ * @property {function(Request.Envelope): (Request.Envelope|Promise<Request.Envelope>|void)} [onRequest] - Inspect
+ *   or modify the envelope before the request is sent. The token is not part of the envelope.
+ * @property {function(Object, Request.Envelope): (Object|Promise<Object>|void)} [onResponse] - Inspect or modify
+ *   the payload of a successful response
+ * @property {function(Error, Request.Envelope): (Promise<void>|void)} [onError] - Inspect the error of a
+ *   failed request
+ */
 export default class Request {
     constructor(config) {
         if (!(config instanceof Configuration)) {
@@ -26,9 +56,49 @@ export default class Request {
                 clientVersion: CLIENT_VERSION
             }
         });
+        this._middleware = [];
+        this._recorder = null;
+    }
+
+    /**
+     * Record every attempt of a request and its outcome
+     * @param {SessionRecorder} recorder - The recorder to record into
+     * @returns {Request} - This {@link Request}
+     */
+    setRecorder(recorder) {
+        this._recorder = recorder;
+        return this;
     }
 
-    post(url, paramsJSON, apiVersion) {
+    /**
+     * Add a middleware to the end of the chain. Hooks run in the order their middleware was added.
+     * @param {Request.Middleware} middleware - The middleware to add
+     * @returns {Request} - This {@link Request}
+     */
+    use(middleware) {
+        const hasHook = _.isObject(middleware) && MIDDLEWARE_HOOKS.some(hook => _.isFunction(middleware[hook]));
+        if (!hasHook) {
+            throw new TypeError('Failed to add middleware. <Object>middleware must define one of onRequest(), onResponse() or onError().');
+        }
+
+        this._middleware.push(middleware);
+        return this;
+    }
+
+    /**
+     * Send a POST request to TaskRouter
+     * @param {string} url - The TaskRouter URL
+     * @param {Object} paramsJSON - The request params
+     * @param {string} apiVersion - The TaskRouter API version
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Object>} - The response payload
+     *//**
+     * @typedef {Object} Request.Options
+     * @property {AbortSignal} [signal] - A signal to cancel the request with. An aborted request rejects
+     *   with a REQUEST_ABORTED {@link TwilioError} and is not retried.
+     * @property {number} [timeout=5000] - The number of milliseconds to wait for each attempt of the request
+     */
+    post(url, paramsJSON, apiVersion, requestOptions = {}) {
         if (!url) {
             throw new Error('Failed to make POST request. <string>url is a required parameter.');
         }
@@ -41,17 +111,19 @@ export default class Request {
             throw new Error('Failed to make POST request. <string>apiVersion is a required parameter.');
         }
 
-        const request = this.buildRequest(httpMethods.POST, url, paramsJSON);
-        return this._postClient.post(this._config.EB_SERVER, request, {
-            headers: {
-                'apiVersion': apiVersion
-            }
-        }).then(response => {
-            return Promise.resolve(response.data.payload);
-        });
+        validateRequestOptions(requestOptions, httpMethods.POST);
+        return this._send(httpMethods.POST, url, paramsJSON, apiVersion, requestOptions);
     }
 
-    get(url, apiVersion, paramsJSON) {
+    /**
+     * Send a GET request to TaskRouter
+     * @param {string} url - The TaskRouter URL
+     * @param {string} apiVersion - The TaskRouter API version
+     * @param {Object} [paramsJSON] - The request params
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Object>} - The response payload
+     */
+    get(url, apiVersion, paramsJSON, requestOptions = {}) {
         if (!url) {
             throw new Error('Failed to make GET request. <string>url is a required parameter.');
         }
@@ -65,16 +137,147 @@ export default class Request {
             throw new Error('Failed to make GET request. <object>paramsJSON is a required parameter.');
         }
 
-        const request = this.buildRequest(httpMethods.GET, url, paramsJSON);
-        return this._postClient.post(this._config.EB_SERVER, request, {
+        validateRequestOptions(requestOptions, httpMethods.GET);
+        return this._send(httpMethods.GET, url, paramsJSON, apiVersion, requestOptions);
+    }
+
+    /**
+     * Send a DELETE request to TaskRouter
+     * @param {string} url - The TaskRouter URL
+     * @param {string} apiVersion - The TaskRouter API version
+     * @param {Request.Options} [requestOptions]
+     * @returns {Promise<Object>} - The response payload
+     */
+    delete(url, apiVersion, requestOptions = {}) {
+        if (!url) {
+            throw new Error('Failed to make DELETE request. <string>url is a required parameter.');
+        }
+
+        if (!apiVersion) {
+            throw new Error('Failed to make DELETE request. <string>apiVersion is a required parameter.');
+        }
+
+        validateRequestOptions(requestOptions, httpMethods.DELETE);
+        return this._send(httpMethods.DELETE, url, {}, apiVersion, requestOptions);
+    }
+
+    /**
+     * Send the request, retrying failures which are safe to retry
+     * @private
+     * @param {string} method - The HTTP method
+     * @param {string} url - The TaskRouter URL
+     * @param {Object} paramsJSON - The request params
+     * @param {string} apiVersion - The TaskRouter API version
+     * @param {Request.Options} requestOptions
+     * @returns {Promise<Object>} - The response payload, or a {@link TwilioError} on failure
+     */
+    _send(method, url, paramsJSON, apiVersion, requestOptions) {
+        const signal = requestOptions.signal;
+        const cancelSource = axios.CancelToken.source();
+        const onAbort = () => cancelSource.cancel('The request was aborted.');
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+
+        const attempt = (envelope, k) => {
+            if (signal && signal.aborted) {
+                return Promise.reject(Errors.REQUEST_ABORTED.clone(null, { url: envelope.url }));
+            }
+
+            // built for every attempt, as the token may have been updated in between
+            const request = this.buildRequest(envelope.method, envelope.url, envelope.params);
+            const config = {
+                headers: envelope.headers,
+                cancelToken: cancelSource.token
+            };
+            if (requestOptions.timeout) {
+                config.timeout = requestOptions.timeout;
+            }
+
+            const requestId = this._recorder ? this._recorder._recordRequest(envelope) : null;
+            return this._postClient.post(this._config.EB_SERVER, request, config).then(response => {
+                if (this._recorder) {
+                    this._recorder._recordResponse(requestId, response);
+                }
+
+                return Promise.resolve(response.data.payload);
+            }).catch(err => {
+                if (this._recorder) {
+                    this._recorder._recordError(requestId, err, axios.isCancel(err));
+                }
+
+                const error = axios.isCancel(err)
+                    ? Errors.REQUEST_ABORTED.clone(null, { url: envelope.url })
+                    : toTwilioError(err, envelope.url);
+                if (error.name === 'REQUEST_ABORTED' || k > this._config.maxRetries || !isRetryable(envelope.method, error)) {
+                    throw error;
+                }
+
+                return wait(this._getRetryDelay(k, err), signal).then(() => attempt(envelope, k + 1));
+            });
+        };
+
+        const initialEnvelope = {
+            url,
+            method,
+            params: paramsJSON,
             headers: {
                 'apiVersion': apiVersion
             }
-        }).then(response => {
-            return Promise.resolve(response.data.payload);
+        };
+
+        const removeAbortListener = () => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        };
+
+        return this._runHooks('onRequest', initialEnvelope, initialEnvelope).then(envelope => {
+            return attempt(envelope, 1).then(payload => {
+                removeAbortListener();
+                return this._runHooks('onResponse', payload, envelope);
+            }, err => {
+                removeAbortListener();
+                return this._runHooks('onError', err, envelope).then(() => Promise.reject(err));
+            });
         });
     }
 
+    /**
+     * Pass a value through the given hook of every middleware in the chain
+     * @private
+     * @param {string} hook - The name of the hook ['onRequest', 'onResponse', 'onError']
+     * @param {*} value - The value passed to the first hook
+     * @param {Request.Envelope} envelope - The envelope of the request
+     * @returns {Promise<*>} - The value returned by the last hook
+     */
+    _runHooks(hook, value, envelope) {
+        return this._middleware.reduce((previous, middleware) => previous.then(current => {
+            if (!_.isFunction(middleware[hook])) {
+                return current;
+            }
+
+            const args = hook === 'onRequest' ? [current] : [current, envelope];
+            return Promise.resolve(middleware[hook](...args)).then(result => _.isUndefined(result) ? current : result);
+        }), Promise.resolve(value));
+    }
+
+    /**
+     * The delay before retrying a failed request, honoring the Retry-After header of the response
+     * @private
+     * @param {number} k - The number of the attempt which failed
+     * @param {Error} err - The error of the failed attempt
+     * @returns {number} - The delay in milliseconds
+     */
+    _getRetryDelay(k, err) {
+        const retryAfter = err.response && err.response.headers ? parseInt(err.response.headers['retry-after'], 10) : NaN;
+        if (!_.isNaN(retryAfter)) {
+            return Math.min(retryAfter, MAX_RETRY_AFTER) * 1000;
+        }
+
+        return generateBackOffInterval(k);
+    }
+
     buildRequest(method, url, paramsJSON) {
         return JSON.stringify({
             url: url,
@@ -84,3 +287,122 @@ export default class Request {
         });
     }
 }
+
+/**
+ * Map an axios error to a {@link TwilioError} carrying the details of the failed request
+ * @private
+ * @param {Error} err - The axios error
+ * @param {string} url - The TaskRouter URL of the request
+ * @returns {TwilioError}
+ */
+function toTwilioError(err, url) {
+    if (!err.response) {
+        if (err.code === 'ECONNABORTED') {
+            return Errors.REQUEST_TIMEOUT.clone(null, { url });
+        }
+
+        return Errors.NETWORK_ERROR.clone(null, { url });
+    }
+
+    const status = err.response.status;
+    const data = err.response.data || {};
+    // TaskRouter errors are relayed either as the payload or as the body of the EventBridge response
+    const body = _.isObject(data.payload) ? data.payload : data;
+    const details = { status, code: body.code, url };
+    const message = _.isString(body.message) ? body.message : null;
+
+    if (status === 400) {
+        return Errors.INVALID_REQUEST.clone(message, details);
+    }
+
+    if (status === 401 || status === 403) {
+        return Errors.AUTHENTICATION_FAILED.clone(message, details);
+    }
+
+    if (status === 404) {
+        return Errors.NOT_FOUND.clone(message, details);
+    }
+
+    if (status === 429) {
+        return Errors.TOO_MANY_REQUESTS.clone(message, details);
+    }
+
+    if (status === 503) {
+        return Errors.SERVICE_UNAVAILABLE.clone(message, details);
+    }
+
+    if (status >= 500) {
+        return Errors.SERVER_ERROR.clone(message, details);
+    }
+
+    return Errors.TASKROUTER_ERROR.clone(message, details);
+}
+
+/**
+ * Whether a failed request may be sent again. GETs are idempotent, so they are retried on any transient failure.
+ * Other requests are only retried when TaskRouter refused them without processing them.
+ * @private
+ * @param {string} method - The HTTP method
+ * @param {TwilioError} error - The error of the failed request
+ * @returns {boolean}
+ */
+function isRetryable(method, error) {
+    if (error.status === 429 || error.status === 503) {
+        return true;
+    }
+
+    if (method !== httpMethods.GET) {
+        return false;
+    }
+
+    return error.name === 'REQUEST_TIMEOUT' || error.name === 'NETWORK_ERROR' || error.status >= 500;
+}
+
+/**
+ * Validate the {@link Request.Options} of a request
+ * @private
+ * @param {Request.Options} requestOptions
+ * @param {string} method - The HTTP method, used in the error message
+ */
+function validateRequestOptions(requestOptions, method) {
+    if (!_.isObject(requestOptions)) {
+        throw new Error(`Failed to make ${method} request. <object>requestOptions must be an object.`);
+    }
+
+    const signal = requestOptions.signal;
+    if (!_.isNil(signal) && !(_.isBoolean(signal.aborted) && _.isFunction(signal.addEventListener))) {
+        throw new Error(`Failed to make ${method} request. <AbortSignal>signal must be an AbortSignal.`);
+    }
+
+    const timeout = requestOptions.timeout;
+    if (!_.isNil(timeout) && !(_.isInteger(timeout) && timeout > 0)) {
+        throw new Error(`Failed to make ${method} request. <number>timeout must be a positive number of milliseconds.`);
+    }
+}
+
+/**
+ * Wait before retrying a request, ending the wait early if the request is aborted
+ * @private
+ * @param {number} delay - The delay in milliseconds
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function wait(delay, signal) {
+    return new Promise(resolve => {
+        let timer = null;
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, delay);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+    });
+}
@@ -12,70 +12,94 @@ export const TASK_TRANSFER_LIST = 'taskTransferList';
 export const TASK_TRANSFER_INSTANCE = 'taskTransferInstance';
 export const TASKQUEUE_LIST = 'taskQueueList';
 export const WORKER_CHANNELS = 'workerChannels';
+export const WORKER_CHANNEL_INSTANCE = 'workerChannelInstance';
 export const ACTIVITIES_LIST = 'activitiesList';
+export const WORKFLOW_LIST = 'workflowList';
+export const WORKSPACE_INSTANCE = 'workspaceInstance';
 export const CUSTOMER_PARTICIPANT_INSTANCE = 'customerParticipantInstance';
 export const WORKER_PARTICIPANT_INSTANCE = 'workerParticipantInstance';
 export const HOLD_WORKER_PARTICIPANT_INSTANCE = 'holdWorkerParticipantInstance';
 export const KICK_WORKER_PARTICIPANT = 'kickWorkerParticipant';
 
+/**
+ * The REST routes of a Workspace, and of a {@link Worker} in it if workerSid is given. A token with no Worker, e.g.
+ * the admin token of a {@link Workspace}, only gets the Workspace-level routes.
+ * @private
+ * @param {string} workspaceSid - The sid of the Workspace
+ * @param {string} [workerSid] - The sid of the {@link Worker}
+ */
 export default class Routes {
     constructor(workspaceSid, workerSid) {
-        if (!workspaceSid || !workerSid) {
-            throw Errors.INVALID_ARGUMENT.clone('Error instantiating Routes class. <string>workspaceSid and <string>workerSid are required parameters.');
+        if (!workspaceSid) {
+            throw Errors.INVALID_ARGUMENT.clone('Error instantiating Routes class. <string>workspaceSid is a required parameter.');
         }
 
         this.workspaceSid = workspaceSid;
-        this.workerSid = workerSid;
+        this.workerSid = workerSid || null;
         this.routes = {
             [ACTIVITIES_LIST]: {
                 path: path.join('Workspaces', this.workspaceSid, 'Activities')
             },
-            [WORKER_INSTANCE]: {
-                path: path.join('Workspaces', this.workspaceSid, 'Workers', this.workerSid)
-            },
             [WORKER_LIST]: {
                 path: path.join('Workspaces', this.workspaceSid, 'Workers')
             },
-            [RESERVATION_INSTANCE]: {
-                path: path.join('Workspaces', this.workspaceSid, 'Workers', this.workerSid, 'Reservations', '%s')
-            },
-            [RESERVATION_LIST]: {
-                path: path.join('Workspaces', this.workspaceSid, 'Workers', this.workerSid, 'Reservations')
-            },
             [TASK_LIST]: {
                 path: path.join('Workspaces', this.workspaceSid, 'Tasks')
             },
             [TASK_INSTANCE]: {
                 path: path.join('Workspaces', this.workspaceSid, 'Tasks', '%s')
             },
-            [TASK_TRANSFER_LIST]: {
-                path: path.join('Workspaces', this.workspaceSid, 'Workers', this.workerSid, 'Transfers')
-            },
-            [TASK_TRANSFER_INSTANCE]: {
-                path: path.join('Workspaces', this.workspaceSid, 'Workers', this.workerSid, 'Transfers', '%s')
-            },
             [TASK_RESERVATION_INSTANCE]: {
                 path: path.join('Workspaces', this.workspaceSid, 'Tasks', '%s', 'Reservations', '%s')
             },
             [TASKQUEUE_LIST]: {
                 path: path.join('Workspaces', this.workspaceSid, 'TaskQueues')
             },
-            [WORKER_CHANNELS]: {
-                path: path.join( 'Workspaces', this.workspaceSid, 'Workers', this.workerSid, 'WorkerChannels')
+            [WORKFLOW_LIST]: {
+                path: path.join('Workspaces', this.workspaceSid, 'Workflows')
             },
-            [CUSTOMER_PARTICIPANT_INSTANCE]: {
-                path: path.join( 'Workspaces', this.workspaceSid, 'Workers', this.workerSid, 'CustomerParticipant')
-            },
-            [WORKER_PARTICIPANT_INSTANCE]: {
-                path: path.join( 'Workspaces', this.workspaceSid, 'Workers', this.workerSid, 'WorkerParticipant')
-            },
-            [HOLD_WORKER_PARTICIPANT_INSTANCE]: {
-                path: path.join( 'Workspaces', this.workspaceSid, 'Workers', this.workerSid, 'HoldWorkerParticipant')
-            },
-            [KICK_WORKER_PARTICIPANT]: {
-                path: path.join( 'Workspaces', this.workspaceSid, 'Workers', this.workerSid, 'KickWorkerParticipant')
+            [WORKSPACE_INSTANCE]: {
+                path: path.join('Workspaces', this.workspaceSid)
             }
         };
+
+        if (this.workerSid) {
+            Object.assign(this.routes, {
+                [WORKER_INSTANCE]: {
+                    path: path.join('Workspaces', this.workspaceSid, 'Workers', this.workerSid)
+                },
+                [RESERVATION_INSTANCE]: {
+                    path: path.join('Workspaces', this.workspaceSid, 'Workers', this.workerSid, 'Reservations', '%s')
+                },
+                [RESERVATION_LIST]: {
+                    path: path.join('Workspaces', this.workspaceSid, 'Workers', this.workerSid, 'Reservations')
+                },
+                [TASK_TRANSFER_LIST]: {
+                    path: path.join('Workspaces', this.workspaceSid, 'Workers', this.workerSid, 'Transfers')
+                },
+                [TASK_TRANSFER_INSTANCE]: {
+                    path: path.join('Workspaces', this.workspaceSid, 'Workers', this.workerSid, 'Transfers', '%s')
+                },
+                [WORKER_CHANNELS]: {
+                    path: path.join( 'Workspaces', this.workspaceSid, 'Workers', this.workerSid, 'WorkerChannels')
+                },
+                [WORKER_CHANNEL_INSTANCE]: {
+                    path: path.join( 'Workspaces', this.workspaceSid, 'Workers', this.workerSid, 'WorkerChannels', '%s')
+                },
+                [CUSTOMER_PARTICIPANT_INSTANCE]: {
+                    path: path.join( 'Workspaces', this.workspaceSid, 'Workers', this.workerSid, 'CustomerParticipant')
+                },
+                [WORKER_PARTICIPANT_INSTANCE]: {
+                    path: path.join( 'Workspaces', this.workspaceSid, 'Workers', this.workerSid, 'WorkerParticipant')
+                },
+                [HOLD_WORKER_PARTICIPANT_INSTANCE]: {
+                    path: path.join( 'Workspaces', this.workspaceSid, 'Workers', this.workerSid, 'HoldWorkerParticipant')
+                },
+                [KICK_WORKER_PARTICIPANT]: {
+                    path: path.join( 'Workspaces', this.workspaceSid, 'Workers', this.workerSid, 'KickWorkerParticipant')
+                }
+            });
+        }
     }
 
     getRoute(route, ...args) {
@@ -0,0 +1,153 @@
+import _ from 'lodash';
+import { EventEmitter } from 'events';
+import Logger from './Logger';
+import { generateBackOffInterval, verifyJWT } from './Tools';
+
+// start refreshing this long before the token expires, leaving room for retries
+const REFRESH_BUFFER = 60000;
+
+/**
+ * Construct a {@link TokenRefresher}
+ * @class
+ * @classdesc Fetch a new token from a token provider ahead of the expiry of the current token,
+ *   retrying with backoff until the current token has expired
+ * @param {TokenRefresher.TokenProvider} tokenProvider - The function returning a new token
+ * @param {TokenRefresher.Options} [options]
+ * @property {boolean} isRefreshing - Whether a refresh is in progress
+ * @fires TokenRefresher#tokenRefreshed
+ * @fires TokenRefresher#refreshFailed
+ *//**
+ * @callback TokenRefresher.TokenProvider
+ * @returns {Promise<string>|string} - The new token
+ *//**
+ * @typedef {Object} TokenRefresher.Options
+ * @property {string} [logIdentifier] - The identifier to use in the log module name
+ * @property {string} [logLevel='error'] - The level of logging to enable
+ */
+export default class TokenRefresher extends EventEmitter {
+    constructor(tokenProvider, options = {}) {
+        super();
+
+        if (!_.isFunction(tokenProvider)) {
+            throw new TypeError('Failed to initialize TokenRefresher. <function>tokenProvider is a required parameter.');
+        }
+
+        this._tokenProvider = tokenProvider;
+        this._log = new Logger(`TokenRefresher-${options.logIdentifier}`, options.logLevel || 'error');
+        this._refreshTimer = null;
+        this._expiresAt = null;
+        this.isRefreshing = false;
+    }
+
+    /**
+     * Schedule a refresh ahead of the expiry of the given token, replacing any scheduled refresh
+     * @param {string} token - The token currently in use
+     */
+    scheduleRefresh(token) {
+        this.stop();
+        this._expiresAt = getExpiration(token);
+
+        if (!this._expiresAt) {
+            this._log.warn('Unable to read the expiration of the token. The token will be refreshed once it expires.');
+            return;
+        }
+
+        const remaining = this._expiresAt - Date.now();
+        const delay = Math.max(remaining - REFRESH_BUFFER, remaining / 2, 0);
+        this._log.info('Scheduling a token refresh in %d ms', delay);
+        this._refreshTimer = setTimeout(() => this.refresh(), delay);
+    }
+
+    /**
+     * Fetch a new token from the token provider now. Failed attempts are retried with backoff
+     * until the current token has expired.
+     */
+    refresh() {
+        if (this.isRefreshing) {
+            return;
+        }
+
+        clearTimeout(this._refreshTimer);
+        this.isRefreshing = true;
+        this._attemptRefresh(1);
+    }
+
+    /**
+     * Cancel the scheduled refresh and any refresh in progress
+     */
+    stop() {
+        clearTimeout(this._refreshTimer);
+        this._refreshTimer = null;
+        this.isRefreshing = false;
+    }
+
+    /**
+     * @private
+     * @param {number} attempt - The number of the attempt
+     */
+    _attemptRefresh(attempt) {
+        this._log.info('Requesting a new token from the token provider. Attempt %d', attempt);
+
+        Promise.resolve().then(() => this._tokenProvider()).then(newToken => {
+            if (!_.isString(newToken)) {
+                throw new TypeError('The token provider must return a <string>token.');
+            }
+
+            const expiresAt = getExpiration(newToken);
+            if (expiresAt && expiresAt <= Date.now()) {
+                throw new Error('The token provider returned an expired token.');
+            }
+
+            return newToken;
+        }).then(newToken => {
+            if (!this.isRefreshing) {
+                return;
+            }
+
+            this.isRefreshing = false;
+            this.emit('tokenRefreshed', newToken);
+        }, err => {
+            if (!this.isRefreshing) {
+                return;
+            }
+
+            const delay = generateBackOffInterval(attempt);
+            if (!this._expiresAt || Date.now() + delay >= this._expiresAt) {
+                this._log.error('Failed to refresh the token before it expired. Error: %s', err);
+                this.isRefreshing = false;
+                this.emit('refreshFailed', err);
+                return;
+            }
+
+            this._log.warn('Failed to refresh the token. Retrying in %d ms. Error: %s', delay, err);
+            this._refreshTimer = setTimeout(() => this._attemptRefresh(attempt + 1), delay);
+        });
+    }
+}
+
+/**
+ * Read the expiry of a JWT
+ * @private
+ * @param {string} token - The JWT
+ * @returns {?number} - The expiry in milliseconds since the epoch, or null if unknown
+ */
+function getExpiration(token) {
+    try {
+        const payload = verifyJWT(token);
+        return _.isNumber(payload.exp) ? payload.exp * 1000 : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * A new token was fetched from the token provider
+ * @event TokenRefresher#tokenRefreshed
+ * @param {string} token - The new token
+ */
+
+/**
+ * The token could not be refreshed before it expired
+ * @event TokenRefresher#refreshFailed
+ * @param {Error} error - The error of the last attempt
+ */
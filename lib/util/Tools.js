@@ -14,3 +14,49 @@ export function validateOptions(options, types) {
     }
     return true;
 }
+
+/**
+ * Generate the delay before the next attempt of a retried operation, using a full-jitter exponential backoff
+ * @param {number} k - The number of the attempt which failed
+ * @returns {number} - The delay in milliseconds
+ */
+export function generateBackOffInterval(k) {
+    const min = Math.ceil(800); // Minimum delay
+    const max = Math.floor(Math.min(30, (Math.pow(2, k) - 1)) * 1000); // Backoff interval
+    // Using Full-Jitter strategy
+    return Math.round(Math.floor(Math.random() * (max - min + 1)) + min);
+}
+
+/**
+ * Decode a TaskRouter JWT and verify that it carries a TaskRouter grant. The signature is not checked.
+ * @param {string} token - The JWT
+ * @returns {Object} - The decoded JWT payload
+ */
+export function verifyJWT(token) {
+    const segments = typeof token === 'string' ? token.split('.') : [];
+    if (segments.length !== 3) {
+        throw new TypeError('Invalid JWT. <string>token must be a JSON Web Token.');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(decodeBase64Url(segments[1]));
+    } catch (err) {
+        throw new TypeError('Invalid JWT. Unable to decode the token payload.');
+    }
+
+    if (!payload || !payload.grants || !payload.grants.task_router) {
+        throw new TypeError('Invalid JWT. The token does not contain a TaskRouter grant.');
+    }
+
+    return payload;
+}
+
+function decodeBase64Url(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    if (typeof Buffer !== 'undefined') {
+        return Buffer.from(base64, 'base64').toString('utf8');
+    }
+
+    return decodeURIComponent(escape(atob(base64)));
+}
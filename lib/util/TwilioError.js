@@ -6,10 +6,21 @@ const inherits = require('util').inherits;
  * @classdesc A customized Twilio error
  * @param {Object} errorData - The error data
  * @param {string} customMessage - A custom message
+ * @param {TwilioError.Details} [details] - Details of the failed request
  * @property {string} name - The name of this {@link TwilioError}
  * @property {string} message - The message of this {@link TwilioError}
+ * @property {?number} status - The HTTP status of the failed request
+ * @property {?number} code - The TaskRouter error code of the failed request
+ * @property {?string} url - The TaskRouter URL of the failed request
+ *//**
+ * @typedef {Object} TwilioError.Details
+ * @property {number} [status] - The HTTP status of the failed request
+ * @property {number} [code] - The TaskRouter error code of the failed request
+ * @property {string} [url] - The TaskRouter URL of the failed request
  */
-function TwilioError(errorData, customMessage) {
+function TwilioError(errorData, customMessage, details) {
+  details = details || {};
+
   Object.defineProperties(this, {
     _errorData: {
       value: errorData
@@ -19,6 +30,15 @@ function TwilioError(errorData, customMessage) {
     },
     message: {
       value: customMessage || errorData.message
+    },
+    status: {
+      value: typeof details.status === 'number' ? details.status : null
+    },
+    code: {
+      value: typeof details.code === 'number' ? details.code : null
+    },
+    url: {
+      value: typeof details.url === 'string' ? details.url : null
     }
   });
 }
@@ -28,10 +48,11 @@ inherits(TwilioError, Error);
 /**
  * Clone the {@link TwilioError} with a customized message
  * @param {string} customMessage - The custom message
+ * @param {TwilioError.Details} [details] - Details of the failed request
  * @returns {TwilioError} error
  */
-TwilioError.prototype.clone = function clone(customMessage) {
-  return new TwilioError(this._errorData, customMessage);
+TwilioError.prototype.clone = function clone(customMessage, details) {
+  return new TwilioError(this._errorData, customMessage, details);
 };
 
 module.exports = TwilioError;
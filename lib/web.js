@@ -1,5 +1,8 @@
+import Expression from './core/Expression';
+import SessionRecorder from './signaling/SessionRecorder';
+import SessionReplay from './signaling/SessionReplay';
 import Supervisor from './Supervisor';
 import Worker from './Worker';
 import Workspace from './Workspace';
 
-export { Supervisor, Worker, Workspace };
+export { Expression, SessionRecorder, SessionReplay, Supervisor, Worker, Workspace };
@@ -0,0 +1,23 @@
+import { EventEmitter } from 'events';
+
+// a minimal stand-in for AbortController, which is not available in the Node versions the tests run on
+export default class MockAbortController {
+  constructor() {
+    this._emitter = new EventEmitter();
+    this.signal = {
+      aborted: false,
+      addEventListener: (type, listener) => this._emitter.on(type, listener),
+      removeEventListener: (type, listener) => this._emitter.removeListener(type, listener),
+      listenerCount: type => this._emitter.listenerCount(type)
+    };
+  }
+
+  abort() {
+    if (this.signal.aborted) {
+      return;
+    }
+
+    this.signal.aborted = true;
+    this._emitter.emit('abort');
+  }
+}
@@ -16,6 +16,38 @@ export const defaultChannelInstance = {
   last_reserved_time: 1518729347273
 };
 
+export const defaultChannelUnavailable = {
+  account_sid: 'ACxxx',
+  workspace_sid: 'WSxxx',
+  sid: 'WCxx1',
+  worker_sid: 'WKxxx',
+  task_channel_sid: 'TCxx1',
+  configured_capacity: 2,
+  available: 0,
+  assigned_tasks: 0,
+  available_capacity_percentage: 0,
+  task_channel_unique_name: 'default',
+  date_created: 1510257438,
+  date_updated: 1518731280,
+  last_reserved_time: 1518729347273
+};
+
+export const defaultChannelCapacity5 = {
+  account_sid: 'ACxxx',
+  workspace_sid: 'WSxxx',
+  sid: 'WCxx1',
+  worker_sid: 'WKxxx',
+  task_channel_sid: 'TCxx1',
+  configured_capacity: 5,
+  available: 1,
+  assigned_tasks: 0,
+  available_capacity_percentage: 100,
+  task_channel_unique_name: 'default',
+  date_created: 1510257438,
+  date_updated: 1518731290,
+  last_reserved_time: 1518729347273
+};
+
 // Channels PageSize=1000
 export const pageSize1000 = {
   total: 5,
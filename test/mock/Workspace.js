@@ -0,0 +1,175 @@
+/* eslint-disable */
+
+const worker = (sid, name, activityName, activitySid, available) => ({
+  account_sid: 'ACxxx',
+  workspace_sid: 'WSxxx',
+  sid,
+  friendly_name: name,
+  activity_name: activityName,
+  activity_sid: activitySid,
+  attributes: '{"skills":["support"]}',
+  available,
+  date_created: 1510079627,
+  date_status_changed: 1510079627,
+  date_updated: 1510079627
+});
+
+const taskQueue = (sid, name) => ({
+  account_sid: 'ACxxx',
+  workspace_sid: 'WSxxx',
+  sid,
+  friendly_name: name,
+  assignment_activity_name: 'Busy',
+  assignment_activity_sid: 'WAxx3',
+  reservation_activity_name: 'Reserved',
+  reservation_activity_sid: 'WAxx4',
+  target_workers: 'skills HAS "support"',
+  max_reserved_workers: 1,
+  task_order: 'FIFO',
+  lifo_queue: false,
+  date_created: 1510079627,
+  date_updated: 1510079627
+});
+
+export const workersPage0 = {
+  contents: [
+    worker('WKxx1', 'alice', 'Available', 'WAxx2', true),
+    worker('WKxx2', 'bob', 'Offline', 'WAxx1', false)
+  ],
+  after_sid: 'WKxx2'
+};
+
+export const workersPage1 = {
+  contents: [
+    worker('WKxx3', 'carol', 'Available', 'WAxx2', true)
+  ],
+  after_sid: null
+};
+
+export const taskQueuesPage0 = {
+  contents: [
+    taskQueue('WQxx1', 'Support'),
+    taskQueue('WQxx2', 'Sales')
+  ],
+  after_sid: 'WQxx2'
+};
+
+export const taskQueuesPage1 = {
+  contents: [
+    taskQueue('WQxx3', 'Billing')
+  ],
+  after_sid: null
+};
+
+export const workflowInstance = {
+  account_sid: 'ACxxx',
+  workspace_sid: 'WSxxx',
+  sid: 'WWxx1',
+  friendly_name: 'Support',
+  assignment_callback_url: 'https://example.com/assignment',
+  fallback_assignment_callback_url: null,
+  task_reservation_timeout: 120,
+  configuration: JSON.stringify({
+    task_routing: {
+      filters: [{
+        filter_friendly_name: 'Spanish',
+        expression: 'language == "es"',
+        targets: [{
+          queue: 'WQxx1',
+          expression: 'worker.skills HAS "es"',
+          priority: 5,
+          timeout: 30,
+          order_by: 'worker.level DESC'
+        }, {
+          queue: 'WQxx2'
+        }]
+      }],
+      default_filter: { queue: 'WQxx3' }
+    }
+  }),
+  date_created: 1510079627,
+  date_updated: 1510079627
+};
+
+export const workflowsPage = {
+  contents: [workflowInstance],
+  after_sid: null
+};
+
+export const activitiesPage = {
+  contents: [{
+    account_sid: 'ACxxx',
+    workspace_sid: 'WSxxx',
+    sid: 'WAxx1',
+    date_created: 1510079627,
+    date_updated: 1510079627,
+    friendly_name: 'Offline',
+    available: false
+  }, {
+    account_sid: 'ACxxx',
+    workspace_sid: 'WSxxx',
+    sid: 'WAxx2',
+    date_created: 1510079627,
+    date_updated: 1510079627,
+    friendly_name: 'Available',
+    available: true
+  }],
+  after_sid: null
+};
+
+export const taskQueueRealTimeStatistics = {
+  account_sid: 'ACxxx',
+  workspace_sid: 'WSxxx',
+  task_queue_sid: 'WQxx1',
+  activity_statistics: [
+    { sid: 'WAxx1', friendly_name: 'Offline', workers: 3 },
+    { sid: 'WAxx2', friendly_name: 'Available', workers: 2 }
+  ],
+  longest_task_waiting_age: 42,
+  longest_task_waiting_sid: 'WTxx1',
+  tasks_by_priority: { '0': 4, '10': 1 },
+  tasks_by_status: { pending: 3, reserved: 1, assigned: 1, wrapping: 0 },
+  total_available_workers: 2,
+  total_eligible_workers: 5,
+  total_tasks: 5
+};
+
+export const taskQueueCumulativeStatistics = {
+  account_sid: 'ACxxx',
+  workspace_sid: 'WSxxx',
+  task_queue_sid: 'WQxx1',
+  avg_task_acceptance_time: 18,
+  start_time: '2026-10-19T09:00:00Z',
+  end_time: '2026-10-19T10:00:00Z',
+  reservations_created: 20,
+  reservations_accepted: 15,
+  reservations_rejected: 3,
+  reservations_timed_out: 2,
+  reservations_canceled: 0,
+  reservations_rescinded: 0,
+  wait_duration_until_accepted: { avg: 18, min: 2, max: 60, total: 270 },
+  wait_duration_until_canceled: { avg: 0, min: 0, max: 0, total: 0 },
+  tasks_canceled: 1,
+  tasks_completed: 14,
+  tasks_deleted: 0,
+  tasks_entered: 16,
+  tasks_moved: 0
+};
+
+export const workerCumulativeStatistics = {
+  account_sid: 'ACxxx',
+  workspace_sid: 'WSxxx',
+  worker_sid: 'WKxx1',
+  start_time: '2026-10-19T09:00:00Z',
+  end_time: '2026-10-19T10:00:00Z',
+  activity_durations: [
+    { sid: 'WAxx2', friendly_name: 'Available', avg: 1200, min: 600, max: 1800, total: 2400 }
+  ],
+  reservations_created: 4,
+  reservations_accepted: 3,
+  reservations_rejected: 1,
+  reservations_timed_out: 0,
+  reservations_canceled: 0,
+  reservations_rescinded: 0,
+  tasks_assigned: 3
+};
@@ -13,25 +13,40 @@ global.WebSocket = WS;
 
 require('./spec/Activity');
 require('./spec/Channel');
+require('./spec/core/ActivityScheduler');
+require('./spec/core/Expression');
+require('./spec/core/ReservationPolicy');
+require('./spec/core/transfer/IncomingTransfer');
 require('./spec/core/transfer/OutgoingTransfer');
 require('./spec/core/transfer/Transfer');
+require('./spec/core/transfer/TransferDirectory');
 require('./spec/core/transfer/Transfers');
 require('./spec/Reservation');
+require('./spec/Statistics');
 require('./spec/Supervisor');
 require('./spec/Task');
+require('./spec/TaskRouterBase');
 require('./spec/Worker');
 require('./spec/WorkerEvents');
 require('./spec/signaling/EventBridgeSignaling');
+require('./spec/signaling/SessionRecorder');
+require('./spec/signaling/SessionReplay');
+require('./spec/simulator/EventBridgeSimulator');
+require('./spec/simulator/SimulatedWorkspace');
 require('./spec/util/Configuration');
 require('./spec/util/Logger');
 require('./spec/util/Paginator');
+require('./spec/util/Request');
+require('./spec/util/TokenRefresher');
 require('./spec/util/Tools');
 require('./spec/util/TwilioError');
 require('./spec/data/Activities');
 require('./spec/data/Channels');
 require('./spec/data/Reservations');
+require('./spec/data/Workspace');
 require('./spec/descriptors/ActivityDescriptor');
 require('./spec/descriptors/WorkerChannelDescriptor');
 require('./spec/descriptors/ReservationDescriptor');
 require('./spec/descriptors/TaskDescriptor');
 require('./spec/descriptors/WorkerDescriptor');
+require('./spec/descriptors/WorkflowDescriptor');
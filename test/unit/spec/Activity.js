@@ -177,5 +177,61 @@ describe('Activity', () => {
             expect(() => idleActivity.setAsCurrent(options)).to.throw('Unable to reject pending reservations when updating to an Available activity state.');
         });
 
+        describe('with the option until', () => {
+            const until = new Date(Date.now() + 900000);
+            let activities;
+
+            beforeEach(() => {
+                activities = new Map();
+                mockList.contents.forEach(activityPayload => {
+                    activities.set(activityPayload.sid, new Activity(worker, new ActivityDescriptor(activityPayload)));
+                });
+                sandbox.stub(worker, 'activities').get(() => activities);
+                worker.activity = activities.get('WAxx2');
+            });
+
+            it('should schedule the return to the current Activity of the Worker', () => {
+                const busyActivity = activities.get('WAxx3');
+                const updateStub = sandbox.stub(worker, '_updateWorkerActivity').returns(Promise.resolve(worker));
+                const scheduleStub = sandbox.stub(worker, 'scheduleActivity').returns(Promise.resolve({}));
+
+                return busyActivity.setAsCurrent({ until }).then(result => {
+                    expect(result).to.equal(busyActivity);
+                    expect(updateStub.calledWith('WAxx3', {})).to.be.true;
+                    expect(scheduleStub.calledWith('WAxx2', until)).to.be.true;
+                    expect(scheduleStub.calledAfter(updateStub)).to.be.true;
+                });
+            });
+
+            it('should schedule the return to the Activity given by returnTo', () => {
+                sandbox.stub(worker, '_updateWorkerActivity').returns(Promise.resolve(worker));
+                const scheduleStub = sandbox.stub(worker, 'scheduleActivity').returns(Promise.resolve({}));
+
+                return activities.get('WAxx3').setAsCurrent({ until, returnTo: activities.get('WAxx1') }).then(() => {
+                    expect(scheduleStub.calledWith('WAxx1', until)).to.be.true;
+                });
+            });
+
+            it('should not schedule a return if the Activity could not be set', () => {
+                sandbox.stub(worker, '_updateWorkerActivity').returns(Promise.reject(Errors.TASKROUTER_ERROR.clone('Failed to parse JSON.')));
+                const scheduleStub = sandbox.stub(worker, 'scheduleActivity');
+
+                return activities.get('WAxx3').setAsCurrent({ until }).catch(err => {
+                    expect(err.name).to.equal('TASKROUTER_ERROR');
+                    expect(scheduleStub.called).to.be.false;
+                });
+            });
+
+            it('should throw an error if until is not a time in the future', () => {
+                expect(() => activities.get('WAxx3').setAsCurrent({ until: new Date(Date.now() - 1000) })).to.throw(/Option key: until/);
+                expect(() => activities.get('WAxx3').setAsCurrent({ until: 'later' })).to.throw(/Option key: until/);
+            });
+
+            it('should throw an error if returnTo is given without until or is unknown', () => {
+                expect(() => activities.get('WAxx3').setAsCurrent({ returnTo: 'WAxx2' })).to.throw(/returnTo requires the option until/);
+                expect(() => activities.get('WAxx3').setAsCurrent({ until, returnTo: 'WAxx9' })).to.throw(/not an Activity of the Workspace/);
+            });
+        });
+
     });
 });
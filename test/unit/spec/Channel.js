@@ -1,4 +1,5 @@
 const chai = require('chai');
+chai.use(require('chai-as-promised'));
 const assert = chai.assert;
 chai.use(require('chai-datetime'));
 chai.should();
@@ -6,7 +7,9 @@ const sinon = require('sinon');
 
 import Channel from '../../../lib/Channel';
 import Configuration from '../../../lib/util/Configuration';
-import { defaultChannelInstance } from '../../mock/Channels';
+import { API_V1 } from '../../../lib/util/Constants';
+import { defaultChannelInstance, defaultChannelUnavailable, defaultChannelCapacity5 } from '../../mock/Channels';
+const Errors = require('../../../lib/util/Constants').twilioErrors;
 import Logger from '../../../lib/util/Logger';
 const mockEvents = require('../../mock/Events').events;
 import Request from '../../../lib/util/Request';
@@ -14,12 +17,15 @@ import { token } from '../../mock/Token';
 import WorkerChannelDescriptor from '../../../lib/descriptors/WorkerChannelDescriptor';
 import Worker from '../../../lib/Worker';
 import { WorkerConfig } from '../../mock/WorkerConfig';
+import Routes from '../../../lib/util/Routes';
 
 describe('Channel', function() {
 
     const config = new Configuration(token);
     const worker = new Worker(token, WorkerConfig);
     const defaultChannelDescriptor = new WorkerChannelDescriptor(defaultChannelInstance);
+    const routes = new Routes('WSxxx', 'WKxxx');
+    sinon.stub(worker, 'getRoutes').returns(routes);
 
     describe('constructor', () => {
           it('should throw an error if worker is missing', () => {
@@ -94,4 +100,115 @@ describe('Channel', function() {
             assert.equal(defaultChannel.availableCapacityPercentage, mockEvents.channel.capacityUpdated.available_capacity_percentage);
         });
     });
+
+    describe('#setAvailability(isAvailable)', () => {
+        const requestURL = 'Workspaces/WSxxx/Workers/WKxxx/WorkerChannels/WCxx1';
+        const requestParams = { Available: false };
+
+        let sandbox;
+        beforeEach(() => {
+            sandbox = sinon.sandbox.create();
+        });
+
+        afterEach(() => sandbox.restore());
+
+        it('should throw an error if isAvailable is not a boolean', () => {
+            const defaultChannel = new Channel(worker, new Request(config), defaultChannelDescriptor);
+            (() => {
+                defaultChannel.setAvailability();
+            }).should.throw(/<boolean>isAvailable is a required parameter/);
+            (() => {
+                defaultChannel.setAvailability('false');
+            }).should.throw(/<boolean>isAvailable is a required parameter/);
+        });
+
+        it('should update the availability of the Channel and leave Event:on(availabilityUpdated) to TaskRouter', () => {
+            const stub = sandbox.stub(Request.prototype, 'post');
+            stub.withArgs(requestURL, requestParams, API_V1).returns(Promise.resolve(defaultChannelUnavailable));
+
+            const spy = sinon.spy();
+            const defaultChannel = new Channel(worker, new Request(config), defaultChannelDescriptor);
+            defaultChannel.on('availabilityUpdated', spy);
+
+            return defaultChannel.setAvailability(false).then(updatedChannel => {
+                assert.equal(updatedChannel, defaultChannel);
+                assert.equal(defaultChannel.available, false);
+                assert.equal(defaultChannel.availableCapacityPercentage, 0);
+                assert.equalDate(defaultChannel.dateUpdated, new Date(defaultChannelUnavailable.date_updated * 1000));
+                assert.isTrue(spy.notCalled);
+                sinon.assert.calledWith(stub, requestURL, requestParams, API_V1);
+            });
+        });
+
+        it('should return an error and not emit if unable to update the availability', () => {
+            sandbox.stub(Request.prototype, 'post').withArgs(requestURL, requestParams, API_V1).returns(Promise.reject(Errors.TASKROUTER_ERROR.clone('Failed to parse JSON.')));
+
+            const spy = sinon.spy();
+            const defaultChannel = new Channel(worker, new Request(config), defaultChannelDescriptor);
+            defaultChannel.on('availabilityUpdated', spy);
+
+            return defaultChannel.setAvailability(false).catch(err => {
+                assert.equal(err.name, 'TASKROUTER_ERROR');
+                assert.equal(err.message, 'Failed to parse JSON.');
+                assert.equal(defaultChannel.available, true);
+                assert.isTrue(spy.notCalled);
+            });
+        });
+    });
+
+    describe('#setCapacity(capacity)', () => {
+        const requestURL = 'Workspaces/WSxxx/Workers/WKxxx/WorkerChannels/WCxx1';
+        const requestParams = { Capacity: 5 };
+
+        let sandbox;
+        beforeEach(() => {
+            sandbox = sinon.sandbox.create();
+        });
+
+        afterEach(() => sandbox.restore());
+
+        it('should throw an error if capacity is not a non-negative integer', () => {
+            const defaultChannel = new Channel(worker, new Request(config), defaultChannelDescriptor);
+            (() => {
+                defaultChannel.setCapacity();
+            }).should.throw(/<int>capacity is a required parameter/);
+            (() => {
+                defaultChannel.setCapacity(1.5);
+            }).should.throw(/<int>capacity is a required parameter/);
+            (() => {
+                defaultChannel.setCapacity(-1);
+            }).should.throw(/<int>capacity is a required parameter/);
+        });
+
+        it('should update the capacity of the Channel and leave Event:on(capacityUpdated) to TaskRouter', () => {
+            const stub = sandbox.stub(Request.prototype, 'post');
+            stub.withArgs(requestURL, requestParams, API_V1).returns(Promise.resolve(defaultChannelCapacity5));
+
+            const spy = sinon.spy();
+            const defaultChannel = new Channel(worker, new Request(config), defaultChannelDescriptor);
+            defaultChannel.on('capacityUpdated', spy);
+
+            return defaultChannel.setCapacity(5).then(updatedChannel => {
+                assert.equal(updatedChannel, defaultChannel);
+                assert.equal(defaultChannel.capacity, 5);
+                assert.equalDate(defaultChannel.dateUpdated, new Date(defaultChannelCapacity5.date_updated * 1000));
+                assert.isTrue(spy.notCalled);
+                sinon.assert.calledWith(stub, requestURL, requestParams, API_V1);
+            });
+        });
+
+        it('should return an error and not emit if unable to update the capacity', () => {
+            sandbox.stub(Request.prototype, 'post').withArgs(requestURL, requestParams, API_V1).returns(Promise.reject(Errors.TASKROUTER_ERROR.clone('Failed to parse JSON.')));
+
+            const spy = sinon.spy();
+            const defaultChannel = new Channel(worker, new Request(config), defaultChannelDescriptor);
+            defaultChannel.on('capacityUpdated', spy);
+
+            return defaultChannel.setCapacity(5).catch(err => {
+                assert.equal(err.name, 'TASKROUTER_ERROR');
+                assert.equal(defaultChannel.capacity, 2);
+                assert.isTrue(spy.notCalled);
+            });
+        });
+    });
 });
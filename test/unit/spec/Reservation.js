@@ -75,6 +75,18 @@ describe('Reservation', () => {
                 assert.instanceOf(res._log, Logger);
             });
         });
+
+        it('should tell a transferred reservation apart from a fresh one', () => {
+            const transferred = new Reservation(worker, new Request(config), pendingTransferReservationDescriptor);
+            assert.isTrue(transferred.transferred);
+            assert.equal(transferred.transfer.workerSid, 'WKxxx');
+            assert.equal(transferred.transfer.queueSid, 'WQxxx');
+            assert.equal(transferred.transfer.reservationSid, 'WRxxx');
+
+            const fresh = new Reservation(worker, new Request(config), pendingReservationDescriptor);
+            assert.isFalse(fresh.transferred);
+            assert.isNull(fresh.transfer);
+        });
     });
 
     describe('#accept', () => {
@@ -512,6 +524,16 @@ describe('Reservation', () => {
                 expect(pendingReservation.status).to.equal('pending');
             });
         });
+
+        it('should pass the requestOptions on to the request', () => {
+            const requestOptions = { timeout: 1000 };
+            const postStub = sandbox.stub(Request.prototype, 'post').returns(Promise.resolve(reservationConferenced));
+
+            const pendingReservation = new Reservation(worker, new Request(config), pendingReservationDescriptor);
+            return pendingReservation.conference({ maxParticipants: 10 }, requestOptions).then(() => {
+                assert.isTrue(postStub.withArgs(requestURL, Object.assign({}, requestParams, { MaxParticipants: 10 }), API_V1, requestOptions).calledOnce);
+            });
+        });
     });
 
     describe('#updateParticipant(options)', () => {
@@ -787,5 +809,93 @@ describe('Reservation', () => {
             // verify that the outgoing transfer is still unset
             assert.isNull(pendingReservation.task.transfers.outgoing);
         });
+
+        it('should emit Event:on(canceled) once from the incoming transfer shared with the Task', () => {
+            const spy = sinon.spy();
+
+            const pendingReservation = new Reservation(worker, new Request(config), pendingTransferReservationDescriptor);
+            assert.strictEqual(pendingReservation.transfer, pendingReservation.task.transfers.incoming);
+
+            pendingReservation.transfer.on('canceled', spy);
+            pendingReservation._emitEvent('canceled', mockEvents.reservation.canceledForIncomingTransfer);
+
+            assert.isTrue(spy.calledOnce);
+            assert.isTrue(spy.calledWith(pendingReservation.transfer));
+        });
+
+        it('should create the incoming transfer of a Reservation which learns of it later', () => {
+            const pendingReservation = new Reservation(worker, new Request(config), pendingReservationDescriptor);
+            assert.isFalse(pendingReservation.transferred);
+
+            const transferred = Object.assign({}, pendingReservationInstance, { task_transfer: pendingReservationIncomingTransfer.task_transfer }); // eslint-disable-line camelcase
+            pendingReservation._update(transferred);
+
+            assert.isTrue(pendingReservation.transferred);
+            assert.strictEqual(pendingReservation.transfer, pendingReservation.task.transfers.incoming);
+            AssertionUtils.assertTransfer(pendingReservation.transfer, pendingReservationIncomingTransfer.task_transfer);
+        });
+    });
+
+    describe('expiry', () => {
+        let clock;
+        let pendingReservation;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers({ now: 1500000000000, toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+            // created 100 seconds ago with a timeout of 120 seconds
+            const createdAt = Date.now() / 1000 - 100;
+            // eslint-disable-next-line camelcase
+            const instance = Object.assign({}, pendingReservationInstance, { date_created: createdAt, date_updated: createdAt });
+            pendingReservation = new Reservation(worker, new Request(config), new ReservationDescriptor(instance, worker));
+        });
+
+        afterEach(() => {
+            pendingReservation._clearExpiringSoonTimer();
+            clock.restore();
+        });
+
+        it('should expire timeout seconds after the Reservation was created', () => {
+            assert.equal(pendingReservation.expiresAt.getTime(), Date.now() + 20000);
+            assert.equal(pendingReservation.timeRemaining, 20000);
+
+            clock.tick(5000);
+            assert.equal(pendingReservation.timeRemaining, 15000);
+        });
+
+        it('should not report a time remaining once the Reservation is no longer pending', () => {
+            // eslint-disable-next-line camelcase
+            pendingReservation._update(Object.assign({}, pendingReservationInstance, { reservation_status: 'accepted' }));
+
+            assert.isNull(pendingReservation.expiresAt);
+            assert.isNull(pendingReservation.timeRemaining);
+        });
+
+        it('should emit expiringSoon once, expiringSoonThreshold seconds before the Reservation expires', () => {
+            const spy = sinon.spy();
+            pendingReservation.on('expiringSoon', spy);
+
+            clock.tick(9999);
+            assert.isTrue(spy.notCalled);
+
+            clock.tick(1);
+            assert.isTrue(spy.calledOnce);
+            assert.isTrue(spy.calledWith(pendingReservation));
+
+            // eslint-disable-next-line camelcase
+            pendingReservation._update(Object.assign({}, pendingReservationInstance, { date_created: Date.now() / 1000 - 110 }));
+            clock.tick(10000);
+            assert.isTrue(spy.calledOnce);
+        });
+
+        it('should not emit expiringSoon once the Reservation is accepted', () => {
+            const spy = sinon.spy();
+            pendingReservation.on('expiringSoon', spy);
+
+            // eslint-disable-next-line camelcase
+            pendingReservation._update(Object.assign({}, pendingReservationInstance, { reservation_status: 'accepted' }));
+            clock.tick(20000);
+
+            assert.isTrue(spy.notCalled);
+        });
     });
 });
@@ -0,0 +1,142 @@
+import { API_V1 } from '../../../lib/util/Constants';
+import {
+    workersPage1 as mockWorkersPage,
+    taskQueuesPage1 as mockTaskQueuesPage,
+    taskQueueRealTimeStatistics as mockRealTime,
+    taskQueueCumulativeStatistics as mockCumulative,
+    workerCumulativeStatistics as mockWorkerCumulative
+} from '../../mock/Workspace';
+import { createToken } from '../../mock/Token';
+
+const chai = require('chai');
+const assert = chai.assert;
+chai.should();
+const sinon = require('sinon');
+
+import Request from '../../../lib/util/Request';
+import Statistics, { CumulativeStatistics, RealTimeStatistics } from '../../../lib/Statistics';
+import Workspace from '../../../lib/Workspace';
+
+describe('Statistics', () => {
+    const adminToken = createToken(Date.now() + 3600000, 'admin');
+    let sandbox;
+    let getStub;
+    let workspace;
+
+    beforeEach(() => {
+        sandbox = sinon.sandbox.create();
+        getStub = sandbox.stub(Request.prototype, 'get');
+        getStub.withArgs('Workspaces/WSxxx/TaskQueues').returns(Promise.resolve(mockTaskQueuesPage));
+        getStub.withArgs('Workspaces/WSxxx/Workers').returns(Promise.resolve(mockWorkersPage));
+        workspace = new Workspace(adminToken);
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    describe('constructor', () => {
+        it('should camel case the fields of the statistics and parse the dates of the interval', () => {
+            const statistics = new Statistics({ realtime: mockRealTime, cumulative: mockCumulative });
+
+            assert.instanceOf(statistics.realTime, RealTimeStatistics);
+            assert.equal(statistics.realTime.longestTaskWaitingAge, 42);
+            assert.deepEqual(statistics.realTime.tasksByStatus, { pending: 3, reserved: 1, assigned: 1, wrapping: 0 });
+            assert.deepEqual(statistics.realTime.tasksByPriority, { '0': 4, '10': 1 });
+            assert.deepEqual(statistics.realTime.activityStatistics[1], { sid: 'WAxx2', friendlyName: 'Available', workers: 2 });
+
+            assert.instanceOf(statistics.cumulative, CumulativeStatistics);
+            assert.equal(statistics.cumulative.avgTaskAcceptanceTime, 18);
+            assert.deepEqual(statistics.cumulative.waitDurationUntilAccepted, { avg: 18, min: 2, max: 60, total: 270 });
+            assert.deepEqual(statistics.cumulative.startTime, new Date('2026-10-19T09:00:00Z'));
+            assert.deepEqual(statistics.cumulative.endTime, new Date('2026-10-19T10:00:00Z'));
+        });
+    });
+
+    describe('Workspace#fetchStatistics(options)', () => {
+        it('should fetch the real-time and cumulative statistics together', () => {
+            getStub.withArgs('Workspaces/WSxxx/Statistics', API_V1, { Minutes: 60 }).returns(Promise.resolve({ realtime: mockRealTime, cumulative: mockCumulative }));
+
+            return workspace.fetchStatistics({ minutes: 60 }).then(statistics => {
+                assert.instanceOf(statistics, Statistics);
+                assert.equal(statistics.realTime.totalTasks, 5);
+                assert.equal(statistics.cumulative.reservationsAccepted, 15);
+            });
+        });
+
+        it('should only fetch the real-time statistics, without the interval', () => {
+            getStub.withArgs('Workspaces/WSxxx/RealTimeStatistics', API_V1, { TaskChannel: 'voice' }).returns(Promise.resolve(mockRealTime));
+
+            return workspace.fetchStatistics({ cumulative: false, taskChannel: 'voice', minutes: 30 }).then(statistics => {
+                assert.equal(statistics.realTime.longestTaskWaitingSid, 'WTxx1');
+                assert.isNull(statistics.cumulative);
+            });
+        });
+
+        it('should only fetch the cumulative statistics over the given dates', () => {
+            const params = { StartDate: '2026-10-19T09:00:00.000Z', EndDate: '2026-10-19T10:00:00.000Z' };
+            getStub.withArgs('Workspaces/WSxxx/CumulativeStatistics', API_V1, params).returns(Promise.resolve(mockCumulative));
+
+            return workspace.fetchStatistics({
+                realTime: false,
+                startDate: new Date('2026-10-19T09:00:00Z'),
+                endDate: '2026-10-19T10:00:00Z'
+            }).then(statistics => {
+                assert.isNull(statistics.realTime);
+                assert.equal(statistics.cumulative.tasksCompleted, 14);
+            });
+        });
+
+        it('should throw an error if neither realTime nor cumulative is set', () => {
+            (() => {
+                workspace.fetchStatistics({ realTime: false, cumulative: false });
+            }).should.throw(/At least one of realTime and cumulative must be set/);
+        });
+
+        it('should throw an error if minutes is not a positive integer', () => {
+            (() => {
+                workspace.fetchStatistics({ minutes: 0 });
+            }).should.throw(/Option key: minutes does not meet the required type/);
+        });
+
+        it('should throw an error if startDate or endDate is not a valid date', () => {
+            (() => {
+                workspace.fetchStatistics({ startDate: 'yesterday' });
+            }).should.throw(/Option key: startDate does not meet the required type/);
+            (() => {
+                workspace.fetchStatistics({ endDate: new Date('not a date') });
+            }).should.throw(/Option key: endDate does not meet the required type/);
+        });
+    });
+
+    describe('TaskQueue#fetchStatistics(options)', () => {
+        it('should fetch the statistics of the TaskQueue', () => {
+            getStub.withArgs('Workspaces/WSxxx/TaskQueues/WQxx3/Statistics', API_V1, {}).returns(Promise.resolve({ realtime: mockRealTime, cumulative: mockCumulative }));
+
+            return workspace.fetchTaskQueues().then(taskQueues => taskQueues.get('WQxx3').fetchStatistics()).then(statistics => {
+                assert.equal(statistics.realTime.totalEligibleWorkers, 5);
+                assert.equal(statistics.cumulative.tasksEntered, 16);
+            });
+        });
+    });
+
+    describe('WorkerContainer#fetchStatistics(options)', () => {
+        it('should fetch the cumulative statistics of the Worker', () => {
+            getStub.withArgs('Workspaces/WSxxx/Workers/WKxx3/Statistics', API_V1, { Minutes: 60 }).returns(Promise.resolve({ cumulative: mockWorkerCumulative }));
+
+            return workspace.fetchWorkers().then(workers => workers.get('WKxx3').fetchStatistics({ minutes: 60 })).then(statistics => {
+                assert.isNull(statistics.realTime);
+                assert.equal(statistics.cumulative.tasksAssigned, 3);
+                assert.deepEqual(statistics.cumulative.activityDurations[0].friendlyName, 'Available');
+            });
+        });
+
+        it('should throw an error if real-time statistics are requested', () => {
+            return workspace.fetchWorkers().then(workers => {
+                (() => {
+                    workers.get('WKxx3').fetchStatistics({ realTime: true });
+                }).should.throw(/Real-time statistics are not available for a single Worker/);
+            });
+        });
+    });
+});
@@ -11,7 +11,7 @@ import Worker from '../../../lib/Worker';
 import { token } from '../../mock/Token';
 import { WorkerConfig } from '../../mock/WorkerConfig';
 import { EventEmitter } from 'events';
-import { API_V1 } from '../../../lib/util/Constants';
+import { API_V1, API_V2 } from '../../../lib/util/Constants';
 
 describe('Supervisor', () => {
   const fakeInitEvent = {
@@ -107,6 +107,180 @@ describe('Supervisor', () => {
       });
     });
   });
+
+  describe('.barge()', () => {
+    beforeEach(() => {
+      signaling.emit('init', fakeInitEvent);
+    });
+
+    it('should throw if taskSid or reservationSid is missing', () => {
+      assert.throws(() => supervisor.barge());
+      assert.throws(() => supervisor.barge('WA123'));
+    });
+
+    it('should make a valid POST request to API_V1', () => {
+      supervisor.barge('WA123', 'WA321');
+      sinon.assert.calledWith(request.post,
+        'Workspaces/baz/Tasks/WA123/Reservations/WA321',
+        { Instruction: 'supervise', Supervisor: 'bar', SupervisorMode: 'barge' },
+        API_V1
+      );
+    });
+  });
+
+  describe('.whisper()', () => {
+    beforeEach(() => {
+      signaling.emit('init', fakeInitEvent);
+    });
+
+    it('should throw if taskSid or reservationSid is missing', () => {
+      assert.throws(() => supervisor.whisper());
+      assert.throws(() => supervisor.whisper('WA123'));
+    });
+
+    it('should make a valid POST request to API_V1', () => {
+      supervisor.whisper('WA123', 'WA321', { Foo: 'bar' });
+      sinon.assert.calledWith(request.post,
+        'Workspaces/baz/Tasks/WA123/Reservations/WA321',
+        { Instruction: 'supervise', Supervisor: 'bar', SupervisorMode: 'whisper', Foo: 'bar' },
+        API_V1
+      );
+    });
+  });
+
+  describe('.supervisions', () => {
+    beforeEach(() => {
+      signaling.emit('init', fakeInitEvent);
+    });
+
+    it('should start empty', () => {
+      assert.strictEqual(supervisor.supervisions.size, 0);
+    });
+
+    it('should track the supervised reservation and emit supervisionStarted', () => {
+      const spy = sinon.spy();
+      supervisor.on('supervisionStarted', spy);
+
+      return supervisor.monitor('WA123', 'WA321').then(() => {
+        assert.deepEqual(supervisor.supervisions.get('WA321'), { taskSid: 'WA123', reservationSid: 'WA321', mode: 'monitor' });
+        sinon.assert.calledOnce(spy);
+        sinon.assert.calledWith(spy, { taskSid: 'WA123', reservationSid: 'WA321', mode: 'monitor' });
+      });
+    });
+
+    it('should not track the reservation if the request fails', () => {
+      supervisor = new Supervisor(token, WorkerConfig, { EventBridgeSignaling, Request: FailRequest });
+      signaling.emit('init', fakeInitEvent);
+      return supervisor.barge('WA123', 'WA321').then(
+        () => { throw new Error('Expected to reject'); },
+        () => { assert.strictEqual(supervisor.supervisions.size, 0); });
+    });
+  });
+
+  describe('.setSupervisorMode()', () => {
+    beforeEach(() => {
+      signaling.emit('init', fakeInitEvent);
+    });
+
+    it('should throw if the reservation is not being supervised', () => {
+      assert.throws(() => supervisor.setSupervisorMode('WA321', 'barge'), /is not being supervised/);
+    });
+
+    it('should throw if the mode is invalid', () => {
+      return supervisor.monitor('WA123', 'WA321').then(() => {
+        assert.throws(() => supervisor.setSupervisorMode('WA321', 'shout'), /mode must be one of/);
+      });
+    });
+
+    it('should switch modes on the same reservation and emit supervisionModeChanged', () => {
+      const startedSpy = sinon.spy();
+      const changedSpy = sinon.spy();
+      supervisor.on('supervisionStarted', startedSpy);
+      supervisor.on('supervisionModeChanged', changedSpy);
+
+      return supervisor.monitor('WA123', 'WA321').then(() => {
+        return supervisor.setSupervisorMode('WA321', 'whisper');
+      }).then(() => {
+        sinon.assert.calledWith(request.post,
+          'Workspaces/baz/Tasks/WA123/Reservations/WA321',
+          { Instruction: 'supervise', Supervisor: 'bar', SupervisorMode: 'whisper' },
+          API_V1
+        );
+        assert.strictEqual(supervisor.supervisions.get('WA321').mode, 'whisper');
+        sinon.assert.calledOnce(startedSpy);
+        sinon.assert.calledOnce(changedSpy);
+        sinon.assert.calledWith(changedSpy, { taskSid: 'WA123', reservationSid: 'WA321', mode: 'whisper' }, 'monitor');
+      });
+    });
+
+    it('should not emit supervisionModeChanged if the mode did not change', () => {
+      const spy = sinon.spy();
+      supervisor.on('supervisionModeChanged', spy);
+
+      return supervisor.barge('WA123', 'WA321').then(() => supervisor.barge('WA123', 'WA321')).then(() => {
+        sinon.assert.notCalled(spy);
+      });
+    });
+  });
+
+  describe('.leave()', () => {
+    beforeEach(() => {
+      signaling.emit('init', fakeInitEvent);
+    });
+
+    it('should throw if the reservation is not being supervised', () => {
+      assert.throws(() => supervisor.leave('WA321'), /is not being supervised/);
+    });
+
+    it('should leave the supervision and emit supervisionEnded', () => {
+      const spy = sinon.spy();
+      supervisor.on('supervisionEnded', spy);
+
+      return supervisor.barge('WA123', 'WA321').then(() => supervisor.leave('WA321')).then(() => {
+        sinon.assert.calledWith(request.post,
+          'Workspaces/baz/Workers/bar/KickWorkerParticipant',
+          { TaskSid: 'WA123', TargetWorkerSid: 'bar' },
+          API_V2
+        );
+        assert.isFalse(supervisor.supervisions.has('WA321'));
+        sinon.assert.calledOnce(spy);
+        sinon.assert.calledWith(spy, { taskSid: 'WA123', reservationSid: 'WA321', mode: 'barge' });
+      });
+    });
+  });
+
+  describe('when the supervised Task or Reservation ends', () => {
+    beforeEach(() => {
+      signaling.emit('init', fakeInitEvent);
+    });
+
+    it('should end the supervisions of a Task once it completes', () => {
+      const spy = sinon.spy();
+      supervisor.on('supervisionEnded', spy);
+
+      return supervisor.monitor('WA123', 'WA321').then(() => supervisor.monitor('WA999', 'WA888')).then(() => {
+        signaling.emit('task.completed', { sid: 'WA123' });
+
+        assert.isFalse(supervisor.supervisions.has('WA321'));
+        assert.isTrue(supervisor.supervisions.has('WA888'));
+        sinon.assert.calledOnce(spy);
+        sinon.assert.calledWith(spy, { taskSid: 'WA123', reservationSid: 'WA321', mode: 'monitor' });
+      });
+    });
+
+    it('should end the supervision of a Reservation once it is canceled', () => {
+      const spy = sinon.spy();
+      supervisor.on('supervisionEnded', spy);
+
+      return supervisor.whisper('WA123', 'WA321').then(() => {
+        signaling.emit('reservation.canceled', { sid: 'WA321' });
+        signaling.emit('reservation.completed', { sid: 'WA321' });
+
+        assert.strictEqual(supervisor.supervisions.size, 0);
+        sinon.assert.calledOnce(spy);
+      });
+    });
+  });
 });
 
 /**
@@ -22,6 +22,7 @@ import { WorkerConfig } from '../../mock/WorkerConfig';
 import Routes from '../../../lib/util/Routes';
 import Transfers from '../../../lib/core/transfer/Transfers';
 import TransferDescriptor from '../../../lib/descriptors/TransferDescriptor';
+import { TransferTarget } from '../../../lib/core/transfer/TransferDirectory';
 
 describe('Task', () => {
     const config = new Configuration(token);
@@ -517,6 +518,156 @@ describe('Task', () => {
                 foo: 'bar',
             });
         });
+
+        it('should transfer to the sid of a TransferTarget, with the mode in upper case and the priority', () => {
+            const postStub = sandbox.stub(Request.prototype, 'post').returns(Promise.resolve(mockEvents.task.transferInitiated));
+            sandbox.stub(Transfers.prototype, '_updateOutgoing');
+            const target = new TransferTarget({ type: 'QUEUE', sid: 'WQxx1', name: 'Billing', available: true });
+
+            const task = new Task(worker, new Request(config), reservationSid, assignedTaskDescriptor);
+
+            return task.transfer(target, { mode: 'warm', priority: 0 }).then(() => {
+                assert.deepEqual(postStub.firstCall.args.slice(0, 3), ['Workspaces/WSxxx/Workers/WKxxx/Transfers', {
+                    ReservationSid: reservationSid,
+                    TaskSid: assignedTaskData.sid,
+                    To: 'WQxx1',
+                    Mode: 'WARM',
+                    Priority: 0
+                }, API_V2]);
+            });
+        });
+
+        it('should reject an invalid target, mode or priority without sending a request', () => {
+            const postStub = sandbox.stub(Request.prototype, 'post');
+            const task = new Task(worker, new Request(config), reservationSid, assignedTaskDescriptor);
+
+            return Promise.all([
+                task.transfer({ sid: 'WQxx1' }).then(() => assert.fail(), err => assert.match(err.message, /<string\|TransferTarget>to is a required parameter/)),
+                task.transfer('WQxx1', { mode: 'HOT' }).then(() => assert.fail(), err => assert.match(err.message, /Option key: mode does not meet the required type/)),
+                task.transfer('WQxx1', { priority: -1 }).then(() => assert.fail(), err => assert.match(err.message, /Option key: priority does not meet the required type/)),
+                task.transfer('WQxx1', { priority: '10' }).then(() => assert.fail(), err => assert.match(err.message, /Option key: priority does not meet the required type/))
+            ]).then(() => {
+                assert.isTrue(postStub.notCalled);
+            });
+        });
+    });
+
+    describe('#transferWithFallback(targets, options)', () => {
+        const transfersURL = 'Workspaces/WSxxx/Workers/WKxxx/Transfers';
+        let sandbox;
+        let postStub;
+        let task;
+
+        // the sid of the transfer to each target, e.g. TTWKxx1
+        const transferPayload = (to, status) => Object.assign({}, mockEvents.task.transferInitiated, { sid: `TT${to}`, transfer_to: to, transfer_status: status }); // eslint-disable-line camelcase
+        // answer each initiated transfer with the scripted event of its target, if any
+        const script = (outcomes) => task.on('transferFallbackStep', step => {
+            const to = step.transfer && step.transfer.to;
+            if (step.status === 'initiated' && outcomes[to]) {
+                Promise.resolve().then(() => task.transfers._emitEvent(outcomes[to], Object.assign({}, mockEvents.task.transferFailed, {
+                    sid: `TT${to}`,
+                    transfer_status: { 'transfer-completed': 'complete', 'transfer-failed': 'failed', 'transfer-canceled': 'canceled' }[outcomes[to]] // eslint-disable-line camelcase
+                })));
+            }
+        });
+
+        beforeEach(() => {
+            sandbox = sinon.sandbox.create();
+            postStub = sandbox.stub(Request.prototype, 'post').callsFake((url, params) => {
+                if (url === transfersURL) {
+                    return params.To === 'WKbad' ? Promise.reject(Errors.INVALID_REQUEST.clone('Worker is offline')) : Promise.resolve(transferPayload(params.To, 'initiated'));
+                }
+
+                return Promise.resolve(transferPayload(url.split('/TT')[1], 'canceled'));
+            });
+            task = new Task(worker, new Request(config), reservationSid, assignedTaskDescriptor);
+        });
+
+        afterEach(() => sandbox.restore());
+
+        it('should fall back to the next target until one accepts, and report each step', () => {
+            script({ WKxx1: 'transfer-failed', WQxx1: 'transfer-completed' });
+            const target = new TransferTarget({ type: 'QUEUE', sid: 'WQxx1', name: 'Billing', available: true });
+
+            return task.transferWithFallback(['WKxx1', 'WKbad', target], { mode: 'warm' }).then(result => {
+                assert.strictEqual(result.target, target);
+                assert.equal(result.index, 2);
+                assert.strictEqual(result.transfer, task.transfers.outgoing);
+                assert.deepEqual(result.steps.map(step => `${step.index}:${step.status}`), ['0:initiated', '0:failed', '1:error', '2:initiated', '2:completed']);
+                assert.equal(result.steps[1].reason, mockEvents.task.transferFailed.transfer_failed_reason);
+                assert.equal(result.steps[2].reason, 'Worker is offline');
+                assert.equal(postStub.firstCall.args[1].Mode, 'WARM');
+                assert.deepEqual(task.transfers.history.map(transfer => transfer.sid), ['TTWKxx1']);
+            });
+        });
+
+        it('should cancel a transfer which does not finish in time before falling back', () => {
+            script({ WQxx1: 'transfer-completed' });
+
+            return task.transferWithFallback(['WKxx1', 'WQxx1'], { perAttemptTimeout: 10 }).then(result => {
+                assert.equal(result.index, 1);
+                assert.deepEqual(result.steps.map(step => step.status), ['initiated', 'timeout', 'initiated', 'completed']);
+                assert.isTrue(postStub.calledWith(`${transfersURL}/TTWKxx1`, { TaskSid: mockEvents.task.transferInitiated.task_sid, TransferStatus: 'canceled' }));
+            });
+        });
+
+        it('should resolve with a timed out transfer which completed before it could be canceled', () => {
+            const cancelErr = Errors.INVALID_REQUEST.clone('Transfer is already complete');
+            postStub.withArgs(`${transfersURL}/TTWKxx1`).callsFake(() => {
+                // the completion arrives between the timeout and the cancel
+                task.transfers._emitEvent('transfer-completed', Object.assign({}, mockEvents.task.transferFailed, { sid: 'TTWKxx1', transfer_status: 'complete' })); // eslint-disable-line camelcase
+                return Promise.reject(cancelErr);
+            });
+
+            return task.transferWithFallback(['WKxx1', 'WQxx1'], { perAttemptTimeout: 10 }).then(result => {
+                assert.equal(result.target, 'WKxx1');
+                assert.equal(result.index, 0);
+                assert.equal(result.transfer.sid, 'TTWKxx1');
+                assert.deepEqual(result.steps.map(step => step.status), ['initiated', 'timeout', 'completed']);
+                assert.isFalse(postStub.calledWith(transfersURL, sinon.match({ To: 'WQxx1' })));
+            });
+        });
+
+        it('should stop with the steps if a timed out transfer which is still pending cannot be canceled', () => {
+            const cancelErr = Errors.INVALID_REQUEST.clone('TaskRouter is down');
+            postStub.withArgs(`${transfersURL}/TTWKxx1`).callsFake(() => Promise.reject(cancelErr));
+
+            return task.transferWithFallback(['WKxx1', 'WQxx1'], { perAttemptTimeout: 10 }).then(() => assert.fail('Expected the fallback to stop'), err => {
+                assert.strictEqual(err, cancelErr);
+                assert.deepEqual(err.steps.map(step => step.status), ['initiated', 'timeout', 'error']);
+                assert.equal(err.steps[2].reason, 'TaskRouter is down');
+                assert.isFalse(postStub.calledWith(transfersURL, sinon.match({ To: 'WQxx1' })));
+            });
+        });
+
+        it('should reject with the steps once every target failed', () => {
+            script({ WKxx1: 'transfer-failed', WKxx2: 'transfer-failed' });
+
+            return task.transferWithFallback(['WKxx1', 'WKxx2']).then(() => assert.fail('Expected every transfer to fail'), err => {
+                assert.equal(err.name, 'TRANSFER_FAILED');
+                assert.deepEqual(err.steps.map(step => step.status), ['initiated', 'failed', 'initiated', 'failed']);
+            });
+        });
+
+        it('should stop at a transfer canceled by the Worker', () => {
+            script({ WKxx1: 'transfer-canceled' });
+
+            return task.transferWithFallback(['WKxx1', 'WKxx2']).then(() => assert.fail('Expected the fallback to stop'), err => {
+                assert.equal(err.name, 'TRANSFER_CANCELED');
+                assert.equal(postStub.callCount, 1);
+            });
+        });
+
+        it('should reject invalid targets or options without sending a request', () => {
+            return Promise.all([
+                task.transferWithFallback([]).then(() => assert.fail(), err => assert.match(err.message, /targets is a required parameter/)),
+                task.transferWithFallback(['WKxx1', null]).then(() => assert.fail(), err => assert.match(err.message, /targets is a required parameter/)),
+                task.transferWithFallback(['WKxx1'], { perAttemptTimeout: 0 }).then(() => assert.fail(), err => assert.match(err.message, /Option key: perAttemptTimeout/)),
+                task.transferWithFallback(['WKxx1'], { mode: 'HOT' }).then(() => assert.fail(), err => assert.match(err.message, /Option key: mode/))
+            ]).then(() => {
+                assert.isTrue(postStub.notCalled);
+            });
+        });
     });
 
     describe('#kick(workerSid)', () => {
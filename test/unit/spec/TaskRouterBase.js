@@ -0,0 +1,99 @@
+/* eslint no-unused-expressions: 0 */
+const chai = require('chai');
+chai.use(require('sinon-chai'));
+
+const assert = chai.assert;
+const expect = chai.expect;
+const sinon = require('sinon');
+
+import TaskRouterBase from '../../../lib/TaskRouterBase';
+import { createToken } from '../../mock/Token';
+
+class TestClient extends TaskRouterBase {}
+
+describe('TaskRouterBase', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  // let the promise chain of a refresh settle while the clock is faked
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  describe('constructor', () => {
+    it('should not be instantiated directly', () => {
+      (() => {
+        new TaskRouterBase(createToken(Date.now() + 3600000));
+      }).should.throw(/You cannot instantiate TaskRouterBase directly/);
+    });
+
+    it('should read the grants of the token', () => {
+      const client = new TestClient(createToken(Date.now() + 3600000, 'admin'));
+      assert.equal(client.accountSid, 'ACxxx');
+      assert.equal(client.workspaceSid, 'WSxxx');
+      assert.equal(client.workerSid, 'WKxxx');
+      assert.equal(client.role, 'admin');
+    });
+
+    it('should throw an error if tokenProvider is not a function', () => {
+      (() => {
+        new TestClient(createToken(Date.now() + 3600000), { tokenProvider: 'abc' });
+      }).should.throw(/Option key: tokenProvider does not meet the required type/);
+    });
+  });
+
+  describe('#updateToken(newToken)', () => {
+    it('should throw an error if newToken is not provided', () => {
+      const client = new TestClient(createToken(Date.now() + 3600000));
+      (() => {
+        client.updateToken();
+      }).should.throw(/newToken is a required parameter/);
+    });
+
+    it('should update the configuration and emit tokenUpdated', () => {
+      const client = new TestClient(createToken(Date.now() + 3600000));
+      const newToken = createToken(Date.now() + 7200000);
+      const spy = sinon.spy();
+      client.on('tokenUpdated', spy);
+
+      client.updateToken(newToken);
+
+      assert.equal(client._config.token, newToken);
+      expect(spy).to.have.been.calledOnce;
+    });
+  });
+
+  describe('tokenProvider', () => {
+    it('should update the token with the one from the provider ahead of expiry', () => {
+      const newToken = createToken(Date.now() + 7200000);
+      const tokenProvider = sinon.stub().returns(Promise.resolve(newToken));
+      const client = new TestClient(createToken(Date.now() + 3600000), { tokenProvider });
+      const spy = sinon.spy();
+      client.on('tokenUpdated', spy);
+
+      clock.tick(3540000);
+      return flush().then(() => {
+        expect(spy).to.have.been.calledOnce;
+        assert.equal(client._config.token, newToken);
+      });
+    });
+
+    it('should emit tokenExpired once the token could not be refreshed', () => {
+      const tokenProvider = sinon.stub().returns(Promise.reject(new Error('unavailable')));
+      const client = new TestClient(createToken(Date.now() + 1500), { tokenProvider });
+      const spy = sinon.spy();
+      client.on('tokenExpired', spy);
+
+      clock.tick(1000);
+      return flush().then(() => {
+        expect(tokenProvider).to.have.been.calledOnce;
+        expect(spy).to.have.been.calledOnce;
+      });
+    });
+  });
+});
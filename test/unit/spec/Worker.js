@@ -18,8 +18,10 @@ import { pageSize1000 } from '../../mock/Channels';
 import { reservations } from '../../mock/Reservations';
 import { updateWorkerAttributes, updateWorkerActivityToIdle, createTask, initWorkerAttributes } from '../../mock/Responses';
 import Request from '../../../lib/util/Request';
+import Reservation from '../../../lib/Reservation';
+import Task from '../../../lib/Task';
 import EventBridgeSignaling from '../../../lib/signaling/EventBridgeSignaling';
-import { token as initialToken, updatedToken } from '../../mock/Token';
+import { token as initialToken, updatedToken, createToken } from '../../mock/Token';
 import Worker from '../../../lib/Worker';
 import { WorkerConfig } from '../../mock/WorkerConfig';
 import Routes from '../../../lib/util/Routes';
@@ -262,6 +264,244 @@ describe('Worker', () => {
     });
   });
 
+  describe('#fetchReservations(options)', () => {
+    const requestURL = 'Workspaces/WSxxx/Workers/WKxxx/Reservations';
+    let worker;
+    let sandbox;
+    let getStub;
+
+    beforeEach(() => {
+      worker = new Worker(initialToken, WorkerConfig);
+      sinon.stub(worker, 'getRoutes').returns(routes);
+      sandbox = sinon.sandbox.create();
+      getStub = sandbox.stub(Request.prototype, 'get');
+    });
+
+    afterEach(() => {
+      sandbox.restore();
+    });
+
+    it('should resolve with a Paginator over Reservations in any status, without adding them to the reservations map', () => {
+      getStub.withArgs(requestURL, API_V2, { PageSize: 1000 }).returns(Promise.resolve(reservations));
+
+      return worker.fetchReservations().then(paginator => {
+        assert.deepEqual(paginator.items.map(reservation => reservation.sid), reservations.contents.map(payload => payload.sid));
+        assert.instanceOf(paginator.items[0], Reservation);
+        assert.equal(paginator.items[0].task.sid, reservations.contents[0].task.sid);
+        assert.equal(worker.reservations.size, 0);
+      });
+    });
+
+    it('should not schedule expiringSoon for a pending Reservation of the history', () => {
+      const now = Math.floor(Date.now() / 1000);
+      // eslint-disable-next-line camelcase
+      const pendingPayload = Object.assign({}, reservations.contents[0], { reservation_status: 'pending', date_created: now, date_updated: now });
+      getStub.withArgs(requestURL, API_V2, { PageSize: 1000 }).returns(Promise.resolve({ contents: [pendingPayload], after_sid: null })); // eslint-disable-line camelcase
+
+      return worker.fetchReservations().then(paginator => {
+        assert.isNotNull(paginator.items[0].timeRemaining);
+        assert.isNull(paginator.items[0]._expiringSoonTimer);
+      });
+    });
+
+    it('should filter the Reservations by status and creation date', () => {
+      const requestParams = {
+        PageSize: 50,
+        ReservationStatus: 'completed,canceled',
+        DateCreatedAfter: '2018-02-16T00:00:00.000Z',
+        DateCreatedBefore: '2018-02-17T00:00:00.000Z'
+      };
+      getStub.withArgs(requestURL, API_V2, requestParams).returns(Promise.resolve({ contents: [], after_sid: null })); // eslint-disable-line camelcase
+
+      return worker.fetchReservations({
+        status: ['completed', 'canceled'],
+        after: new Date('2018-02-16T00:00:00Z'),
+        before: '2018-02-17T00:00:00Z',
+        pageSize: 50
+      }).then(paginator => {
+        assert.isTrue(getStub.calledOnce);
+        assert.isFalse(paginator.hasNextPage);
+      });
+    });
+
+    it('should fetch the following pages with the same filters', () => {
+      const page0 = Object.assign({}, reservations, { contents: reservations.contents.slice(0, 1), after_sid: 'WRxx1' }); // eslint-disable-line camelcase
+      const page1 = Object.assign({}, reservations, { contents: reservations.contents.slice(1, 2), after_sid: null }); // eslint-disable-line camelcase
+      getStub.withArgs(requestURL, API_V2, { PageSize: 1, ReservationStatus: 'accepted' }).returns(Promise.resolve(page0));
+      getStub.withArgs(requestURL, API_V2, { PageSize: 1, ReservationStatus: 'accepted', AfterSid: 'WRxx1' }).returns(Promise.resolve(page1));
+
+      return worker.fetchReservations({ status: 'accepted', pageSize: 1 }).then(paginator => paginator.toArray()).then(items => {
+        assert.deepEqual(items.map(reservation => reservation.sid), ['WRxx1', 'WRxx2']);
+      });
+    });
+
+    it('should throw an error if an option does not meet its type', () => {
+      (() => {
+        worker.fetchReservations({ status: 'done' });
+      }).should.throw(/Option key: status does not meet the required type/);
+      (() => {
+        worker.fetchReservations({ after: 'yesterday' });
+      }).should.throw(/Option key: after does not meet the required type/);
+      (() => {
+        worker.fetchReservations({ pageSize: 1001 });
+      }).should.throw(/Option key: pageSize does not meet the required type/);
+    });
+  });
+
+  describe('#fetchTask(taskSid)', () => {
+    const requestURL = 'Workspaces/WSxxx/Workers/WKxxx/Reservations';
+    let worker;
+    let sandbox;
+    let getStub;
+
+    beforeEach(() => {
+      worker = new Worker(initialToken, WorkerConfig);
+      sinon.stub(worker, 'getRoutes').returns(routes);
+      sandbox = sinon.sandbox.create();
+      getStub = sandbox.stub(Request.prototype, 'get');
+    });
+
+    afterEach(() => {
+      sandbox.restore();
+    });
+
+    it('should resolve with the Task of the latest Reservation of the Task', () => {
+      const payload = reservations.contents[0];
+      /* eslint-disable camelcase */
+      const earlier = Object.assign({}, payload, { sid: 'WRxx8', date_updated: payload.date_updated - 60 });
+      const latest = Object.assign({}, payload, { sid: 'WRxx9', date_updated: payload.date_updated + 60 });
+      getStub.withArgs(requestURL, API_V2, { PageSize: 1000, TaskSid: payload.task.sid })
+        .returns(Promise.resolve({ contents: [earlier, payload], after_sid: 'WRxx1' }));
+      getStub.withArgs(requestURL, API_V2, { PageSize: 1000, TaskSid: payload.task.sid, AfterSid: 'WRxx1' })
+        .returns(Promise.resolve({ contents: [latest], after_sid: null }));
+      /* eslint-enable camelcase */
+
+      return worker.fetchTask(payload.task.sid).then(task => {
+        assert.instanceOf(task, Task);
+        assert.equal(task.sid, payload.task.sid);
+        assert.equal(task.reservationSid, 'WRxx9');
+        assert.equal(worker.reservations.size, 0);
+      });
+    });
+
+    it('should leave out the Reservations of other Tasks if the list is not filtered', () => {
+      const payload = reservations.contents[0];
+      /* eslint-disable camelcase */
+      const otherTask = Object.assign({}, payload.task, { sid: 'WTxx9' });
+      const other = Object.assign({}, payload, { sid: 'WRxx9', task: otherTask, date_updated: payload.date_updated + 60 });
+      getStub.withArgs(requestURL, API_V2, { PageSize: 1000, TaskSid: payload.task.sid })
+        .returns(Promise.resolve({ contents: [payload, other], after_sid: null }));
+      /* eslint-enable camelcase */
+
+      return worker.fetchTask(payload.task.sid).then(task => {
+        assert.equal(task.sid, payload.task.sid);
+        assert.equal(task.reservationSid, payload.sid);
+      });
+    });
+
+    it('should reject with NOT_FOUND if only the Reservations of other Tasks are listed', () => {
+      getStub.returns(Promise.resolve({ contents: [reservations.contents[0]], after_sid: null })); // eslint-disable-line camelcase
+
+      return worker.fetchTask('WTxx9').then(() => assert.fail('Expected fetchTask() to be rejected'), err => {
+        assert.equal(err.name, 'NOT_FOUND');
+      });
+    });
+
+    it('should reject with NOT_FOUND if the Task was never reserved for the Worker', () => {
+      getStub.returns(Promise.resolve({ contents: [], after_sid: null })); // eslint-disable-line camelcase
+
+      return worker.fetchTask('WTxx9').then(() => assert.fail('Expected fetchTask() to be rejected'), err => {
+        assert.equal(err.name, 'NOT_FOUND');
+        assert.match(err.message, /Task WTxx9 was not reserved for Worker/);
+      });
+    });
+
+    it('should throw an error if the taskSid is missing', () => {
+      (() => {
+        worker.fetchTask();
+      }).should.throw(/<string>taskSid is a required parameter/);
+    });
+  });
+
+  describe('#scheduleActivity(activitySid, at)', () => {
+    let worker;
+    let sandbox;
+    const at = new Date(Date.now() + 900000);
+
+    beforeEach(() => {
+      sandbox = sinon.sandbox.create();
+      worker = new Worker(initialToken, WorkerConfig);
+
+      const activities = new Map();
+      mockList.contents.forEach(activityPayload => {
+        activities.set(activityPayload.sid, new Activity(worker, new ActivityDescriptor(activityPayload)));
+      });
+      sandbox.stub(worker, 'activities').get(() => activities);
+    });
+
+    afterEach(() => sandbox.restore());
+
+    it('should throw an error if activitySid is missing', () => {
+      (() => {
+        worker.scheduleActivity(null, at);
+      }).should.throw(/<string>activitySid is a required parameter/);
+    });
+
+    it('should throw an error if at is not a time in the future', () => {
+      (() => {
+        worker.scheduleActivity('WAxx2', 'tomorrow');
+      }).should.throw(/at must be a time in the future/);
+
+      (() => {
+        worker.scheduleActivity('WAxx2', new Date(Date.now() - 1000));
+      }).should.throw(/at must be a time in the future/);
+    });
+
+    it('should throw INVALID_ARGUMENT if the Activity is unknown', () => {
+      (() => {
+        worker.scheduleActivity('WAxx9', at);
+      }).should.throw(/Activity WAxx9. It is not an Activity of the Workspace/);
+    });
+
+    it('should schedule the Activity with the time read from at', () => {
+      const schedule = {};
+      const addStub = sandbox.stub(worker._activityScheduler, 'add').returns(Promise.resolve(schedule));
+
+      return worker.scheduleActivity('WAxx2', at.toISOString()).then(result => {
+        assert.strictEqual(result, schedule);
+        assert.isTrue(addStub.calledOnce);
+        assert.equal(addStub.args[0][0], 'WAxx2');
+        assert.equal(addStub.args[0][1].getTime(), at.getTime());
+      });
+    });
+
+    it('should expose and cancel the pending schedule', () => {
+      const schedule = {};
+      sandbox.stub(worker._activityScheduler, 'pending').get(() => schedule);
+      const cancelStub = sandbox.stub(worker._activityScheduler, 'cancel').returns(Promise.resolve(schedule));
+
+      assert.strictEqual(worker.scheduledActivity, schedule);
+      return worker.cancelScheduledActivity().then(canceled => {
+        assert.strictEqual(canceled, schedule);
+        assert.isTrue(cancelStub.calledOnce);
+      });
+    });
+  });
+
+  describe('#disconnect()', () => {
+    it('should clear the expiringSoon timers of the Reservations', () => {
+      const worker = new Worker(initialToken, WorkerConfig);
+      const reservation = { _clearExpiringSoonTimer: sinon.spy() };
+      sinon.stub(worker, 'reservations').get(() => new Map([['WRxxx', reservation]]));
+      sinon.stub(worker._signaling, 'disconnect');
+
+      worker.disconnect();
+
+      expect(reservation._clearExpiringSoonTimer).to.have.been.calledOnce;
+      expect(worker._signaling.disconnect).to.have.been.calledOnce;
+    });
+  });
+
   describe('#updateToken(newToken)', () => {
     let signalingSpy;
     let configSpy;
@@ -303,6 +543,106 @@ describe('Worker', () => {
     });
   });
 
+  describe('middleware', () => {
+    it('should throw an error if middleware is not an array', () => {
+      (() => {
+        new Worker(initialToken, Object.assign({}, WorkerConfig, { middleware: {} }));
+      }).should.throw(/Option key: middleware does not meet the required type/);
+    });
+
+    it('should add the middleware to the request chain in order', () => {
+      const first = { onRequest: () => {} };
+      const second = { onResponse: () => {} };
+      const worker = new Worker(initialToken, Object.assign({}, WorkerConfig, { middleware: [first, second] }));
+
+      assert.deepEqual(worker._request._middleware, [first, second]);
+    });
+  });
+
+  describe('tokenProvider', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    // let the promise chain of a refresh settle while the clock is faked
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+
+    it('should throw an error if tokenProvider is not a function', () => {
+      (() => {
+        new Worker(initialToken, Object.assign({}, WorkerConfig, { tokenProvider: 'abc' }));
+      }).should.throw(/Option key: tokenProvider does not meet the required type/);
+    });
+
+    it('should update the token with the one from the provider ahead of expiry', () => {
+      const newToken = createToken(Date.now() + 7200000);
+      const tokenProvider = sinon.stub().returns(Promise.resolve(newToken));
+      const worker = new Worker(createToken(Date.now() + 3600000), Object.assign({}, WorkerConfig, { tokenProvider }));
+      const signalingSpy = sinon.spy(worker._signaling, 'updateToken');
+      const tokenUpdatedSpy = sinon.spy();
+      worker.on('tokenUpdated', tokenUpdatedSpy);
+
+      clock.tick(3540000);
+      return flush().then(() => {
+        expect(tokenProvider).to.have.been.calledOnce;
+        expect(tokenUpdatedSpy).to.have.been.calledOnce;
+        expect(signalingSpy).to.have.been.calledWith(newToken);
+        assert.equal(worker._config.token, newToken);
+      });
+    });
+
+    it('should only emit tokenExpired once the token could not be refreshed', () => {
+      const tokenProvider = sinon.stub().returns(Promise.reject(new Error('unavailable')));
+      const worker = new Worker(createToken(Date.now() + 500), Object.assign({}, WorkerConfig, { tokenProvider }));
+      const tokenExpiredSpy = sinon.spy();
+      worker.on('tokenExpired', tokenExpiredSpy);
+
+      worker._signaling.emit('tokenExpired');
+      expect(tokenExpiredSpy).to.not.have.been.called;
+
+      return flush().then(() => {
+        expect(tokenProvider).to.have.been.calledOnce;
+        expect(tokenExpiredSpy).to.have.been.calledOnce;
+      });
+    });
+
+    it('should emit tokenExpired from the signaling layer without a tokenProvider', () => {
+      const worker = new Worker(initialToken, WorkerConfig);
+      const tokenExpiredSpy = sinon.spy();
+      worker.on('tokenExpired', tokenExpiredSpy);
+
+      worker._signaling.emit('tokenExpired');
+      expect(tokenExpiredSpy).to.have.been.calledOnce;
+    });
+  });
+
+  describe('#connectionState', () => {
+    it('should reflect the connection state of the signaling layer', () => {
+      const worker = new Worker(initialToken, WorkerConfig);
+      assert.equal(worker.connectionState, 'connecting');
+
+      worker._signaling.webSocket.dispatchEvent({ type: 'open' });
+      assert.equal(worker.connectionState, 'connected');
+    });
+
+    it('should emit connectionStateChanged when the signaling layer changes state', () => {
+      const worker = new Worker(initialToken, WorkerConfig);
+      const spy = sinon.spy();
+      worker.on('connectionStateChanged', spy);
+
+      const change = { state: 'reconnecting', previousState: 'connected', attempt: 3, nextRetryDelay: 8000 };
+      worker._signaling.emit('connectionStateChanged', change);
+
+      expect(spy).to.have.been.calledOnce;
+      expect(spy).to.have.been.calledWith(change);
+    });
+  });
+
   describe('#_updateWorkerActivity(activitySid)', () => {
     let worker;
     let sandbox;
@@ -396,9 +736,9 @@ describe('Worker', () => {
       PageSize: 1000
     };
 
-    // 5 listeners for signaling layer additional 22 for taskrouter events
+    // 6 listeners for signaling layer additional 22 for taskrouter events
     const expectedTRListenerCount = 22;
-    const expectedSignalingListenerCnt = 5;
+    const expectedSignalingListenerCnt = 6;
     const expectedMaxListenerForEvent = 1;
 
     beforeEach(done => {
@@ -489,4 +829,198 @@ describe('Worker', () => {
 
   });
 
+  describe('#_resynchronize() on reconnect', () => {
+    let sandbox;
+    let requestStub;
+    let worker;
+    const requestURL = 'Workspaces/WSxxx/Workers/WKxxx';
+    const activitiesURL = 'Workspaces/WSxxx/Activities';
+    const channelsURL = 'Workspaces/WSxxx/Workers/WKxxx/WorkerChannels';
+    const reservationsURL = 'Workspaces/WSxxx/Workers/WKxxx/Reservations';
+    const requestParams = {
+      PageSize: 1000
+    };
+    const reservationParam = {
+      Active: 'true',
+      PageSize: 1000
+    };
+
+    beforeEach(done => {
+      sandbox = sinon.sandbox.create();
+      requestStub = sandbox.stub(Request.prototype, 'get');
+      requestStub
+          .withArgs(requestURL, API_V1).returns(Promise.resolve(initWorkerAttributes))
+          .withArgs(activitiesURL, API_V1, requestParams).returns(Promise.resolve(mockList))
+          .withArgs(channelsURL, API_V1, requestParams).returns(Promise.resolve(pageSize1000))
+          .withArgs(reservationsURL, API_V2, reservationParam).returns(Promise.resolve(reservations));
+
+      worker = new Worker(initialToken, WorkerConfig);
+      sinon.stub(worker, 'getRoutes').returns(routes);
+      worker.once('ready', () => done());
+      worker._signaling.emit('init', mockEvents.signaling.initWorkerEvent);
+    });
+
+    afterEach(() => {
+      sandbox.restore();
+    });
+
+    const reconnect = () => {
+      return new Promise(resolve => {
+        worker.once('ready', resolve);
+        worker._signaling.emit('disconnected');
+        worker._signaling.emit('init', mockEvents.signaling.initWorkerEvent);
+      });
+    };
+
+    it('should not re-initialize the Worker on a subsequent init', () => {
+      const initializeSpy = sinon.spy(worker, '_initialize');
+      const resynchronizeSpy = sinon.spy(worker, '_resynchronize');
+      const reservationsBefore = worker.reservations;
+
+      return reconnect().then(() => {
+        expect(initializeSpy).to.not.have.been.called;
+        expect(resynchronizeSpy).to.have.been.calledOnce;
+        reservationsBefore.forEach((reservation, sid) => {
+          expect(worker.reservations.get(sid)).to.equal(reservation);
+        });
+      });
+    });
+
+    it('should emit the events for changes missed while disconnected', () => {
+      const missingSid = reservations.contents[1].sid;
+      const wrappingSid = reservations.contents[0].sid;
+      const createdPayload = Object.assign({}, reservations.contents[1], {
+        sid: 'WRxx99',
+        task: Object.assign({}, reservations.contents[1].task, { sid: 'WTxx99' })
+      });
+      const latestReservations = Object.assign({}, reservations, {
+        contents: reservations.contents
+          .filter(r => r.sid !== missingSid)
+          // eslint-disable-next-line camelcase
+          .map(r => r.sid === wrappingSid ? Object.assign({}, r, { reservation_status: 'wrapping' }) : r)
+          .concat([createdPayload])
+      });
+      const latestChannels = Object.assign({}, pageSize1000, {
+        // eslint-disable-next-line camelcase
+        contents: pageSize1000.contents.map(c => c.sid === 'WCxx1' ? Object.assign({}, c, { configured_capacity: 5 }) : c)
+      });
+
+      // eslint-disable-next-line camelcase
+      const latestWorker = Object.assign({}, initWorkerAttributes, { activity_sid: 'WAxx3', activity_name: 'Busy' });
+      // eslint-disable-next-line camelcase
+      const canceledPayload = Object.assign({}, reservations.contents[1], { reservation_status: 'canceled' });
+      requestStub.withArgs(requestURL, API_V1).returns(Promise.resolve(latestWorker));
+      requestStub.withArgs(channelsURL, API_V1, requestParams).returns(Promise.resolve(latestChannels));
+      requestStub.withArgs(reservationsURL, API_V2, reservationParam).returns(Promise.resolve(latestReservations));
+      requestStub.withArgs(`${reservationsURL}/${missingSid}`, API_V2).returns(Promise.resolve(canceledPayload));
+
+      const missingReservation = worker.reservations.get(missingSid);
+      const wrappingReservation = worker.reservations.get(wrappingSid);
+      const activityUpdatedSpy = sinon.spy();
+      const reservationCreatedSpy = sinon.spy();
+      const canceledSpy = sinon.spy();
+      const wrapupSpy = sinon.spy();
+      const capacityUpdatedSpy = sinon.spy();
+      worker.on('activityUpdated', activityUpdatedSpy);
+      worker.on('reservationCreated', reservationCreatedSpy);
+      missingReservation.on('canceled', canceledSpy);
+      wrappingReservation.on('wrapup', wrapupSpy);
+      worker.channels.get('WCxx1').on('capacityUpdated', capacityUpdatedSpy);
+
+      return reconnect().then(() => {
+        expect(activityUpdatedSpy).to.have.been.calledOnce;
+        expect(worker.activity.sid).to.equal('WAxx3');
+
+        expect(reservationCreatedSpy).to.have.been.calledOnce;
+        expect(reservationCreatedSpy.firstCall.args[0].sid).to.equal('WRxx99');
+        expect(worker.reservations.has('WRxx99')).to.be.true;
+
+        expect(canceledSpy).to.have.been.calledOnce;
+        expect(missingReservation.status).to.equal('canceled');
+        expect(worker.reservations.has(missingSid)).to.be.false;
+
+        expect(wrapupSpy).to.have.been.calledOnce;
+        expect(wrappingReservation.status).to.equal('wrapping');
+
+        expect(capacityUpdatedSpy).to.have.been.calledOnce;
+        expect(worker.channels.get('WCxx1').capacity).to.equal(5);
+      });
+    });
+
+    it('should remove a Reservation whose final state cannot be fetched', () => {
+      const missingSid = reservations.contents[1].sid;
+      const latestReservations = Object.assign({}, reservations, {
+        contents: reservations.contents.filter(r => r.sid !== missingSid)
+      });
+      requestStub.withArgs(reservationsURL, API_V2, reservationParam).returns(Promise.resolve(latestReservations));
+      requestStub.withArgs(`${reservationsURL}/${missingSid}`, API_V2).returns(Promise.reject(Errors.TASKROUTER_ERROR.clone('Not found.')));
+
+      const activityUpdatedSpy = sinon.spy();
+      worker.on('activityUpdated', activityUpdatedSpy);
+
+      return reconnect().then(() => {
+        expect(worker.reservations.has(missingSid)).to.be.false;
+        expect(activityUpdatedSpy).to.not.have.been.called;
+      });
+    });
+
+    it('should emit an error if the connectActivitySid cannot be set on reconnect', () => {
+      const err = Errors.TASKROUTER_ERROR.clone('Failed to update the Activity.');
+      const errorSpy = sinon.spy();
+      worker._connectActivitySid = 'WAxx1';
+      sandbox.stub(worker, '_setWorkerConnectActivity').returns(Promise.reject(err));
+      worker.on('error', errorSpy);
+
+      return reconnect().then(() => new Promise(resolve => setImmediate(resolve))).then(() => {
+        expect(errorSpy).to.have.been.calledWith(err);
+      });
+    });
+
+    it('should only log if the connectActivitySid cannot be set on reconnect and nobody listens for errors', () => {
+      worker._connectActivitySid = 'WAxx1';
+      sandbox.stub(worker, '_setWorkerConnectActivity').returns(Promise.reject(new Error('Failed to update the Activity.')));
+      const emitSpy = sandbox.spy(worker, 'emit');
+
+      return reconnect().then(() => new Promise(resolve => setImmediate(resolve))).then(() => {
+        expect(emitSpy).to.not.have.been.calledWith('error');
+      });
+    });
+
+    it('should emit the error if the Worker cannot be resynchronized', () => {
+      const err = Errors.TASKROUTER_ERROR.clone('Failed to fetch the Worker.');
+      const errorSpy = sinon.spy();
+      requestStub.withArgs(requestURL, API_V1).callsFake(() => Promise.reject(err));
+      worker.on('error', errorSpy);
+
+      return worker._resynchronize().then(() => {
+        expect(errorSpy).to.have.been.calledOnce;
+        expect(errorSpy).to.have.been.calledWith(err);
+      });
+    });
+
+    it('should only log if the Worker cannot be resynchronized and nobody listens for errors', () => {
+      requestStub.withArgs(requestURL, API_V1).callsFake(() => Promise.reject(new Error('Failed to fetch the Worker.')));
+      const emitSpy = sandbox.spy(worker, 'emit');
+
+      return worker._resynchronize().then(() => {
+        expect(emitSpy).to.not.have.been.calledWith('error');
+      });
+    });
+
+    it('should restore the Activity schedule saved in the attributes of the Worker', () => {
+      const at = new Date(Date.now() + 900000);
+      // eslint-disable-next-line camelcase
+      const scheduledActivity = { activity_sid: 'WAxx1', activity_name: 'Offline', at: at.toISOString(), from_activity_sid: 'WAxx2' };
+      const latestWorker = Object.assign({}, initWorkerAttributes, {
+        attributes: JSON.stringify({ scheduled_activity: scheduledActivity }) // eslint-disable-line camelcase
+      });
+      requestStub.withArgs(requestURL, API_V1).returns(Promise.resolve(latestWorker));
+
+      return reconnect().then(() => worker._activityScheduler._lastWrite).then(() => {
+        expect(worker.scheduledActivity).to.deep.equal({ activitySid: 'WAxx1', activityName: 'Offline', at, fromActivitySid: 'WAxx2' });
+        worker._activityScheduler.stop();
+      });
+    });
+  });
+
 });
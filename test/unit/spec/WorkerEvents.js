@@ -2,6 +2,7 @@ const mockEvents = require('../../mock/Events').events;
 import { initiatedTaskTransfer } from '../../mock/Transfers';
 import { API_V2 } from '../../../lib/util/Constants';
 import Request from '../../../lib/util/Request';
+import Reservation from '../../../lib/Reservation';
 import ReservationsEntity from '../../../lib/data/ReservationsEntity';
 import Routes from '../../../lib/util/Routes';
 import Worker from '../../../lib/Worker';
@@ -127,5 +128,73 @@ describe('WorkerEvents', () => {
             assert.isTrue(spy.calledOnce);
             expect(spy.getCall(0).args[0]).to.equal(mockEvents.reservation.failed);
         });
+
+        it('should apply the reservationPolicy to a created Reservation and emit the decision', done => {
+            const policyWorker = new Worker(token, Object.assign({}, WorkerConfig, {
+                reservationPolicy: [{ match: { taskChannelUniqueName: 'default' }, action: 'accept' }]
+            }));
+            sinon.stub(policyWorker, 'getRoutes').returns(routes);
+            policyWorker._subscribeToTaskRouterEvents();
+            const acceptStub = sinon.stub(Reservation.prototype, 'accept').returns(Promise.resolve());
+
+            policyWorker.on('reservationPolicyDecision', decision => {
+                acceptStub.restore();
+                assert.isTrue(acceptStub.calledOnce);
+                assert.equal(decision.reservation.sid, mockEvents.reservation.created.sid);
+                assert.equal(decision.action, 'accept');
+                assert.isNull(decision.error);
+                done();
+            });
+            policyWorker._signaling.emit('reservation.created', mockEvents.reservation.created, 'reservation.created');
+        });
+
+        describe('when the reservationPolicy or a listener of its decision throws', () => {
+            let policyWorker;
+            let logStub;
+
+            beforeEach(() => {
+                policyWorker = new Worker(token, Object.assign({}, WorkerConfig, {
+                    reservationPolicy: [{ match: { taskChannelUniqueName: 'default' }, action: 'accept' }]
+                }));
+                sinon.stub(policyWorker, 'getRoutes').returns(routes);
+                policyWorker._subscribeToTaskRouterEvents();
+                // the handlers log through the signaling layer which calls them
+                logStub = sinon.stub(policyWorker._signaling._log, 'error');
+            });
+
+            afterEach(() => logStub.restore());
+
+            it('should keep the created Reservation and log a rule which fails to match', () => {
+                const err = new Error('Bad rule');
+                sinon.stub(policyWorker._reservationPolicy, 'match').throws(err);
+                const createdSpy = sinon.spy();
+                policyWorker.on('reservationCreated', createdSpy);
+
+                policyWorker._signaling.emit('reservation.created', mockEvents.reservation.created, 'reservation.created');
+
+                assert.isTrue(createdSpy.calledOnce);
+                assert.isTrue(policyWorker.reservations.has(mockEvents.reservation.created.sid));
+                return new Promise(resolve => setImmediate(resolve)).then(() => {
+                    assert.isTrue(logStub.calledOnce);
+                    assert.strictEqual(logStub.args[0][3], err);
+                });
+            });
+
+            it('should log a listener of the decision which throws', () => {
+                const err = new Error('Listener failed');
+                const acceptStub = sinon.stub(Reservation.prototype, 'accept').returns(Promise.resolve());
+                policyWorker.on('reservationPolicyDecision', () => {
+                    throw err;
+                });
+
+                policyWorker._signaling.emit('reservation.created', mockEvents.reservation.created, 'reservation.created');
+
+                return new Promise(resolve => setImmediate(resolve)).then(() => {
+                    acceptStub.restore();
+                    assert.isTrue(logStub.calledOnce);
+                    assert.strictEqual(logStub.args[0][3], err);
+                });
+            });
+        });
     });
 });
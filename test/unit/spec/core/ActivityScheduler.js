@@ -0,0 +1,285 @@
+import Activity from '../../../../lib/Activity';
+import ActivityDescriptor from '../../../../lib/descriptors/ActivityDescriptor';
+import ActivityScheduler, { SCHEDULE_ATTRIBUTE, toScheduleTime } from '../../../../lib/core/ActivityScheduler';
+import { list as mockList } from '../../../mock/Activities';
+import { updateWorkerActivityToIdle } from '../../../mock/Responses';
+import Request from '../../../../lib/util/Request';
+import Routes from '../../../../lib/util/Routes';
+import { token } from '../../../mock/Token';
+import Worker from '../../../../lib/Worker';
+import { WorkerConfig } from '../../../mock/WorkerConfig';
+
+const chai = require('chai');
+const assert = chai.assert;
+chai.should();
+const sinon = require('sinon');
+
+describe('ActivityScheduler', () => {
+    const requestURL = 'Workspaces/WSxxx/Workers/WKxxx';
+    const now = 1500000000000;
+    const at = new Date(now + 900000);
+
+    let sandbox;
+    let clock;
+    let get;
+    let post;
+    let worker;
+    let scheduler;
+
+    // let the promise chain of a write or a switch settle while the clock is faked
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+    const postedAttributes = () => post.args.filter(args => args[1].Attributes).map(args => args[1].Attributes);
+    const postedActivities = () => post.args.filter(args => args[1].ActivitySid).map(args => args[1].ActivitySid);
+
+    beforeEach(() => {
+        sandbox = sinon.sandbox.create();
+        clock = sinon.useFakeTimers({ now, toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+
+        worker = new Worker(token, WorkerConfig);
+        worker.sid = 'WKxxx';
+        sandbox.stub(worker, 'getRoutes').returns(new Routes('WSxxx', 'WKxxx'));
+
+        const activities = new Map();
+        mockList.contents.forEach(activityPayload => {
+            activities.set(activityPayload.sid, new Activity(worker, new ActivityDescriptor(activityPayload)));
+        });
+        sandbox.stub(worker, 'activities').get(() => activities);
+        worker.activity = activities.get('WAxx3');
+        worker.activity._isCurrent = true;
+        worker.attributes = { languages: ['en'] };
+
+        // echo the Worker, as fetched or updated by the request
+        get = sandbox.stub(Request.prototype, 'get').callsFake(() => Promise.resolve(Object.assign({}, updateWorkerActivityToIdle, {
+            activity_sid: worker.activity.sid, // eslint-disable-line camelcase
+            attributes: JSON.stringify(worker.attributes)
+        })));
+        post = sandbox.stub(Request.prototype, 'post').callsFake((url, params) => Promise.resolve(Object.assign({}, updateWorkerActivityToIdle, {
+            activity_sid: params.ActivitySid || worker.activity.sid, // eslint-disable-line camelcase
+            attributes: JSON.stringify(params.Attributes || worker.attributes)
+        })));
+
+        scheduler = new ActivityScheduler(worker);
+        worker._activityScheduler = scheduler;
+    });
+
+    afterEach(() => {
+        scheduler.stop();
+        clock.restore();
+        sandbox.restore();
+    });
+
+    describe('constructor', () => {
+        it('should throw an error if worker is missing', () => {
+            (() => {
+                new ActivityScheduler();
+            }).should.throw(/<Worker>worker is a required parameter/);
+        });
+    });
+
+    describe('#add(activitySid, at)', () => {
+        it('should save the schedule in the attributes of the Worker and emit Event:on(activityScheduled)', () => {
+            const scheduledSpy = sinon.spy();
+            worker.on('activityScheduled', scheduledSpy);
+
+            return scheduler.add('WAxx2', at).then(schedule => {
+                assert.deepEqual(schedule, { activitySid: 'WAxx2', activityName: 'Idle', at, fromActivitySid: 'WAxx3' });
+                assert.strictEqual(scheduler.pending, schedule);
+                assert.isTrue(scheduledSpy.calledWith(schedule));
+                assert.isTrue(post.calledWith(requestURL));
+                assert.deepEqual(worker.attributes, {
+                    languages: ['en'],
+                    // eslint-disable-next-line camelcase
+                    [SCHEDULE_ATTRIBUTE]: { activity_sid: 'WAxx2', activity_name: 'Idle', at: at.toISOString(), from_activity_sid: 'WAxx3' }
+                });
+            });
+        });
+
+        it('should switch the Activity at the given time and emit Event:on(activityScheduleFired)', () => {
+            const firedSpy = sinon.spy();
+            worker.on('activityScheduleFired', firedSpy);
+
+            return scheduler.add('WAxx2', at).then(schedule => {
+                clock.tick(899999);
+                assert.deepEqual(postedActivities(), []);
+
+                clock.tick(1);
+                return flush().then(() => {
+                    assert.deepEqual(postedActivities(), ['WAxx2']);
+                    assert.equal(worker.activity.sid, 'WAxx2');
+                    assert.isTrue(firedSpy.calledWith(schedule));
+                    assert.isNull(scheduler.pending);
+                    assert.deepEqual(worker.attributes, { languages: ['en'] });
+                });
+            });
+        });
+
+        it('should replace the pending schedule', () => {
+            return scheduler.add('WAxx2', at).then(() => scheduler.add('WAxx1', new Date(now + 60000))).then(() => {
+                clock.tick(900000);
+                return flush();
+            }).then(() => {
+                assert.deepEqual(postedActivities(), ['WAxx1']);
+            });
+        });
+
+        it('should emit Event:on(error) if the Activity could not be switched', () => {
+            const err = new Error('TaskRouter is down');
+            const errorSpy = sinon.spy();
+            worker.on('error', errorSpy);
+
+            return scheduler.add('WAxx2', at).then(() => {
+                post.withArgs(requestURL, { ActivitySid: 'WAxx2' }).returns(Promise.reject(err));
+                clock.tick(900000);
+                return flush();
+            }).then(() => {
+                assert.isTrue(errorSpy.calledWith(err));
+                assert.equal(worker.activity.sid, 'WAxx3');
+            });
+        });
+
+        it('should not reject if the Activity could not be switched and there is no error listener', () => {
+            return scheduler.add('WAxx2', at).then(schedule => {
+                scheduler.stop();
+                post.withArgs(requestURL, { ActivitySid: 'WAxx2' }).returns(Promise.reject(new Error('TaskRouter is down')));
+                return scheduler._fire(schedule);
+            }).then(() => {
+                assert.equal(worker.listenerCount('error'), 0);
+                assert.equal(worker.activity.sid, 'WAxx3');
+            });
+        });
+
+        it('should keep the attributes changed elsewhere between the schedule and the switch', () => {
+            return scheduler.add('WAxx2', at).then(() => {
+                // a supervisor edits the skills; the update has not reached this client
+                get.callsFake(() => Promise.resolve(Object.assign({}, updateWorkerActivityToIdle, {
+                    activity_sid: worker.activity.sid, // eslint-disable-line camelcase
+                    attributes: JSON.stringify(Object.assign({}, worker.attributes, { skills: ['billing'] }))
+                })));
+                clock.tick(900000);
+                return flush();
+            }).then(() => {
+                assert.deepEqual(postedActivities(), ['WAxx2']);
+                assert.deepEqual(postedAttributes().pop(), { languages: ['en'], skills: ['billing'] });
+                assert.deepEqual(worker.attributes, { languages: ['en'], skills: ['billing'] });
+            });
+        });
+
+        it('should drop the schedule and reject if it could not be saved', () => {
+            const err = new Error('TaskRouter is down');
+            post.returns(Promise.reject(err));
+
+            return scheduler.add('WAxx2', at).then(() => assert.fail('Expected the schedule to be rejected'), e => {
+                assert.strictEqual(e, err);
+                assert.isNull(scheduler.pending);
+            });
+        });
+    });
+
+    describe('#cancel()', () => {
+        it('should stop the timer and remove the schedule from the attributes of the Worker', () => {
+            return scheduler.add('WAxx2', at).then(schedule => {
+                return scheduler.cancel().then(canceled => {
+                    assert.strictEqual(canceled, schedule);
+                    assert.isNull(scheduler.pending);
+                    assert.deepEqual(worker.attributes, { languages: ['en'] });
+
+                    clock.tick(900000);
+                    assert.deepEqual(postedActivities(), []);
+                });
+            });
+        });
+
+        it('should not update the attributes if there is no schedule', () => {
+            return scheduler.cancel().then(canceled => {
+                assert.isNull(canceled);
+                assert.isFalse(post.called);
+            });
+        });
+    });
+
+    describe('when the Worker changes Activity', () => {
+        it('should cancel the schedule once the Worker leaves the Activity it was made in', () => {
+            return scheduler.add('WAxx2', at).then(() => worker._updateWorkerActivity('WAxx1')).then(flush).then(() => {
+                assert.isNull(scheduler.pending);
+                assert.deepEqual(worker.attributes, { languages: ['en'] });
+
+                clock.tick(900000);
+                assert.deepEqual(postedActivities(), ['WAxx1']);
+            });
+        });
+
+        it('should keep the schedule on an update to the same Activity', () => {
+            return scheduler.add('WAxx2', at).then(schedule => {
+                worker.emit('activityUpdated', worker);
+                assert.strictEqual(scheduler.pending, schedule);
+            });
+        });
+    });
+
+    describe('#restore()', () => {
+        const saveSchedule = (schedule) => {
+            worker.attributes = Object.assign({}, worker.attributes, { [SCHEDULE_ATTRIBUTE]: schedule });
+        };
+
+        it('should arm the schedule saved in the attributes of the Worker', () => {
+            // eslint-disable-next-line camelcase
+            saveSchedule({ activity_sid: 'WAxx2', activity_name: 'Idle', at: at.toISOString(), from_activity_sid: 'WAxx3' });
+
+            return scheduler.restore().then(schedule => {
+                assert.deepEqual(schedule, { activitySid: 'WAxx2', activityName: 'Idle', at, fromActivitySid: 'WAxx3' });
+                assert.isFalse(post.called);
+
+                clock.tick(900000);
+                return flush();
+            }).then(() => {
+                assert.deepEqual(postedActivities(), ['WAxx2']);
+            });
+        });
+
+        it('should switch the Activity at once if the schedule is overdue', () => {
+            // eslint-disable-next-line camelcase
+            saveSchedule({ activity_sid: 'WAxx2', activity_name: 'Idle', at: new Date(now - 1000).toISOString(), from_activity_sid: 'WAxx3' });
+
+            return scheduler.restore().then(() => {
+                clock.tick(0);
+                return flush();
+            }).then(() => {
+                assert.deepEqual(postedActivities(), ['WAxx2']);
+            });
+        });
+
+        it('should remove a schedule made in another Activity', () => {
+            // eslint-disable-next-line camelcase
+            saveSchedule({ activity_sid: 'WAxx2', activity_name: 'Idle', at: at.toISOString(), from_activity_sid: 'WAxx1' });
+
+            return scheduler.restore().then(schedule => {
+                assert.isNull(schedule);
+                assert.deepEqual(postedAttributes(), [{ languages: ['en'] }]);
+            });
+        });
+
+        it('should drop the local schedule if it was removed from the attributes', () => {
+            return scheduler.add('WAxx2', at).then(() => {
+                worker.attributes = { languages: ['en'] };
+                return scheduler.restore();
+            }).then(schedule => {
+                assert.isNull(schedule);
+                assert.isNull(scheduler.pending);
+            });
+        });
+    });
+
+    describe('toScheduleTime(at)', () => {
+        it('should read a Date, an ISO 8601 string or a number of milliseconds', () => {
+            assert.equal(toScheduleTime(at).getTime(), at.getTime());
+            assert.equal(toScheduleTime(at.toISOString()).getTime(), at.getTime());
+            assert.equal(toScheduleTime(at.getTime()).getTime(), at.getTime());
+        });
+
+        it('should return null for anything else', () => {
+            assert.isNull(toScheduleTime('tomorrow'));
+            assert.isNull(toScheduleTime(null));
+            assert.isNull(toScheduleTime({}));
+        });
+    });
+});
@@ -0,0 +1,163 @@
+import Expression from '../../../../lib/core/Expression';
+
+const chai = require('chai');
+const assert = chai.assert;
+chai.should();
+
+describe('Expression', () => {
+    const worker = {
+        skills: ['support', 'billing'],
+        languages: { spoken: ['en', 'es'] },
+        level: 3,
+        region: 'emea',
+        name: 'Alice Smith',
+        supervisor: false
+    };
+    const evaluate = (source, taskAttributes) => new Expression(source).evaluate(worker, taskAttributes);
+
+    describe('constructor', () => {
+        it('should throw an error if the source is not a string', () => {
+            (() => {
+                new Expression(null);
+            }).should.throw(/<string>source is a required parameter/);
+        });
+
+        it('should keep the source', () => {
+            assert.equal(new Expression('1 == 1').source, '1 == 1');
+        });
+    });
+
+    describe('#evaluate(workerAttributes, taskAttributes)', () => {
+        it('should compare with == and =, and !=', () => {
+            assert.isTrue(evaluate('region == "emea"'));
+            assert.isTrue(evaluate('region = \'emea\''));
+            assert.isTrue(evaluate('region != "amer"'));
+            assert.isFalse(evaluate('region != "emea"'));
+            assert.isTrue(evaluate('1==1'));
+            assert.isTrue(evaluate('supervisor == false'));
+        });
+
+        it('should order numbers and strings, but not values of different types', () => {
+            assert.isTrue(evaluate('level > 2'));
+            assert.isTrue(evaluate('level >= 3'));
+            assert.isFalse(evaluate('level < 3'));
+            assert.isTrue(evaluate('level <= 3.5'));
+            assert.isTrue(evaluate('region > "amer"'));
+            assert.isFalse(evaluate('region > 2'));
+        });
+
+        it('should check the values of a list with HAS', () => {
+            assert.isTrue(evaluate('skills HAS "support"'));
+            assert.isFalse(evaluate('skills HAS "sales"'));
+            assert.isTrue(evaluate('region HAS "emea"'));
+        });
+
+        it('should check a value or any value of a list with IN and NOT IN', () => {
+            assert.isTrue(evaluate('region IN ["emea", "apac"]'));
+            assert.isFalse(evaluate('region NOT IN ["emea", "apac"]'));
+            assert.isTrue(evaluate('skills IN ["billing"]'));
+            assert.isTrue(evaluate('skills NOT IN ["sales"]'));
+            assert.isFalse(evaluate('region IN []'));
+        });
+
+        it('should check substrings with CONTAINS', () => {
+            assert.isTrue(evaluate('name CONTAINS "Smith"'));
+            assert.isFalse(evaluate('name CONTAINS "Jones"'));
+            assert.isTrue(evaluate('skills CONTAINS "bill"'));
+        });
+
+        it('should read nested attribute paths, optionally prefixed with worker.', () => {
+            assert.isTrue(evaluate('languages.spoken HAS "es"'));
+            assert.isTrue(evaluate('worker.languages.spoken HAS "en"'));
+            assert.isFalse(evaluate('languages.written HAS "en"'));
+        });
+
+        it('should read the paths prefixed with task. from the attributes of the Task', () => {
+            assert.isTrue(evaluate('task.language IN worker.languages.spoken', { language: 'es' }));
+            assert.isFalse(evaluate('task.language IN worker.languages.spoken', { language: 'fr' }));
+            assert.isFalse(evaluate('task.language IN worker.languages.spoken'));
+        });
+
+        it('should be false for any comparison with an attribute which is not set', () => {
+            assert.isFalse(evaluate('team == "red"'));
+            assert.isFalse(evaluate('team != "red"'));
+            assert.isFalse(evaluate('team NOT IN ["red"]'));
+        });
+
+        it('should combine comparisons with AND and OR, AND binding tighter', () => {
+            assert.isTrue(evaluate('region == "amer" OR level > 2 AND skills HAS "support"'));
+            assert.isFalse(evaluate('(region == "amer" OR level > 2) AND skills HAS "sales"'));
+            assert.isTrue(evaluate('region == "emea" && (level < 2 || supervisor == false)'));
+        });
+
+        it('should accept keywords in any case', () => {
+            assert.isTrue(evaluate('skills has "support" and region not in ["amer"] or FALSE == true'));
+        });
+
+        it('should throw an error if the attributes are missing', () => {
+            (() => {
+                new Expression('1 == 1').evaluate();
+            }).should.throw(/<Object>workerAttributes is a required parameter/);
+        });
+    });
+
+    describe('parse errors', () => {
+        const parseError = (source, message) => {
+            try {
+                new Expression(source);
+            } catch (err) {
+                assert.equal(err.name, 'INVALID_EXPRESSION');
+                assert.include(err.message, message);
+                assert.include(err.message, source);
+                return;
+            }
+
+            assert.fail(`Expected "${source}" not to parse`);
+        };
+
+        it('should report an empty expression', () => {
+            parseError('  ', 'The expression is empty');
+        });
+
+        it('should report an unterminated string', () => {
+            parseError('skills HAS "support', 'Unterminated string starting at column 12');
+        });
+
+        it('should report an unexpected character', () => {
+            parseError('level > 2 ; region == "emea"', 'Unexpected character ";" at column 11');
+        });
+
+        it('should report a missing operator', () => {
+            parseError('skills "support"', 'Expected an operator after the operand at column 1 but found "\'support\'" at column 8');
+        });
+
+        it('should report a missing operand', () => {
+            parseError('level >', 'Expected an attribute, a string, a number, a boolean or a list but found the end of the expression');
+        });
+
+        it('should report NOT without IN', () => {
+            parseError('region NOT "emea"', 'Expected "IN" after "NOT"');
+        });
+
+        it('should report IN without a list', () => {
+            parseError('region IN "emea"', 'Expected a list or an attribute after "IN" at column 11');
+        });
+
+        it('should report a list after an operator other than IN', () => {
+            parseError('skills HAS ["support"]', 'Unexpected list after "HAS" at column 12');
+        });
+
+        it('should report an unclosed list or parenthesis', () => {
+            parseError('region IN ["emea" "apac"]', 'Expected "]" but found "\'apac\'" at column 19');
+            parseError('(level > 2', 'Expected ")" but found the end of the expression');
+        });
+
+        it('should report a dangling attribute path', () => {
+            parseError('languages. HAS "en"', 'Invalid attribute path "languages." at column 1');
+        });
+
+        it('should report tokens after a complete expression', () => {
+            parseError('level > 2 region == "emea"', 'Expected "AND", "OR" or the end of the expression but found "region" at column 11');
+        });
+    });
+});
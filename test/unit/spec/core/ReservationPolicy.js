@@ -0,0 +1,119 @@
+import ReservationPolicy from '../../../../lib/core/ReservationPolicy';
+
+const chai = require('chai');
+const assert = chai.assert;
+chai.should();
+const sinon = require('sinon');
+
+describe('ReservationPolicy', () => {
+    const createReservation = (task = {}) => ({
+        sid: 'WRxxx',
+        task: Object.assign({
+            attributes: { type: 'chat', customer: { tier: 'gold' } },
+            taskChannelUniqueName: 'chat',
+            queueSid: 'WQxx1',
+            priority: 5
+        }, task),
+        accept: sinon.stub().returns(Promise.resolve()),
+        reject: sinon.stub().returns(Promise.resolve()),
+        dequeue: sinon.stub().returns(Promise.resolve()),
+        conference: sinon.stub().returns(Promise.resolve())
+    });
+
+    describe('constructor', () => {
+        it('should throw an error if rules is not an array', () => {
+            (() => {
+                new ReservationPolicy({ action: 'accept' });
+            }).should.throw(/<Array>rules is a required parameter/);
+        });
+
+        it('should throw an error if a rule has an unknown action', () => {
+            (() => {
+                new ReservationPolicy([{ action: 'accept' }, { action: 'call' }]);
+            }).should.throw(/action of the rule at index 1 must be one of \[accept, reject, dequeue, conference\]/);
+        });
+
+        it('should throw an error if a rule matches on an unknown key', () => {
+            (() => {
+                new ReservationPolicy([{ match: { workflowSid: 'WWxxx' }, action: 'accept' }]);
+            }).should.throw(/cannot match on workflowSid/);
+        });
+
+        it('should throw an error if a match key has the wrong type', () => {
+            (() => {
+                new ReservationPolicy([{ match: { priority: { min: '1' } }, action: 'accept' }]);
+            }).should.throw(/match key: priority of the rule at index 0 does not meet the required type/);
+        });
+    });
+
+    describe('#match(reservation)', () => {
+        it('should match the Task attributes deeply', () => {
+            const policy = new ReservationPolicy([
+                { match: { attributes: { customer: { tier: 'silver' } } }, action: 'reject' },
+                { match: { attributes: { customer: { tier: 'gold' } } }, action: 'accept' }
+            ]);
+
+            assert.equal(policy.match(createReservation()), 1);
+        });
+
+        it('should match any of the given channels and queues', () => {
+            const policy = new ReservationPolicy([
+                { match: { taskChannelUniqueName: ['voice', 'chat'], queueSid: 'WQxx2' }, action: 'reject' },
+                { match: { taskChannelUniqueName: ['voice', 'chat'], queueSid: ['WQxx1', 'WQxx2'] }, action: 'accept' }
+            ]);
+
+            assert.equal(policy.match(createReservation()), 1);
+        });
+
+        it('should match an inclusive priority range', () => {
+            const policy = new ReservationPolicy([{ match: { priority: { min: 1, max: 5 } }, action: 'accept' }]);
+
+            assert.equal(policy.match(createReservation()), 0);
+            assert.equal(policy.match(createReservation({ priority: 6 })), -1);
+        });
+
+        it('should match every Reservation with a rule without conditions', () => {
+            const policy = new ReservationPolicy([{ action: 'accept' }]);
+
+            assert.equal(policy.match(createReservation({ attributes: {} })), 0);
+        });
+    });
+
+    describe('#apply(reservation)', () => {
+        it('should apply the action of the first matching rule with its options', () => {
+            const rule = { match: { taskChannelUniqueName: 'chat' }, action: 'reject', options: { activitySid: 'WAxxx' } };
+            const policy = new ReservationPolicy([rule, { action: 'accept' }]);
+            const reservation = createReservation();
+
+            return policy.apply(reservation).then(decision => {
+                assert.isTrue(reservation.reject.calledOnce);
+                assert.isTrue(reservation.reject.calledWith({ activitySid: 'WAxxx' }));
+                assert.isTrue(reservation.accept.notCalled);
+                assert.deepEqual(decision, { reservation, rule, ruleIndex: 0, action: 'reject', error: null });
+            });
+        });
+
+        it('should report a decision when no rule matches', () => {
+            const policy = new ReservationPolicy([{ match: { queueSid: 'WQxx2' }, action: 'dequeue' }]);
+            const reservation = createReservation();
+
+            return policy.apply(reservation).then(decision => {
+                assert.isTrue(reservation.dequeue.notCalled);
+                assert.deepEqual(decision, { reservation, rule: null, ruleIndex: -1, action: null, error: null });
+            });
+        });
+
+        it('should report the error of a failed action instead of rejecting', () => {
+            const error = new Error('Failed to conference');
+            const policy = new ReservationPolicy([{ action: 'conference', options: { record: 'true' } }]);
+            const reservation = createReservation();
+            reservation.conference.returns(Promise.reject(error));
+
+            return policy.apply(reservation).then(decision => {
+                assert.isTrue(reservation.conference.calledWith({ record: 'true' }));
+                assert.equal(decision.action, 'conference');
+                assert.equal(decision.error, error);
+            });
+        });
+    });
+});
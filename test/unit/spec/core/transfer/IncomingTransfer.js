@@ -0,0 +1,70 @@
+import * as chai from 'chai';
+import * as sinon from 'sinon';
+import { pendingReservationIncomingTransfer as mockIncomingInstance } from '../../../../mock/Reservations';
+import IncomingTransfer from '../../../../../lib/core/transfer/IncomingTransfer';
+import TransferDescriptor from '../../../../../lib/descriptors/TransferDescriptor';
+import { TRANSFER_STATUS } from '../../../../../lib/util/Constants';
+import Worker from '../../../../../lib/Worker';
+import { token } from '../../../../mock/Token';
+import { WorkerConfig } from '../../../../mock/WorkerConfig';
+const assert = chai.assert;
+
+describe('IncomingTransfer', () => {
+    const worker = new Worker(token, WorkerConfig);
+    const incomingTransferInstance = mockIncomingInstance.task_transfer;
+    const incomingTransferDescriptor = new TransferDescriptor(incomingTransferInstance);
+    const withStatus = (status) => Object.assign({}, incomingTransferInstance, { transfer_status: status }); // eslint-disable-line camelcase
+
+    describe('constructor', () => {
+        it('should expose the initiating Worker, TaskQueue and Reservation', () => {
+            const incomingTransfer = new IncomingTransfer(worker, incomingTransferDescriptor);
+            assert.equal(incomingTransfer.workerSid, incomingTransferInstance.initiating_worker_sid);
+            assert.equal(incomingTransfer.queueSid, incomingTransferInstance.initiating_queue_sid);
+            assert.equal(incomingTransfer.reservationSid, incomingTransferInstance.initiating_reservation_sid);
+            assert.equal(incomingTransfer.mode, incomingTransferInstance.transfer_mode);
+        });
+
+        it('should read the transfer notes from the attributes of the Task', () => {
+            const incomingTransfer = new IncomingTransfer(worker, incomingTransferDescriptor, { transfer_notes: 'Asked for a refund' }); // eslint-disable-line camelcase
+            assert.equal(incomingTransfer.notes, 'Asked for a refund');
+            assert.isNull(new IncomingTransfer(worker, incomingTransferDescriptor).notes);
+            assert.isNull(new IncomingTransfer(worker, incomingTransferDescriptor, { transfer_notes: 42 }).notes); // eslint-disable-line camelcase
+        });
+    });
+
+    describe('#_update', () => {
+        let incomingTransfer;
+        let spies;
+
+        beforeEach(() => {
+            incomingTransfer = new IncomingTransfer(worker, incomingTransferDescriptor);
+            spies = { completed: sinon.spy(), failed: sinon.spy(), canceled: sinon.spy() };
+            Object.keys(spies).forEach(eventName => incomingTransfer.on(eventName, spies[eventName]));
+        });
+
+        it('should emit Event:on(completed) when the transfer completes', () => {
+            incomingTransfer._update(withStatus(TRANSFER_STATUS.complete));
+            assert.isTrue(spies.completed.calledOnce);
+            assert.isTrue(spies.completed.calledWith(incomingTransfer));
+            assert.equal(incomingTransfer.status, TRANSFER_STATUS.complete);
+        });
+
+        it('should emit Event:on(failed) and Event:on(canceled)', () => {
+            incomingTransfer._update(withStatus(TRANSFER_STATUS.failed));
+            assert.isTrue(spies.failed.calledOnce);
+
+            const canceledTransfer = new IncomingTransfer(worker, incomingTransferDescriptor);
+            canceledTransfer.on('canceled', spies.canceled);
+            canceledTransfer._update(withStatus(TRANSFER_STATUS.canceled));
+            assert.isTrue(spies.canceled.calledOnce);
+        });
+
+        it('should only emit once the status changes', () => {
+            incomingTransfer._update(withStatus(TRANSFER_STATUS.initiated));
+            incomingTransfer._update(withStatus(TRANSFER_STATUS.complete));
+            incomingTransfer._update(withStatus(TRANSFER_STATUS.complete));
+            assert.isTrue(spies.completed.calledOnce);
+            assert.isFalse(spies.failed.called);
+        });
+    });
+});
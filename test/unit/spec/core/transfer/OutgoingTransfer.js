@@ -92,6 +92,84 @@ describe('OutgoingTransfer', () => {
         });
     });
 
+    describe('#result(options)', () => {
+        let outgoingTransfer;
+        const deliver = (eventName, payload) => {
+            outgoingTransfer._update(payload);
+            outgoingTransfer._emitEvent(eventName, payload);
+        };
+
+        beforeEach(() => {
+            outgoingTransfer = new OutgoingTransfer(worker, new Request(config), taskSid, outgoingTransferDescriptor);
+        });
+
+        it('should resolve with the transfer once it completes, and stop listening', () => {
+            const result = outgoingTransfer.result();
+            deliver('completed', mockEvents.task.transferCompleted);
+
+            return result.then(transfer => {
+                assert.strictEqual(transfer, outgoingTransfer);
+                assert.equal(outgoingTransfer.listenerCount('completed'), 0);
+                assert.equal(outgoingTransfer.listenerCount('failed'), 0);
+            });
+        });
+
+        it('should reject with TRANSFER_FAILED carrying the reason, after reporting the failed attempts', () => {
+            const onAttemptFailed = sinon.spy();
+            const result = outgoingTransfer.result({ onAttemptFailed });
+            deliver('attemptFailed', mockEvents.task.transferAttemptFailed);
+            deliver('failed', mockEvents.task.transferFailed);
+
+            return result.then(() => assert.fail('Expected the transfer to fail'), err => {
+                assert.isTrue(onAttemptFailed.calledOnce);
+                assert.isTrue(onAttemptFailed.calledWith(outgoingTransfer));
+                assert.equal(err.name, 'TRANSFER_FAILED');
+                assert.equal(err.transferFailedReason, mockEvents.task.transferFailed.transfer_failed_reason);
+                assert.strictEqual(err.transfer, outgoingTransfer);
+            });
+        });
+
+        it('should reject with TRANSFER_CANCELED once the transfer is canceled', () => {
+            const result = outgoingTransfer.result();
+            deliver('canceled', mockEvents.task.transferCanceled);
+
+            return result.then(() => assert.fail('Expected the transfer to be canceled'), err => {
+                assert.equal(err.name, 'TRANSFER_CANCELED');
+                assert.isNull(err.transferFailedReason);
+            });
+        });
+
+        it('should settle at once if the transfer has already finished', () => {
+            outgoingTransfer._update(mockEvents.task.transferCompleted);
+            const completed = outgoingTransfer.result();
+
+            const failedTransfer = new OutgoingTransfer(worker, new Request(config), taskSid, outgoingTransferDescriptor);
+            failedTransfer._update(mockEvents.task.transferFailed);
+
+            return Promise.all([
+                completed.then(transfer => assert.strictEqual(transfer, outgoingTransfer)),
+                failedTransfer.result().then(() => assert.fail('Expected the transfer to have failed'), err => assert.equal(err.name, 'TRANSFER_FAILED'))
+            ]);
+        });
+
+        it('should reject with TRANSFER_TIMEOUT if the transfer does not finish in time', () => {
+            const clock = sandbox.useFakeTimers();
+            const result = outgoingTransfer.result({ timeout: 1000 });
+            clock.tick(1000);
+
+            return result.then(() => assert.fail('Expected the result to time out'), err => {
+                assert.equal(err.name, 'TRANSFER_TIMEOUT');
+                assert.equal(outgoingTransfer.listenerCount('completed'), 0);
+            });
+        });
+
+        it('should throw an error if an option does not meet its type', () => {
+            (() => {
+                outgoingTransfer.result({ timeout: -1 });
+            }).should.throw(/Option key: timeout does not meet the required type/);
+        });
+    });
+
     describe('#_emitEvent(eventType, payload)', () => {
         it('should emit Event:on(attemptFailed)', () => {
             const spy = sinon.spy();
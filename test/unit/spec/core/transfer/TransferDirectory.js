@@ -0,0 +1,179 @@
+import _ from 'lodash';
+import * as chai from 'chai';
+import * as sinon from 'sinon';
+import { API_V1 } from '../../../../../lib/util/Constants';
+import Request from '../../../../../lib/util/Request';
+import Routes from '../../../../../lib/util/Routes';
+import { token } from '../../../../mock/Token';
+import TransferDirectory, { TransferTarget } from '../../../../../lib/core/transfer/TransferDirectory';
+import Worker from '../../../../../lib/Worker';
+import { WorkerConfig } from '../../../../mock/WorkerConfig';
+const Errors = require('../../../../../lib/util/Constants').twilioErrors;
+const assert = chai.assert;
+
+/* eslint-disable camelcase */
+const workerPayload = (sid, friendlyName, available, activityName, attributes) => ({
+    sid,
+    friendly_name: friendlyName,
+    available,
+    activity_name: activityName,
+    attributes: JSON.stringify(attributes)
+});
+const queuePayload = (sid, friendlyName, targetWorkers) => ({ sid, friendly_name: friendlyName, target_workers: targetWorkers });
+const page = (contents, afterSid = null) => ({ contents, after_sid: afterSid });
+/* eslint-enable camelcase */
+
+describe('TransferDirectory', () => {
+    const workersURL = 'Workspaces/WSxxx/Workers';
+    const queuesURL = 'Workspaces/WSxxx/TaskQueues';
+    const worker = new Worker(token, WorkerConfig);
+    worker.sid = 'WKxxx';
+    let sandbox;
+    let getStub;
+    let directory;
+
+    beforeEach(() => {
+        sandbox = sinon.sandbox.create();
+        sandbox.stub(worker, 'getRoutes').returns(new Routes('WSxxx', 'WKxxx'));
+        getStub = sandbox.stub(Request.prototype, 'get');
+        directory = new TransferDirectory(worker, worker._request);
+    });
+
+    afterEach(() => sandbox.restore());
+
+    describe('TransferTarget', () => {
+        it('should throw an error if the type or the sid is missing', () => {
+            (() => {
+                new TransferTarget({ type: 'TEAM', sid: 'WKxx1' });
+            }).should.throw(/<Object>fields with a type and a sid is a required parameter/);
+            (() => {
+                new TransferTarget({ type: 'WORKER' });
+            }).should.throw(/<Object>fields with a type and a sid is a required parameter/);
+        });
+    });
+
+    describe('#search(options)', () => {
+        it('should return the other Workers and the TaskQueues with their availability, each sorted by name', () => {
+            getStub.withArgs(workersURL, API_V1, { PageSize: 1000 }).returns(Promise.resolve(page([
+                workerPayload('WKxx2', 'Charlie', false, 'Offline', { skills: ['sales'] }),
+                workerPayload('WKxxx', 'Alice', true, 'Idle', {}),
+                workerPayload('WKxx1', 'Bob', true, 'Idle', { skills: ['billing'] })
+            ])));
+            getStub.withArgs(queuesURL, API_V1, { PageSize: 1000 }).returns(Promise.resolve(page([
+                queuePayload('WQxx2', 'Sales', 'skills HAS "sales"'),
+                queuePayload('WQxx1', 'Billing', 'skills HAS "billing"')
+            ])));
+            getStub.withArgs(`${queuesURL}/WQxx1/RealTimeStatistics`).returns(Promise.resolve({ total_available_workers: 1 })); // eslint-disable-line camelcase
+            getStub.withArgs(`${queuesURL}/WQxx2/RealTimeStatistics`).returns(Promise.resolve({ total_available_workers: 0 })); // eslint-disable-line camelcase
+
+            return directory.search().then(targets => {
+                assert.deepEqual(targets.map(target => target.sid), ['WKxx1', 'WKxx2', 'WQxx1', 'WQxx2']);
+                targets.forEach(target => assert.instanceOf(target, TransferTarget));
+
+                assert.deepInclude(targets[0], { type: 'WORKER', name: 'Bob', available: true, activityName: 'Idle' });
+                assert.deepEqual(targets[0].attributes, { skills: ['billing'] });
+                assert.deepInclude(targets[2], { type: 'QUEUE', name: 'Billing', available: true, availableWorkers: 1, targetWorkers: 'skills HAS "billing"' });
+                assert.deepInclude(targets[3], { available: false, availableWorkers: 0 });
+            });
+        });
+
+        it('should filter the Workers on the server, and by friendly name ignoring case', () => {
+            const requestParams = {
+                PageSize: 1000,
+                ActivityName: 'Idle',
+                Available: true,
+                TargetWorkersExpression: 'skills HAS "billing"'
+            };
+            getStub.withArgs(workersURL, API_V1, requestParams).returns(Promise.resolve(page([
+                workerPayload('WKxx1', 'Bob Jones', true, 'Idle', {}),
+                workerPayload('WKxx3', 'Dana', true, 'Idle', {})
+            ])));
+
+            return directory.search({
+                type: 'WORKER',
+                friendlyName: 'bob',
+                activityName: 'Idle',
+                available: true,
+                targetWorkersExpression: 'skills HAS "billing"'
+            }).then(targets => {
+                assert.deepEqual(targets.map(target => target.sid), ['WKxx1']);
+                assert.isTrue(getStub.calledOnce);
+            });
+        });
+
+        it('should fetch every page', () => {
+            getStub.withArgs(queuesURL, API_V1, { PageSize: 1000 }).returns(Promise.resolve(page([queuePayload('WQxx1', 'Billing', '1==1')], 'WQxx1')));
+            getStub.withArgs(queuesURL, API_V1, { PageSize: 1000, AfterSid: 'WQxx1' }).returns(Promise.resolve(page([queuePayload('WQxx2', 'Sales', '1==1')])));
+            getStub.withArgs(`${queuesURL}/WQxx1/RealTimeStatistics`).returns(Promise.resolve({ total_available_workers: 2 })); // eslint-disable-line camelcase
+            getStub.withArgs(`${queuesURL}/WQxx2/RealTimeStatistics`).returns(Promise.resolve({ total_available_workers: 0 })); // eslint-disable-line camelcase
+
+            return directory.search({ type: 'QUEUE' }).then(targets => {
+                assert.deepEqual(targets.map(target => target.sid), ['WQxx1', 'WQxx2']);
+            });
+        });
+
+        it('should only fetch the statistics of the TaskQueues matching the friendly name', () => {
+            getStub.withArgs(queuesURL, API_V1, { PageSize: 1000 }).returns(Promise.resolve(page([
+                queuePayload('WQxx1', 'Billing', '1==1'),
+                queuePayload('WQxx2', 'Sales', '1==1')
+            ])));
+            getStub.withArgs(`${queuesURL}/WQxx2/RealTimeStatistics`).returns(Promise.resolve({ total_available_workers: 3 })); // eslint-disable-line camelcase
+
+            return directory.search({ type: 'QUEUE', friendlyName: 'SAL' }).then(targets => {
+                assert.deepEqual(targets.map(target => target.sid), ['WQxx2']);
+                assert.isFalse(getStub.calledWith(`${queuesURL}/WQxx1/RealTimeStatistics`));
+            });
+        });
+
+        it('should fetch the statistics of the TaskQueues a batch at a time', () => {
+            const queues = _.range(7).map(index => queuePayload(`WQxx${index}`, `Queue ${index}`, '1==1'));
+            const pending = [];
+            getStub.withArgs(queuesURL, API_V1, { PageSize: 1000 }).returns(Promise.resolve(page(queues)));
+            queues.forEach(queue => {
+                getStub.withArgs(`${queuesURL}/${queue.sid}/RealTimeStatistics`).callsFake(() => new Promise(resolve => {
+                    pending.push(() => resolve({ total_available_workers: 1 })); // eslint-disable-line camelcase
+                }));
+            });
+            const flush = () => new Promise(resolve => setImmediate(resolve));
+
+            const search = directory.search({ type: 'QUEUE' });
+            return flush().then(() => {
+                assert.equal(pending.length, 5);
+                pending.splice(0).forEach(resolve => resolve());
+                return flush();
+            }).then(() => {
+                assert.equal(pending.length, 2);
+                pending.splice(0).forEach(resolve => resolve());
+                return search;
+            }).then(targets => {
+                assert.equal(targets.length, 7);
+            });
+        });
+
+        it('should set the availability of a TaskQueue to null if its statistics fail to load', () => {
+            getStub.withArgs(queuesURL, API_V1, { PageSize: 1000 }).returns(Promise.resolve(page([queuePayload('WQxx1', 'Billing', '1==1')])));
+            getStub.withArgs(`${queuesURL}/WQxx1/RealTimeStatistics`).returns(Promise.reject(Errors.TASKROUTER_ERROR.clone('Forbidden')));
+
+            return directory.search({ type: 'QUEUE' }).then(targets => {
+                assert.isNull(targets[0].available);
+                assert.isNull(targets[0].availableWorkers);
+            });
+        });
+
+        it('should throw an error before any request if the expression does not parse', () => {
+            (() => {
+                directory.search({ targetWorkersExpression: 'skills HAS' });
+            }).should.throw(/Failed to parse expression/);
+            assert.isTrue(getStub.notCalled);
+        });
+
+        it('should throw an error if an option does not meet its type', () => {
+            (() => {
+                directory.search({ type: 'TEAM' });
+            }).should.throw(/Option key: type does not meet the required type/);
+            (() => {
+                directory.search({ available: 'yes' });
+            }).should.throw(/Option key: available does not meet the required type/);
+        });
+    });
+});
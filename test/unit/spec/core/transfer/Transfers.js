@@ -6,6 +6,7 @@ import Request from '../../../../../lib/util/Request';
 import Configuration from '../../../../../lib/util/Configuration';
 const mockEvents = require('../../../../mock/Events').events;
 const sinon = require('sinon');
+import IncomingTransfer from '../../../../../lib/core/transfer/IncomingTransfer';
 import Transfers from '../../../../../lib/core/transfer/Transfers';
 import { token } from '../../../../mock/Token';
 import Worker from '../../../../../lib/Worker';
@@ -55,6 +56,16 @@ describe('Transfers', () => {
             AssertionUtils.assertTransfer(transfers.outgoing, canceledTaskTransfer);
         });
 
+        it('should keep the replaced transfers.outgoing object in the history', () => {
+            const previous = transfers.outgoing;
+            transfers._updateOutgoing(canceledTaskTransfer, true);
+            assert.deepEqual(transfers.history, [previous]);
+
+            // the same transfer is updated rather than replaced
+            transfers._updateOutgoing(canceledTaskTransfer, true);
+            assert.equal(transfers.history.length, 1);
+        });
+
         it('should only update transfers.outgoing object if present', () => {
             const updatedTransferInstance = Object.create(mockReservation.active_outgoing_task_transfer);
             /* eslint-disable camelcase */
@@ -94,6 +105,18 @@ describe('Transfers', () => {
         });
     });
 
+    describe('#_update with a new incoming transfer', () => {
+        it('should create the incoming transfer with the notes from the attributes of the Task', () => {
+            const transfers = new Transfers(worker, request, taskDescriptor);
+            transfers.incoming = null;
+            transfers._update({ incoming: mockReservation.task_transfer }, { transfer_notes: 'VIP' }); // eslint-disable-line camelcase
+
+            assert.instanceOf(transfers.incoming, IncomingTransfer);
+            AssertionUtils.assertTransfer(transfers.incoming, mockReservation.task_transfer);
+            assert.equal(transfers.incoming.notes, 'VIP');
+        });
+    });
+
     describe('_emitEvent(eventType, rawEventData)', () => {
         let transfers;
 
@@ -158,5 +181,16 @@ describe('Transfers', () => {
             assert.equal(transfers.outgoing.status, TRANSFER_STATUS.initiated);
             assert.equal(transfers.outgoing.transferFailedReason, 'Transfer attempt failed on reservation reject because there are no more pending reservations');
         });
+
+        it('should emit the event and update a transfer in the history', () => {
+            const previous = transfers.outgoing;
+            transfers._updateOutgoing(mockEvents.task.transferInitiated, true);
+            const spy = sinon.spy();
+            previous.on('canceled', spy);
+            transfers._emitEvent('transfer-canceled', Object.assign({}, mockEvents.task.transferCanceled, { sid: 'TTxx2' }));
+            assert.isTrue(spy.calledOnce);
+            assert.equal(previous.status, TRANSFER_STATUS.canceled);
+            assert.equal(transfers.outgoing.status, TRANSFER_STATUS.initiated);
+        });
     });
 });
@@ -1,5 +1,5 @@
 import { API_V2 } from '../../../../lib/util/Constants';
-import { reservations as mockList, assignedReservationInstance as mockInstance } from '../../../mock/Reservations';
+import { reservations as mockList, assignedReservationInstance as mockInstance, pendingReservationInstance } from '../../../mock/Reservations';
 import Request from '../../../../lib/util/Request';
 import ReservationsEntity from '../../../../lib/data/ReservationsEntity';
 import Worker from '../../../../lib/Worker';
@@ -95,6 +95,23 @@ describe('Reservations', () => {
                 expect(reservationsServices.reservations.size).to.equal(mockList.contents.length);
             });
         });
+
+        it('should resolve only once every page has been loaded', () => {
+            const requestURL = 'Workspaces/WSxxx/Workers/WKxxx/Reservations';
+            const [first, second] = mockList.contents;
+            const getStub = sandbox.stub(Request.prototype, 'get');
+            // eslint-disable-next-line camelcase
+            getStub.withArgs(requestURL, API_V2, { Active: 'true', PageSize: 1 }).returns(Promise.resolve({ contents: [first], after_sid: first.sid }));
+            getStub.withArgs(requestURL, API_V2, { Active: 'true', PageSize: 1, AfterSid: first.sid }).returns(
+                // eslint-disable-next-line camelcase
+                new Promise(resolve => setTimeout(() => resolve({ contents: [second], after_sid: null }), 10))
+            );
+
+            const reservationsServices = new ReservationsEntity(worker, new Request(config), { pageSize: 1 });
+            return reservationsServices.fetchReservations().then(() => {
+                assert.deepEqual(Array.from(reservationsServices.reservations.keys()), [first.sid, second.sid]);
+            });
+        });
     });
 
     describe('#getTasks', () => {
@@ -176,4 +193,24 @@ describe('Reservations', () => {
             assert.equal(task2.sid, 'WTxx1');
         });
     });
+
+    describe('_cleanUpReservationAndTask(reservation)', () => {
+        it('should stop the expiry timer of the removed Reservation', () => {
+            const clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+            const reservationsServices = new ReservationsEntity(worker, new Request(config));
+            const createdAt = Date.now() / 1000;
+            // eslint-disable-next-line camelcase
+            const reservation = reservationsServices.insert(Object.assign({}, pendingReservationInstance, { date_created: createdAt, date_updated: createdAt }));
+            const spy = sinon.spy();
+            reservation.on('expiringSoon', spy);
+            assert.isNotNull(reservation._expiringSoonTimer);
+
+            reservationsServices._deleteByReservationSid(reservation.sid);
+            clock.tick(reservation.timeout * 1000);
+            clock.restore();
+
+            assert.isNull(reservation._expiringSoonTimer);
+            assert.isTrue(spy.notCalled);
+        });
+    });
 });
@@ -0,0 +1,648 @@
+import { API_V1 } from '../../../../lib/util/Constants';
+import {
+    workersPage0 as mockWorkersPage0,
+    workersPage1 as mockWorkersPage1,
+    taskQueuesPage0 as mockTaskQueuesPage0,
+    taskQueuesPage1 as mockTaskQueuesPage1,
+    workflowsPage as mockWorkflowsPage,
+    activitiesPage as mockActivitiesPage
+} from '../../../mock/Workspace';
+import { createToken, token } from '../../../mock/Token';
+import { WorkerConfig } from '../../../mock/WorkerConfig';
+
+const chai = require('chai');
+const assert = chai.assert;
+chai.should();
+const sinon = require('sinon');
+
+import ActivityContainer from '../../../../lib/ActivityContainer';
+import Paginator from '../../../../lib/util/Paginator';
+import Request from '../../../../lib/util/Request';
+import TaskQueue from '../../../../lib/TaskQueue';
+import WorkerContainer from '../../../../lib/WorkerContainer';
+import Workflow from '../../../../lib/Workflow';
+import Workspace from '../../../../lib/Workspace';
+import WorkspaceEntity from '../../../../lib/data/WorkspaceEntity';
+
+describe('Workspace', () => {
+    const workersURL = 'Workspaces/WSxxx/Workers';
+    const taskQueuesURL = 'Workspaces/WSxxx/TaskQueues';
+    const workflowsURL = 'Workspaces/WSxxx/Workflows';
+    const activitiesURL = 'Workspaces/WSxxx/Activities';
+    const adminToken = createToken(Date.now() + 3600000, 'admin');
+    let sandbox;
+    let getStub;
+
+    beforeEach(() => {
+        sandbox = sinon.sandbox.create();
+        getStub = sandbox.stub(Request.prototype, 'get');
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    describe('constructor', () => {
+        it('should throw an error if the token does not have the admin role', () => {
+            (() => {
+                new Workspace(token);
+            }).should.throw(/A token with the "admin" role is required/);
+        });
+
+        it('should only need the Workspace in an admin token with no Worker', () => {
+            getStub.withArgs(workersURL, API_V1, { PageSize: 1000 }).returns(Promise.resolve(mockWorkersPage1));
+
+            const workspace = new Workspace(createToken(Date.now() + 3600000, 'admin', null));
+            assert.isUndefined(workspace.workerSid);
+            return workspace.fetchWorkers().then(workers => {
+                assert.deepEqual(Array.from(workers.keys()), ['WKxx3']);
+            });
+        });
+
+        it('should throw an error if the workspace is missing', () => {
+            (() => {
+                new WorkspaceEntity();
+            }).should.throw(/<Workspace>workspace is a required parameter/);
+        });
+    });
+
+    describe('#fetchWorkers(options)', () => {
+        it('should load every Worker across all pages into the Workers map', () => {
+            getStub.withArgs(workersURL, API_V1, { PageSize: 2 }).returns(Promise.resolve(mockWorkersPage0));
+            getStub.withArgs(workersURL, API_V1, { PageSize: 2, AfterSid: 'WKxx2' }).returns(Promise.resolve(mockWorkersPage1));
+
+            const workspace = new Workspace(adminToken, { pageSize: 2 });
+            return workspace.fetchWorkers().then(workers => {
+                assert.strictEqual(workers, workspace.workspaceEntity.Workers);
+                assert.deepEqual(Array.from(workers.keys()), ['WKxx1', 'WKxx2', 'WKxx3']);
+                assert.instanceOf(workers.get('WKxx1'), WorkerContainer);
+                assert.equal(workers.get('WKxx1').name, 'alice');
+                assert.deepEqual(workers.get('WKxx1').attributes, { skills: ['support'] });
+            });
+        });
+
+        it('should update the loaded Workers in place and remove the ones no longer listed on a reload', () => {
+            getStub.withArgs(workersURL, API_V1, { PageSize: 2 }).returns(Promise.resolve(mockWorkersPage0));
+            getStub.withArgs(workersURL, API_V1, { PageSize: 2, AfterSid: 'WKxx2' }).returns(Promise.resolve(mockWorkersPage1));
+
+            const workspace = new Workspace(adminToken, { pageSize: 2 });
+            return workspace.fetchWorkers().then(workers => {
+                const alice = workers.get('WKxx1');
+                // bob (WKxx2) was deleted and alice renamed since the first load
+                const renamedAlice = Object.assign({}, mockWorkersPage0.contents[0], { friendly_name: 'alicia' }); // eslint-disable-line camelcase
+                getStub.withArgs(workersURL, API_V1, { PageSize: 2 }).returns(Promise.resolve({
+                    contents: [renamedAlice, mockWorkersPage1.contents[0]],
+                    after_sid: null // eslint-disable-line camelcase
+                }));
+
+                return workspace.fetchWorkers().then(reloaded => {
+                    assert.strictEqual(reloaded, workers);
+                    assert.deepEqual(Array.from(reloaded.keys()), ['WKxx1', 'WKxx3']);
+                    assert.strictEqual(reloaded.get('WKxx1'), alice);
+                    assert.equal(alice.name, 'alicia');
+                });
+            });
+        });
+
+        it('should filter the Workers on the server, without filling the Workers map', () => {
+            const filterParams = {
+                PageSize: 1000,
+                TargetWorkersExpression: 'skills HAS "support"',
+                ActivitySid: 'WAxx2',
+                Available: true,
+                FriendlyName: 'alice',
+                TaskQueueSid: 'WQxx1'
+            };
+            getStub.withArgs(workersURL, API_V1, filterParams).returns(Promise.resolve(mockWorkersPage1));
+
+            const workspace = new Workspace(adminToken);
+            return workspace.fetchWorkers({
+                targetWorkersExpression: 'skills HAS "support"',
+                activitySid: 'WAxx2',
+                available: true,
+                friendlyName: 'alice',
+                taskQueueSid: 'WQxx1'
+            }).then(workers => {
+                assert.deepEqual(Array.from(workers.keys()), ['WKxx3']);
+                assert.equal(workspace.workspaceEntity.Workers.size, 0);
+            });
+        });
+
+        it('should resolve with a Paginator when paginate is set', () => {
+            getStub.withArgs(workersURL, API_V1, { PageSize: 2, Available: false }).returns(Promise.resolve(mockWorkersPage0));
+            getStub.withArgs(workersURL, API_V1, { PageSize: 2, Available: false, AfterSid: 'WKxx2' }).returns(Promise.resolve(mockWorkersPage1));
+
+            const workspace = new Workspace(adminToken, { pageSize: 2 });
+            return workspace.fetchWorkers({ available: false, paginate: true }).then(paginator => {
+                assert.instanceOf(paginator, Paginator);
+                assert.deepEqual(paginator.items.map(worker => worker.sid), ['WKxx1', 'WKxx2']);
+                assert.isTrue(getStub.calledOnce);
+                return paginator.toArray();
+            }).then(workers => {
+                assert.deepEqual(workers.map(worker => worker.sid), ['WKxx1', 'WKxx2', 'WKxx3']);
+                assert.equal(workspace.workspaceEntity.Workers.size, 0);
+            });
+        });
+
+        it('should pass the requestOptions to every page', () => {
+            const requestOptions = { timeout: 1000 };
+            getStub.withArgs(workersURL, API_V1, { PageSize: 2 }, requestOptions).returns(Promise.resolve(mockWorkersPage0));
+            getStub.withArgs(workersURL, API_V1, { PageSize: 2, AfterSid: 'WKxx2' }, requestOptions).returns(Promise.resolve(mockWorkersPage1));
+
+            const workspace = new Workspace(adminToken, { pageSize: 2 });
+            return workspace.fetchWorkers({}, requestOptions).then(workers => {
+                assert.equal(workers.size, 3);
+            });
+        });
+
+        it('should throw an error if a filter does not meet its type', () => {
+            (() => {
+                new Workspace(adminToken).fetchWorkers({ available: 'yes' });
+            }).should.throw(/Option key: available does not meet the required type/);
+        });
+    });
+
+    describe('#fetchTaskQueues(options)', () => {
+        it('should load every TaskQueue across all pages into the TaskQueues map', () => {
+            getStub.withArgs(taskQueuesURL, API_V1, { PageSize: 2 }).returns(Promise.resolve(mockTaskQueuesPage0));
+            getStub.withArgs(taskQueuesURL, API_V1, { PageSize: 2, AfterSid: 'WQxx2' }).returns(Promise.resolve(mockTaskQueuesPage1));
+
+            const workspace = new Workspace(adminToken, { pageSize: 2 });
+            return workspace.fetchTaskQueues().then(taskQueues => {
+                assert.strictEqual(taskQueues, workspace.workspaceEntity.TaskQueues);
+                assert.deepEqual(Array.from(taskQueues.keys()), ['WQxx1', 'WQxx2', 'WQxx3']);
+                assert.instanceOf(taskQueues.get('WQxx3'), TaskQueue);
+                assert.equal(taskQueues.get('WQxx3').name, 'Billing');
+            });
+        });
+
+        it('should filter the TaskQueues on the server', () => {
+            const attributes = JSON.stringify({ skills: ['support'] });
+            getStub.withArgs(taskQueuesURL, API_V1, { PageSize: 1000, FriendlyName: 'Billing', EvaluateWorkerAttributes: attributes })
+                .returns(Promise.resolve(mockTaskQueuesPage1));
+
+            const workspace = new Workspace(adminToken);
+            return workspace.fetchTaskQueues({ friendlyName: 'Billing', evaluateWorkerAttributes: attributes }).then(taskQueues => {
+                assert.deepEqual(Array.from(taskQueues.keys()), ['WQxx3']);
+                assert.equal(workspace.workspaceEntity.TaskQueues.size, 0);
+            });
+        });
+
+        it('should resolve with a Paginator when paginate is set', () => {
+            getStub.withArgs(taskQueuesURL, API_V1, { PageSize: 1000 }).returns(Promise.resolve(mockTaskQueuesPage1));
+
+            return new Workspace(adminToken).fetchTaskQueues({ paginate: true }).then(paginator => {
+                assert.instanceOf(paginator, Paginator);
+                assert.isFalse(paginator.hasNextPage);
+                assert.deepEqual(paginator.items.map(taskQueue => taskQueue.sid), ['WQxx3']);
+            });
+        });
+
+        it('should throw an error if a filter does not meet its type', () => {
+            (() => {
+                new Workspace(adminToken).fetchTaskQueues({ evaluateWorkerAttributes: {} });
+            }).should.throw(/Option key: evaluateWorkerAttributes does not meet the required type/);
+        });
+    });
+
+    describe('#fetchWorkflows(options)', () => {
+        it('should load every Workflow into the Workflows map, with its routing configuration parsed', () => {
+            getStub.withArgs(workflowsURL, API_V1, { PageSize: 1000 }).returns(Promise.resolve(mockWorkflowsPage));
+
+            const workspace = new Workspace(adminToken);
+            return workspace.fetchWorkflows().then(workflows => {
+                const workflow = workflows.get('WWxx1');
+                assert.strictEqual(workflows, workspace.workspaceEntity.Workflows);
+                assert.instanceOf(workflow, Workflow);
+                assert.equal(workflow.name, 'Support');
+                assert.deepEqual(workflow.filters.map(filter => filter.targets.map(target => target.queue)), [['WQxx1', 'WQxx2']]);
+                assert.equal(workflow.defaultFilter.queue, 'WQxx3');
+            });
+        });
+
+        it('should filter the Workflows on the server', () => {
+            getStub.withArgs(workflowsURL, API_V1, { PageSize: 1000, FriendlyName: 'Support' }).returns(Promise.resolve(mockWorkflowsPage));
+
+            const workspace = new Workspace(adminToken);
+            return workspace.fetchWorkflows({ friendlyName: 'Support' }).then(workflows => {
+                assert.deepEqual(Array.from(workflows.keys()), ['WWxx1']);
+                assert.equal(workspace.workspaceEntity.Workflows.size, 0);
+            });
+        });
+    });
+
+    describe('#fetchActivities(options)', () => {
+        it('should load every Activity into the Activities map', () => {
+            getStub.withArgs(activitiesURL, API_V1, { PageSize: 1000 }).returns(Promise.resolve(mockActivitiesPage));
+
+            const workspace = new Workspace(adminToken);
+            return workspace.fetchActivities().then(activities => {
+                assert.strictEqual(activities, workspace.workspaceEntity.Activities);
+                assert.deepEqual(Array.from(activities.keys()), ['WAxx1', 'WAxx2']);
+                assert.instanceOf(activities.get('WAxx2'), ActivityContainer);
+                assert.isTrue(activities.get('WAxx2').available);
+            });
+        });
+
+        it('should resolve with a Paginator over the filtered Activities when paginate is set', () => {
+            getStub.withArgs(activitiesURL, API_V1, { PageSize: 1000, Available: true }).returns(Promise.resolve(mockActivitiesPage));
+
+            return new Workspace(adminToken).fetchActivities({ available: true, paginate: true }).then(paginator => {
+                assert.instanceOf(paginator, Paginator);
+                assert.equal(paginator.items.length, 2);
+            });
+        });
+
+        it('should throw an error if a filter does not meet its type', () => {
+            (() => {
+                new Workspace(adminToken).fetchActivities({ friendlyName: 1 });
+            }).should.throw(/Option key: friendlyName does not meet the required type/);
+        });
+    });
+
+    describe('#subscribe()', () => {
+        const deliver = (workspace, eventType, payload) => {
+            // eslint-disable-next-line camelcase
+            const data = JSON.stringify({ event_type: eventType, payload });
+            workspace._signaling.webSocket.dispatchEvent({ type: 'message', data });
+        };
+        let workspace;
+
+        beforeEach(() => {
+            getStub.withArgs(workersURL, API_V1, { PageSize: 1000 }).returns(Promise.resolve(mockWorkersPage0));
+            getStub.withArgs(workersURL, API_V1, { PageSize: 1000, AfterSid: 'WKxx2' }).returns(Promise.resolve(mockWorkersPage1));
+            getStub.withArgs(taskQueuesURL, API_V1, { PageSize: 1000 }).returns(Promise.resolve(mockTaskQueuesPage1));
+
+            workspace = new Workspace(adminToken, WorkerConfig);
+            const subscription = workspace.subscribe();
+            // eslint-disable-next-line camelcase
+            deliver(workspace, 'init', { token_lifetime: 3600 });
+            return subscription;
+        });
+
+        afterEach(() => {
+            workspace.unsubscribe();
+        });
+
+        it('should load the Workers and TaskQueues once the connection is initialized', () => {
+            assert.isTrue(workspace.subscribed);
+            assert.deepEqual(Array.from(workspace.workspaceEntity.Workers.keys()), ['WKxx1', 'WKxx2', 'WKxx3']);
+            assert.deepEqual(Array.from(workspace.workspaceEntity.TaskQueues.keys()), ['WQxx3']);
+        });
+
+        it('should emit an error if the Workers and TaskQueues cannot be resynchronized on a reconnect', () => {
+            const err = new Error('TaskRouter is down');
+            const spy = sinon.spy();
+            workspace.on('error', spy);
+            sandbox.stub(workspace.workspaceEntity, 'synchronize').callsFake(() => Promise.reject(err));
+
+            // eslint-disable-next-line camelcase
+            deliver(workspace, 'init', { token_lifetime: 3600 });
+            return new Promise(resolve => setImmediate(resolve)).then(() => {
+                assert.isTrue(spy.calledOnce);
+                assert.strictEqual(spy.args[0][0], err);
+                assert.isTrue(workspace.subscribed);
+            });
+        });
+
+        it('should only log a failed resynchronization when nobody listens for errors', () => {
+            sandbox.stub(workspace.workspaceEntity, 'synchronize').callsFake(() => Promise.reject(new Error('TaskRouter is down')));
+            const emitSpy = sandbox.spy(workspace, 'emit');
+
+            // eslint-disable-next-line camelcase
+            deliver(workspace, 'init', { token_lifetime: 3600 });
+            return new Promise(resolve => setImmediate(resolve)).then(() => {
+                assert.isFalse(emitSpy.calledWith('error'));
+                assert.isTrue(workspace.subscribed);
+            });
+        });
+
+        it('should return the same subscription when called again', () => {
+            const signaling = workspace._signaling;
+            return workspace.subscribe().then(() => {
+                assert.strictEqual(workspace._signaling, signaling);
+            });
+        });
+
+        it('should update a Worker in place and emit workerUpdated', () => {
+            const spy = sinon.spy();
+            workspace.on('workerUpdated', spy);
+            const alice = workspace.workspaceEntity.Workers.get('WKxx1');
+
+            deliver(workspace, 'worker.activity.update', Object.assign({}, mockWorkersPage0.contents[0], {
+                /* eslint-disable camelcase */
+                activity_name: 'Offline',
+                activity_sid: 'WAxx1',
+                available: false
+                /* eslint-enable camelcase */
+            }));
+
+            assert.isTrue(spy.calledOnce);
+            assert.strictEqual(spy.args[0][0], alice);
+            assert.equal(alice.activityName, 'Offline');
+            assert.isFalse(alice.available);
+        });
+
+        it('should not emit workerUpdated when the Worker did not change', () => {
+            const spy = sinon.spy();
+            workspace.on('workerUpdated', spy);
+
+            deliver(workspace, 'worker.attributes.update', mockWorkersPage0.contents[0]);
+
+            assert.isTrue(spy.notCalled);
+        });
+
+        it('should add a created Worker and emit workerAdded', () => {
+            const spy = sinon.spy();
+            workspace.on('workerAdded', spy);
+
+            deliver(workspace, 'worker.created', Object.assign({}, mockWorkersPage1.contents[0], { sid: 'WKxx4', friendly_name: 'dave' })); // eslint-disable-line camelcase
+
+            assert.isTrue(spy.calledOnce);
+            assert.instanceOf(spy.args[0][0], WorkerContainer);
+            assert.equal(workspace.workspaceEntity.Workers.get('WKxx4').name, 'dave');
+        });
+
+        it('should remove a deleted Worker and emit workerRemoved', () => {
+            const spy = sinon.spy();
+            workspace.on('workerRemoved', spy);
+            const bob = workspace.workspaceEntity.Workers.get('WKxx2');
+
+            deliver(workspace, 'worker.deleted', mockWorkersPage0.contents[1]);
+
+            assert.isTrue(spy.calledOnce);
+            assert.strictEqual(spy.args[0][0], bob);
+            assert.isFalse(workspace.workspaceEntity.Workers.has('WKxx2'));
+        });
+
+        it('should add and update TaskQueues and emit taskQueueAdded and taskQueueUpdated', () => {
+            const added = sinon.spy();
+            const updated = sinon.spy();
+            workspace.on('taskQueueAdded', added);
+            workspace.on('taskQueueUpdated', updated);
+
+            deliver(workspace, 'task-queue.created', mockTaskQueuesPage0.contents[0]);
+            deliver(workspace, 'task-queue.expression.updated', Object.assign({}, mockTaskQueuesPage1.contents[0], {
+                target_workers: 'skills HAS "billing"' // eslint-disable-line camelcase
+            }));
+
+            assert.isTrue(added.calledOnce);
+            assert.instanceOf(added.args[0][0], TaskQueue);
+            assert.isTrue(workspace.workspaceEntity.TaskQueues.has('WQxx1'));
+            assert.isTrue(updated.calledOnce);
+            assert.equal(updated.args[0][0].targetWorkers, 'skills HAS "billing"');
+        });
+
+        it('should emit the changes missed while disconnected once reconnected', () => {
+            const removed = sinon.spy();
+            workspace.on('taskQueueRemoved', removed);
+            getStub.withArgs(taskQueuesURL, API_V1, { PageSize: 1000 }).returns(Promise.resolve({ contents: [], after_sid: null })); // eslint-disable-line camelcase
+            const synchronized = new Promise(resolve => sandbox.stub(workspace, '_emitChange').callsFake(function() {
+                workspace._emitChange.wrappedMethod.apply(workspace, arguments);
+                resolve();
+            }));
+
+            // eslint-disable-next-line camelcase
+            deliver(workspace, 'init', { token_lifetime: 3600 });
+
+            return synchronized.then(() => {
+                assert.isTrue(removed.calledOnce);
+                assert.equal(removed.args[0][0].sid, 'WQxx3');
+                assert.equal(workspace.workspaceEntity.TaskQueues.size, 0);
+            });
+        });
+
+        it('should emit the changes made through the Workspace', () => {
+            const spy = sinon.spy();
+            workspace.on('workerRemoved', spy);
+            sandbox.stub(Request.prototype, 'delete').returns(Promise.resolve({}));
+
+            return workspace.deleteWorker('WKxx3').then(worker => {
+                assert.isTrue(spy.calledOnce);
+                assert.strictEqual(spy.args[0][0], worker);
+            });
+        });
+
+        it('should stop updating the maps once unsubscribed', () => {
+            const webSocket = workspace._signaling.webSocket;
+            workspace.unsubscribe();
+
+            assert.isFalse(workspace.subscribed);
+            // eslint-disable-next-line camelcase
+            webSocket.dispatchEvent({ type: 'message', data: JSON.stringify({ event_type: 'worker.deleted', payload: { sid: 'WKxx1' } }) });
+            assert.isTrue(workspace.workspaceEntity.Workers.has('WKxx1'));
+        });
+
+        it('should leave tokenExpired to the token provider when one is configured', () => {
+            const tokenProvider = sinon.stub().returns(Promise.resolve(createToken(Date.now() + 3600000, 'admin')));
+            const refreshingWorkspace = new Workspace(adminToken, Object.assign({}, WorkerConfig, { tokenProvider }));
+            const spy = sinon.spy();
+            refreshingWorkspace.on('tokenExpired', spy);
+
+            const subscription = refreshingWorkspace.subscribe();
+            // the lifetime is in milliseconds; keep the expiration timer of the signaling layer from firing meanwhile
+            // eslint-disable-next-line camelcase
+            deliver(refreshingWorkspace, 'init', { token_lifetime: 3600000 });
+
+            return subscription.then(() => {
+                refreshingWorkspace._signaling.emit('tokenExpired');
+                return new Promise(resolve => setImmediate(resolve));
+            }).then(() => {
+                assert.isTrue(tokenProvider.calledOnce);
+                assert.isTrue(spy.notCalled);
+            }).then(() => {
+                refreshingWorkspace.unsubscribe();
+                refreshingWorkspace._tokenRefresher.stop();
+            });
+        });
+    });
+
+    describe('admin operations', () => {
+        const alice = mockWorkersPage0.contents[0];
+        let postStub;
+        let deleteStub;
+        let workspace;
+
+        beforeEach(() => {
+            postStub = sandbox.stub(Request.prototype, 'post');
+            deleteStub = sandbox.stub(Request.prototype, 'delete').returns(Promise.resolve({}));
+            getStub.withArgs(workersURL, API_V1, { PageSize: 1000 }).returns(Promise.resolve(mockWorkersPage0));
+            getStub.withArgs(workersURL, API_V1, { PageSize: 1000, AfterSid: 'WKxx2' }).returns(Promise.resolve(mockWorkersPage1));
+            workspace = new Workspace(adminToken);
+        });
+
+        it('should create a Worker and add it to the Workers map', () => {
+            postStub.withArgs(workersURL, { FriendlyName: 'alice', Attributes: { skills: ['support'] } }, API_V1).returns(Promise.resolve(alice));
+
+            return workspace.createWorker({ friendlyName: 'alice', attributes: { skills: ['support'] } }).then(worker => {
+                assert.instanceOf(worker, WorkerContainer);
+                assert.strictEqual(workspace.workspaceEntity.Workers.get('WKxx1'), worker);
+                assert.equal(worker.name, 'alice');
+            });
+        });
+
+        it('should update a loaded Worker in place', () => {
+            const updated = Object.assign({}, alice, { activity_name: 'Offline', activity_sid: 'WAxx1' }); // eslint-disable-line camelcase
+            postStub.withArgs(`${workersURL}/WKxx1`, { ActivitySid: 'WAxx1' }, API_V1).returns(Promise.resolve(updated));
+
+            return workspace.fetchWorkers().then(workers => {
+                const loaded = workers.get('WKxx1');
+                return workspace.updateWorker('WKxx1', { activitySid: 'WAxx1' }).then(worker => {
+                    assert.strictEqual(worker, loaded);
+                    assert.equal(worker.activitySid, 'WAxx1');
+                    assert.equal(worker.activityName, 'Offline');
+                });
+            });
+        });
+
+        it('should delete a Worker and remove it from the Workers map', () => {
+            return workspace.fetchWorkers().then(workers => {
+                const bob = workers.get('WKxx2');
+                return workspace.deleteWorker('WKxx2').then(worker => {
+                    assert.isTrue(deleteStub.calledWith(`${workersURL}/WKxx2`, API_V1));
+                    assert.strictEqual(worker, bob);
+                    assert.isFalse(workspace.workspaceEntity.Workers.has('WKxx2'));
+                });
+            });
+        });
+
+        it('should resolve with null when deleting a Worker which was not loaded', () => {
+            return workspace.deleteWorker('WKxx9').then(worker => {
+                assert.isNull(worker);
+            });
+        });
+
+        it('should create, rename and delete an Activity', () => {
+            const activity = mockActivitiesPage.contents[1];
+            postStub.withArgs(activitiesURL, { FriendlyName: 'Available', Available: true }, API_V1).returns(Promise.resolve(activity));
+            postStub.withArgs(`${activitiesURL}/WAxx2`, { FriendlyName: 'Ready' }, API_V1)
+                .returns(Promise.resolve(Object.assign({}, activity, { friendly_name: 'Ready' }))); // eslint-disable-line camelcase
+
+            return workspace.createActivity({ friendlyName: 'Available', available: true }).then(created => {
+                assert.instanceOf(created, ActivityContainer);
+                assert.isTrue(created.available);
+                return workspace.updateActivity('WAxx2', { friendlyName: 'Ready' }).then(updated => {
+                    assert.strictEqual(updated, created);
+                    assert.equal(updated.name, 'Ready');
+                    return workspace.deleteActivity('WAxx2');
+                });
+            }).then(deleted => {
+                assert.equal(deleted.name, 'Ready');
+                assert.equal(workspace.workspaceEntity.Activities.size, 0);
+            });
+        });
+
+        it('should create and update a TaskQueue', () => {
+            const support = mockTaskQueuesPage0.contents[0];
+            postStub.withArgs(taskQueuesURL, { FriendlyName: 'Support', TargetWorkers: 'skills HAS "support"', TaskOrder: 'FIFO' }, API_V1)
+                .returns(Promise.resolve(support));
+            postStub.withArgs(`${taskQueuesURL}/WQxx1`, { MaxReservedWorkers: 2 }, API_V1)
+                .returns(Promise.resolve(Object.assign({}, support, { max_reserved_workers: 2 }))); // eslint-disable-line camelcase
+
+            return workspace.createTaskQueue({ friendlyName: 'Support', targetWorkers: 'skills HAS "support"', taskOrder: 'FIFO' }).then(created => {
+                assert.instanceOf(created, TaskQueue);
+                return workspace.updateTaskQueue('WQxx1', { maxReservedWorkers: 2 }).then(updated => {
+                    assert.strictEqual(updated, created);
+                    assert.equal(updated.maxReservedWorkers, 2);
+                    assert.strictEqual(workspace.workspaceEntity.TaskQueues.get('WQxx1'), updated);
+                });
+            });
+        });
+
+        it('should delete a TaskQueue', () => {
+            postStub.returns(Promise.resolve(mockTaskQueuesPage0.contents[0]));
+
+            return workspace.createTaskQueue({ friendlyName: 'Support' }).then(() => workspace.deleteTaskQueue('WQxx1')).then(taskQueue => {
+                assert.isTrue(deleteStub.calledWith(`${taskQueuesURL}/WQxx1`, API_V1));
+                assert.equal(taskQueue.sid, 'WQxx1');
+                assert.isFalse(workspace.workspaceEntity.TaskQueues.has('WQxx1'));
+            });
+        });
+
+        it('should throw an error if the friendlyName of a created item is missing', () => {
+            (() => {
+                workspace.createWorker({ activitySid: 'WAxx1' });
+            }).should.throw(/Failed to create Worker. <string>options.friendlyName is a required parameter/);
+        });
+
+        it('should throw an error if an update sets no option', () => {
+            (() => {
+                workspace.updateTaskQueue('WQxx1', {});
+            }).should.throw(/Failed to update TaskQueue. <object>options must set at least one of/);
+        });
+
+        it('should throw an error if an option does not meet its type', () => {
+            (() => {
+                workspace.updateTaskQueue('WQxx1', { taskOrder: 'RANDOM' });
+            }).should.throw(/Option key: taskOrder does not meet the required type/);
+        });
+
+        it('should throw an error when changing the availability of an Activity', () => {
+            (() => {
+                workspace.updateActivity('WAxx1', { available: true });
+            }).should.throw(/The availability of an Activity cannot be changed/);
+        });
+
+        it('should throw an error if the sid of a deleted item is missing', () => {
+            (() => {
+                workspace.deleteActivity();
+            }).should.throw(/Failed to delete Activity. <string>sid is a required parameter/);
+        });
+    });
+
+    describe('#workersForQueue(queueSid)', () => {
+        let workspace;
+
+        beforeEach(() => {
+            getStub.withArgs(workersURL, API_V1, { PageSize: 1000 }).returns(Promise.resolve({
+                contents: [
+                    Object.assign({}, mockWorkersPage0.contents[0], { attributes: '{"skills":["support"],"level":2}' }),
+                    Object.assign({}, mockWorkersPage0.contents[1], { attributes: '{"skills":["sales"],"level":3}' })
+                ],
+                after_sid: null // eslint-disable-line camelcase
+            }));
+            getStub.withArgs(taskQueuesURL, API_V1, { PageSize: 1000 }).returns(Promise.resolve({
+                contents: [
+                    mockTaskQueuesPage0.contents[0],
+                    Object.assign({}, mockTaskQueuesPage0.contents[1], { target_workers: 'skills HAS "sales" OR level >= 3' }), // eslint-disable-line camelcase
+                    Object.assign({}, mockTaskQueuesPage1.contents[0], { target_workers: 'skills HAS "support' }) // eslint-disable-line camelcase
+                ],
+                after_sid: null // eslint-disable-line camelcase
+            }));
+
+            workspace = new Workspace(adminToken);
+            return Promise.all([workspace.fetchWorkers(), workspace.fetchTaskQueues()]);
+        });
+
+        it('should find the loaded Workers matching the targetWorkers of the TaskQueue', () => {
+            assert.deepEqual(Array.from(workspace.workersForQueue('WQxx1').keys()), ['WKxx1']);
+            assert.deepEqual(Array.from(workspace.workersForQueue('WQxx2').keys()), ['WKxx2']);
+        });
+
+        it('should evaluate the updated targetWorkers of a TaskQueue', () => {
+            const taskQueue = workspace.workspaceEntity.TaskQueues.get('WQxx1');
+            assert.isTrue(taskQueue.matchesWorker(workspace.workspaceEntity.Workers.get('WKxx1')));
+
+            taskQueue.targetWorkers = 'level > 2';
+            assert.isFalse(taskQueue.matchesWorker(workspace.workspaceEntity.Workers.get('WKxx1')));
+            assert.isTrue(taskQueue.matchesWorker(workspace.workspaceEntity.Workers.get('WKxx2')));
+        });
+
+        it('should match every Worker when the TaskQueue has no targetWorkers', () => {
+            workspace.workspaceEntity.TaskQueues.get('WQxx1').targetWorkers = null;
+            assert.equal(workspace.workersForQueue('WQxx1').size, 2);
+        });
+
+        it('should throw INVALID_EXPRESSION if the targetWorkers cannot be parsed', () => {
+            (() => {
+                workspace.workersForQueue('WQxx3');
+            }).should.throw(/Unterminated string starting at column 12/);
+        });
+
+        it('should throw an error if the TaskQueue is not loaded', () => {
+            (() => {
+                workspace.workersForQueue('WQxx9');
+            }).should.throw(/TaskQueue WQxx9 is not loaded/);
+        });
+    });
+});
@@ -0,0 +1,52 @@
+import { assert } from 'chai';
+import WorkflowDescriptor from '../../../../lib/descriptors/WorkflowDescriptor';
+import { workflowInstance as instance } from '../../../mock/Workspace';
+
+describe('WorkflowDescriptor', () => {
+    describe('constructor', () => {
+        it('should throw an error if descriptor is not of type Object', () => {
+            ['abc', 123, null].forEach(v => {
+                (() => new WorkflowDescriptor(v)).should.throw(/<Descriptor>descriptor is required./);
+            });
+        });
+
+        it('should throw an error if the descriptor does not contain all properties of a Workflow', () => {
+            (() => {
+                new WorkflowDescriptor({ 'account_sid': 'ACxxx' });
+            }).should.throw(/<Descriptor>descriptor does not contain all properties of a Workflow./);
+        });
+
+        it('should set properties using data from the descriptor', () => {
+            const descriptor = new WorkflowDescriptor(instance);
+            assert.equal(descriptor.sid, instance.sid);
+            assert.equal(descriptor.accountSid, instance.account_sid);
+            assert.equal(descriptor.workspaceSid, instance.workspace_sid);
+            assert.equal(descriptor.name, instance.friendly_name);
+            assert.equal(descriptor.assignmentCallbackUrl, instance.assignment_callback_url);
+            assert.isNull(descriptor.fallbackAssignmentCallbackUrl);
+            assert.equal(descriptor.taskReservationTimeout, instance.task_reservation_timeout);
+            assert.deepEqual(descriptor.configuration, JSON.parse(instance.configuration));
+            assert.deepEqual(descriptor.dateCreated, new Date(instance.date_created * 1000));
+            assert.deepEqual(descriptor.dateUpdated, new Date(instance.date_updated * 1000));
+        });
+
+        it('should parse the filters and targets of the configuration', () => {
+            const descriptor = new WorkflowDescriptor(instance);
+            assert.deepEqual(descriptor.filters, [{
+                name: 'Spanish',
+                expression: 'language == "es"',
+                targets: [
+                    { queue: 'WQxx1', expression: 'worker.skills HAS "es"', priority: 5, timeout: 30, orderBy: 'worker.level DESC' },
+                    { queue: 'WQxx2' }
+                ]
+            }]);
+            assert.deepEqual(descriptor.defaultFilter, { queue: 'WQxx3' });
+        });
+
+        it('should default to no filters for a configuration without task routing', () => {
+            const descriptor = new WorkflowDescriptor(Object.assign({}, instance, { configuration: '{}' }));
+            assert.deepEqual(descriptor.filters, []);
+            assert.isNull(descriptor.defaultFilter);
+        });
+    });
+});
@@ -61,6 +61,7 @@ describe('EventBridgeSignaling', () => {
       signaling.updateToken(updatedToken);
       assert.isTrue(signaling.reconnect);
       expect(createSpy).to.have.been.calledOnce;
+      createSpy.restore();
     });
 
     it('should clear the original token timeout and create a new timeout', () => {
@@ -78,4 +79,119 @@ describe('EventBridgeSignaling', () => {
       assert.notEqual(firstTimer, secondTimer);
     });
   });
+
+  describe('connection state', () => {
+    let worker;
+    let signaling;
+    let changeSpy;
+    let clock;
+
+    beforeEach(() => {
+      worker = new Worker(initialToken, WorkerConfig);
+      signaling = new EventBridgeSignaling(worker);
+      changeSpy = sinon.spy();
+      signaling.on('connectionStateChanged', changeSpy);
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    const dispatch = type => signaling.webSocket.dispatchEvent({ type });
+
+    it('should start in the connecting state', () => {
+      assert.equal(signaling.connectionState, 'connecting');
+    });
+
+    it('should move to connected when the websocket opens', () => {
+      dispatch('open');
+
+      assert.equal(signaling.connectionState, 'connected');
+      expect(changeSpy).to.have.been.calledOnce;
+      expect(changeSpy).to.have.been.calledWith({
+        state: 'connected',
+        previousState: 'connecting',
+        attempt: null,
+        nextRetryDelay: null
+      });
+    });
+
+    it('should emit the attempt count and retry delay for every reconnect attempt', () => {
+      sinon.stub(signaling, 'generateBackOffInterval').callsFake(k => k * 1000);
+      dispatch('open');
+      // keep the current websocket so its close can be replayed for every attempt
+      const createSpy = sinon.stub(signaling, 'createWebSocket');
+
+      dispatch('close');
+      assert.equal(signaling.connectionState, 'reconnecting');
+      expect(changeSpy.lastCall.args[0]).to.deep.equal({
+        state: 'reconnecting',
+        previousState: 'connected',
+        attempt: 1,
+        nextRetryDelay: 1000
+      });
+
+      clock.tick(1000);
+      expect(createSpy).to.have.been.calledOnce;
+      assert.equal(signaling.numAttempts, 2);
+      dispatch('close');
+      expect(changeSpy.lastCall.args[0]).to.deep.equal({
+        state: 'reconnecting',
+        previousState: 'reconnecting',
+        attempt: 2,
+        nextRetryDelay: 2000
+      });
+
+      clock.tick(2000);
+      dispatch('open');
+      assert.equal(signaling.connectionState, 'connected');
+      assert.equal(signaling.numAttempts, 1);
+      expect(changeSpy).to.have.callCount(4);
+    });
+
+    it('should keep the attempt count and the reconnecting state when creating the websocket for a retry', () => {
+      dispatch('open');
+      signaling.numAttempts = 3;
+      signaling._setConnectionState('reconnecting', { attempt: 2, nextRetryDelay: 3000 });
+
+      signaling.createWebSocket();
+
+      assert.equal(signaling.numAttempts, 3);
+      assert.equal(signaling.connectionState, 'reconnecting');
+    });
+
+    it('should move to tokenExpired and stay there when the websocket closes', () => {
+      dispatch('open');
+      signaling.setLifetime(10000);
+
+      clock.tick(5000);
+      assert.equal(signaling.connectionState, 'tokenExpired');
+
+      dispatch('close');
+      assert.equal(signaling.connectionState, 'tokenExpired');
+      expect(changeSpy).to.have.been.calledTwice;
+    });
+
+    it('should move back to connected when the token is updated on an open websocket', () => {
+      dispatch('open');
+      signaling.setLifetime(10000);
+      clock.tick(5000);
+      // the mock websocket does not define the readyState constants on its instances
+      Object.assign(signaling.webSocket, { CLOSING: 2, CLOSED: 3, OPEN: 1, readyState: 1 });
+
+      signaling.updateToken(updatedToken);
+
+      assert.equal(signaling.connectionState, 'connected');
+      expect(changeSpy.lastCall.args[0].previousState).to.equal('tokenExpired');
+    });
+
+    it('should move to disconnected on disconnect()', () => {
+      dispatch('open');
+      signaling.disconnect();
+
+      assert.equal(signaling.connectionState, 'disconnected');
+      expect(changeSpy.lastCall.args[0].state).to.equal('disconnected');
+    });
+  });
 });
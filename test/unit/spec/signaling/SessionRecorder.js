@@ -0,0 +1,149 @@
+import { API_V1 } from '../../../../lib/util/Constants';
+import Configuration from '../../../../lib/util/Configuration';
+import EventBridgeSignaling from '../../../../lib/signaling/EventBridgeSignaling';
+import Request from '../../../../lib/util/Request';
+import SessionRecorder from '../../../../lib/signaling/SessionRecorder';
+import Worker from '../../../../lib/Worker';
+import { WorkerConfig } from '../../../mock/WorkerConfig';
+import { token } from '../../../mock/Token';
+
+const chai = require('chai');
+const assert = chai.assert;
+chai.should();
+const sinon = require('sinon');
+
+describe('SessionRecorder', () => {
+    const url = 'Workspaces/WSxxx/Workers/WKxxx';
+    let recorder;
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers({ now: 1500000000000, toFake: ['Date'] });
+        recorder = new SessionRecorder();
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    describe('#journal', () => {
+        it('should timestamp the entries from the start of the recording', () => {
+            clock.tick(1500);
+            recorder._recordConnected();
+
+            const journal = recorder.journal;
+            assert.equal(journal.version, 1);
+            assert.equal(journal.startedAt, new Date(1500000000000).toISOString());
+            assert.deepEqual(journal.entries, [{ at: 1500, type: 'connected' }]);
+        });
+
+        it('should serialize the journal with JSON.stringify()', () => {
+            recorder._recordMessage(' ');
+            assert.deepEqual(JSON.parse(JSON.stringify(recorder)), recorder.journal);
+        });
+    });
+
+    describe('#clear()', () => {
+        it('should drop the entries and restart the clock', () => {
+            recorder._recordConnected();
+            clock.tick(1000);
+            recorder.clear();
+            recorder._recordDisconnected();
+
+            assert.deepEqual(recorder.journal.entries, [{ at: 0, type: 'disconnected' }]);
+        });
+    });
+
+    describe('redaction', () => {
+        it('should redact the values of token keys and JSON Web Tokens from messages', () => {
+            // eslint-disable-next-line camelcase
+            recorder._recordMessage(JSON.stringify({ event_type: 'init', payload: { token: 'secret', note: `Bearer ${token}` } }));
+
+            assert.deepEqual(JSON.parse(recorder.journal.entries[0].data).payload, { token: '[REDACTED]', note: 'Bearer [REDACTED]' });
+        });
+
+        it('should record a message which is not JSON as is', () => {
+            recorder._recordMessage('{not json');
+            assert.equal(recorder.journal.entries[0].data, '{not json');
+        });
+    });
+
+    describe('requests', () => {
+        let request;
+        let postStub;
+
+        const httpError = (status, data = {}, headers = {}) => {
+            const err = new Error(`Request failed with status code ${status}`);
+            err.response = { status, data, headers };
+            return err;
+        };
+
+        beforeEach(() => {
+            request = new Request(new Configuration(token)).setRecorder(recorder);
+            postStub = sinon.stub(request._postClient, 'post');
+            sinon.stub(request, '_getRetryDelay').returns(0);
+        });
+
+        it('should record the envelope and the response of a request', () => {
+            postStub.returns(Promise.resolve({ status: 200, data: { payload: { sid: 'WKxxx' } } }));
+
+            return request.post(url, { ActivitySid: 'WAxxx' }, API_V1).then(() => {
+                assert.deepEqual(recorder.journal.entries, [
+                    { at: 0, type: 'request', id: 1, method: 'POST', url, params: { ActivitySid: 'WAxxx' }, headers: { apiVersion: API_V1 } },
+                    { at: 0, type: 'response', id: 1, status: 200, payload: { sid: 'WKxxx' } }
+                ]);
+            });
+        });
+
+        it('should record every attempt of a retried request', () => {
+            postStub.onFirstCall().returns(Promise.reject(httpError(429, { code: 20429 }, { 'retry-after': '1', 'x-other': 'a' })));
+            postStub.onSecondCall().returns(Promise.resolve({ status: 200, data: { payload: {} } }));
+
+            return request.get(url, API_V1).then(() => {
+                const entries = recorder.journal.entries;
+                assert.deepEqual(entries.map(entry => `${entry.type}:${entry.id}`), ['request:1', 'error:1', 'request:2', 'response:2']);
+                assert.deepEqual(entries[1], { at: 0, type: 'error', id: 1, status: 429, data: { code: 20429 }, headers: { 'retry-after': '1' } });
+            });
+        });
+
+        it('should record a request which got no response', () => {
+            const timeout = new Error('timeout of 5000ms exceeded');
+            timeout.code = 'ECONNABORTED';
+            postStub.returns(Promise.reject(timeout));
+
+            return request.post(url, {}, API_V1).catch(() => {
+                assert.deepEqual(recorder.journal.entries[1], { at: 0, type: 'error', id: 1, code: 'ECONNABORTED', message: 'timeout of 5000ms exceeded' });
+            });
+        });
+    });
+
+    describe('EventBridgeSignaling', () => {
+        it('should throw an error if the recorder is not a SessionRecorder', () => {
+            (() => {
+                new EventBridgeSignaling(new Worker(token, WorkerConfig), { recorder: {} });
+            }).should.throw(/Invalid type passed for <SessionRecorder>recorder/);
+        });
+
+        it('should record every message received, including heartbeats', () => {
+            const signaling = new EventBridgeSignaling(new Worker(token, WorkerConfig), { recorder });
+            const onInit = sinon.stub();
+            signaling.on('init', onInit);
+
+            // eslint-disable-next-line camelcase
+            const init = JSON.stringify({ event_type: 'init', payload: { channel_id: 'WKxxx' } });
+            signaling.webSocket.dispatchEvent({ type: 'message', data: ' ' });
+            signaling.webSocket.dispatchEvent({ type: 'message', data: init });
+
+            assert.isTrue(onInit.calledOnce);
+            assert.deepEqual(recorder.journal.entries.map(entry => entry.data), [' ', init]);
+        });
+    });
+
+    describe('Worker', () => {
+        it('should throw an error if the recorder is not a SessionRecorder', () => {
+            (() => {
+                new Worker(token, Object.assign({ recorder: [] }, WorkerConfig));
+            }).should.throw(/Option key: recorder does not meet the required type/);
+        });
+    });
+});
@@ -0,0 +1,139 @@
+import EventBridgeSignaling from '../../../../lib/signaling/EventBridgeSignaling';
+import Request from '../../../../lib/util/Request';
+import Routes from '../../../../lib/util/Routes';
+import SessionRecorder from '../../../../lib/signaling/SessionRecorder';
+import SessionReplay from '../../../../lib/signaling/SessionReplay';
+import SimulatedWorkspace from '../../../../lib/simulator/SimulatedWorkspace';
+import Worker from '../../../../lib/Worker';
+import { WorkerConfig } from '../../../mock/WorkerConfig';
+import { token } from '../../../mock/Token';
+
+const chai = require('chai');
+const assert = chai.assert;
+chai.should();
+
+describe('SessionReplay', () => {
+    /* eslint-disable camelcase */
+    const message = (eventType, payload) => JSON.stringify({ event_type: eventType, payload });
+    const init = message('init', { channel_id: 'WKxxx', account_sid: 'ACxxx', workspace_sid: 'WSxxx', token_lifetime: 3600000 });
+    /* eslint-enable camelcase */
+
+    const once = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+
+    // accept every new Reservation, the way the agent does in the recorded session
+    const acceptReservations = worker => worker.on('reservationCreated', reservation => reservation.accept());
+
+    /**
+     * Record a session of a Worker against a SimulatedWorkspace: the Worker initializes, becomes available and
+     * accepts a Reservation
+     */
+    const recordSession = () => {
+        const workspace = new SimulatedWorkspace();
+        const available = workspace.handleRequest({ url: 'Workspaces/WSxxx/Activities', method: 'GET' }).contents[1];
+        const queue = workspace.createTaskQueue({ name: 'Support' });
+        workspace.createWorker({ name: 'alice', sid: 'WKxxx' });
+
+        class SimulatedRequest extends Request {
+            constructor(config) {
+                super(config);
+                this._postClient = {
+                    post: (server, body) => Promise.resolve().then(() => workspace.handleRequest(JSON.parse(body)))
+                        .then(payload => ({ status: 200, data: { payload } }))
+                };
+            }
+        }
+
+        const recorder = new SessionRecorder();
+        const worker = new Worker(token, Object.assign({ recorder }, WorkerConfig), { Request: SimulatedRequest, EventBridgeSignaling });
+        const deliver = data => worker._signaling.webSocket.dispatchEvent({ type: 'message', data });
+        workspace.on('event', (workerSid, eventType, payload) => deliver(message(eventType, payload)));
+        const accepted = new Promise(resolve => worker.on('reservationCreated', reservation => reservation.on('accepted', resolve)));
+        acceptReservations(worker);
+
+        worker._signaling.webSocket.dispatchEvent({ type: 'open' });
+        deliver(init);
+        return once(worker, 'ready')
+            .then(() => worker.activities.get(available.sid).setAsCurrent())
+            .then(() => {
+                workspace.createTask({ taskQueueSid: queue.sid, attributes: { customer: 'bob' } });
+                return accepted;
+            })
+            .then(() => {
+                worker.disconnect();
+                return JSON.stringify(recorder);
+            });
+    };
+
+    describe('constructor', () => {
+        it('should throw an error if the journal has no entries', () => {
+            (() => {
+                new SessionReplay({});
+            }).should.throw(/<SessionRecorder.Journal>journal is a required parameter/);
+        });
+    });
+
+    describe('replay', () => {
+        it('should not record the token', () => {
+            return recordSession().then(journal => {
+                assert.notInclude(journal, token);
+            });
+        });
+
+        it('should reproduce the recorded session in a new Worker', () => {
+            return recordSession().then(journal => {
+                const replay = new SessionReplay(journal);
+                const worker = new Worker(token, WorkerConfig, replay.deps);
+                const mismatches = [];
+                replay.on('mismatch', request => mismatches.push(request));
+                // repeat what the agent did in the recorded session
+                worker.on('ready', () => Array.from(worker.activities.values()).find(activity => activity.available).setAsCurrent());
+                acceptReservations(worker);
+
+                return once(replay, 'end').then(() => {
+                    const reservation = Array.from(worker.reservations.values())[0];
+                    assert.isTrue(replay.ended);
+                    assert.deepEqual(mismatches, []);
+                    assert.equal(worker.sid, 'WKxxx');
+                    assert.equal(worker.activity.name, 'Available');
+                    assert.equal(reservation.status, 'accepted');
+                    assert.deepEqual(reservation.task.attributes, { customer: 'bob' });
+                    worker.disconnect();
+                });
+            });
+        });
+
+        it('should report a request which was not recorded and fail it with NOT_FOUND', () => {
+            const replay = new SessionReplay({ entries: [] });
+            const worker = new Worker(token, WorkerConfig, replay.deps);
+            worker._routes = new Routes('WSxxx', 'WKxxx');
+            const mismatch = once(replay, 'mismatch');
+
+            return worker.setAttributes({ team: 'support' }).catch(err => {
+                assert.equal(err.name, 'NOT_FOUND');
+                assert.equal(err.message, 'The request POST Workspaces/WSxxx/Workers/WKxxx was not recorded in the journal.');
+                return mismatch;
+            }).then(request => {
+                assert.deepEqual(request, { method: 'POST', url: 'Workspaces/WSxxx/Workers/WKxxx', params: { Attributes: { team: 'support' } } });
+                worker.disconnect();
+            });
+        });
+
+        it('should replay the recorded failure of a request', () => {
+            const replay = new SessionReplay({
+                entries: [
+                    { at: 0, type: 'request', id: 1, method: 'POST', url: 'Workspaces/WSxxx/Workers/WKxxx', params: { Attributes: {} } },
+                    { at: 1, type: 'error', id: 1, status: 400, data: { payload: { code: 20001, message: 'Invalid Attributes' } }, headers: {} }
+                ]
+            });
+            const worker = new Worker(token, WorkerConfig, replay.deps);
+            worker._routes = new Routes('WSxxx', 'WKxxx');
+
+            return worker.setAttributes({}).catch(err => {
+                assert.equal(err.name, 'INVALID_REQUEST');
+                assert.equal(err.code, 20001);
+                assert.equal(err.message, 'Invalid Attributes');
+                worker.disconnect();
+            });
+        });
+    });
+});
@@ -0,0 +1,156 @@
+import { API_V1, API_V2 } from '../../../../lib/util/Constants';
+import Configuration from '../../../../lib/util/Configuration';
+import EventBridgeSimulator from '../../../../lib/simulator/EventBridgeSimulator';
+import Request from '../../../../lib/util/Request';
+
+const chai = require('chai');
+const assert = chai.assert;
+chai.should();
+const WebSocket = require('ws');
+
+describe('EventBridgeSimulator', () => {
+    let simulator;
+    let worker;
+    let sockets;
+
+    // resolves with the socket once it has received the given number of messages
+    const connect = (token, count, closeExistingSessions = false) => new Promise((resolve, reject) => {
+        const socket = new WebSocket(`${simulator.wsServer}?token=${token}&closeExistingSessions=${closeExistingSessions}&clientVersion=test`);
+        socket.messages = [];
+        sockets.push(socket);
+        socket.on('message', data => {
+            socket.messages.push(data.trim() ? JSON.parse(data) : data);
+            if (socket.messages.length === count) {
+                resolve(socket);
+            }
+        });
+        socket.on('close', (code, reason) => resolve(Object.assign(socket, { closeCode: code, closeReason: reason })));
+        socket.on('error', reject);
+    });
+
+    const waitForClose = socket => new Promise(resolve => {
+        if (socket.readyState === WebSocket.CLOSED) {
+            resolve(socket);
+        } else {
+            socket.on('close', code => resolve(Object.assign(socket, { closeCode: code })));
+        }
+    });
+
+    beforeEach(() => {
+        sockets = [];
+        simulator = new EventBridgeSimulator({ heartbeatInterval: 20 });
+        worker = simulator.workspace.createWorker({ name: 'alice' });
+        return simulator.start();
+    });
+
+    afterEach(() => {
+        sockets.forEach(socket => socket.terminate());
+        return simulator.stop();
+    });
+
+    describe('constructor', () => {
+        it('should throw an error if the workspace is not a SimulatedWorkspace', () => {
+            (() => {
+                new EventBridgeSimulator({ workspace: {} });
+            }).should.throw(/<SimulatedWorkspace>workspace must be a SimulatedWorkspace/);
+        });
+    });
+
+    describe('#start()', () => {
+        it('should expose the URLs of the servers', () => {
+            assert.match(simulator.ebServer, /^http:\/\/127\.0\.0\.1:\d+\/v1\/wschannels$/);
+            assert.equal(simulator.wsServer, simulator.ebServer.replace('http', 'ws'));
+        });
+
+        it('should reject if the simulator has already been started', () => {
+            return simulator.start().catch(err => {
+                assert.equal(err.message, 'The EventBridgeSimulator has already been started.');
+            });
+        });
+    });
+
+    describe('websocket', () => {
+        it('should send the init event for the Worker of the token', () => {
+            return connect(simulator.createToken(worker.sid, { ttl: 60 }), 1).then(socket => {
+                const init = socket.messages[0];
+                assert.equal(init.event_type, 'init');
+                assert.equal(init.payload.channel_id, worker.sid);
+                assert.equal(init.payload.workspace_sid, 'WSxxx');
+                assert.isAbove(init.payload.token_lifetime, 55000);
+                assert.isAtMost(init.payload.token_lifetime, 60000);
+            });
+        });
+
+        it('should send heartbeats', () => {
+            return connect(simulator.createToken(worker.sid), 2).then(socket => {
+                assert.equal(socket.messages[1], ' ');
+            });
+        });
+
+        it('should relay the events of the Worker', () => {
+            return connect(simulator.createToken(worker.sid), 1).then(socket => {
+                const activity = simulator.workspace.createActivity({ name: 'Busy' });
+                simulator.workspace.updateWorkerActivity(worker.sid, activity.sid);
+
+                return new Promise(resolve => socket.on('message', data => data.trim() && resolve(JSON.parse(data))));
+            }).then(event => {
+                assert.equal(event.event_type, 'worker.activity.update');
+                assert.equal(event.payload.activity_name, 'Busy');
+            });
+        });
+
+        it('should close the socket of a token for an unknown Worker', () => {
+            return connect(simulator.createToken('WKunknown'), 1).then(socket => {
+                assert.equal(socket.closeCode, 4001);
+                assert.match(socket.closeReason, /The Worker WKunknown was not found/);
+            });
+        });
+
+        it('should close the existing sessions of the Worker when asked to', () => {
+            const token = simulator.createToken(worker.sid);
+            return connect(token, 1).then(first => {
+                return connect(token, 1, true).then(() => waitForClose(first));
+            }).then(first => {
+                assert.equal(first.closeCode, 4000);
+            });
+        });
+    });
+
+    describe('requests', () => {
+        let request;
+
+        beforeEach(() => {
+            request = new Request(new Configuration(simulator.createToken(worker.sid), { ebServer: simulator.ebServer, maxRetries: 0 }));
+        });
+
+        it('should relay a GET to the Workspace', () => {
+            return request.get(`Workspaces/WSxxx/Workers/${worker.sid}`, API_V1).then(payload => {
+                assert.equal(payload.sid, worker.sid);
+                assert.equal(payload.activity_name, 'Offline');
+            });
+        });
+
+        it('should relay a POST to the Workspace', () => {
+            const activity = simulator.workspace.createActivity({ name: 'Busy' });
+            return request.post(`Workspaces/WSxxx/Workers/${worker.sid}`, { ActivitySid: activity.sid }, API_V1).then(payload => {
+                assert.equal(payload.activity_sid, activity.sid);
+            });
+        });
+
+        it('should fail with the error of the Workspace', () => {
+            return request.get(`Workspaces/WSxxx/Workers/${worker.sid}/Reservations/WRxxx`, API_V2).catch(err => {
+                assert.equal(err.name, 'NOT_FOUND');
+                assert.equal(err.status, 404);
+                assert.equal(err.code, 20404);
+            });
+        });
+
+        it('should fail with AUTHENTICATION_FAILED for an expired token', () => {
+            request = new Request(new Configuration(simulator.createToken(worker.sid, { ttl: -1 }), { ebServer: simulator.ebServer, maxRetries: 0 }));
+            return request.get(`Workspaces/WSxxx/Workers/${worker.sid}`, API_V1).catch(err => {
+                assert.equal(err.name, 'AUTHENTICATION_FAILED');
+                assert.equal(err.message, 'The token has expired.');
+            });
+        });
+    });
+});
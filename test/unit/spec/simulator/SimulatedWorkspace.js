@@ -0,0 +1,217 @@
+import SimulatedWorkspace from '../../../../lib/simulator/SimulatedWorkspace';
+
+const chai = require('chai');
+const assert = chai.assert;
+chai.should();
+const sinon = require('sinon');
+
+describe('SimulatedWorkspace', () => {
+    let workspace;
+    let events;
+    let available;
+    let offline;
+    let queue;
+
+    const workerUrl = sid => `Workspaces/WSxxx/Workers/${sid}`;
+    const eventTypes = workerSid => events.filter(event => event[0] === workerSid).map(event => event[1]);
+    const lastPayload = (workerSid, eventType) => events.filter(event => event[0] === workerSid && event[1] === eventType).pop()[2];
+
+    beforeEach(() => {
+        workspace = new SimulatedWorkspace();
+        events = [];
+        workspace.on('event', (...args) => events.push(args));
+        [offline, available] = workspace.handleRequest({ url: 'Workspaces/WSxxx/Activities', method: 'GET' }).contents;
+        queue = workspace.createTaskQueue({ name: 'Support' });
+    });
+
+    describe('constructor', () => {
+        it('should start with an Offline and an Available Activity', () => {
+            assert.equal(offline.friendly_name, 'Offline');
+            assert.isFalse(offline.available);
+            assert.equal(available.friendly_name, 'Available');
+            assert.isTrue(available.available);
+        });
+    });
+
+    describe('#createTask(options)', () => {
+        it('should throw an error if the TaskQueue does not exist', () => {
+            (() => {
+                workspace.createTask({ taskQueueSid: 'WQxxx' });
+            }).should.throw(/The TaskQueue WQxxx was not found/);
+        });
+
+        it('should reserve the Task for the Worker idle the longest', () => {
+            const first = workspace.createWorker({ name: 'first', activitySid: available.sid });
+            const second = workspace.createWorker({ name: 'second', activitySid: available.sid });
+
+            workspace.createTask({ taskQueueSid: queue.sid });
+            const task = workspace.createTask({ taskQueueSid: queue.sid });
+
+            assert.deepEqual(eventTypes(first.sid), ['reservation.created']);
+            assert.deepEqual(eventTypes(second.sid), ['reservation.created']);
+            assert.equal(lastPayload(second.sid, 'reservation.created').task.sid, task.sid);
+        });
+
+        it('should assign pending Tasks by priority and then age once a Worker becomes available', () => {
+            const worker = workspace.createWorker({ name: 'alice' });
+            workspace.createTask({ taskQueueSid: queue.sid, priority: 1 });
+            const urgent = workspace.createTask({ taskQueueSid: queue.sid, priority: 10 });
+            assert.deepEqual(eventTypes(worker.sid), []);
+
+            workspace.updateWorkerActivity(worker.sid, available.sid);
+
+            assert.deepEqual(eventTypes(worker.sid), ['worker.activity.update', 'reservation.created']);
+            assert.equal(lastPayload(worker.sid, 'reservation.created').task.sid, urgent.sid);
+        });
+
+        it('should only reserve Tasks for Workers of the TaskQueue, up to their capacity', () => {
+            const alice = workspace.createWorker({ name: 'alice', activitySid: available.sid, channels: { chat: 2 } });
+            const bob = workspace.createWorker({ name: 'bob', activitySid: available.sid, channels: { chat: 2 } });
+            const chatQueue = workspace.createTaskQueue({ name: 'Chat', workerSids: [alice.sid] });
+
+            [1, 2, 3].forEach(() => workspace.createTask({ taskQueueSid: chatQueue.sid, taskChannelUniqueName: 'chat' }));
+
+            assert.deepEqual(eventTypes(alice.sid), ['reservation.created', 'reservation.created']);
+            assert.deepEqual(eventTypes(bob.sid), []);
+        });
+    });
+
+    describe('#cancelTask(taskSid, reason)', () => {
+        it('should cancel the pending Reservation of the Task', () => {
+            const worker = workspace.createWorker({ name: 'alice', activitySid: available.sid });
+            const task = workspace.createTask({ taskQueueSid: queue.sid });
+
+            workspace.cancelTask(task.sid, 'Hung up');
+
+            assert.deepEqual(eventTypes(worker.sid), ['reservation.created', 'task.canceled', 'reservation.canceled']);
+            assert.equal(lastPayload(worker.sid, 'task.canceled').reason, 'Hung up');
+            assert.equal(lastPayload(worker.sid, 'reservation.canceled').reservation_status, 'canceled');
+        });
+    });
+
+    describe('reservation timeout', () => {
+        let clock;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers({ now: 1500000000000, toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
+        it('should time out the Reservation, move the Worker offline and reassign the Task', () => {
+            const alice = workspace.createWorker({ name: 'alice', activitySid: available.sid });
+            workspace.createTask({ taskQueueSid: queue.sid });
+            const bob = workspace.createWorker({ name: 'bob', activitySid: available.sid });
+
+            clock.tick(120000);
+
+            assert.deepEqual(eventTypes(alice.sid), ['reservation.created', 'reservation.timeout', 'worker.activity.update']);
+            assert.equal(lastPayload(alice.sid, 'worker.activity.update').activity_sid, offline.sid);
+            assert.deepEqual(eventTypes(bob.sid), ['reservation.created']);
+        });
+    });
+
+    describe('#handleRequest(request)', () => {
+        let worker;
+        let reservation;
+
+        beforeEach(() => {
+            worker = workspace.createWorker({ name: 'alice', activitySid: available.sid });
+            workspace.createTask({ taskQueueSid: queue.sid, attributes: { type: 'support' } });
+            reservation = lastPayload(worker.sid, 'reservation.created');
+        });
+
+        const updateReservation = params => workspace.handleRequest({
+            url: `${workerUrl(worker.sid)}/Reservations/${reservation.sid}`,
+            method: 'POST',
+            params
+        });
+
+        it('should throw NOT_FOUND for an unknown resource', () => {
+            (() => {
+                workspace.handleRequest({ url: 'Workspaces/WSxxx/Workflows', method: 'GET' });
+            }).should.throw(/Workspaces\/WSxxx\/Workflows was not found/);
+        });
+
+        it('should page the active Reservations of the Worker', () => {
+            workspace.handleRequest({ url: workerUrl(worker.sid), method: 'POST', params: { ActivitySid: available.sid } });
+            workspace.handleRequest({
+                url: `${workerUrl(worker.sid)}/WorkerChannels/${workspace.handleRequest({ url: `${workerUrl(worker.sid)}/WorkerChannels`, method: 'GET' }).contents[0].sid}`,
+                method: 'POST',
+                params: { Capacity: 2 }
+            });
+            workspace.createTask({ taskQueueSid: queue.sid });
+
+            const url = `${workerUrl(worker.sid)}/Reservations`;
+            const firstPage = workspace.handleRequest({ url, method: 'GET', params: { Active: true, PageSize: 1 } });
+            const secondPage = workspace.handleRequest({ url, method: 'GET', params: { Active: true, PageSize: 1, AfterSid: firstPage.after_sid } });
+
+            assert.equal(firstPage.contents[0].sid, reservation.sid);
+            assert.equal(firstPage.after_sid, reservation.sid);
+            assert.equal(secondPage.contents.length, 1);
+            assert.isNull(secondPage.after_sid);
+        });
+
+        it('should accept the Reservation, then wrap up and complete its Task', () => {
+            const accepted = updateReservation({ ReservationStatus: 'accepted' });
+            assert.equal(accepted.reservation_status, 'accepted');
+            assert.equal(accepted.task.assignment_status, 'assigned');
+
+            const taskUrl = `Workspaces/WSxxx/Tasks/${reservation.task.sid}`;
+            workspace.handleRequest({ url: taskUrl, method: 'POST', params: { AssignmentStatus: 'wrapping', Reason: 'Done' } });
+            workspace.handleRequest({ url: taskUrl, method: 'POST', params: { AssignmentStatus: 'completed' } });
+
+            assert.deepEqual(eventTypes(worker.sid), [
+                'reservation.created', 'reservation.accepted',
+                'task.wrapup', 'reservation.wrapup',
+                'task.completed', 'reservation.completed'
+            ]);
+            assert.equal(lastPayload(worker.sid, 'task.completed').reason, 'Done');
+        });
+
+        it('should accept the Reservation when it is dequeued', () => {
+            assert.equal(updateReservation({ Instruction: 'dequeue', DequeueFrom: '+15555555555' }).reservation_status, 'accepted');
+        });
+
+        it('should reject the Reservation and not reserve the Task for the Worker again', () => {
+            updateReservation({ ReservationStatus: 'rejected', WorkerActivitySid: available.sid });
+
+            assert.deepEqual(eventTypes(worker.sid), ['reservation.created', 'reservation.rejected', 'worker.activity.update']);
+        });
+
+        it('should throw INVALID_REQUEST when updating a Reservation which is no longer pending', () => {
+            updateReservation({ ReservationStatus: 'rejected' });
+
+            try {
+                updateReservation({ ReservationStatus: 'accepted' });
+                assert.fail('Expected the update to throw');
+            } catch (err) {
+                assert.equal(err.name, 'INVALID_REQUEST');
+                assert.equal(err.status, 400);
+            }
+        });
+
+        it('should emit task.updated when the attributes of the Task are updated', () => {
+            workspace.handleRequest({
+                url: `Workspaces/WSxxx/Tasks/${reservation.task.sid}`,
+                method: 'POST',
+                params: { Attributes: { type: 'sales' } }
+            });
+
+            assert.equal(lastPayload(worker.sid, 'task.updated').attributes, '{"type":"sales"}');
+        });
+
+        it('should route a Task created by a Worker to that Worker', () => {
+            const bob = workspace.createWorker({ name: 'bob', activitySid: available.sid });
+            workspace.handleRequest({
+                url: 'Workspaces/WSxxx/Tasks',
+                method: 'POST',
+                params: { WorkflowSid: 'WWxxx', TaskQueueSid: queue.sid, RoutingTarget: worker.sid, Attributes: { from: 'bob' } }
+            });
+
+            assert.deepEqual(eventTypes(bob.sid), []);
+        });
+    });
+});
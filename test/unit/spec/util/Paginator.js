@@ -1,5 +1,6 @@
 import Paginator from '../../../../lib/util/Paginator';
 const chai = require('chai');
+const assert = chai.assert;
 const expect = chai.expect;
 
 function getRandomInt(max) {
@@ -47,4 +48,109 @@ describe('Paginator', () => {
       expect(result <= 10).to.equal(true);
     });
   });
+
+  describe('iteration', () => {
+    const items = [1, 2, 3, 4, 5];
+    let requested;
+
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+
+    // pages of 2 items, whose next token is the index of their first item
+    const getPage = start => {
+      requested.push(start);
+      const end = start + 2;
+      return Promise.resolve(new Paginator(items.slice(start, end), getPage, end < items.length ? end : null));
+    };
+
+    const createPaginator = () => new Paginator(items.slice(0, 2), getPage, 2);
+
+    // the iterator a for await...of loop would use
+    const asyncIteratorOf = iterable => iterable[Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator')]();
+
+    beforeEach(() => {
+      requested = [];
+    });
+
+    describe('#iterate(options)', () => {
+      it('should iterate over the items of every page with for await...of', async() => {
+        const iterator = asyncIteratorOf(createPaginator());
+        const iterated = [];
+        for (let result = await iterator.next(); !result.done; result = await iterator.next()) {
+          iterated.push(result.value);
+        }
+
+        assert.deepEqual(iterated, items);
+        assert.deepEqual(requested, [2, 4]);
+      });
+
+      it('should prefetch the next pages while the current page is iterated', async() => {
+        const iterator = createPaginator().iterate({ prefetch: 2 });
+
+        assert.deepEqual(await iterator.next(), { value: 1, done: false });
+        await flush();
+        assert.deepEqual(requested, [2, 4]);
+      });
+
+      it('should only fetch a page once it is reached with prefetch 0', async() => {
+        const iterator = createPaginator().iterate({ prefetch: 0 });
+
+        await iterator.next();
+        await iterator.next();
+        await flush();
+        assert.deepEqual(requested, []);
+
+        assert.deepEqual(await iterator.next(), { value: 3, done: false });
+        assert.deepEqual(requested, [2]);
+      });
+
+      it('should stop fetching pages once the iteration is ended', async() => {
+        const iterator = asyncIteratorOf(createPaginator());
+        await iterator.next();
+        // what breaking out of a for await...of loop does
+        const result = await iterator.return();
+        assert.isTrue(result.done);
+        assert.isUndefined(result.value);
+        assert.deepEqual(await iterator.next(), { done: true });
+
+        await flush();
+        assert.deepEqual(requested, [2]);
+      });
+
+      it('should reject with the error of a page which failed to load', () => {
+        const error = new Error('Failed to load');
+        const iterator = new Paginator([1], () => Promise.reject(error), 'next').iterate();
+
+        return iterator.next().then(() => iterator.next()).catch(err => {
+          expect(err).to.equal(error);
+        });
+      });
+
+      it('should throw an error if prefetch is not a non-negative integer', () => {
+        (() => {
+          createPaginator().iterate({ prefetch: -1 });
+        }).should.throw(/Option key: prefetch does not meet the required type/);
+      });
+    });
+
+    describe('#toArray(options)', () => {
+      it('should collect the items of every page', () => {
+        return createPaginator().toArray().then(collected => {
+          assert.deepEqual(collected, items);
+        });
+      });
+
+      it('should not fetch pages beyond the limit', () => {
+        return createPaginator().toArray({ limit: 3 }).then(collected => {
+          assert.deepEqual(collected, [1, 2, 3]);
+          assert.deepEqual(requested, [2]);
+        });
+      });
+
+      it('should throw an error if the limit is not a non-negative integer', () => {
+        (() => {
+          createPaginator().toArray({ limit: 1.5 });
+        }).should.throw(/Option key: limit does not meet the required type/);
+      });
+    });
+  });
 });
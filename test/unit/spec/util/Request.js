@@ -0,0 +1,332 @@
+/* eslint no-unused-expressions: 0 */
+const chai = require('chai');
+chai.use(require('sinon-chai'));
+chai.use(require('chai-as-promised'));
+
+const assert = chai.assert;
+const expect = chai.expect;
+const sinon = require('sinon');
+
+import { API_V1 } from '../../../../lib/util/Constants';
+import Configuration from '../../../../lib/util/Configuration';
+import Request from '../../../../lib/util/Request';
+import MockAbortController from '../../../mock/AbortSignal';
+import { token } from '../../../mock/Token';
+
+describe('Request', () => {
+  const url = 'Workspaces/WSxxx/Workers/WKxxx';
+  let request;
+  let postStub;
+
+  const httpError = (status, data = {}, headers = {}) => {
+    const err = new Error(`Request failed with status code ${status}`);
+    err.response = { status, data, headers };
+    return err;
+  };
+
+  const setUp = (options = {}) => {
+    request = new Request(new Configuration(token, options));
+    postStub = sinon.stub(request._postClient, 'post');
+    sinon.stub(request, '_getRetryDelay').returns(0);
+  };
+
+  describe('#get(url, apiVersion, paramsJSON)', () => {
+    it('should resolve with the payload of the response', () => {
+      setUp();
+      postStub.returns(Promise.resolve({ data: { payload: { sid: 'WKxxx' } } }));
+
+      return request.get(url, API_V1).then(payload => {
+        assert.deepEqual(payload, { sid: 'WKxxx' });
+      });
+    });
+
+    it('should retry a failed GET and resolve once it succeeds', () => {
+      setUp();
+      postStub.onFirstCall().returns(Promise.reject(httpError(502)));
+      postStub.onSecondCall().returns(Promise.resolve({ data: { payload: { sid: 'WKxxx' } } }));
+
+      return request.get(url, API_V1).then(payload => {
+        expect(postStub).to.have.been.calledTwice;
+        assert.deepEqual(payload, { sid: 'WKxxx' });
+      });
+    });
+
+    it('should give up after maxRetries retries', () => {
+      setUp({ maxRetries: 1 });
+      const timeout = new Error('timeout of 5000ms exceeded');
+      timeout.code = 'ECONNABORTED';
+      postStub.returns(Promise.reject(timeout));
+
+      return request.get(url, API_V1).catch(err => {
+        expect(postStub).to.have.been.calledTwice;
+        assert.equal(err.name, 'REQUEST_TIMEOUT');
+        assert.isNull(err.status);
+        assert.equal(err.url, url);
+      });
+    });
+
+    it('should not retry a GET which was rejected as invalid', () => {
+      setUp();
+      postStub.returns(Promise.reject(httpError(404)));
+
+      return request.get(url, API_V1).catch(err => {
+        expect(postStub).to.have.been.calledOnce;
+        assert.equal(err.name, 'NOT_FOUND');
+        assert.equal(err.status, 404);
+      });
+    });
+  });
+
+  describe('#post(url, paramsJSON, apiVersion)', () => {
+    it('should map a TaskRouter validation error to INVALID_REQUEST', () => {
+      setUp();
+      postStub.returns(Promise.reject(httpError(400, { payload: { code: 20001, message: 'Invalid Activity' } })));
+
+      return request.post(url, { ActivitySid: 'WAxxx' }, API_V1).catch(err => {
+        expect(postStub).to.have.been.calledOnce;
+        assert.equal(err.name, 'INVALID_REQUEST');
+        assert.equal(err.message, 'Invalid Activity');
+        assert.equal(err.status, 400);
+        assert.equal(err.code, 20001);
+        assert.equal(err.url, url);
+      });
+    });
+
+    it('should map an authentication failure to AUTHENTICATION_FAILED', () => {
+      setUp();
+      postStub.returns(Promise.reject(httpError(401, { code: 20003, message: 'Authenticate' })));
+
+      return request.post(url, {}, API_V1).catch(err => {
+        assert.equal(err.name, 'AUTHENTICATION_FAILED');
+        assert.equal(err.status, 401);
+        assert.equal(err.code, 20003);
+      });
+    });
+
+    it('should retry a POST which was rate limited', () => {
+      setUp();
+      postStub.onFirstCall().returns(Promise.reject(httpError(429)));
+      postStub.onSecondCall().returns(Promise.resolve({ data: { payload: { sid: 'WKxxx' } } }));
+
+      return request.post(url, {}, API_V1).then(payload => {
+        expect(postStub).to.have.been.calledTwice;
+        assert.deepEqual(payload, { sid: 'WKxxx' });
+      });
+    });
+
+    it('should not retry a POST which failed with a server error', () => {
+      setUp();
+      postStub.returns(Promise.reject(httpError(500)));
+
+      return request.post(url, {}, API_V1).catch(err => {
+        expect(postStub).to.have.been.calledOnce;
+        assert.equal(err.name, 'SERVER_ERROR');
+      });
+    });
+
+    it('should not retry when maxRetries is 0', () => {
+      setUp({ maxRetries: 0 });
+      postStub.returns(Promise.reject(httpError(503)));
+
+      return request.post(url, {}, API_V1).catch(err => {
+        expect(postStub).to.have.been.calledOnce;
+        assert.equal(err.name, 'SERVICE_UNAVAILABLE');
+      });
+    });
+  });
+
+  describe('#delete(url, apiVersion)', () => {
+    it('should send a DELETE request to the url', () => {
+      setUp();
+      postStub.returns(Promise.resolve({ data: { payload: {} } }));
+
+      return request.delete(url, API_V1).then(() => {
+        const sent = JSON.parse(postStub.args[0][1]);
+        assert.equal(sent.method, 'DELETE');
+        assert.equal(sent.url, url);
+        assert.deepEqual(sent.params, {});
+      });
+    });
+
+    it('should not retry a DELETE which failed with a server error', () => {
+      setUp();
+      postStub.returns(Promise.reject(httpError(500)));
+
+      return request.delete(url, API_V1).catch(err => {
+        expect(postStub).to.have.been.calledOnce;
+        assert.equal(err.name, 'SERVER_ERROR');
+      });
+    });
+
+    it('should throw an error if the url is missing', () => {
+      setUp();
+      (() => request.delete(null, API_V1)).should.throw(/<string>url is a required parameter/);
+    });
+  });
+
+  describe('requestOptions', () => {
+    const ok = { data: { payload: { sid: 'WKxxx' } } };
+
+    it('should throw an error if the signal is not an AbortSignal', () => {
+      setUp();
+      (() => {
+        request.post(url, {}, API_V1, { signal: {} });
+      }).should.throw(/<AbortSignal>signal must be an AbortSignal/);
+    });
+
+    it('should throw an error if the timeout is not a positive number', () => {
+      setUp();
+      (() => {
+        request.get(url, API_V1, {}, { timeout: -1 });
+      }).should.throw(/<number>timeout must be a positive number of milliseconds/);
+    });
+
+    it('should apply the timeout to the request', () => {
+      setUp();
+      postStub.returns(Promise.resolve(ok));
+
+      return request.post(url, {}, API_V1, { timeout: 1000 }).then(() => {
+        assert.equal(postStub.getCall(0).args[2].timeout, 1000);
+      });
+    });
+
+    it('should not send a request whose signal is already aborted', () => {
+      setUp();
+      const controller = new MockAbortController();
+      controller.abort();
+
+      return request.post(url, {}, API_V1, { signal: controller.signal }).catch(err => {
+        expect(postStub).to.not.have.been.called;
+        assert.equal(err.name, 'REQUEST_ABORTED');
+        assert.equal(err.url, url);
+      });
+    });
+
+    it('should cancel a request in flight once it is aborted', () => {
+      setUp();
+      const controller = new MockAbortController();
+      postStub.callsFake((server, body, config) => {
+        setImmediate(() => controller.abort());
+        return config.cancelToken.promise.then(cancel => Promise.reject(cancel));
+      });
+
+      return request.get(url, API_V1, {}, { signal: controller.signal }).catch(err => {
+        expect(postStub).to.have.been.calledOnce;
+        assert.equal(err.name, 'REQUEST_ABORTED');
+        assert.equal(controller.signal.listenerCount('abort'), 0);
+      });
+    });
+
+    it('should stop retrying once the request is aborted', () => {
+      setUp();
+      request._getRetryDelay.returns(60000);
+      const controller = new MockAbortController();
+      postStub.callsFake(() => {
+        setImmediate(() => controller.abort());
+        return Promise.reject(httpError(503));
+      });
+
+      return request.post(url, {}, API_V1, { signal: controller.signal }).catch(err => {
+        expect(postStub).to.have.been.calledOnce;
+        assert.equal(err.name, 'REQUEST_ABORTED');
+      });
+    });
+  });
+
+  describe('#use(middleware)', () => {
+    const ok = { data: { payload: { sid: 'WKxxx' } } };
+
+    it('should throw an error if the middleware has no hooks', () => {
+      setUp();
+      (() => {
+        request.use({ foo: () => {} });
+      }).should.throw(/must define one of onRequest\(\), onResponse\(\) or onError\(\)/);
+    });
+
+    it('should let onRequest hooks modify the envelope before it is sent', () => {
+      setUp();
+      postStub.returns(Promise.resolve(ok));
+      request.use({
+        onRequest: envelope => {
+          envelope.headers['X-Correlation-Id'] = 'abc';
+        }
+      });
+      request.use({
+        onRequest: envelope => Promise.resolve(Object.assign({}, envelope, {
+          params: Object.assign({}, envelope.params, { Audited: true })
+        }))
+      });
+
+      return request.post(url, { ActivitySid: 'WAxxx' }, API_V1).then(() => {
+        const [, body, config] = postStub.firstCall.args;
+        assert.deepEqual(JSON.parse(body).params, { ActivitySid: 'WAxxx', Audited: true });
+        assert.deepEqual(config.headers, { 'apiVersion': API_V1, 'X-Correlation-Id': 'abc' });
+      });
+    });
+
+    it('should not expose the token in the envelope', () => {
+      setUp();
+      postStub.returns(Promise.resolve(ok));
+      const onRequest = sinon.spy();
+      request.use({ onRequest });
+
+      return request.get(url, API_V1).then(() => {
+        const envelope = onRequest.firstCall.args[0];
+        assert.deepEqual(Object.keys(envelope).sort(), ['headers', 'method', 'params', 'url']);
+        assert.equal(envelope.method, 'GET');
+        assert.equal(envelope.url, url);
+      });
+    });
+
+    it('should pass the payload through the onResponse hooks in order', () => {
+      setUp();
+      postStub.returns(Promise.resolve(ok));
+      request.use({ onResponse: payload => Object.assign({}, payload, { first: true }) });
+      request.use({ onResponse: (payload, envelope) => Promise.resolve(Object.assign({}, payload, { url: envelope.url })) });
+      request.use({ onResponse: () => {} });
+
+      return request.get(url, API_V1).then(payload => {
+        assert.deepEqual(payload, { sid: 'WKxxx', first: true, url });
+      });
+    });
+
+    it('should call the onError hooks with the error of a failed request', () => {
+      setUp();
+      postStub.returns(Promise.reject(httpError(404)));
+      const onError = sinon.spy();
+      request.use({ onError });
+
+      return request.get(url, API_V1).catch(err => {
+        expect(onError).to.have.been.calledOnce;
+        expect(onError.firstCall.args[0]).to.equal(err);
+        assert.equal(onError.firstCall.args[1].url, url);
+        assert.equal(err.name, 'NOT_FOUND');
+      });
+    });
+
+    it('should fail the request without sending it if an onRequest hook rejects', () => {
+      setUp();
+      const error = new Error('Not allowed');
+      request.use({ onRequest: () => Promise.reject(error) });
+
+      return request.post(url, {}, API_V1).catch(err => {
+        expect(postStub).to.not.have.been.called;
+        expect(err).to.equal(error);
+      });
+    });
+  });
+
+  describe('#_getRetryDelay(k, err)', () => {
+    it('should honor the Retry-After header', () => {
+      request = new Request(new Configuration(token));
+      assert.equal(request._getRetryDelay(1, httpError(429, {}, { 'retry-after': '3' })), 3000);
+    });
+
+    it('should back off exponentially without a Retry-After header', () => {
+      request = new Request(new Configuration(token));
+      const delay = request._getRetryDelay(3, httpError(503));
+      assert.isAtLeast(delay, 800);
+      assert.isAtMost(delay, 7000);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/* eslint no-unused-expressions: 0 */
+import TokenRefresher from '../../../../lib/util/TokenRefresher';
+import { createToken } from '../../../mock/Token';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const assert = chai.assert;
+const expect = chai.expect;
+
+describe('TokenRefresher', () => {
+  let clock;
+
+  beforeEach(() => {
+    // start on a whole second, as the expiration of a token only has a precision of seconds
+    clock = sinon.useFakeTimers({ now: 1500000000000, toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  // let the promise chain of an attempt settle while the clock is faked
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  describe('constructor', () => {
+    it('should throw an error if tokenProvider is not a function', () => {
+      (() => {
+        new TokenRefresher('abc');
+      }).should.throw(/<function>tokenProvider is a required parameter/);
+    });
+  });
+
+  describe('#scheduleRefresh(token)', () => {
+    it('should refresh one minute before the token expires', () => {
+      const newToken = createToken(Date.now() + 7200000);
+      const tokenProvider = sinon.stub().returns(Promise.resolve(newToken));
+      const refreshedSpy = sinon.spy();
+      const refresher = new TokenRefresher(tokenProvider);
+      refresher.on('tokenRefreshed', refreshedSpy);
+
+      refresher.scheduleRefresh(createToken(Date.now() + 3600000));
+      clock.tick(3540000 - 1);
+
+      return flush().then(() => {
+        expect(tokenProvider).to.not.have.been.called;
+
+        clock.tick(1);
+        return flush();
+      }).then(() => {
+        expect(tokenProvider).to.have.been.calledOnce;
+        expect(refreshedSpy).to.have.been.calledOnce;
+        expect(refreshedSpy).to.have.been.calledWith(newToken);
+        assert.isFalse(refresher.isRefreshing);
+      });
+    });
+
+    it('should refresh halfway through the lifetime of a short-lived token', () => {
+      const tokenProvider = sinon.stub().returns(new Promise(() => {}));
+      const refresher = new TokenRefresher(tokenProvider);
+
+      refresher.scheduleRefresh(createToken(Date.now() + 80000));
+      clock.tick(39999);
+
+      return flush().then(() => {
+        expect(tokenProvider).to.not.have.been.called;
+
+        clock.tick(1);
+        return flush();
+      }).then(() => {
+        expect(tokenProvider).to.have.been.calledOnce;
+      });
+    });
+
+    it('should not schedule a refresh if the token has no readable expiration', () => {
+      const tokenProvider = sinon.stub();
+      const refresher = new TokenRefresher(tokenProvider);
+
+      refresher.scheduleRefresh('abc');
+      clock.tick(3600000);
+
+      return flush().then(() => {
+        expect(tokenProvider).to.not.have.been.called;
+      });
+    });
+  });
+
+  describe('#refresh()', () => {
+    it('should retry with backoff while the current token is valid', () => {
+      const newToken = createToken(Date.now() + 7200000);
+      const tokenProvider = sinon.stub();
+      tokenProvider.onFirstCall().returns(Promise.reject(new Error('unavailable')));
+      tokenProvider.onSecondCall().returns(Promise.resolve(newToken));
+      const refreshedSpy = sinon.spy();
+      const failedSpy = sinon.spy();
+      const refresher = new TokenRefresher(tokenProvider);
+      refresher.on('tokenRefreshed', refreshedSpy);
+      refresher.on('refreshFailed', failedSpy);
+
+      refresher.scheduleRefresh(createToken(Date.now() + 60000));
+      refresher.refresh();
+
+      return flush().then(() => {
+        expect(tokenProvider).to.have.been.calledOnce;
+        assert.isTrue(refresher.isRefreshing);
+
+        clock.tick(1000);
+        return flush();
+      }).then(() => {
+        expect(tokenProvider).to.have.been.calledTwice;
+        expect(refreshedSpy).to.have.been.calledWith(newToken);
+        expect(failedSpy).to.not.have.been.called;
+      });
+    });
+
+    it('should give up once the current token would expire before the next attempt', () => {
+      const error = new Error('unavailable');
+      const tokenProvider = sinon.stub().returns(Promise.reject(error));
+      const failedSpy = sinon.spy();
+      const refresher = new TokenRefresher(tokenProvider);
+      refresher.on('refreshFailed', failedSpy);
+
+      refresher.scheduleRefresh(createToken(Date.now() + 500));
+      refresher.refresh();
+
+      return flush().then(() => {
+        expect(tokenProvider).to.have.been.calledOnce;
+        expect(failedSpy).to.have.been.calledOnce;
+        expect(failedSpy).to.have.been.calledWith(error);
+        assert.isFalse(refresher.isRefreshing);
+      });
+    });
+
+    it('should treat an expired token from the provider as a failure', () => {
+      const tokenProvider = sinon.stub().returns(Promise.resolve(createToken(Date.now() - 1000)));
+      const refreshedSpy = sinon.spy();
+      const failedSpy = sinon.spy();
+      const refresher = new TokenRefresher(tokenProvider);
+      refresher.on('tokenRefreshed', refreshedSpy);
+      refresher.on('refreshFailed', failedSpy);
+
+      refresher.refresh();
+
+      return flush().then(() => {
+        expect(refreshedSpy).to.not.have.been.called;
+        expect(failedSpy).to.have.been.calledOnce;
+      });
+    });
+
+    it('should not emit once stopped', () => {
+      const tokenProvider = sinon.stub().returns(Promise.resolve(createToken(Date.now() + 7200000)));
+      const refreshedSpy = sinon.spy();
+      const refresher = new TokenRefresher(tokenProvider);
+      refresher.on('tokenRefreshed', refreshedSpy);
+
+      refresher.refresh();
+      refresher.stop();
+
+      return flush().then(() => {
+        expect(refreshedSpy).to.not.have.been.called;
+      });
+    });
+  });
+});
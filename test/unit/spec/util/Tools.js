@@ -1,5 +1,7 @@
 const tools = require('../../../../lib/util/Tools');
 import _ from 'lodash';
+import { token } from '../../../mock/Token';
+const assert = require('chai').assert;
 
 describe('Tools', () => {
   describe('#validateOptions', () => {
@@ -12,4 +14,33 @@ describe('Tools', () => {
       }).should.throw(/does not meet the required type/);
     });
   });
+
+  describe('#verifyJWT', () => {
+    it('should return the decoded payload of the token', () => {
+      const payload = tools.verifyJWT(token);
+      assert.equal(payload.sub, 'ACxxx');
+      assert.equal(payload.exp, 1487574731);
+      assert.equal(payload.grants.task_router.workspace_sid, 'WSxxx');
+    });
+
+    it('should throw an error if the token is not a JWT', () => {
+      (() => {
+        tools.verifyJWT('abc');
+      }).should.throw(/must be a JSON Web Token/);
+    });
+
+    it('should throw an error if the token payload cannot be decoded', () => {
+      (() => {
+        tools.verifyJWT('abc.def.ghi');
+      }).should.throw(/Unable to decode the token payload/);
+    });
+
+    it('should throw an error if the token has no TaskRouter grant', () => {
+      const header = token.split('.')[0];
+      const payload = Buffer.from(JSON.stringify({ grants: {} })).toString('base64');
+      (() => {
+        tools.verifyJWT(`${header}.${payload}.signature`);
+      }).should.throw(/does not contain a TaskRouter grant/);
+    });
+  });
 });
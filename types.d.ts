@@ -1,6 +1,6 @@
 export as namespace TaskRouter;
 export class Worker extends NodeJS.EventEmitter {
-    constructor(token: string, options?: any);
+    constructor(token: string, options?: any, deps?: { Request: any; EventBridgeSignaling: any });
 
     readonly accountSid: string;
     readonly activities: Map<string, Activity>;
@@ -8,18 +8,378 @@ export class Worker extends NodeJS.EventEmitter {
     readonly attributes: any;
     readonly channels: Map<string, Channel>;
     readonly connectActivitySid: string;
+    readonly connectionState: ConnectionState;
     readonly dateCreated: Date;
     readonly dateStatusChanged: Date;
     readonly dateUpdated: Date;
     readonly disconnectActivitySid: string;
     readonly name: string;
     readonly reservations: Map<string, Reservation>;
+    readonly scheduledActivity: ActivitySchedule | null;
     readonly sid: string;
     readonly workspaceSid: string;
 
+    cancelScheduledActivity(): Promise<ActivitySchedule | null>;
     disconnect();
-    setAttributes(attributes: any): Promise<Worker>;
+    fetchReservations(options?: FetchReservationsOptions, requestOptions?: RequestOptions): Promise<Paginator<Reservation>>;
+    fetchTask(taskSid: string, requestOptions?: RequestOptions): Promise<Task>;
+    scheduleActivity(activitySid: string, at: Date | string | number): Promise<ActivitySchedule>;
+    searchTransferTargets(options?: TransferSearchOptions, requestOptions?: RequestOptions): Promise<TransferTarget[]>;
+    setAttributes(attributes: any, requestOptions?: RequestOptions): Promise<Worker>;
+    updateToken(newToken: string);
+}
+
+export class Workspace extends NodeJS.EventEmitter {
+    constructor(token: string, options?: any);
+
+    readonly accountSid: string;
+    readonly sid: string;
+    readonly subscribed: boolean;
+    readonly workspaceSid: string;
+
+    subscribe(): Promise<void>;
+    unsubscribe();
+    fetchWorkers(options?: FetchWorkersOptions & { paginate?: false }, requestOptions?: RequestOptions): Promise<Map<string, WorkerInfo>>;
+    fetchWorkers(options: FetchWorkersOptions & { paginate: true }, requestOptions?: RequestOptions): Promise<Paginator<WorkerInfo>>;
+    fetchTaskQueues(options?: FetchTaskQueuesOptions & { paginate?: false }, requestOptions?: RequestOptions): Promise<Map<string, TaskQueue>>;
+    fetchTaskQueues(options: FetchTaskQueuesOptions & { paginate: true }, requestOptions?: RequestOptions): Promise<Paginator<TaskQueue>>;
+    fetchWorkflows(options?: { friendlyName?: string; paginate?: false }, requestOptions?: RequestOptions): Promise<Map<string, Workflow>>;
+    fetchWorkflows(options: { friendlyName?: string; paginate: true }, requestOptions?: RequestOptions): Promise<Paginator<Workflow>>;
+    fetchActivities(options?: { friendlyName?: string; available?: boolean; paginate?: false }, requestOptions?: RequestOptions): Promise<Map<string, ActivityInfo>>;
+    fetchActivities(options: { friendlyName?: string; available?: boolean; paginate: true }, requestOptions?: RequestOptions): Promise<Paginator<ActivityInfo>>;
+    fetchStatistics(options?: StatisticsOptions, requestOptions?: RequestOptions): Promise<Statistics>;
+    createWorker(options: WorkerOptions & { friendlyName: string }, requestOptions?: RequestOptions): Promise<WorkerInfo>;
+    updateWorker(sid: string, options: WorkerOptions, requestOptions?: RequestOptions): Promise<WorkerInfo>;
+    deleteWorker(sid: string, requestOptions?: RequestOptions): Promise<WorkerInfo | null>;
+    createActivity(options: { friendlyName: string; available?: boolean }, requestOptions?: RequestOptions): Promise<ActivityInfo>;
+    updateActivity(sid: string, options: { friendlyName: string }, requestOptions?: RequestOptions): Promise<ActivityInfo>;
+    deleteActivity(sid: string, requestOptions?: RequestOptions): Promise<ActivityInfo | null>;
+    createTaskQueue(options: TaskQueueOptions & { friendlyName: string }, requestOptions?: RequestOptions): Promise<TaskQueue>;
+    updateTaskQueue(sid: string, options: TaskQueueOptions, requestOptions?: RequestOptions): Promise<TaskQueue>;
+    deleteTaskQueue(sid: string, requestOptions?: RequestOptions): Promise<TaskQueue | null>;
+    workersForQueue(queueSid: string): Map<string, WorkerInfo>;
     updateToken(newToken: string);
+
+    on(event: 'workerAdded' | 'workerUpdated' | 'workerRemoved', listener: (worker: WorkerInfo) => void): this;
+    on(event: 'taskQueueAdded' | 'taskQueueUpdated' | 'taskQueueRemoved', listener: (taskQueue: TaskQueue) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+export class Expression {
+    constructor(source: string);
+
+    readonly source: string;
+
+    evaluate(workerAttributes: any, taskAttributes?: any): boolean;
+}
+
+export interface FetchReservationsOptions {
+    status?: ReservationStatus | ReservationStatus[];
+    after?: Date | string;
+    before?: Date | string;
+    pageSize?: number;
+}
+
+export interface ActivitySchedule {
+    activitySid: string;
+    activityName: string;
+    at: Date;
+    fromActivitySid: string;
+}
+
+export type ReservationStatus = 'pending' | 'accepted' | 'rejected' | 'timeout' | 'canceled' | 'rescinded' | 'wrapping' | 'completed';
+
+export interface TransferSearchOptions {
+    type?: 'WORKER' | 'QUEUE';
+    friendlyName?: string;
+    activitySid?: string;
+    activityName?: string;
+    available?: boolean;
+    targetWorkersExpression?: string;
+}
+
+export interface TransferTarget {
+    readonly type: 'WORKER' | 'QUEUE';
+    readonly sid: string;
+    readonly name: string;
+    readonly available: boolean | null;
+    readonly activityName?: string;
+    readonly attributes?: any;
+    readonly availableWorkers?: number | null;
+    readonly targetWorkers?: string;
+}
+
+export interface TransferOptions {
+    attributes?: any;
+    mode?: 'WARM' | 'COLD';
+    priority?: number;
+}
+
+export interface WorkerOptions {
+    friendlyName?: string;
+    activitySid?: string;
+    attributes?: any;
+}
+
+export interface TaskQueueOptions {
+    friendlyName?: string;
+    targetWorkers?: string;
+    maxReservedWorkers?: number;
+    taskOrder?: 'FIFO' | 'LIFO';
+    reservationActivitySid?: string;
+    assignmentActivitySid?: string;
+}
+
+export interface StatisticsOptions {
+    realTime?: boolean;
+    cumulative?: boolean;
+    minutes?: number;
+    startDate?: Date | string;
+    endDate?: Date | string;
+    taskChannel?: string;
+}
+
+export interface Statistics {
+    readonly realTime: RealTimeStatistics | null;
+    readonly cumulative: CumulativeStatistics | null;
+}
+
+export interface RealTimeStatistics {
+    readonly activityStatistics: { sid: string; friendlyName: string; workers: number }[];
+    readonly longestTaskWaitingAge: number;
+    readonly longestTaskWaitingSid: string | null;
+    readonly tasksByPriority: { [priority: string]: number };
+    readonly tasksByStatus: { pending: number; reserved: number; assigned: number; wrapping: number };
+    readonly totalTasks: number;
+    readonly totalAvailableWorkers?: number;
+    readonly totalEligibleWorkers?: number;
+    readonly totalWorkers?: number;
+    readonly [field: string]: any;
+}
+
+export interface StatisticsDuration {
+    readonly avg: number;
+    readonly min: number;
+    readonly max: number;
+    readonly total: number;
+}
+
+export interface CumulativeStatistics {
+    readonly startTime: Date | null;
+    readonly endTime: Date | null;
+    readonly avgTaskAcceptanceTime?: number;
+    readonly reservationsCreated: number;
+    readonly reservationsAccepted: number;
+    readonly reservationsRejected: number;
+    readonly reservationsTimedOut: number;
+    readonly reservationsCanceled: number;
+    readonly reservationsRescinded: number;
+    readonly waitDurationUntilAccepted?: StatisticsDuration;
+    readonly waitDurationUntilCanceled?: StatisticsDuration;
+    readonly activityDurations?: ({ sid: string; friendlyName: string } & StatisticsDuration)[];
+    readonly [field: string]: any;
+}
+
+export interface FetchWorkersOptions {
+    targetWorkersExpression?: string;
+    activitySid?: string;
+    available?: boolean;
+    friendlyName?: string;
+    taskQueueSid?: string;
+}
+
+export interface FetchTaskQueuesOptions {
+    friendlyName?: string;
+    evaluateWorkerAttributes?: string;
+}
+
+export interface Paginator<T> extends AsyncIterable<T> {
+    readonly hasNextPage: boolean;
+    readonly items: T[];
+
+    nextPage(): Promise<Paginator<T>>;
+    iterate(options?: { prefetch?: number }): AsyncIterableIterator<T>;
+    toArray(options?: { limit?: number; prefetch?: number }): Promise<T[]>;
+}
+
+export interface WorkerInfo {
+    readonly accountSid: string;
+    readonly activityName: string;
+    readonly activitySid: string;
+    readonly attributes: any;
+    readonly available: boolean;
+    readonly dateCreated: Date;
+    readonly dateStatusChanged: Date;
+    readonly dateUpdated: Date;
+    readonly name: string;
+    readonly sid: string;
+    readonly workspaceSid: string;
+
+    fetchStatistics(options?: StatisticsOptions & { realTime?: false }, requestOptions?: RequestOptions): Promise<Statistics>;
+}
+
+export interface TaskQueue {
+    readonly accountSid: string;
+    readonly assignmentActivityName: string;
+    readonly assignmentActivitySid: string;
+    readonly dateCreated: Date;
+    readonly dateUpdated: Date;
+    readonly maxReservedWorkers: number;
+    readonly name: string;
+    readonly reservationActivityName: string;
+    readonly reservationActivitySid: string;
+    readonly sid: string;
+    readonly targetWorkers: string;
+    readonly taskOrder: string;
+    readonly workspaceSid: string;
+
+    fetchStatistics(options?: StatisticsOptions, requestOptions?: RequestOptions): Promise<Statistics>;
+    matchesWorker(worker: { attributes: any }): boolean;
+}
+
+export interface Workflow {
+    readonly accountSid: string;
+    readonly assignmentCallbackUrl: string;
+    readonly configuration: any;
+    readonly dateCreated: Date;
+    readonly dateUpdated: Date;
+    readonly defaultFilter: WorkflowTarget | null;
+    readonly fallbackAssignmentCallbackUrl: string | null;
+    readonly filters: WorkflowFilter[];
+    readonly name: string;
+    readonly sid: string;
+    readonly taskReservationTimeout: number;
+    readonly workspaceSid: string;
+}
+
+export interface WorkflowFilter {
+    readonly name: string;
+    readonly expression: string;
+    readonly targets: WorkflowTarget[];
+}
+
+export interface WorkflowTarget {
+    readonly queue: string;
+    readonly expression?: string;
+    readonly priority?: number;
+    readonly timeout?: number;
+    readonly orderBy?: string;
+    readonly skipIf?: any[];
+    readonly knownWorkerSid?: string;
+    readonly knownWorkerFriendlyName?: string;
+    readonly [key: string]: any;
+}
+
+export interface ActivityInfo {
+    readonly accountSid: string;
+    readonly available: boolean;
+    readonly dateCreated: Date;
+    readonly dateUpdated: Date;
+    readonly name: string;
+    readonly sid: string;
+    readonly workspaceSid: string;
+}
+
+export class SessionRecorder {
+    constructor();
+
+    readonly journal: SessionJournal;
+
+    clear(): void;
+    toJSON(): SessionJournal;
+}
+
+export class SessionReplay extends NodeJS.EventEmitter {
+    constructor(journal: SessionJournal | string);
+
+    readonly deps: { Request: any; EventBridgeSignaling: any };
+    readonly ended: boolean;
+}
+
+export interface SessionJournal {
+    version: number;
+    clientVersion: string;
+    startedAt: string;
+    entries: SessionJournalEntry[];
+}
+
+export interface SessionJournalEntry {
+    at: number;
+    type: 'connected' | 'disconnected' | 'message' | 'request' | 'response' | 'error';
+    [key: string]: any;
+}
+
+export class SimulatedWorkspace extends NodeJS.EventEmitter {
+    constructor(options?: { accountSid?: string; workspaceSid?: string; reservationTimeout?: number });
+
+    readonly accountSid: string;
+    readonly sid: string;
+
+    createActivity(options: { name: string; available?: boolean; sid?: string }): any;
+    createTaskQueue(options: { name: string; workerSids?: string[]; sid?: string }): any;
+    createWorker(options: { name: string; attributes?: any; activitySid?: string; channels?: { [uniqueName: string]: number }; sid?: string }): any;
+    createTask(options: { taskQueueSid: string; attributes?: any; priority?: number; taskChannelUniqueName?: string; timeout?: number; routingTarget?: string }): any;
+    cancelTask(taskSid: string, reason?: string): any;
+    updateWorkerActivity(workerSid: string, activitySid: string, rejectPendingReservations?: boolean): any;
+    handleRequest(request: { url: string; method: 'GET' | 'POST'; params?: any }): any;
+}
+
+export class EventBridgeSimulator {
+    constructor(options?: { workspace?: SimulatedWorkspace; host?: string; port?: number; heartbeatInterval?: number });
+
+    readonly workspace: SimulatedWorkspace;
+    readonly ebServer: string | null;
+    readonly wsServer: string | null;
+
+    start(): Promise<EventBridgeSimulator>;
+    stop(): Promise<void>;
+    createToken(workerSid: string, options?: { ttl?: number }): string;
+}
+
+export type ConnectionState = 'connecting' | 'connected' | 'reconnecting' | 'disconnected' | 'tokenExpired';
+
+export interface ConnectionStateChange {
+    readonly state: ConnectionState;
+    readonly previousState: ConnectionState;
+    readonly attempt: number | null;
+    readonly nextRetryDelay: number | null;
+}
+
+export interface RequestEnvelope {
+    url: string;
+    method: 'GET' | 'POST';
+    params: any;
+    headers: { [header: string]: string };
+}
+
+export interface RequestMiddleware {
+    onRequest?(envelope: RequestEnvelope): RequestEnvelope | Promise<RequestEnvelope> | void;
+    onResponse?(payload: any, envelope: RequestEnvelope): any;
+    onError?(error: Error, envelope: RequestEnvelope): Promise<void> | void;
+}
+
+export interface ReservationPolicyRule {
+    match?: {
+        attributes?: any;
+        taskChannelUniqueName?: string | string[];
+        queueSid?: string | string[];
+        priority?: number | { min?: number; max?: number };
+    };
+    action: 'accept' | 'reject' | 'dequeue' | 'conference';
+    options?: RejectOptions | DequeueOptions | ConferenceOptions;
+}
+
+export interface ReservationPolicyDecision {
+    readonly reservation: Reservation;
+    readonly rule: ReservationPolicyRule | null;
+    readonly ruleIndex: number;
+    readonly action: 'accept' | 'reject' | 'dequeue' | 'conference' | null;
+    readonly error: Error | null;
+}
+
+export interface RequestOptions {
+    signal?: AbortSignal;
+    timeout?: number;
 }
 
 export interface Activity {
@@ -32,7 +392,13 @@ export interface Activity {
     readonly sid: string;
     readonly workspaceSid: string;
 
-    setAsCurrent(): Promise<Activity>;
+    setAsCurrent(options?: ActivityUpdateOptions, requestOptions?: RequestOptions): Promise<Activity>;
+}
+
+export interface ActivityUpdateOptions {
+    rejectPendingReservations?: boolean;
+    until?: Date | string | number;
+    returnTo?: string | Activity;
 }
 
 export interface Channel {
@@ -48,8 +414,8 @@ export interface Channel {
     readonly workerSid: string;
     readonly workspaceSid: string;
 
-    setAvailability(isAvailable: boolean): Promise<Channel>;
-    setCapacity(capacity: number): Promise<Channel>;
+    setAvailability(isAvailable: boolean, requestOptions?: RequestOptions): Promise<Channel>;
+    setCapacity(capacity: number, requestOptions?: RequestOptions): Promise<Channel>;
 }
 
 export interface Task extends NodeJS.EventEmitter {
@@ -70,31 +436,93 @@ export interface Task extends NodeJS.EventEmitter {
     readonly workflowName: string;
     readonly workflowSid: string;
     readonly routingTarget: string;
+    readonly transfers: Transfers;
+
+    complete(reason: string, requestOptions?: RequestOptions): Promise<Task>;
+    setAttributes(attributes: Object, requestOptions?: RequestOptions): Promise<Task>;
+    transfer(to: string | TransferTarget, options?: TransferOptions, requestOptions?: RequestOptions): Promise<Task>;
+    transferWithFallback(targets: Array<string | TransferTarget>, options?: FallbackTransferOptions, requestOptions?: RequestOptions): Promise<FallbackTransferResult>;
+    wrapUp({reason: string}, requestOptions?: RequestOptions): Promise<Task>;
+}
+
+export interface FallbackTransferOptions extends TransferOptions {
+    perAttemptTimeout?: number;
+}
+
+export interface FallbackTransferStep {
+    target: string | TransferTarget;
+    index: number;
+    status: 'initiated' | 'completed' | 'failed' | 'canceled' | 'timeout' | 'error';
+    transfer: OutgoingTransfer | null;
+    reason: string | null;
+}
+
+export interface FallbackTransferResult {
+    target: string | TransferTarget;
+    index: number;
+    transfer: OutgoingTransfer;
+    steps: FallbackTransferStep[];
+}
+
+export interface Transfers extends NodeJS.EventEmitter {
+    readonly incoming: IncomingTransfer | null;
+    readonly outgoing: OutgoingTransfer | null;
+    readonly history: OutgoingTransfer[];
+}
 
-    complete(reason: string): Promise<Task>;
-    setAttributes(attributes: Object): Promise<Task>;
-    wrapUp({reason: string}): Promise<Task>;
+export interface Transfer extends NodeJS.EventEmitter {
+    readonly dateCreated: Date;
+    readonly dateUpdated: Date;
+    readonly mode: 'WARM' | 'COLD';
+    readonly reservationSid: string;
+    readonly sid: string;
+    readonly status: string;
+    readonly to: string;
+    readonly transferFailedReason: string;
+    readonly type: 'QUEUE' | 'WORKER';
+    readonly workerSid: string;
+}
+
+export interface IncomingTransfer extends Transfer {
+    readonly notes: string | null;
+    readonly queueSid: string;
+    readonly workflowSid: string;
+
+    on(event: 'completed' | 'failed' | 'canceled', listener: (transfer: IncomingTransfer) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+export interface OutgoingTransfer extends Transfer {
+    readonly taskSid: string;
+
+    cancel(requestOptions?: RequestOptions): Promise<OutgoingTransfer>;
+    result(options?: { timeout?: number; onAttemptFailed?: (transfer: OutgoingTransfer) => void }): Promise<OutgoingTransfer>;
 }
 
 export interface Reservation extends NodeJS.EventEmitter {
     readonly accountSid: string;
     readonly dateCreated: Date;
     readonly dateUpdated: Date;
+    readonly expiresAt: Date | null;
     readonly sid: string;
     readonly status: "pending" | "accepted" | "rejected" | "timeout" | "canceled" | "rescinded";
     readonly taskChannelSid: string;
     readonly taskChannelUniqueName: string;
     readonly taskSid: string;
+    readonly timeRemaining: number | null;
+    readonly timeout: number;
     readonly workerSid: string;
     readonly workspaceSid: string;
     readonly task: Task;
+    readonly transfer: IncomingTransfer | null;
+    readonly transferred: boolean;
 
-    accept(): Promise<Reservation>;
-    call(from: string, url: string, options?: CallOptions): Promise<Reservation>;
-    dequeue(options?: DequeueOptions): Promise<Reservation>;
-    conference(options?: ConferenceOptions): Promise<Reservation>;
-    redirect(callSid: string, url: string, options?: RedirectOptions);
-    reject(options?: RejectOptions): Promise<Reservation>;
+    accept(requestOptions?: RequestOptions): Promise<Reservation>;
+    call(from: string, url: string, options?: CallOptions, requestOptions?: RequestOptions): Promise<Reservation>;
+    dequeue(options?: DequeueOptions, requestOptions?: RequestOptions): Promise<Reservation>;
+    conference(options?: ConferenceOptions, requestOptions?: RequestOptions): Promise<Reservation>;
+    redirect(callSid: string, url: string, options?: RedirectOptions, requestOptions?: RequestOptions);
+    reject(options?: RejectOptions, requestOptions?: RequestOptions): Promise<Reservation>;
 }
 
 export interface CallOptions {